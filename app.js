@@ -22,6 +22,13 @@ const flowStatsRoutes = require('./routes/flow.stats.routes');
 const payoutAllocationRoutes = require('./routes/payout.allocation.routes');
 const bizdevRequestsRoutes = require('./routes/bizdev.requests.routes.js');
 const communicationsRoutes = require('./routes/communications.routes');
+const permissionsRoutes = require('./routes/permissions.routes');
+const apiKeysRoutes = require('./routes/api.keys.routes');
+const orgRoutes = require('./routes/org.routes');
+const entityAuditRoutes = require('./routes/entity.audit.routes');
+const trashRoutes = require('./routes/trash.routes');
+const healthRoutes = require('./routes/health.routes');
+const healthController = require('./controllers/health.controller');
 
 // BIZDEV маршрути
 const partnersRoutes = require('./routes/partners.routes');
@@ -37,6 +44,10 @@ const partnerPayoutsRoutes = require('./routes/partner.payout.routes');
 // Імпорт Swagger setup та авторизації
 const { swaggerDocument, serve, setup } = require('./swagger-setup');
 const { swaggerAuth, swaggerJsonAuth } = require('./swagger-auth');
+const { requestContextMiddleware, REQUEST_ID_HEADER } = require('./utils/requestContext');
+const requestLogger = require('./middleware/request.logger.middleware');
+const metricsMiddleware = require('./middleware/metrics.middleware');
+const logger = require('./utils/logger');
 
 // Завантаження змінних оточення
 dotenv.config();
@@ -44,11 +55,29 @@ dotenv.config();
 // Створення Express застосунку
 const app = express();
 
+// За reverse proxy req.ip береться з X-Forwarded-For (потрібно для лімітів на IP).
+// Усі перевірки за IP (allowlist API ключів, блокування входу) використовують лише req.ip:
+// без TRUST_PROXY заголовок X-Forwarded-For від клієнта ігнорується
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Визначення доступних клієнтських URL для CORS
 const allowedOrigins = ["http://localhost:3000"];
 
-// Налаштування CORS
-app.use(cors('*'));
+// Налаштування CORS (службові заголовки відповіді доступні клієнту)
+app.use(cors({
+  exposedHeaders: [
+    REQUEST_ID_HEADER,
+    'Idempotent-Replayed',
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'Retry-After',
+  ],
+}));
 
 // Парсинг JSON у тілі запиту
 app.use(express.json());
@@ -56,13 +85,14 @@ app.use(express.json());
 // Парсинг URL-encoded даних
 app.use(express.urlencoded({ extended: true }));
 
-// Логування запитів у розробницькому середовищі
-if (process.env.NODE_ENV === "development") {
-  app.use((req, res, next) => {
-    console.log(`${req.method} ${req.url}`);
-    next();
-  });
-}
+// Контекст запиту (correlation ID та автор змін для журналу аудиту)
+app.use(requestContextMiddleware);
+
+// Структуроване логування запитів
+app.use(requestLogger);
+
+// Метрики HTTP запитів (латентність та помилки за маршрутом)
+app.use(metricsMiddleware);
 
 // Swagger документація з Basic Auth
 app.use('/api-docs', swaggerAuth, serve, setup);
@@ -83,6 +113,10 @@ app.get("/", (req, res) => {
   });
 });
 
+// Перевірки стану сервісу та метрики Prometheus
+app.use('/health', healthRoutes);
+app.get('/metrics', healthController.getMetrics);
+
 // Маршрути API
 app.use("/api/auth", authRoutes);
 app.use("/api/reports", reportsRoutes);
@@ -100,6 +134,11 @@ app.use('/api/flow-stats', flowStatsRoutes);
 app.use("/api/payout-allocations", payoutAllocationRoutes);
 app.use('/api/bizdev-requests', bizdevRequestsRoutes);
 app.use('/api/communications', communicationsRoutes);
+app.use('/api/permissions', permissionsRoutes);
+app.use('/api/api-keys', apiKeysRoutes);
+app.use('/api/org', orgRoutes);
+app.use('/api/entity-audit', entityAuditRoutes);
+app.use('/api/trash', trashRoutes);
 
 // Тестові маршрути для Swagger авторизації (тільки в розробці)
 if (process.env.NODE_ENV === 'development') {
@@ -125,14 +164,14 @@ app.use((req, res) => {
     availableEndpoints: {
       documentation: "/api-docs",
       apiSpec: "/api-docs.json",
-      health: "/"
+      health: "/health/ready"
     }
   });
 });
 
 // Глобальна обробка помилок
 app.use((err, req, res, next) => {
-  console.error("Глобальна обробка помилок:", err);
+  logger.error("Глобальна обробка помилок", err);
 
   const statusCode = err.statusCode || 500;
   const message = err.message || "Внутрішня помилка сервера";
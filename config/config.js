@@ -4,6 +4,60 @@ dotenv.config();
 
 const TELEGRAM_API_URL = `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}`;
 
+// Захист від підбору паролів: після LOGIN_MAX_FAILED_ATTEMPTS невдалих спроб
+// протягом вікна вхід блокується, і кожне наступне блокування вдвічі довше
+const LOGIN_PROTECTION = {
+  maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+  windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+  baseLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 5,
+  maxLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 1440,
+};
+
+// Відновлення пароля через одноразові коди в Telegram
+const PASSWORD_RESET = {
+  codeTtlMinutes: parseInt(process.env.PASSWORD_RESET_CODE_TTL_MINUTES) || 10,
+  maxAttempts: parseInt(process.env.PASSWORD_RESET_MAX_ATTEMPTS) || 5,
+  maxCodesPerWindow: parseInt(process.env.PASSWORD_RESET_MAX_CODES) || 3,
+  windowMinutes: parseInt(process.env.PASSWORD_RESET_WINDOW_MINUTES) || 60,
+};
+
+// Імперсонація ("перегляд від імені користувача") адміністратором
+const IMPERSONATION = {
+  defaultTtlMinutes: parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 30,
+  maxTtlMinutes: parseInt(process.env.IMPERSONATION_MAX_TTL_MINUTES) || 120,
+};
+
+// Обмеження частоти запитів (ковзне вікно) за групами маршрутів
+// keyBy: "ip" - ліміт на IP адресу, "user" - на користувача/API ключ (для анонімних - на IP)
+// store: "memory" - лічильники в пам'яті процесу, "postgres" - спільні для кількох інстансів
+const RATE_LIMITS = {
+  store: process.env.RATE_LIMIT_STORE || "memory",
+  policies: {
+    // Вхід, вхід через Telegram та відновлення пароля
+    auth: {
+      keyBy: "ip",
+      windowSeconds: parseInt(process.env.RATE_LIMIT_AUTH_WINDOW_SECONDS) || 900,
+      max: parseInt(process.env.RATE_LIMIT_AUTH_MAX) || 60,
+    },
+    // Важкі агрегації статистики компанії
+    flowStatsCompany: {
+      keyBy: "user",
+      windowSeconds: parseInt(process.env.RATE_LIMIT_COMPANY_STATS_WINDOW_SECONDS) || 60,
+      max: parseInt(process.env.RATE_LIMIT_COMPANY_STATS_MAX) || 30,
+    },
+    // Створення і запуск розсилок Telegram
+    telegramSend: {
+      keyBy: "user",
+      windowSeconds: parseInt(process.env.RATE_LIMIT_TELEGRAM_SEND_WINDOW_SECONDS) || 600,
+      max: parseInt(process.env.RATE_LIMIT_TELEGRAM_SEND_MAX) || 5,
+    },
+  },
+};
+
 module.exports = {
-  TELEGRAM_API_URL
+  TELEGRAM_API_URL,
+  LOGIN_PROTECTION,
+  PASSWORD_RESET,
+  IMPERSONATION,
+  RATE_LIMITS
 };
@@ -4,6 +4,9 @@
  */
 const { Pool } = require('pg');
 const dotenv = require('dotenv');
+const { getActor } = require('../utils/requestContext');
+const logger = require('../utils/logger');
+const { createCounter, registerGauge } = require('../utils/metrics');
 
 // Завантаження змінних оточення
 dotenv.config();
@@ -26,18 +29,96 @@ const pool = new Pool({
 // Тестування підключення
 pool.query('SELECT NOW()', (err, res) => {
   if (err) {
-    console.error('Помилка підключення до бази даних:', err.stack);
+    logger.error('Помилка підключення до бази даних', err);
   } else {
-    console.log('База даних успішно підключена:', res.rows[0].now);
+    logger.info('База даних успішно підключена', { now: res.rows[0].now });
   }
 });
 
-// Обробка помилок пулу
+const poolErrors = createCounter({
+  name: 'pg_pool_errors_total',
+  help: 'Кількість помилок неактивних клієнтів пулу PostgreSQL',
+});
+
+// Обробка помилок пулу: пул сам відкидає зламаного клієнта, тому процес не зупиняємо,
+// стан бази даних показує /health/ready
 pool.on('error', (err) => {
-  console.error('Несподівана помилка пулу PostgreSQL', err);
-  process.exit(-1);
+  poolErrors.inc();
+  logger.error('Несподівана помилка пулу PostgreSQL', err);
+});
+
+registerGauge({
+  name: 'pg_pool_clients',
+  help: 'Клієнти пулу PostgreSQL за станом (total, idle, waiting - запити в черзі)',
+  collect: () => [
+    { labels: { state: 'total' }, value: pool.totalCount },
+    { labels: { state: 'idle' }, value: pool.idleCount },
+    { labels: { state: 'waiting' }, value: pool.waitingCount },
+  ],
+});
+
+registerGauge({
+  name: 'pg_pool_max_clients',
+  help: 'Максимальна кількість клієнтів пулу PostgreSQL',
+  collect: () => pool.options.max,
 });
 
+// Запити, що змінюють дані: для них тригери аудиту мають знати автора змін
+const MUTATION_REGEX = /\b(INSERT|UPDATE|DELETE)\b/i;
+
+/**
+ * Записує виконаний запит у лог (рівень debug), correlation ID запиту додає логер
+ * @param {string} text - SQL запит
+ * @param {Array} params - Параметри запиту
+ * @param {number} start - Час початку виконання (Date.now())
+ * @param {Object} res - Результат запиту
+ */
+const logQuery = (text, params, start, res) => {
+  logger.debug('Виконаний запит', {
+    text,
+    params,
+    duration: Date.now() - start,
+    rows: res ? res.rowCount : null,
+  });
+};
+
+// Автор змін передається тригерам через налаштування, локальні для транзакції
+const ACTOR_SETTINGS_SQL =
+  "SELECT set_config('app.actor_id', $1, true), set_config('app.actor_label', $2, true)";
+
+/**
+ * Формує параметри для ACTOR_SETTINGS_SQL
+ * @param {Object} actor - Автор змін ({ id, label })
+ * @returns {Array<string>} Параметри запиту
+ */
+const actorSettingsParams = (actor) => [
+  actor.id ? String(actor.id) : '',
+  actor.label || '',
+];
+
+/**
+ * Виконує запит, що змінює дані, в окремій транзакції з інформацією про автора змін
+ * @param {Object} actor - Автор змін ({ id, label })
+ * @param {string} text - SQL запит
+ * @param {Array} params - Параметри запиту
+ * @returns {Promise} Результат запиту
+ */
+const queryAsActor = async (actor, text, params) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(ACTOR_SETTINGS_SQL, actorSettingsParams(actor));
+    const res = await client.query(text, params);
+    await client.query('COMMIT');
+    return res;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
 /**
  * Виконує параметризований SQL запит
  * @param {string} text - SQL запит
@@ -47,17 +128,21 @@ pool.on('error', (err) => {
 const query = async (text, params) => {
   const start = Date.now();
   try {
-    const res = await pool.query(text, params);
-    const duration = Date.now() - start;
-    
-    // Логування для відлагодження в dev режимі
-    if (process.env.NODE_ENV === 'development') {
-      console.log('Виконаний запит', { text, params, duration, rows: res.rowCount });
-    }
-    
+    const actor = getActor();
+    const res =
+      actor && MUTATION_REGEX.test(text)
+        ? await queryAsActor(actor, text, params)
+        : await pool.query(text, params);
+
+    logQuery(text, params, start, res);
+
     return res;
   } catch (err) {
-    console.error('Помилка виконання запиту:', err);
+    logger.error('Помилка виконання запиту', {
+      text,
+      duration: Date.now() - start,
+      error: err,
+    });
     throw err;
   }
 };
@@ -74,7 +159,29 @@ const getClient = async () => {
   // Перевизначення query для логування
   client.query = (...args) => {
     client.lastQuery = args;
-    return query.apply(client, args);
+
+    // Після початку транзакції передаємо автора змін тригерам аудиту
+    const actor = getActor();
+    if (actor && typeof args[0] === 'string' && /^\s*BEGIN\b/i.test(args[0])) {
+      return query.apply(client, args).then(async (res) => {
+        await query.call(client, ACTOR_SETTINGS_SQL, actorSettingsParams(actor));
+        return res;
+      });
+    }
+
+    // Запити з колбеком передаються без змін, логуються лише проміси
+    const start = Date.now();
+    const result = query.apply(client, args);
+    if (result && typeof result.then === 'function') {
+      const text = typeof args[0] === 'string' ? args[0] : args[0] && args[0].text;
+      const params = typeof args[0] === 'string' ? args[1] : args[0] && args[0].values;
+      return result.then((res) => {
+        logQuery(text, params, start, res);
+        return res;
+      });
+    }
+
+    return result;
   };
   
   // Перевизначення release для логування
@@ -3,6 +3,7 @@
  * Налаштування для створення та перевірки токенів авторизації
  */
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const dotenv = require('dotenv');
 
 dotenv.config();
@@ -58,9 +59,81 @@ const generateTokenWithOptions = (payload) => {
   );
 };
 
+/**
+ * Генерує непрозорий refresh токен
+ * @returns {String} Випадковий refresh токен
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+/**
+ * Хешує токен для зберігання в базі даних
+ * @param {String} token - Токен для хешування
+ * @returns {String} SHA-256 хеш токена
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Обчислює дату закінчення дії refresh токена
+ * @returns {Date} Дата закінчення дії (за замовчуванням 30 днів)
+ */
+const getRefreshTokenExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRATION_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Генерує короткоживучий токен проміжного етапу авторизації (наприклад, очікування 2FA)
+ * @param {Object} payload - Дані користувача
+ * @param {String} purpose - Призначення токена
+ * @returns {String} JWT токен
+ */
+const generateChallengeToken = (payload, purpose) => {
+  return jwt.sign(
+    { ...payload, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRATION || '5m' }
+  );
+};
+
+/**
+ * Перевіряє токен проміжного етапу авторизації
+ * @param {String} token - JWT токен
+ * @param {String} purpose - Очікуване призначення токена
+ * @returns {Object|null} Розшифровані дані або null, якщо токен невалідний
+ */
+const verifyChallengeToken = (token, purpose) => {
+  const decoded = verifyToken(token);
+  return decoded && decoded.purpose === purpose ? decoded : null;
+};
+
+/**
+ * Генерує токен імперсонації (адміністратор переглядає систему від імені користувача)
+ * Токен не прив'язаний до сесії користувача і не має refresh токена
+ * @param {Object} payload - Дані цільового користувача та ID сесії імперсонації
+ * @param {Number} expiresInMinutes - Термін дії у хвилинах
+ * @returns {String} JWT токен
+ */
+const generateImpersonationToken = (payload, expiresInMinutes) => {
+  return jwt.sign(
+    { ...payload, impersonation: true },
+    process.env.JWT_SECRET,
+    { expiresIn: `${expiresInMinutes}m` }
+  );
+};
+
 module.exports = {
   generateToken,
   verifyToken,
   generateTokenWithOptions,
-  jwtOptions
+  jwtOptions,
+  generateRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateImpersonationToken
 };
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * Каталог дозволів системи
+ * Для кожного дозволу вказано ролі, які отримують його за замовчуванням
+ * при першій появі дозволу в базі даних. Далі зв'язки роль→дозвіл
+ * редагуються через API /api/permissions без деплою.
+ */
+
+/**
+ * Роль, що завжди має всі дозволи (захист від випадкової втрати доступу до адмінки)
+ */
+const SUPER_ROLE = "admin";
+
+/**
+ * Роль сервісного принципала (запити з API ключем).
+ * Дозволи такого принципала задаються списком у самому ключі, а не через role_permissions
+ */
+const SERVICE_ROLE = "service";
+
+const PERMISSIONS = {
+  // Управління дозволами
+  "permissions.manage": {
+    description: "Управління дозволами ролей та користувачів",
+    defaultRoles: ["admin"],
+  },
+
+  // API ключі сервісних інтеграцій
+  "api_keys.manage": {
+    description: "Створення, редагування та відкликання API ключів",
+    defaultRoles: ["admin"],
+  },
+
+  // Сесії користувачів
+  "sessions.manage": {
+    description: "Перегляд та відкликання сесій будь-якого користувача",
+    defaultRoles: ["admin"],
+  },
+
+  // Журнал подій авторизації
+  "auth_audit.view": {
+    description: "Перегляд та експорт журналу подій авторизації",
+    defaultRoles: ["admin"],
+  },
+
+  // Журнал змін бізнес-сутностей
+  "entity_audit.view": {
+    description: "Перегляд історії змін партнерів, офферів, потоків, зарплат, заявок та виплат",
+    defaultRoles: ["admin"],
+  },
+
+  // Кошик (м'яко видалені записи)
+  "trash.manage": {
+    description: "Перегляд кошика та відновлення видалених записів",
+    defaultRoles: ["admin"],
+  },
+  "trash.purge": {
+    description: "Остаточне видалення записів з кошика",
+    defaultRoles: ["admin"],
+  },
+
+  // Зарплати
+  "salaries.view_stats": {
+    description: "Перегляд статистики зарплат",
+    defaultRoles: ["admin", "finance_manager", "teamlead"],
+  },
+  "salaries.view_templates": {
+    description: "Перегляд шаблонів зарплат",
+    defaultRoles: ["admin", "finance_manager", "teamlead"],
+  },
+  "salaries.create": {
+    description: "Створення зарплат",
+    defaultRoles: ["admin", "finance_manager"],
+  },
+  "salaries.update": {
+    description: "Редагування зарплат",
+    defaultRoles: ["admin", "finance_manager"],
+  },
+  "salaries.approve": {
+    description: "Зміна статусу зарплат (погодження, відхилення, виплата)",
+    defaultRoles: ["admin", "finance_manager"],
+  },
+  "salaries.delete": {
+    description: "Видалення зарплат",
+    defaultRoles: ["admin"],
+  },
+  "salaries.generate": {
+    description: "Генерація зарплат за шаблонами",
+    defaultRoles: ["admin", "finance_manager"],
+  },
+  "salaries.manage_templates": {
+    description: "Створення та редагування шаблонів зарплат",
+    defaultRoles: ["admin", "finance_manager"],
+  },
+
+  // Заявки на виплату партнерам
+  "partner_payouts.view": {
+    description: "Перегляд списку та статистики заявок на виплату",
+    defaultRoles: ["admin", "bizdev", "teamlead", "finance_manager"],
+  },
+  "partner_payouts.view_details": {
+    description: "Перегляд деталей заявок на виплату та місячної статистики",
+    defaultRoles: ["admin", "bizdev", "finance_manager"],
+  },
+  "partner_payouts.create": {
+    description: "Створення заявок на виплату",
+    defaultRoles: ["admin", "bizdev"],
+  },
+  "partner_payouts.update": {
+    description: "Редагування заявок на виплату",
+    defaultRoles: ["admin", "bizdev"],
+  },
+  "partner_payouts.update_status": {
+    description: "Зміна статусу заявок на виплату",
+    defaultRoles: ["admin", "bizdev", "finance_manager"],
+  },
+  "partner_payouts.delete": {
+    description: "Видалення заявок на виплату",
+    defaultRoles: ["admin", "bizdev"],
+  },
+};
+
+module.exports = {
+  SUPER_ROLE,
+  SERVICE_ROLE,
+  PERMISSIONS,
+};
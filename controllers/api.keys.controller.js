@@ -0,0 +1,228 @@
+const apiKeyModel = require("../models/api.key.model");
+const permissionModel = require("../models/permission.model");
+const { hashToken } = require("../config/jwt");
+const { generateApiKey } = require("../utils/apiKeys");
+const { validationResult } = require("express-validator");
+
+/**
+ * Отримання списку API ключів
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getAllApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await apiKeyModel.getAllApiKeys({
+      includeRevoked: req.query.includeRevoked === "true",
+    });
+
+    res.json({
+      success: true,
+      data: apiKeys,
+    });
+  } catch (err) {
+    console.error("Помилка отримання API ключів:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання API ключів",
+    });
+  }
+};
+
+/**
+ * Отримання API ключа за ID
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getApiKeyById = async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.id);
+
+    if (isNaN(keyId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID ключа має бути числом",
+      });
+    }
+
+    const apiKey = await apiKeyModel.getApiKeyById(keyId);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API ключ не знайдено",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiKey,
+    });
+  } catch (err) {
+    console.error(`Помилка отримання API ключа ${req.params.id}:`, err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання API ключа",
+    });
+  }
+};
+
+/**
+ * Створення нового API ключа
+ * Відкритий ключ повертається лише у відповіді на цей запит
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { name, description, allowed_ips, expires_at } = req.body;
+    const permissions = [...new Set(req.body.permissions)];
+
+    const unknown = await permissionModel.findUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Невідомі дозволи: ${unknown.join(", ")}`,
+      });
+    }
+
+    const { key, prefix } = generateApiKey();
+
+    const apiKey = await apiKeyModel.createApiKey({
+      name,
+      description,
+      keyPrefix: prefix,
+      keyHash: hashToken(key),
+      permissions,
+      allowedIps: allowed_ips,
+      expiresAt: expires_at ? new Date(expires_at) : null,
+      createdBy: req.userId,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey,
+        key,
+      },
+      message:
+        "API ключ створено. Збережіть ключ - повторно його отримати неможливо",
+    });
+  } catch (err) {
+    console.error("Помилка створення API ключа:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час створення API ключа",
+    });
+  }
+};
+
+/**
+ * Оновлення налаштувань API ключа (назва, дозволи, IP allowlist, термін дії)
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.updateApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const keyId = parseInt(req.params.id);
+    const { name, description, allowed_ips, expires_at } = req.body;
+    const permissions = req.body.permissions
+      ? [...new Set(req.body.permissions)]
+      : undefined;
+
+    if (permissions) {
+      const unknown = await permissionModel.findUnknownPermissions(permissions);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Невідомі дозволи: ${unknown.join(", ")}`,
+        });
+      }
+    }
+
+    const apiKey = await apiKeyModel.updateApiKey(keyId, {
+      name,
+      description,
+      permissions,
+      allowedIps: allowed_ips,
+      expiresAt:
+        expires_at === undefined
+          ? undefined
+          : expires_at === null
+          ? null
+          : new Date(expires_at),
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API ключ не знайдено або його відкликано",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiKey,
+      message: "API ключ оновлено",
+    });
+  } catch (err) {
+    console.error(`Помилка оновлення API ключа ${req.params.id}:`, err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час оновлення API ключа",
+    });
+  }
+};
+
+/**
+ * Відкликання API ключа
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.id);
+
+    if (isNaN(keyId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID ключа має бути числом",
+      });
+    }
+
+    const revoked = await apiKeyModel.revokeApiKey(keyId, req.userId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "API ключ не знайдено або його вже відкликано",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "API ключ відкликано",
+    });
+  } catch (err) {
+    console.error(`Помилка відкликання API ключа ${req.params.id}:`, err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час відкликання API ключа",
+    });
+  }
+};
@@ -3,24 +3,90 @@
  * Обробляє реєстрацію, логін та інші операції авторизації
  */
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const db = require("../config/db");
 const jwtConfig = require("../config/jwt");
 const userModel = require("../models/user.model");
+const sessionModel = require("../models/session.model");
+const twoFactorModel = require("../models/two.factor.model");
 const { validationResult } = require("express-validator");
 const authLogger = require("../utils/authLogger");
+const telegramService = require("../services/telegram.service");
+const loginProtection = require("../utils/loginProtection");
+const loginProtectionModel = require("../models/login.protection.model");
+const passwordResetModel = require("../models/password.reset.model");
+const authAuditModel = require("../models/auth.audit.model");
+const { PASSWORD_RESET } = require("../config/config");
+const { issueSessionTokens } = require("../utils/auth.utils");
 
 /**
- * Отримує IP адресу клієнта
- * @param {Object} req - Об'єкт запиту
- * @returns {string} IP адреса
+ * Завершує вхід автентифікованого користувача:
+ * повертає challenge для 2FA або створює сесію та видає токени
+ * @param {Object} user - Автентифікований користувач
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
  */
-const getClientIp = (req) => {
-  return (
-    (req.headers["x-forwarded-for"] || "").split(",")[0] ||
-    req.socket.remoteAddress ||
-    req.connection.remoteAddress
+const completeLogin = async (user, req, res) => {
+  // Якщо підключено 2FA - вхід завершується після перевірки коду
+  const twoFactor = await twoFactorModel.getUserTwoFactor(user.id);
+
+  if (twoFactor && twoFactor.is_enabled) {
+    return res.json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: jwtConfig.generateChallengeToken(
+        { userId: user.id },
+        "2fa_pending"
+      ),
+    });
+  }
+
+  // Якщо 2FA обов'язкова для ролі, але не підключена - спершу підключення
+  if (await twoFactorModel.isRequiredForRole(user.web_role)) {
+    return res.json({
+      success: true,
+      twoFactorSetupRequired: true,
+      challengeToken: jwtConfig.generateChallengeToken(
+        { userId: user.id },
+        "2fa_setup"
+      ),
+    });
+  }
+
+  // Лічильники невдалих спроб скидаються лише після повного входу
+  await loginProtection.registerSuccessfulLogin({
+    user,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"] || "Unknown",
+  });
+
+  // Створення сесії та генерація токенів
+  const { token, refreshToken } = await issueSessionTokens(user, req);
+
+  // Логуємо успішну авторизацію
+  authLogger.logSuccessfulLogin(
+    user.username,
+    user.id,
+    req.ip,
+    req.headers["user-agent"] || "Unknown"
   );
+
+  res.json({
+    success: true,
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      role: user.web_role,
+      team_id: user.team_id,
+      department_id: user.department_id,
+    },
+  });
 };
 
 /**
@@ -63,11 +129,8 @@ exports.register = async (req, res) => {
       role: role || "user",
     });
 
-    // Генерація JWT токена
-    const token = jwtConfig.generateToken({
-      userId: newUser.id,
-      role: newUser.role,
-    });
+    // Вхід після реєстрації - така ж сесія, як після логіну
+    const { token, refreshToken } = await issueSessionTokens(newUser, req);
 
     // Видалення пароля з відповіді
     delete newUser.password;
@@ -75,6 +138,7 @@ exports.register = async (req, res) => {
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: newUser.id,
         username: newUser.username,
@@ -101,7 +165,7 @@ exports.register = async (req, res) => {
 exports.login = async (req, res) => {
   try {
     // Отримуємо IP та User Agent
-    const clientIp = getClientIp(req);
+    const clientIp = req.ip;
     const userAgent = req.headers["user-agent"] || "Unknown";
     const username = req.body.username || "unknown";
 
@@ -127,6 +191,25 @@ exports.login = async (req, res) => {
 
     const { password } = req.body;
 
+    // Перевірка блокування після серії невдалих спроб
+    const lockout = await loginProtection.checkLockout(username, clientIp);
+
+    if (lockout) {
+      authLogger.logFailedLogin(
+        username,
+        "Вхід тимчасово заблоковано",
+        clientIp,
+        userAgent
+      );
+
+      res.set("Retry-After", String(lockout.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: "Забагато невдалих спроб входу. Спробуйте пізніше",
+        lockedUntil: lockout.lockedUntil,
+      });
+    }
+
     // Автентифікація користувача
     const user = await userModel.authenticate(username, password);
 
@@ -138,47 +221,421 @@ exports.login = async (req, res) => {
         userAgent
       );
 
+      await loginProtection.registerFailedLogin({
+        username,
+        ip: clientIp,
+        userAgent,
+        reason: "Невірні облікові дані",
+      });
+
       return res.status(401).json({
         success: false,
         message: "Невірні облікові дані",
       });
     }
 
-    // Генерація JWT токена
+    await completeLogin(user, req, res);
+  } catch (err) {
+    const clientIp = req.ip;
+    const userAgent = req.headers["user-agent"] || "Unknown";
+    const username = req.body.username || "unknown";
+
+    console.error("Помилка логіну:", err);
+
+    authLogger.logServerError(username, err.message, clientIp, userAgent);
+
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час логіну",
+    });
+  }
+};
+
+/**
+ * Логін через Telegram Login Widget
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.telegramLogin = async (req, res) => {
+  const clientIp = req.ip;
+  const userAgent = req.headers["user-agent"] || "Unknown";
+  const username = req.body.username || `telegram:${req.body.id}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    // Перевірка підпису даних віджета токеном бота
+    const verification = telegramService.verifyLoginWidgetData(req.body);
+
+    if (!verification.valid) {
+      authLogger.logFailedLogin(
+        username,
+        `Telegram: ${verification.error}`,
+        clientIp,
+        userAgent
+      );
+
+      return res.status(401).json({
+        success: false,
+        message: "Не вдалося підтвердити дані Telegram",
+      });
+    }
+
+    const user = await userModel.getUserByTelegramId(req.body.id);
+
+    if (!user || !user.is_active) {
+      authLogger.logFailedLogin(
+        username,
+        "Telegram: користувача не знайдено або неактивний",
+        clientIp,
+        userAgent
+      );
+
+      return res.status(401).json({
+        success: false,
+        message: "Користувача з таким Telegram акаунтом не знайдено",
+      });
+    }
+
+    const { password: userPassword, ...userWithoutPassword } = user;
+
+    await completeLogin(userWithoutPassword, req, res);
+  } catch (err) {
+    console.error("Помилка логіну через Telegram:", err);
+
+    authLogger.logServerError(username, err.message, clientIp, userAgent);
+
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час логіну через Telegram",
+    });
+  }
+};
+
+/**
+ * Оновлення access токена за refresh токеном (з ротацією refresh токена)
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const currentHash = jwtConfig.hashToken(req.body.refreshToken);
+    const session = await sessionModel.findByRefreshTokenHash(currentHash);
+
+    if (!session || session.revoked_at) {
+      return res.status(401).json({
+        success: false,
+        message: "Не авторизовано: недійсний refresh токен",
+      });
+    }
+
+    // Повторне використання вже ротованого токена - ознака компрометації
+    if (session.is_previous_token) {
+      await sessionModel.revokeSession(session.id, "refresh_token_reuse");
+      return res.status(401).json({
+        success: false,
+        message: "Не авторизовано: refresh токен вже використано, сесію відкликано",
+      });
+    }
+
+    if (new Date(session.expires_at) <= new Date()) {
+      return res.status(401).json({
+        success: false,
+        message: "Не авторизовано: закінчився термін дії сесії",
+      });
+    }
+
+    const user = await userModel.getUserById(session.user_id);
+    if (!user || !user.is_active) {
+      await sessionModel.revokeSession(session.id, "user_inactive");
+      return res.status(403).json({
+        success: false,
+        message: "Доступ заборонено: обліковий запис неактивний",
+      });
+    }
+
+    // Ротація refresh токена
+    const refreshToken = jwtConfig.generateRefreshToken();
+    const rotated = await sessionModel.rotateRefreshToken(
+      session.id,
+      currentHash,
+      jwtConfig.hashToken(refreshToken),
+      jwtConfig.getRefreshTokenExpiry()
+    );
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: "Не авторизовано: недійсний refresh токен",
+      });
+    }
+
     const token = jwtConfig.generateToken({
       userId: user.id,
       role: user.web_role,
+      sessionId: session.id,
     });
 
-    // Логуємо успішну авторизацію
-    authLogger.logSuccessfulLogin(user.username, user.id, clientIp, userAgent);
-
     res.json({
       success: true,
       token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        role: user.web_role,
-        team_id: user.team_id,
-        department_id: user.department_id,
-      },
+      refreshToken,
     });
   } catch (err) {
-    const clientIp = getClientIp(req);
-    const userAgent = req.headers["user-agent"] || "Unknown";
-    const username = req.body.username || "unknown";
+    console.error("Помилка оновлення токена:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час оновлення токена",
+    });
+  }
+};
 
-    console.error("Помилка логіну:", err);
+/**
+ * Вихід користувача (відкликання сесії за refresh токеном)
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.logout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
 
-    authLogger.logServerError(username, err.message, clientIp, userAgent);
+    const session = await sessionModel.findByRefreshTokenHash(
+      jwtConfig.hashToken(req.body.refreshToken)
+    );
+
+    if (session) {
+      await sessionModel.revokeSession(session.id, "logout");
+    }
 
+    res.json({
+      success: true,
+      message: "Вихід виконано успішно",
+    });
+  } catch (err) {
+    console.error("Помилка виходу:", err);
     res.status(500).json({
       success: false,
-      message: "Помилка сервера під час логіну",
+      message: "Помилка сервера під час виходу",
+    });
+  }
+};
+
+/**
+ * Отримання списку активних блокувань входу (тільки для адміністраторів)
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getLockouts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, scopeType } = req.query;
+
+    const result = await loginProtectionModel.getActiveLockouts({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      scopeType,
+    });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (err) {
+    console.error("Помилка отримання блокувань:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання блокувань",
+    });
+  }
+};
+
+/**
+ * Зняття блокування входу (тільки для адміністраторів)
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.unlockLockout = async (req, res) => {
+  try {
+    const lockoutId = parseInt(req.params.id);
+
+    if (isNaN(lockoutId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID блокування має бути числом",
+      });
+    }
+
+    const lockout = await loginProtectionModel.unlock(lockoutId, req.userId);
+
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        message: "Блокування не знайдено",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: lockout,
+      message: "Блокування знято",
+    });
+  } catch (err) {
+    console.error("Помилка зняття блокування:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час зняття блокування",
+    });
+  }
+};
+
+// Максимальна кількість подій в одному CSV експорті журналу авторизації
+const AUDIT_EXPORT_MAX_ROWS = 10000;
+
+// Колонки CSV експорту журналу авторизації
+const AUDIT_CSV_COLUMNS = [
+  "id",
+  "created_at",
+  "event_type",
+  "user_id",
+  "username",
+  "user_full_name",
+  "actor_id",
+  "actor_username",
+  "ip_address",
+  "user_agent",
+  "details",
+];
+
+/**
+ * Витягує фільтри журналу авторизації з query параметрів
+ * @param {Object} query - req.query
+ * @returns {Object} Фільтри для authAuditModel
+ */
+const getAuditFilters = (query) => {
+  const { userId, username, ip, eventType, dateFrom, dateTo } = query;
+
+  return {
+    userId: userId ? parseInt(userId) : undefined,
+    username,
+    ipAddress: ip,
+    eventType: eventType ? String(eventType).split(",") : undefined,
+    dateFrom,
+    dateTo,
+  };
+};
+
+/**
+ * Екранує значення для CSV
+ * Значення, що починаються з =, +, -, @, отримують префікс ', щоб Excel не виконав їх як формулу
+ * (ім'я користувача в невдалих спробах входу вводить будь-хто)
+ * @param {*} value - Значення комірки
+ * @returns {string} Значення для CSV
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(str)) {
+    str = `'${str}`;
+  }
+
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Отримання журналу подій авторизації з фільтрацією
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getAuditLog = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+
+    const result = await authAuditModel.getEvents({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      ...getAuditFilters(req.query),
+    });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (err) {
+    console.error("Помилка отримання журналу авторизації:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання журналу авторизації",
+    });
+  }
+};
+
+/**
+ * Експорт журналу подій авторизації в CSV
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.exportAuditLog = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const events = await authAuditModel.getEventsForExport(
+      getAuditFilters(req.query),
+      AUDIT_EXPORT_MAX_ROWS
+    );
+
+    const csvContent = [
+      AUDIT_CSV_COLUMNS.join(","),
+      ...events.map((event) =>
+        AUDIT_CSV_COLUMNS.map((column) => toCsvValue(event[column])).join(",")
+      ),
+    ].join("\n");
+
+    const filename = `auth-audit-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send("\uFEFF" + csvContent); // BOM для коректного відображення UTF-8 в Excel
+  } catch (err) {
+    console.error("Помилка експорту журналу авторизації:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час експорту журналу авторизації",
     });
   }
 };
@@ -217,6 +674,8 @@ exports.getCurrentUser = async (req, res) => {
         team_id: user.team_id,
         department_id: user.department_id,
       },
+      // Дані про імперсонацію, щоб клієнт міг показати, від чийого імені йде перегляд
+      impersonation: req.impersonation || null,
     });
   } catch (err) {
     console.error("Помилка отримання користувача:", err);
@@ -278,6 +737,20 @@ exports.changePassword = async (req, res) => {
       [hashedPassword, req.userId]
     );
 
+    // Відкликання всіх інших сесій користувача
+    await sessionModel.revokeAllUserSessions(
+      req.userId,
+      "password_changed",
+      req.sessionId
+    );
+
+    authLogger.logPasswordChange(
+      user.username,
+      user.id,
+      req.ip,
+      req.headers["user-agent"] || "Unknown"
+    );
+
     res.json({
       success: true,
       message: "Пароль успішно змінено",
@@ -291,6 +764,275 @@ exports.changePassword = async (req, res) => {
   }
 };
 
+/**
+ * Генерує шестизначний одноразовий код відновлення пароля
+ * @returns {string} Код
+ */
+const generateResetCode = () => {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+};
+
+/**
+ * Хешує код відновлення з прив'язкою до користувача
+ * (HMAC, щоб короткий код не можна було підібрати за хешем з бази)
+ * @param {number} userId - ID користувача
+ * @param {string} code - Код
+ * @returns {string} Хеш коду
+ */
+const hashResetCode = (userId, code) => {
+  return crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`${userId}:${code}`)
+    .digest("hex");
+};
+
+/**
+ * Запит коду відновлення пароля через Telegram
+ * Відповідь однакова незалежно від існування користувача
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.forgotPassword = async (req, res) => {
+  const clientIp = req.ip;
+  const userAgent = req.headers["user-agent"] || "Unknown";
+
+  try {
+    // Перевірка помилок валідації
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { username } = req.body;
+    const genericResponse = {
+      success: true,
+      message:
+        "Якщо обліковий запис існує та прив'язаний до Telegram, код відновлення надіслано",
+    };
+
+    const user = await userModel.findByUsernameOrEmail(username);
+
+    if (!user || !user.is_active || !user.telegram_id) {
+      const reason = !user
+        ? "Користувача не знайдено"
+        : !user.is_active
+        ? "Обліковий запис неактивний"
+        : "Telegram не прив'язано";
+
+      authLogger.logPasswordReset(
+        "FAILED",
+        username,
+        user ? user.id : null,
+        reason,
+        clientIp,
+        userAgent
+      );
+      return res.json(genericResponse);
+    }
+
+    // Обмеження кількості кодів, щоб не спамити користувача в Telegram
+    const recentCodes = await passwordResetModel.countRecentCodes(
+      user.id,
+      PASSWORD_RESET.windowMinutes
+    );
+
+    if (recentCodes >= PASSWORD_RESET.maxCodesPerWindow) {
+      authLogger.logPasswordReset(
+        "FAILED",
+        username,
+        user.id,
+        "Перевищено ліміт запитів коду",
+        clientIp,
+        userAgent
+      );
+      return res.json(genericResponse);
+    }
+
+    const code = generateResetCode();
+
+    await passwordResetModel.createResetCode({
+      userId: user.id,
+      codeHash: hashResetCode(user.id, code),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET.codeTtlMinutes * 60 * 1000),
+      ipAddress: clientIp,
+    });
+
+    const sendResult = await telegramService.sendMessage(
+      user.telegram_id,
+      `🔐 <b>Відновлення пароля</b>\n\n` +
+        `Код: <code>${code}</code>\n` +
+        `Код дійсний ${PASSWORD_RESET.codeTtlMinutes} хв.\n\n` +
+        `Якщо ви не запитували відновлення пароля, проігноруйте це повідомлення.`
+    );
+
+    if (!sendResult.success) {
+      console.error(
+        `Помилка надсилання коду відновлення користувачу ${user.id}:`,
+        sendResult.error
+      );
+    }
+
+    authLogger.logPasswordReset(
+      sendResult.success ? "REQUESTED" : "FAILED",
+      username,
+      user.id,
+      sendResult.success
+        ? "Код надіслано в Telegram"
+        : `Помилка надсилання в Telegram: ${sendResult.error}`,
+      clientIp,
+      userAgent
+    );
+
+    res.json(genericResponse);
+  } catch (err) {
+    console.error("Помилка запиту відновлення пароля:", err);
+    authLogger.logServerError(
+      req.body.username || "unknown",
+      err.message,
+      clientIp,
+      userAgent
+    );
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час запиту відновлення пароля",
+    });
+  }
+};
+
+/**
+ * Встановлення нового пароля за одноразовим кодом з Telegram
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.resetPassword = async (req, res) => {
+  const clientIp = req.ip;
+  const userAgent = req.headers["user-agent"] || "Unknown";
+
+  try {
+    // Перевірка помилок валідації
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { username, code, newPassword } = req.body;
+    const invalidCodeResponse = {
+      success: false,
+      message: "Невірний або прострочений код відновлення",
+    };
+
+    const user = await userModel.findByUsernameOrEmail(username);
+    const resetCode =
+      user && user.is_active
+        ? await passwordResetModel.getActiveCode(user.id)
+        : null;
+
+    // Спроба зараховується до перевірки коду: паралельні запити не обходять ліміт
+    const attempt = resetCode
+      ? await passwordResetModel.registerAttempt(
+          resetCode.id,
+          PASSWORD_RESET.maxAttempts
+        )
+      : null;
+
+    if (attempt === null) {
+      authLogger.logPasswordReset(
+        "FAILED",
+        username,
+        user ? user.id : null,
+        resetCode ? "Ліміт спроб вичерпано" : "Немає актуального коду",
+        clientIp,
+        userAgent
+      );
+      return res.status(400).json(invalidCodeResponse);
+    }
+
+    const isCodeValid = crypto.timingSafeEqual(
+      Buffer.from(hashResetCode(user.id, String(code).trim()), "hex"),
+      Buffer.from(resetCode.code_hash, "hex")
+    );
+
+    if (!isCodeValid) {
+      const remainingAttempts = Math.max(
+        PASSWORD_RESET.maxAttempts - attempt,
+        0
+      );
+      if (remainingAttempts === 0) {
+        await passwordResetModel.expireCode(resetCode.id);
+      }
+
+      authLogger.logPasswordReset(
+        "FAILED",
+        username,
+        user.id,
+        `Невірний код, залишилось спроб: ${remainingAttempts}`,
+        clientIp,
+        userAgent
+      );
+
+      return res.status(400).json({
+        success: false,
+        message:
+          remainingAttempts > 0
+            ? "Невірний код відновлення"
+            : "Невірний код відновлення. Ліміт спроб вичерпано, запитайте новий код",
+        remainingAttempts,
+      });
+    }
+
+    // Код одноразовий: повторне використання (паралельні запити) відхиляється
+    const consumed = await passwordResetModel.consumeCode(resetCode.id);
+    if (!consumed) {
+      return res.status(400).json(invalidCodeResponse);
+    }
+
+    // Хешування нового пароля
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+
+    await db.query(
+      "UPDATE users SET password = $1, updated_at = NOW() WHERE id = $2",
+      [hashedPassword, user.id]
+    );
+
+    // Після відновлення пароля всі активні сесії стають недійсними
+    await sessionModel.revokeAllUserSessions(user.id, "password_reset");
+    await loginProtection.clearUsernameLockout(username);
+
+    authLogger.logPasswordReset(
+      "COMPLETED",
+      username,
+      user.id,
+      "Пароль змінено за кодом з Telegram",
+      clientIp,
+      userAgent
+    );
+
+    res.json({
+      success: true,
+      message: "Пароль успішно змінено. Увійдіть з новим паролем",
+    });
+  } catch (err) {
+    console.error("Помилка відновлення пароля:", err);
+    authLogger.logServerError(
+      req.body.username || "unknown",
+      err.message,
+      clientIp,
+      userAgent
+    );
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час відновлення пароля",
+    });
+  }
+};
+
 /**
  * Оновлення профілю користувача
  * @param {Object} req - Об'єкт запиту Express
@@ -5,6 +5,7 @@
 
 const { validationResult } = require('express-validator');
 const CommunicationModel = require('../models/communication.model');
+const { parseCursorQuery } = require('../utils/cursorPagination');
 
 /**
  * Обробка помилок валідації
@@ -111,6 +112,17 @@ const getCommunicationsByContext = async (req, res) => {
       });
     }
 
+    const cursorQuery = parseCursorQuery(
+      req.query,
+      CommunicationModel.CURSOR_SORT_FIELDS
+    );
+    if (cursorQuery.error) {
+      return res.status(400).json({
+        success: false,
+        message: cursorQuery.error
+      });
+    }
+
     const options = {
       page: parseInt(page),
       limit: Math.min(parseInt(limit), 100), // Обмежуємо максимальну кількість
@@ -119,7 +131,10 @@ const getCommunicationsByContext = async (req, res) => {
       sender_id: sender_id ? parseInt(sender_id) : null,
       search,
       sort_by,
-      sort_order
+      sort_order,
+      cursorMode: cursorQuery.enabled,
+      cursor: cursorQuery.cursor,
+      includeTotal: cursorQuery.includeTotal
     };
 
     const result = await CommunicationModel.getCommunicationsByContext(
@@ -1,6 +1,59 @@
 const departmentModel = require("../models/department.model");
+const userModel = require("../models/user.model");
 const { validationResult } = require("express-validator");
 
+/**
+ * Перевіряє поля структури відділу: батьківський відділ та керівника
+ * Відправляє відповідь з помилкою, якщо дані некоректні
+ * @param {Object} res - Об'єкт відповіді Express
+ * @param {Object} fields - Поля з тіла запиту
+ * @param {number|null} [fields.parent_id] - ID батьківського відділу
+ * @param {number|null} [fields.head_user_id] - ID керівника відділу
+ * @param {number} [departmentId] - ID відділу, що оновлюється (для перевірки циклів)
+ * @returns {Promise<boolean>} true, якщо дані коректні (інакше відповідь вже відправлено)
+ */
+const validateStructureFields = async (
+  res,
+  { parent_id, head_user_id },
+  departmentId
+) => {
+  if (parent_id !== undefined && parent_id !== null) {
+    const parent = await departmentModel.getDepartmentById(parent_id);
+    if (!parent) {
+      res.status(400).json({
+        success: false,
+        message: "Батьківський відділ не існує",
+      });
+      return false;
+    }
+
+    if (
+      departmentId &&
+      (await departmentModel.isDepartmentDescendant(departmentId, parent_id))
+    ) {
+      res.status(400).json({
+        success: false,
+        message:
+          "Відділ не може бути підпорядкований самому собі або своєму дочірньому відділу",
+      });
+      return false;
+    }
+  }
+
+  if (head_user_id !== undefined && head_user_id !== null) {
+    const head = await userModel.getUserById(head_user_id);
+    if (!head || !head.is_active) {
+      res.status(400).json({
+        success: false,
+        message: "Керівник відділу має бути активним користувачем",
+      });
+      return false;
+    }
+  }
+
+  return true;
+};
+
 /**
  * Отримання списку всіх відділів
  * @param {Object} req - Об'єкт запиту Express
@@ -95,7 +148,7 @@ exports.createDepartment = async (req, res) => {
       });
     }
 
-    const { name, description } = req.body;
+    const { name, description, parent_id, head_user_id } = req.body;
 
     // Перевірка на існування відділу з такою назвою
     const existingDepartment = await departmentModel.getDepartmentByName(name);
@@ -106,10 +159,16 @@ exports.createDepartment = async (req, res) => {
       });
     }
 
+    if (!(await validateStructureFields(res, { parent_id, head_user_id }))) {
+      return;
+    }
+
     // Створення відділу
     const newDepartment = await departmentModel.createDepartment({
       name,
       description,
+      parent_id,
+      head_user_id,
     });
 
     res.status(201).json({
@@ -143,7 +202,7 @@ exports.updateDepartment = async (req, res) => {
     }
 
     const departmentId = parseInt(req.params.id);
-    const { name, description } = req.body;
+    const { name, description, parent_id, head_user_id } = req.body;
 
     if (isNaN(departmentId)) {
       return res.status(400).json({
@@ -176,10 +235,20 @@ exports.updateDepartment = async (req, res) => {
       }
     }
 
+    if (
+      !(await validateStructureFields(
+        res,
+        { parent_id, head_user_id },
+        departmentId
+      ))
+    ) {
+      return;
+    }
+
     // Оновлення відділу
     const updatedDepartment = await departmentModel.updateDepartment(
       departmentId,
-      { name, description }
+      { name, description, parent_id, head_user_id }
     );
 
     if (!updatedDepartment) {
@@ -0,0 +1,95 @@
+const { validationResult } = require("express-validator");
+const entityAuditModel = require("../models/entity.audit.model");
+
+/**
+ * Контролер журналу змін бізнес-сутностей
+ */
+
+/**
+ * Створює обробник GET /:id/history для сутності вказаного типу
+ * @param {string} entityType - Тип сутності (назва таблиці)
+ * @param {string} [idParam="id"] - Назва параметра маршруту з ID сутності
+ * @returns {Function} Обробник Express
+ */
+exports.getEntityHistory = (entityType, idParam = "id") => async (req, res) => {
+  try {
+    const entityId = parseInt(req.params[idParam]);
+    if (!entityId) {
+      return res.status(400).json({
+        success: false,
+        message: "Невірний ID",
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const result = await entityAuditModel.getEntityHistory(entityType, entityId, {
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (err) {
+    console.error(`Помилка отримання історії змін (${entityType}):`, err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання історії змін",
+    });
+  }
+};
+
+/**
+ * Пошук у журналі змін усіх сутностей
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.searchAuditLog = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 50,
+      entityType,
+      entityId,
+      actorId,
+      action,
+      field,
+      dateFrom,
+      dateTo,
+    } = req.query;
+
+    const result = await entityAuditModel.searchLog({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      entityType: entityType ? String(entityType).split(",") : undefined,
+      entityId: entityId ? parseInt(entityId) : undefined,
+      actorId: actorId ? parseInt(actorId) : undefined,
+      action: action ? String(action).toUpperCase().split(",") : undefined,
+      field,
+      dateFrom,
+      dateTo,
+    });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (err) {
+    console.error("Помилка пошуку в журналі змін:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час пошуку в журналі змін",
+    });
+  }
+};
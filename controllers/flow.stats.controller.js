@@ -1,6 +1,30 @@
 const flowStatsModel = require("../models/flow.stats.model");
 const { validationResult } = require("express-validator");
 const db = require("../config/db");
+const userModel = require("../models/user.model");
+const {
+  SCOPE_LEVELS,
+  getDataScope,
+  isInScope,
+  restrictFilters,
+} = require("../utils/dataScope");
+
+/**
+ * Перевіряє, чи входить користувач до області видимості поточного користувача
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {number} userId - ID користувача, статистику якого запитують
+ * @returns {Promise<boolean>} Чи є доступ
+ */
+const canAccessUserStats = async (req, userId) => {
+  const scope = getDataScope(req.user);
+
+  if (scope.level !== SCOPE_LEVELS.TEAM) {
+    return isInScope(scope, { userId });
+  }
+
+  const user = await userModel.getUserById(userId);
+  return !!user && isInScope(scope, { teamId: user.team_id });
+};
 
 /**
  * ОНОВЛЕНО: Створення або оновлення статистики за день з обов'язковим user_id
@@ -128,6 +152,19 @@ const getDailyFlowsStats = async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
 
+    // teamId/userId з запиту звужуються до області видимості користувача
+    const scopedFilters = restrictFilters(getDataScope(req.user), {
+      teamId: req.query.teamId ? parseInt(req.query.teamId) : undefined,
+      userId: req.query.userId ? parseInt(req.query.userId) : undefined,
+    });
+
+    if (!scopedFilters) {
+      return res.status(403).json({
+        success: false,
+        message: "Немає доступу до статистики потоків",
+      });
+    }
+
     const options = {
       year,
       month,
@@ -141,20 +178,8 @@ const getDailyFlowsStats = async (req, res) => {
           : req.query.partnerIds.map((id) => parseInt(id))
         : undefined,
       status: req.query.status,
-      teamId: req.query.teamId ? parseInt(req.query.teamId) : undefined,
-      userId: (() => {
-        if (req.user.role === "buyer") {
-          return req.user.id;
-        } else if (
-          req.query.userId &&
-          ["admin", "bizdev", "teamlead", "affiliate_manager"].includes(
-            req.user.role
-          )
-        ) {
-          return parseInt(req.query.userId);
-        }
-        return undefined;
-      })(),
+      teamId: scopedFilters.teamId,
+      userId: scopedFilters.userId,
       onlyActive: req.query.onlyActive === "true",
       includeUsers: true,
       // Пагінація
@@ -306,9 +331,9 @@ const getUserMonthlyStats = async (req, res) => {
       });
     }
 
-    // Перевірка прав доступу: користувач може дивитись лише свою статистику (buyer)
-    // або має права admin/bizdev/teamlead
-    if (req.user.role === "buyer" && userId !== req.user.id) {
+    // Перевірка прав доступу: buyer - лише своя статистика,
+    // teamlead - статистика користувачів своєї команди
+    if (!(await canAccessUserStats(req, userId))) {
       return res.status(403).json({
         success: false,
         message: "Немає доступу до статистики цього користувача",
@@ -363,8 +388,8 @@ const getTeamMonthlyStats = async (req, res) => {
       });
     }
 
-    // Перевірка прав доступу: лише admin/bizdev/teamlead
-    if (req.user.role === "buyer") {
+    // Перевірка прав доступу: teamlead - лише своя команда, buyer - жодної
+    if (!isInScope(getDataScope(req.user), { teamId })) {
       return res.status(403).json({
         success: false,
         message: "Немає доступу до статистики команди",
@@ -419,7 +444,7 @@ const getUserFlowsMonthlyStats = async (req, res) => {
     }
 
     // Перевірка прав доступу
-    if (req.user.role === "buyer" && userId !== req.user.id) {
+    if (!(await canAccessUserStats(req, userId))) {
       return res.status(403).json({
         success: false,
         message: "Немає доступу до статистики цього користувача",
@@ -474,8 +499,8 @@ const getTeamFlowsMonthlyStats = async (req, res) => {
       });
     }
 
-    // Перевірка прав доступу: лише admin/bizdev/teamlead
-    if (req.user.role === "buyer") {
+    // Перевірка прав доступу: teamlead - лише своя команда, buyer - жодної
+    if (!isInScope(getDataScope(req.user), { teamId })) {
       return res.status(403).json({
         success: false,
         message: "Немає доступу до статистики команди",
@@ -529,11 +554,11 @@ const getCompanyFlowsMonthlyStats = async (req, res) => {
       });
     }
 
-    // Перевірка прав доступу: лише admin/bizdev/teamlead
-    if (req.user.role === "buyer") {
+    // Статистика всієї компанії доступна лише ролям без обмеження команди
+    if (getDataScope(req.user).level !== SCOPE_LEVELS.ALL) {
       return res.status(403).json({
         success: false,
-        message: "Немає доступу до статистики команди",
+        message: "Немає доступу до статистики компанії",
       });
     }
 
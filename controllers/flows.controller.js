@@ -6,6 +6,9 @@
 
 const { validationResult } = require("express-validator");
 const flowModel = require("../models/flow.model");
+const { getDataScope } = require("../utils/dataScope");
+const { parseCursorQuery } = require("../utils/cursorPagination");
+const { parseListQuery } = require("../utils/listQuery");
 
 /**
  * Обробка помилок валідації
@@ -49,6 +52,21 @@ const getAllFlows = async (req, res) => {
       return undefined;
     };
 
+    const cursorQuery = parseCursorQuery(req.query, flowModel.CURSOR_SORT_FIELDS);
+    const listQuery = parseListQuery(req.query, flowModel.LIST_QUERY_SPEC);
+    const errors = [...listQuery.errors];
+    if (cursorQuery.error) {
+      errors.push({ param: "cursor", msg: cursorQuery.error });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Помилки валідації",
+        errors,
+      });
+    }
+
     const options = {
       page: parseInt(req.query.page) || 1,
       limit: parseInt(req.query.limit) || 10,
@@ -81,17 +99,20 @@ const getAllFlows = async (req, res) => {
       currency: req.query.currency,
       sortBy: req.query.sortBy || "created_at",
       sortOrder: req.query.sortOrder || "desc",
+      // Параметри filter[...] та sort (sort має пріоритет над sortBy/sortOrder)
+      ...listQuery.sort,
+      filters: listQuery.filters,
       startDate: req.query.startDate,
       endDate: req.query.endDate,
-    };
 
-    const roleCheck = await applyRoleFilters(req, options);
-    if (!roleCheck.success) {
-      return res.status(roleCheck.statusCode).json({
-        success: false,
-        message: roleCheck.message,
-      });
-    }
+      // Обмеження видимості за роллю та командою поточного користувача
+      scope: getDataScope(req.user),
+
+      // Курсорна пагінація (pagination=cursor або cursor)
+      cursorMode: cursorQuery.enabled,
+      cursor: cursorQuery.cursor,
+      includeTotal: cursorQuery.includeTotal,
+    };
 
     const result = await flowModel.getAllFlows(options);
 
@@ -124,7 +145,7 @@ const getFlowById = async (req, res) => {
       });
     }
 
-    const flow = await flowModel.getFlowById(flowId);
+    const flow = await flowModel.getFlowById(flowId, getDataScope(req.user));
 
     if (!flow) {
       return res.status(404).json({
@@ -322,7 +343,7 @@ const deleteFlow = async (req, res) => {
       });
     }
 
-    const result = await flowModel.deleteFlow(flowId);
+    const result = await flowModel.deleteFlow(flowId, req.userId);
 
     if (!result.success) {
       return res.status(400).json(result);
@@ -498,16 +519,9 @@ const getAllFlowsStats = async (req, res) => {
       // ДОДАНО: фільтри за типом потоку та метрикою KPI
       flow_type: req.query.flow_type,
       kpi_metric: req.query.kpi_metric,
+      scope: getDataScope(req.user),
     };
 
-    const roleCheck = await applyRoleFilters(req, options);
-    if (!roleCheck.success) {
-      return res.status(roleCheck.statusCode).json({
-        success: false,
-        message: roleCheck.message,
-      });
-    }
-
     const stats = await flowModel.getAllFlowsStats(options);
 
     res.json({
@@ -524,91 +538,6 @@ const getAllFlowsStats = async (req, res) => {
   }
 };
 
-/**
- * УНІВЕРСАЛЬНА ФУНКЦІЯ ДЛЯ ЗАСТОСУВАННЯ РОЛЕВИХ ФІЛЬТРІВ (без змін)
- */
-const applyRoleFilters = async (req, options) => {
-  const userRole = req.userRole;
-  const userId = req.userId;
-  const teamId = req.user.teamId;
-
-  try {
-    switch (userRole) {
-      case "admin":
-      case "integrator":
-      case "bizdev":
-        // Повний доступ
-        return { success: true };
-      case "affiliate_manager":
-        // Повний доступ
-        return { success: true };
-      case "teamlead":
-        if (!teamId) {
-          return {
-            success: false,
-            statusCode: 403,
-            message: "TeamLead повинен мати призначену команду",
-          };
-        }
-
-        // Перевірка явно вказаних команд
-        if (options.teamIds || options.teamId) {
-          const requestedTeamIds = options.teamIds || [options.teamId];
-          const hasAccess = requestedTeamIds.every(
-            (teamId) => teamId === teamId
-          );
-
-          if (!hasAccess) {
-            return {
-              success: false,
-              statusCode: 403,
-              message: "Недостатньо прав для доступу до цієї команди",
-            };
-          }
-        } else {
-          // Застосовуємо фільтр команди
-          options.teamIds = [teamId];
-        }
-
-        return { success: true };
-
-      case "buyer":
-        // Перевірка явно вказаних користувачів
-        if (options.userIds || options.userId) {
-          const requestedUserIds = options.userIds || [options.userId];
-          const hasAccess = requestedUserIds.every((id) => id === userId);
-
-          if (!hasAccess) {
-            return {
-              success: false,
-              statusCode: 403,
-              message: "Недостатньо прав для доступу до цього користувача",
-            };
-          }
-        } else {
-          // Застосовуємо фільтр користувача
-          options.userIds = [userId];
-        }
-
-        return { success: true };
-
-      default:
-        return {
-          success: false,
-          statusCode: 403,
-          message: "Недостатньо прав доступу",
-        };
-    }
-  } catch (error) {
-    console.error("Помилка застосування ролевих фільтрів:", error);
-    return {
-      success: false,
-      statusCode: 500,
-      message: "Внутрішня помилка сервера при перевірці прав доступу",
-    };
-  }
-};
-
 module.exports = {
   // Основні CRUD операції
   getAllFlows,
@@ -0,0 +1,149 @@
+const crypto = require("crypto");
+const db = require("../config/db");
+const logger = require("../utils/logger");
+const { renderMetrics } = require("../utils/metrics");
+
+/**
+ * Контролер перевірок стану сервісу та метрик Prometheus
+ */
+
+// Максимальний час перевірки бази даних для readiness (мс)
+const DB_CHECK_TIMEOUT_MS = 2000;
+
+// Середовища, де метрики доступні без METRICS_TOKEN
+const OPEN_METRICS_ENVS = ["development", "test"];
+
+/**
+ * Стан пулу підключень PostgreSQL
+ * @returns {Object} { total, idle, waiting, max, saturation }
+ */
+const getPoolStats = () => {
+  const { totalCount, idleCount, waitingCount } = db.pool;
+  const max = db.pool.options.max;
+
+  return {
+    total: totalCount,
+    idle: idleCount,
+    waiting: waitingCount,
+    max,
+    // Частка зайнятих клієнтів від максимуму пулу
+    saturation: max ? Math.round(((totalCount - idleCount) / max) * 100) / 100 : 0,
+  };
+};
+
+/**
+ * Перевіряє доступність бази даних простим запитом з тайм-аутом
+ * @returns {Promise<Object>} { ok, latencyMs, error }
+ */
+const checkDatabase = async () => {
+  const start = Date.now();
+  let timer;
+
+  try {
+    await Promise.race([
+      db.pool.query("SELECT 1"),
+      new Promise((_, reject) => {
+        timer = setTimeout(
+          () => reject(new Error("Перевищено час очікування відповіді бази даних")),
+          DB_CHECK_TIMEOUT_MS
+        );
+      }),
+    ]);
+    return { ok: true, latencyMs: Date.now() - start };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - start, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Liveness: процес працює і обробляє запити
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getLiveness = (req, res) => {
+  res.json({
+    success: true,
+    status: "ok",
+    uptime: Math.round(process.uptime()),
+    timestamp: new Date(),
+  });
+};
+
+/**
+ * Readiness: база даних доступна, сервіс може приймати трафік
+ * Стан пулу підключень повертається для моніторингу насичення
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getReadiness = async (req, res) => {
+  const database = await checkDatabase();
+  const pool = getPoolStats();
+
+  if (!database.ok) {
+    logger.warn("Перевірка готовності: база даних недоступна", {
+      error: database.error,
+      pool,
+    });
+  }
+
+  res.status(database.ok ? 200 : 503).json({
+    success: database.ok,
+    status: database.ok ? "ready" : "unavailable",
+    checks: {
+      database,
+      pool: {
+        ...pool,
+        saturated: pool.waiting > 0,
+      },
+    },
+    timestamp: new Date(),
+  });
+};
+
+/**
+ * Метрики у текстовому форматі Prometheus
+ * Якщо задано METRICS_TOKEN, вимагається заголовок Authorization: Bearer <token>;
+ * без токена метрики доступні лише в середовищах розробки та тестів
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getMetrics = (req, res) => {
+  const expectedToken = process.env.METRICS_TOKEN;
+
+  if (!expectedToken && !OPEN_METRICS_ENVS.includes(process.env.NODE_ENV)) {
+    return res.status(403).json({
+      success: false,
+      message: "Доступ заборонено: метрики вимкнено, не задано METRICS_TOKEN",
+    });
+  }
+
+  if (expectedToken) {
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+    const expected = Buffer.from(expectedToken);
+    const provided = Buffer.from(token);
+
+    if (
+      provided.length !== expected.length ||
+      !crypto.timingSafeEqual(provided, expected)
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: "Не авторизовано: невірний токен метрик",
+      });
+    }
+  }
+
+  try {
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.send(renderMetrics());
+  } catch (error) {
+    logger.error("Помилка формування метрик", error);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера при формуванні метрик",
+    });
+  }
+};
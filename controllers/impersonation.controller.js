@@ -0,0 +1,257 @@
+const impersonationModel = require("../models/impersonation.model");
+const userModel = require("../models/user.model");
+const authLogger = require("../utils/authLogger");
+const { generateImpersonationToken } = require("../config/jwt");
+const { IMPERSONATION } = require("../config/config");
+const { validationResult } = require("express-validator");
+
+/**
+ * Початок імперсонації: видача адміністратору токена для перегляду від імені користувача
+ * Токен дає доступ лише на читання і діє обмежений час
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.startImpersonation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const targetUserId = parseInt(req.body.user_id);
+    const { reason } = req.body;
+    const durationMinutes = Math.min(
+      parseInt(req.body.duration_minutes) || IMPERSONATION.defaultTtlMinutes,
+      IMPERSONATION.maxTtlMinutes
+    );
+
+    if (targetUserId === req.userId) {
+      return res.status(400).json({
+        success: false,
+        message: "Неможливо переглядати систему від власного імені",
+      });
+    }
+
+    const targetUser = await userModel.getUserById(targetUserId);
+
+    if (!targetUser) {
+      return res.status(404).json({
+        success: false,
+        message: "Користувача не знайдено",
+      });
+    }
+
+    if (!targetUser.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: "Неможливо переглядати систему від імені неактивного користувача",
+      });
+    }
+
+    // Імперсонація іншого адміністратора дала б ті самі права, але від чужого імені
+    if (targetUser.web_role === "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Імперсонація адміністраторів заборонена",
+      });
+    }
+
+    const clientIp = req.ip;
+    const userAgent = req.headers["user-agent"] || "Unknown";
+
+    const impersonation = await impersonationModel.createImpersonation({
+      adminId: req.userId,
+      targetUserId: targetUser.id,
+      reason,
+      expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000),
+      ipAddress: clientIp,
+      userAgent,
+    });
+
+    const token = generateImpersonationToken(
+      {
+        userId: targetUser.id,
+        role: targetUser.web_role,
+        impersonationId: impersonation.id,
+      },
+      durationMinutes
+    );
+
+    authLogger.logImpersonation(
+      "STARTED",
+      targetUser,
+      req.userId,
+      impersonation.id,
+      reason,
+      clientIp,
+      userAgent
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token,
+        impersonation: {
+          id: impersonation.id,
+          started_at: impersonation.started_at,
+          expires_at: impersonation.expires_at,
+          reason: impersonation.reason,
+        },
+        user: {
+          id: targetUser.id,
+          username: targetUser.username,
+          role: targetUser.web_role,
+          team_id: targetUser.team_id,
+        },
+      },
+      message: "Імперсонацію розпочато. Під час перегляду дозволено лише читання даних",
+    });
+  } catch (err) {
+    console.error("Помилка початку імперсонації:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час початку імперсонації",
+    });
+  }
+};
+
+/**
+ * Отримання списку сесій імперсонації
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getImpersonations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, adminId, userId, onlyActive } = req.query;
+
+    const result = await impersonationModel.getAllImpersonations({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      adminId: adminId ? parseInt(adminId) : undefined,
+      targetUserId: userId ? parseInt(userId) : undefined,
+      onlyActive: onlyActive === "true",
+    });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (err) {
+    console.error("Помилка отримання сесій імперсонації:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання сесій імперсонації",
+    });
+  }
+};
+
+/**
+ * Отримання журналу запитів, виконаних під час сесії імперсонації
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getImpersonationRequests = async (req, res) => {
+  try {
+    const impersonationId = parseInt(req.params.id);
+
+    if (isNaN(impersonationId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID сесії імперсонації має бути числом",
+      });
+    }
+
+    const impersonation = await impersonationModel.getImpersonationById(
+      impersonationId
+    );
+
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: "Сесію імперсонації не знайдено",
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+
+    const result = await impersonationModel.getImpersonationRequests(
+      impersonationId,
+      {
+        page: parseInt(page),
+        limit: parseInt(limit),
+      }
+    );
+
+    res.json({
+      success: true,
+      impersonation,
+      ...result,
+    });
+  } catch (err) {
+    console.error(
+      `Помилка отримання журналу імперсонації ${req.params.id}:`,
+      err
+    );
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання журналу імперсонації",
+    });
+  }
+};
+
+/**
+ * Завершення сесії імперсонації (токен імперсонації одразу стає недійсним)
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.endImpersonation = async (req, res) => {
+  try {
+    const impersonationId = parseInt(req.params.id);
+
+    if (isNaN(impersonationId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID сесії імперсонації має бути числом",
+      });
+    }
+
+    const impersonation = await impersonationModel.endImpersonation(
+      impersonationId,
+      req.userId
+    );
+
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: "Активну сесію імперсонації не знайдено",
+      });
+    }
+
+    const targetUser = await userModel.getUserById(impersonation.target_user_id);
+
+    authLogger.logImpersonation(
+      "ENDED",
+      targetUser || { id: impersonation.target_user_id, username: null },
+      req.userId,
+      impersonation.id,
+      "Завершено вручну",
+      req.ip,
+      req.headers["user-agent"] || "Unknown"
+    );
+
+    res.json({
+      success: true,
+      data: impersonation,
+      message: "Сесію імперсонації завершено",
+    });
+  } catch (err) {
+    console.error(`Помилка завершення імперсонації ${req.params.id}:`, err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час завершення імперсонації",
+    });
+  }
+};
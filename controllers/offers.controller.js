@@ -1,5 +1,6 @@
 const offerModel = require("../models/offer.model");
 const { validationResult } = require("express-validator");
+const { parseListQuery } = require("../utils/listQuery");
 
 /**
  * Функція для парсингу множинних ID з query параметрів
@@ -53,6 +54,8 @@ exports.getAllOffers = async (req, res) => {
 
     // Перевірка коректності параметрів
     const errors = [];
+    const listQuery = parseListQuery(req.query, offerModel.LIST_QUERY_SPEC);
+    errors.push(...listQuery.errors);
 
     // Валідація параметрів партнерів
     if (partners) {
@@ -125,6 +128,9 @@ exports.getAllOffers = async (req, res) => {
       search,
       sortBy,
       sortOrder,
+      // Параметри filter[...] та sort (sort має пріоритет над sortBy/sortOrder)
+      ...listQuery.sort,
+      filters: listQuery.filters,
     });
 
     res.json({
@@ -371,7 +377,7 @@ exports.deleteOffer = async (req, res) => {
       });
     }
 
-    const deletedOffer = await offerModel.deleteOffer(parseInt(id));
+    const deletedOffer = await offerModel.deleteOffer(parseInt(id), req.userId);
 
     if (!deletedOffer) {
       return res.status(404).json({
@@ -0,0 +1,80 @@
+const orgStructureModel = require("../models/org.structure.model");
+const userModel = require("../models/user.model");
+
+/**
+ * Отримання організаційної структури у вигляді дерева
+ * (відділи → дочірні відділи та команди → учасники)
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getOrgChart = async (req, res) => {
+  try {
+    const { includeMembers, includeInactive } = req.query;
+
+    const chart = await orgStructureModel.getOrgChart({
+      includeMembers: includeMembers !== "false",
+      // Неактивні відділи та користувачі доступні тільки адміністратору
+      onlyActive: !(includeInactive === "true" && req.user.role === "admin"),
+    });
+
+    res.json({
+      success: true,
+      data: chart,
+    });
+  } catch (err) {
+    console.error("Помилка отримання організаційної структури:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання організаційної структури",
+    });
+  }
+};
+
+/**
+ * Отримання лінії підпорядкування користувача: керівники та прямі підлеглі
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getReportingLine = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID користувача має бути числом",
+      });
+    }
+
+    const user = await userModel.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Користувача не знайдено",
+      });
+    }
+
+    const reportingLine = await orgStructureModel.getReportingLine(userId);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user.id,
+          username: user.username,
+          manager_id: user.manager_id,
+        },
+        ...reportingLine,
+      },
+    });
+  } catch (err) {
+    console.error(
+      `Помилка отримання лінії підпорядкування користувача ${req.params.id}:`,
+      err
+    );
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання лінії підпорядкування",
+    });
+  }
+};
@@ -1,5 +1,6 @@
 const partnerPaymentModel = require("../models/partner.payment.model");
 const { validationResult } = require("express-validator");
+const { parseCursorQuery } = require("../utils/cursorPagination");
 
 /**
  * Отримання списку всіх платежів з фільтрацією та пагінацією
@@ -23,6 +24,13 @@ exports.getAllPayments = async (req, res) => {
 
     // Перевірка коректності параметрів
     const errors = [];
+    const cursorQuery = parseCursorQuery(
+      req.query,
+      partnerPaymentModel.CURSOR_SORT_FIELDS
+    );
+    if (cursorQuery.error) {
+      errors.push({ param: "cursor", msg: cursorQuery.error });
+    }
     if (payoutRequestId && isNaN(parseInt(payoutRequestId))) {
       errors.push({
         param: "payoutRequestId",
@@ -71,6 +79,9 @@ exports.getAllPayments = async (req, res) => {
       endDate: endDate ? new Date(endDate) : undefined,
       sortBy,
       sortOrder,
+      cursorMode: cursorQuery.enabled,
+      cursor: cursorQuery.cursor,
+      includeTotal: cursorQuery.includeTotal,
     });
 
     res.json({
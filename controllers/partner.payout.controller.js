@@ -2,8 +2,9 @@ const partnerPayoutModel = require("../models/partner.payout.model");
 const partnerPaymentModel = require("../models/partner.payment.model");
 const payoutAllocationModel = require("../models/payout.allocation.model");
 
-const userModel = require("../models/user.model");
 const { validationResult } = require("express-validator");
+const { getDataScope } = require("../utils/dataScope");
+const { parseListQuery } = require("../utils/listQuery");
 
 /**
  * Отримання списку всіх заявок на виплату з фільтрацією та пагінацією
@@ -29,6 +30,11 @@ exports.getAllPayoutRequests = async (req, res) => {
 
     // Перевірка коректності параметрів
     const errors = [];
+    const listQuery = parseListQuery(
+      req.query,
+      partnerPayoutModel.LIST_QUERY_SPEC
+    );
+    errors.push(...listQuery.errors);
     if (partnerId && isNaN(parseInt(partnerId))) {
       errors.push({ param: "partnerId", msg: "ID партнера має бути числом" });
     }
@@ -66,28 +72,6 @@ exports.getAllPayoutRequests = async (req, res) => {
       });
     }
 
-    // Перевірка ролі користувача
-    if (req.user.role === "teamlead") {
-      // Для тімліда teamId є обов'язковою
-      if (!teamId) {
-        return res.status(400).json({
-          success: false,
-          message: "Для тімліда параметр teamId є обов'язковим",
-        });
-      }
-
-      // Отримуємо інформацію про поточного користувача
-      const currentUser = await userModel.getUserById(req.user.id);
-
-      // Перевіряємо, чи тімлід належить до цієї команди
-      if (currentUser.team_id !== parseInt(teamId)) {
-        return res.status(403).json({
-          success: false,
-          message: "Доступ заборонено. Ви не є тімлідом цієї команди",
-        });
-      }
-    }
-
     // Отримання заявок
     const result = await partnerPayoutModel.getAllPayoutRequests({
       page: parseInt(page),
@@ -100,6 +84,11 @@ exports.getAllPayoutRequests = async (req, res) => {
       endDate: endDate ? new Date(endDate) : undefined,
       sortBy,
       sortOrder,
+      // Параметри filter[...] та sort (sort має пріоритет над sortBy/sortOrder)
+      ...listQuery.sort,
+      filters: listQuery.filters,
+      // Обмеження видимості за роллю та командою поточного користувача
+      scope: getDataScope(req.user),
     });
 
     // Якщо не потрібно включати додаткові дані, повертаємо як раніше
@@ -257,7 +246,12 @@ exports.getPayoutRequestById = async (req, res) => {
     }
 
     // Паралельно отримуємо всі необхідні дані
-    const promises = [partnerPayoutModel.getPayoutRequestById(payoutRequestId)];
+    const promises = [
+      partnerPayoutModel.getPayoutRequestById(
+        payoutRequestId,
+        getDataScope(req.user)
+      ),
+    ];
 
     // Додаємо запити на платежі та розподіли, якщо потрібно
     if (includeDetails === "true") {
@@ -613,7 +607,8 @@ exports.deletePayoutRequest = async (req, res) => {
 
     // Видалення заявки
     const result = await partnerPayoutModel.deletePayoutRequest(
-      payoutRequestId
+      payoutRequestId,
+      req.userId
     );
 
     if (!result.success) {
@@ -732,6 +727,9 @@ exports.getPayoutRequestsStats = async (req, res) => {
       options.status = status;
     }
 
+    // Обмеження видимості за роллю та командою поточного користувача
+    options.scope = getDataScope(req.user);
+
     // Отримання статистики з фільтрами
     const stats = await partnerPayoutModel.getPayoutRequestsStats(options);
 
@@ -826,6 +824,7 @@ exports.getMonthlyPayoutStats = async (req, res) => {
       teamId: teamId ? parseInt(teamId) : undefined,
       partnerId: partnerId ? parseInt(partnerId) : undefined,
       status: status || undefined,
+      scope: getDataScope(req.user),
     };
 
     // Отримання статистики з моделі
@@ -1,5 +1,7 @@
 const partnerModel = require("../models/partner.model");
 const { validationResult } = require("express-validator");
+const { parseCursorQuery } = require("../utils/cursorPagination");
+const { parseListQuery } = require("../utils/listQuery");
 
 /**
  * Функція для парсингу множинних ID з query параметрів
@@ -55,6 +57,14 @@ exports.getAllPartners = async (req, res) => {
 
     // Перевірка коректності параметрів
     const errors = [];
+    const cursorQuery = parseCursorQuery(req.query, partnerModel.CURSOR_SORT_FIELDS);
+
+    if (cursorQuery.error) {
+      errors.push({ param: "cursor", msg: cursorQuery.error });
+    }
+
+    const listQuery = parseListQuery(req.query, partnerModel.LIST_QUERY_SPEC);
+    errors.push(...listQuery.errors);
     
     if (type && !['Brand', 'PP', 'NET', 'DIRECT ADV'].includes(type)) {
       errors.push({ param: "type", msg: "Невірний тип партнера" });
@@ -109,7 +119,13 @@ exports.getAllPartners = async (req, res) => {
       geos: geos ? parseMultipleIds(geos) : null,
       trafficSources: trafficSources ? parseMultipleIds(trafficSources) : null,
       sortBy,
-      sortOrder
+      sortOrder,
+      // Параметри filter[...] та sort (sort має пріоритет над sortBy/sortOrder)
+      ...listQuery.sort,
+      filters: listQuery.filters,
+      cursorMode: cursorQuery.enabled,
+      cursor: cursorQuery.cursor,
+      includeTotal: cursorQuery.includeTotal,
     });
 
     res.json({
@@ -357,7 +373,7 @@ exports.deletePartner = async (req, res) => {
     }
 
     // Видалення партнера
-    const result = await partnerModel.deletePartner(partnerId);
+    const result = await partnerModel.deletePartner(partnerId, req.userId);
 
     if (!result.success) {
       return res.status(400).json({
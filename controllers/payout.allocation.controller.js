@@ -356,7 +356,10 @@ exports.deleteAllocation = async (req, res) => {
       });
     }
 
-    const deleted = await payoutAllocationModel.deleteAllocation(allocationId);
+    const deleted = await payoutAllocationModel.deleteAllocation(
+      allocationId,
+      req.user.id
+    );
 
     if (!deleted) {
       return res.status(404).json({
@@ -0,0 +1,292 @@
+const permissionModel = require("../models/permission.model");
+const userModel = require("../models/user.model");
+const {
+  getUserPermissions,
+  clearPermissionCache,
+} = require("../middleware/permission.middleware");
+const { SUPER_ROLE, PERMISSIONS } = require("../config/permissions");
+const { validationResult } = require("express-validator");
+
+/**
+ * Отримання каталогу дозволів
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getAllPermissions = async (req, res) => {
+  try {
+    const permissions = await permissionModel.getAllPermissions();
+
+    res.json({
+      success: true,
+      data: permissions,
+    });
+  } catch (err) {
+    console.error("Помилка отримання дозволів:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання дозволів",
+    });
+  }
+};
+
+/**
+ * Отримання дозволів поточного користувача
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getMyPermissions = async (req, res) => {
+  try {
+    let permissions;
+
+    if (req.userRole === SUPER_ROLE) {
+      permissions = Object.keys(PERMISSIONS);
+    } else if (req.user.isService) {
+      permissions = req.user.permissions;
+    } else {
+      permissions = await getUserPermissions(req.userId, req.userRole);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        role: req.userRole,
+        permissions,
+      },
+    });
+  } catch (err) {
+    console.error("Помилка отримання дозволів користувача:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання дозволів користувача",
+    });
+  }
+};
+
+/**
+ * Отримання зв'язків роль→дозволи
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getRolePermissions = async (req, res) => {
+  try {
+    const rolePermissions = await permissionModel.getAllRolePermissions();
+
+    res.json({
+      success: true,
+      data: rolePermissions,
+    });
+  } catch (err) {
+    console.error("Помилка отримання дозволів ролей:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання дозволів ролей",
+    });
+  }
+};
+
+/**
+ * Заміна набору дозволів ролі
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.updateRolePermissions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { role } = req.params;
+    const permissions = [...new Set(req.body.permissions)];
+
+    const unknown = await permissionModel.findUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Невідомі дозволи: ${unknown.join(", ")}`,
+      });
+    }
+
+    const result = await permissionModel.setRolePermissions(
+      role,
+      permissions,
+      req.userId
+    );
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      data: {
+        role,
+        permissions: result,
+      },
+      message: "Дозволи ролі оновлено",
+    });
+  } catch (err) {
+    console.error(`Помилка оновлення дозволів ролі ${req.params.role}:`, err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час оновлення дозволів ролі",
+    });
+  }
+};
+
+/**
+ * Отримання персональних перевизначень та ефективних дозволів користувача
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getUserPermissions = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID користувача має бути числом",
+      });
+    }
+
+    const user = await userModel.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Користувача не знайдено",
+      });
+    }
+
+    const [overrides, effective] = await Promise.all([
+      permissionModel.getUserOverrides(userId),
+      user.web_role === SUPER_ROLE
+        ? Object.keys(PERMISSIONS)
+        : permissionModel.getEffectivePermissions(userId, user.web_role),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user_id: userId,
+        role: user.web_role,
+        overrides,
+        effective_permissions: effective,
+      },
+    });
+  } catch (err) {
+    console.error(
+      `Помилка отримання дозволів користувача ${req.params.id}:`,
+      err
+    );
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання дозволів користувача",
+    });
+  }
+};
+
+/**
+ * Встановлення персонального перевизначення дозволу
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.setUserOverride = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const userId = parseInt(req.params.id);
+    const { permission } = req.params;
+
+    const user = await userModel.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Користувача не знайдено",
+      });
+    }
+
+    const unknown = await permissionModel.findUnknownPermissions([permission]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Невідомий дозвіл: ${permission}`,
+      });
+    }
+
+    const override = await permissionModel.setUserOverride(
+      userId,
+      permission,
+      req.body.is_granted,
+      req.userId
+    );
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      data: override,
+      message: "Дозвіл користувача оновлено",
+    });
+  } catch (err) {
+    console.error(
+      `Помилка оновлення дозволу користувача ${req.params.id}:`,
+      err
+    );
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час оновлення дозволу користувача",
+    });
+  }
+};
+
+/**
+ * Видалення персонального перевизначення дозволу
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.removeUserOverride = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID користувача має бути числом",
+      });
+    }
+
+    const removed = await permissionModel.removeUserOverride(
+      userId,
+      req.params.permission
+    );
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: "Перевизначення дозволу не знайдено",
+      });
+    }
+
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      message: "Перевизначення дозволу видалено",
+    });
+  } catch (err) {
+    console.error(
+      `Помилка видалення дозволу користувача ${req.params.id}:`,
+      err
+    );
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час видалення дозволу користувача",
+    });
+  }
+};
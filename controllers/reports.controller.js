@@ -1,5 +1,6 @@
 const requestModel = require("../models/request.model");
 const reportsModel = require("../models/reports.model");
+const orgStructureModel = require("../models/org.structure.model");
 const { isValid } = require("date-fns");
 const { validationResult } = require("express-validator");
 
@@ -952,3 +953,71 @@ exports.getCompanyCalendarStatistics = async (req, res) => {
     });
   }
 };
+
+/**
+ * Отримання зведеного звіту по організаційній ієрархії
+ * Витрати, зарплати та прибуток потоків команд підсумовуються у відділи та батьківські відділи
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getOrgRollupReport = async (req, res) => {
+  try {
+    const { month, year } = req.query;
+
+    // Валідація параметрів
+    const errors = [];
+
+    if (!year || isNaN(parseInt(year)) || parseInt(year) < 2020) {
+      errors.push({ param: "year", msg: "Рік має бути числом не менше 2020" });
+    }
+
+    if (
+      month !== undefined &&
+      (isNaN(parseInt(month)) || parseInt(month) < 1 || parseInt(month) > 12)
+    ) {
+      errors.push({
+        param: "month",
+        msg: "Місяць має бути числом від 1 до 12",
+      });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors,
+      });
+    }
+
+    const parsedYear = parseInt(year);
+    const parsedMonth = month !== undefined ? parseInt(month) : null;
+
+    // Без місяця звіт будується за весь рік
+    const formatDate = (y, m) => `${y}-${String(m).padStart(2, "0")}-01`;
+    const startDate = formatDate(parsedYear, parsedMonth || 1);
+    const lastMonth = parsedMonth || 12;
+    const endDate =
+      lastMonth === 12
+        ? formatDate(parsedYear + 1, 1)
+        : formatDate(parsedYear, lastMonth + 1);
+
+    const report = await orgStructureModel.getRollupReport({
+      startDate,
+      endDate,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        year: parsedYear,
+        month: parsedMonth,
+        ...report,
+      },
+    });
+  } catch (err) {
+    console.error("Помилка отримання зведеного звіту по ієрархії:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання зведеного звіту",
+    });
+  }
+};
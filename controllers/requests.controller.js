@@ -1,6 +1,9 @@
 const requestModel = require("../models/request.model");
 const userModel = require("../models/user.model");
 const { validationResult } = require("express-validator");
+const { getDataScope } = require("../utils/dataScope");
+const { parseCursorQuery } = require("../utils/cursorPagination");
+const { parseListQuery } = require("../utils/listQuery");
 
 /**
  * Отримує всі заявки з фільтрацією та пагінацією
@@ -32,6 +35,12 @@ exports.getAllRequests = async (req, res) => {
 
     // Перевірка коректності параметрів
     const errors = [];
+    const cursorQuery = parseCursorQuery(req.query, requestModel.CURSOR_SORT_FIELDS);
+    if (cursorQuery.error) {
+      errors.push({ param: "cursor", msg: cursorQuery.error });
+    }
+    const listQuery = parseListQuery(req.query, requestModel.LIST_QUERY_SPEC);
+    errors.push(...listQuery.errors);
     if (startDate && isNaN(Date.parse(startDate))) {
       errors.push({ param: "startDate", msg: "Невірний формат дати" });
     }
@@ -80,29 +89,16 @@ exports.getAllRequests = async (req, res) => {
       agentId: agentId ? parseInt(agentId) : undefined, // Додано agentId
       sortBy,
       sortOrder,
+      // Параметри filter[...] та sort (sort має пріоритет над sortBy/sortOrder)
+      ...listQuery.sort,
+      filters: listQuery.filters,
+      // Обмеження видимості за роллю та командою поточного користувача
+      scope: getDataScope(req.user),
+      cursorMode: cursorQuery.enabled,
+      cursor: cursorQuery.cursor,
+      includeTotal: cursorQuery.includeTotal,
     };
 
-    // Перевірка прав доступу
-    const currentUserId = req.userId;
-    const currentUserRole = req.userRole;
-
-    // Якщо роль користувача 'user', можна бачити тільки свої заявки
-    if (currentUserRole === "buyer") {
-      params.userId = currentUserId;
-    }
-    // Якщо роль 'teamlead', обмежуємо доступ до команди
-    else if (currentUserRole === "teamlead") {
-      const userDetails = await userModel.getUserById(currentUserId);
-      if (userDetails && userDetails.team_id) {
-        params.teamId = userDetails.team_id;
-      } else {
-        return res.status(403).json({
-          success: false,
-          message: "Тімлід не призначений до команди",
-        });
-      }
-    }
-
     // Отримання заявок
     const result = await requestModel.getAllRequests(params);
 
@@ -136,8 +132,11 @@ exports.getRequestById = async (req, res) => {
       });
     }
 
-    // Отримання запиту з деталями
-    const request = await requestModel.getRequestById(requestId);
+    // Отримання запиту з деталями в межах області видимості користувача
+    const request = await requestModel.getRequestById(
+      requestId,
+      getDataScope(req.user)
+    );
 
     if (!request) {
       return res.status(404).json({
@@ -146,28 +145,6 @@ exports.getRequestById = async (req, res) => {
       });
     }
 
-    // Перевірка прав доступу
-    const currentUserId = req.userId;
-    const currentUserRole = req.userRole;
-
-    // Якщо роль користувача 'user', можна бачити тільки свої заявки
-    if (currentUserRole === "buyer" && request.user_id !== currentUserId) {
-      return res.status(403).json({
-        success: false,
-        message: "Доступ заборонено",
-      });
-    }
-    // Якщо роль 'teamlead', обмежуємо доступ до команди
-    else if (currentUserRole === "teamlead") {
-      const userDetails = await userModel.getUserById(currentUserId);
-      if (!userDetails || userDetails.team_id !== request.team_id) {
-        return res.status(403).json({
-          success: false,
-          message: "Доступ заборонено. Ви не є тімлідом цієї команди",
-        });
-      }
-    }
-
     res.json({
       success: true,
       data: request,
@@ -243,6 +220,7 @@ exports.getAllExpenses = async (req, res) => {
       purpose,
       teamId: teamId ? parseInt(teamId) : undefined,
       departmentId: departmentId ? parseInt(departmentId) : undefined,
+      scope: getDataScope(req.user),
     });
 
     res.json({
@@ -338,6 +316,7 @@ exports.getAllAgentRefills = async (req, res) => {
       departmentId: departmentId ? parseInt(departmentId) : undefined,
       userId: userId ? parseInt(userId) : undefined,
       network,
+      scope: getDataScope(req.user),
     });
 
     res.json({
@@ -878,7 +857,7 @@ exports.deleteRequest = async (req, res) => {
     }
 
     // Скасування заявки
-    const result = await requestModel.deleteRequest(requestId);
+    const result = await requestModel.deleteRequest(requestId, currentUserId);
 
     if (!result) {
       return res.status(400).json({
@@ -1,6 +1,8 @@
 const salaryModel = require("../models/salary.model");
 const userModel = require("../models/user.model");
 const { validationResult } = require("express-validator");
+const { getDataScope, isInScope } = require("../utils/dataScope");
+const { parseListQuery } = require("../utils/listQuery");
 
 /**
  * Отримання списку всіх зарплат з фільтрацією та пагінацією
@@ -24,6 +26,8 @@ exports.getAllSalaries = async (req, res) => {
 
     // Перевірка коректності параметрів
     const errors = [];
+    const listQuery = parseListQuery(req.query, salaryModel.LIST_QUERY_SPEC);
+    errors.push(...listQuery.errors);
     if (
       month &&
       (isNaN(parseInt(month)) || parseInt(month) < 1 || parseInt(month) > 12)
@@ -59,31 +63,6 @@ exports.getAllSalaries = async (req, res) => {
       });
     }
 
-    // Перевірка прав доступу
-    const currentUserId = req.userId;
-    const currentUserRole = req.userRole;
-
-    // Звичайні користувачі можуть бачити тільки свої зарплати
-    if (currentUserRole === "user") {
-      // Примусово встановлюємо userId на поточного користувача
-      req.query.userId = currentUserId;
-    }
-    // Тімліди можуть бачити зарплати своєї команди
-    else if (currentUserRole === "teamlead") {
-      // Отримуємо команду тімліда
-      const userDetails = await userModel.getUserById(currentUserId);
-      if (userDetails && userDetails.team_id) {
-        // Примусово встановлюємо teamId на команду тімліда
-        req.query.teamId = userDetails.team_id;
-      } else {
-        return res.status(403).json({
-          success: false,
-          message: "Тімлід не призначений до команди",
-        });
-      }
-    }
-    // Адміністратори та фінансові менеджери можуть бачити всі зарплати
-
     // Отримання даних
     const result = await salaryModel.getAllSalaries({
       page: parseInt(page),
@@ -96,6 +75,11 @@ exports.getAllSalaries = async (req, res) => {
       departmentId: departmentId ? parseInt(departmentId) : undefined,
       sortBy,
       sortOrder,
+      // Параметри filter[...] та sort (sort має пріоритет над sortBy/sortOrder)
+      ...listQuery.sort,
+      filters: listQuery.filters,
+      // Обмеження видимості за роллю та командою поточного користувача
+      scope: getDataScope(req.user),
     });
 
     res.json({
@@ -128,8 +112,11 @@ exports.getSalaryById = async (req, res) => {
       });
     }
 
-    // Отримання зарплати
-    const salary = await salaryModel.getSalaryById(salaryId);
+    // Отримання зарплати в межах області видимості користувача
+    const salary = await salaryModel.getSalaryById(
+      salaryId,
+      getDataScope(req.user)
+    );
 
     if (!salary) {
       return res.status(404).json({
@@ -138,30 +125,6 @@ exports.getSalaryById = async (req, res) => {
       });
     }
 
-    // Перевірка прав доступу
-    const currentUserId = req.userId;
-    const currentUserRole = req.userRole;
-
-    // Звичайні користувачі можуть бачити тільки свої зарплати
-    if (currentUserRole === "user" && salary.user_id !== currentUserId) {
-      return res.status(403).json({
-        success: false,
-        message: "Доступ заборонено",
-      });
-    }
-    // Тімліди можуть бачити зарплати своєї команди
-    else if (currentUserRole === "teamlead") {
-      // Отримуємо команду тімліда
-      const userDetails = await userModel.getUserById(currentUserId);
-      if (!userDetails || userDetails.team_id !== salary.team_id) {
-        return res.status(403).json({
-          success: false,
-          message: "Доступ заборонено. Ви не є тімлідом цієї команди",
-        });
-      }
-    }
-    // Адміністратори та фінансові менеджери можуть бачити всі зарплати
-
     res.json({
       success: true,
       data: salary,
@@ -510,7 +473,7 @@ exports.deleteSalary = async (req, res) => {
     // }
 
     // Видалення зарплати
-    const result = await salaryModel.deleteSalary(salaryId);
+    const result = await salaryModel.deleteSalary(salaryId, req.userId);
 
     if (!result) {
       return res.status(500).json({
@@ -578,32 +541,6 @@ exports.getSalaryStats = async (req, res) => {
       });
     }
 
-    // Перевірка прав доступу
-    const currentUserRole = req.userRole;
-    const currentUserId = req.userId;
-
-    // Тільки адміністратори та фінансові менеджери можуть бачити повну статистику
-    if (!["admin", "finance_manager"].includes(currentUserRole)) {
-      // Для тімлідів обмежуємо статистику їхньою командою
-      if (currentUserRole === "teamlead") {
-        const userDetails = await userModel.getUserById(currentUserId);
-        if (userDetails && userDetails.team_id) {
-          req.query.teamId = userDetails.team_id;
-        } else {
-          return res.status(403).json({
-            success: false,
-            message: "Тімлід не призначений до команди",
-          });
-        }
-      } else {
-        // Звичайні користувачі не мають доступу до статистики
-        return res.status(403).json({
-          success: false,
-          message: "Доступ заборонено",
-        });
-      }
-    }
-
     // Отримання статистики
     const stats = await salaryModel.getSalaryStats({
       month: month ? parseInt(month) : undefined,
@@ -611,6 +548,7 @@ exports.getSalaryStats = async (req, res) => {
       userId: userId ? parseInt(userId) : undefined,
       teamId: teamId ? parseInt(teamId) : undefined,
       departmentId: departmentId ? parseInt(departmentId) : undefined,
+      scope: getDataScope(req.user),
     });
 
     res.json({
@@ -828,32 +766,6 @@ exports.getAllSalaryTemplates = async (req, res) => {
       });
     }
 
-    // Перевірка прав доступу
-    const currentUserRole = req.userRole;
-    const currentUserId = req.userId;
-
-    // Тільки адміністратори та фінансові менеджери можуть бачити всі шаблони
-    if (!["admin", "finance_manager"].includes(currentUserRole)) {
-      // Для тімлідів обмежуємо списком їхньої команди
-      if (currentUserRole === "teamlead") {
-        const userDetails = await userModel.getUserById(currentUserId);
-        if (userDetails && userDetails.team_id) {
-          req.query.teamId = userDetails.team_id;
-        } else {
-          return res.status(403).json({
-            success: false,
-            message: "Тімлід не призначений до команди",
-          });
-        }
-      } else {
-        // Звичайні користувачі не мають доступу до шаблонів
-        return res.status(403).json({
-          success: false,
-          message: "Доступ заборонено",
-        });
-      }
-    }
-
     // Отримання шаблонів
     const result = await salaryModel.getAllSalaryTemplates({
       onlyActive: onlyActive === "true" || onlyActive === true,
@@ -861,6 +773,7 @@ exports.getAllSalaryTemplates = async (req, res) => {
       departmentId: departmentId ? parseInt(departmentId) : undefined,
       page: parseInt(page) || 1,
       limit: parseInt(limit) || 10,
+      scope: getDataScope(req.user),
     });
 
     res.json({
@@ -902,12 +815,13 @@ exports.getSalaryTemplate = async (req, res) => {
       });
     }
 
-    // Перевірка прав доступу
-    const currentUserId = req.userId;
-    const currentUserRole = req.userRole;
-
-    // Звичайні користувачі не можуть бачити шаблони зарплат
-    if (currentUserRole === "user" && currentUserId !== userId) {
+    // Перевірка, чи входить користувач до області видимості поточного користувача
+    if (
+      !isInScope(getDataScope(req.user), {
+        teamId: user.team_id,
+        userId: user.id,
+      })
+    ) {
       return res.status(403).json({
         success: false,
         message: "Доступ заборонено",
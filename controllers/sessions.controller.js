@@ -0,0 +1,284 @@
+const sessionModel = require("../models/session.model");
+const userModel = require("../models/user.model");
+const authLogger = require("../utils/authLogger");
+
+/**
+ * Позначає поточну сесію у списку сесій
+ * @param {Array} sessions - Сесії користувача
+ * @param {number|null} currentSessionId - ID сесії поточного запиту
+ * @returns {Array} Сесії з ознакою is_current
+ */
+const markCurrentSession = (sessions, currentSessionId) => {
+  return sessions.map((session) => ({
+    ...session,
+    is_current: session.id === currentSessionId,
+  }));
+};
+
+/**
+ * Логує відкликання сесій з даними поточного запиту
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} user - Власник сесій ({ id, username })
+ * @param {Array<number>|string} sessionIds - ID відкликаних сесій або опис
+ */
+const logRevocation = (req, user, sessionIds) => {
+  authLogger.logSessionRevocation(
+    user,
+    req.userId,
+    sessionIds,
+    req.ip,
+    req.headers["user-agent"] || "Unknown"
+  );
+};
+
+/**
+ * Отримання активних сесій поточного користувача
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getMySessions = async (req, res) => {
+  try {
+    const sessions = await sessionModel.getUserSessions(req.userId);
+
+    res.json({
+      success: true,
+      data: markCurrentSession(sessions, req.sessionId),
+    });
+  } catch (err) {
+    console.error("Помилка отримання сесій:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання сесій",
+    });
+  }
+};
+
+/**
+ * Відкликання однієї власної сесії (наприклад, вихід на загубленому пристрої)
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.revokeMySession = async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    if (isNaN(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID сесії має бути числом",
+      });
+    }
+
+    const session = await sessionModel.revokeUserSession(
+      sessionId,
+      req.userId,
+      "revoked_by_user"
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Активну сесію не знайдено",
+      });
+    }
+
+    logRevocation(req, req.user, [session.id]);
+
+    res.json({
+      success: true,
+      data: session,
+      message: "Сесію відкликано",
+    });
+  } catch (err) {
+    console.error(`Помилка відкликання сесії ${req.params.id}:`, err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час відкликання сесії",
+    });
+  }
+};
+
+/**
+ * Відкликання всіх власних сесій, крім поточної
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.revokeMyOtherSessions = async (req, res) => {
+  try {
+    const revokedCount = await sessionModel.revokeAllUserSessions(
+      req.userId,
+      "revoked_by_user",
+      req.sessionId
+    );
+
+    if (revokedCount > 0) {
+      logRevocation(req, req.user, "others");
+    }
+
+    res.json({
+      success: true,
+      data: { revokedCount },
+      message: `Відкликано сесій: ${revokedCount}`,
+    });
+  } catch (err) {
+    console.error("Помилка відкликання інших сесій:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час відкликання сесій",
+    });
+  }
+};
+
+/**
+ * Отримує користувача за ID з параметра маршруту (для адміністративних дій)
+ * Відправляє відповідь з помилкою, якщо ID невалідний або користувача не знайдено
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ * @returns {Promise<Object|null>} Користувач або null (відповідь вже відправлено)
+ */
+const findTargetUser = async (req, res) => {
+  const userId = parseInt(req.params.userId);
+
+  if (isNaN(userId)) {
+    res.status(400).json({
+      success: false,
+      message: "ID користувача має бути числом",
+    });
+    return null;
+  }
+
+  const user = await userModel.getUserById(userId);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: "Користувача не знайдено",
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Отримання сесій будь-якого користувача
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getUserSessions = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const sessions = await sessionModel.getUserSessions(user.id, {
+      includeInactive: req.query.includeInactive === "true",
+    });
+
+    res.json({
+      success: true,
+      data: markCurrentSession(sessions, req.sessionId),
+    });
+  } catch (err) {
+    console.error(
+      `Помилка отримання сесій користувача ${req.params.userId}:`,
+      err
+    );
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання сесій",
+    });
+  }
+};
+
+/**
+ * Відкликання конкретної сесії будь-якого користувача
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.revokeUserSession = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const sessionId = parseInt(req.params.sessionId);
+
+    if (isNaN(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID сесії має бути числом",
+      });
+    }
+
+    const session = await sessionModel.revokeUserSession(
+      sessionId,
+      user.id,
+      "revoked_by_admin"
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Активну сесію користувача не знайдено",
+      });
+    }
+
+    logRevocation(req, user, [session.id]);
+
+    res.json({
+      success: true,
+      data: session,
+      message: "Сесію користувача відкликано",
+    });
+  } catch (err) {
+    console.error(
+      `Помилка відкликання сесії ${req.params.sessionId} користувача ${req.params.userId}:`,
+      err
+    );
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час відкликання сесії",
+    });
+  }
+};
+
+/**
+ * Відкликання всіх сесій будь-якого користувача без деактивації облікового запису
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.revokeAllUserSessions = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const revokedCount = await sessionModel.revokeAllUserSessions(
+      user.id,
+      "revoked_by_admin"
+    );
+
+    if (revokedCount > 0) {
+      logRevocation(req, user, "all");
+    }
+
+    res.json({
+      success: true,
+      data: { revokedCount },
+      message: `Відкликано сесій користувача: ${revokedCount}`,
+    });
+  } catch (err) {
+    console.error(
+      `Помилка відкликання сесій користувача ${req.params.userId}:`,
+      err
+    );
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час відкликання сесій",
+    });
+  }
+};
@@ -1,6 +1,43 @@
 const teamModel = require("../models/team.model");
+const departmentModel = require("../models/department.model");
+const userModel = require("../models/user.model");
 const { validationResult } = require("express-validator");
 
+/**
+ * Перевіряє поля структури команди: відділ та тімліда
+ * Відправляє відповідь з помилкою, якщо дані некоректні
+ * @param {Object} res - Об'єкт відповіді Express
+ * @param {Object} fields - Поля з тіла запиту
+ * @param {number|null} [fields.department_id] - ID відділу
+ * @param {number|null} [fields.lead_user_id] - ID тімліда
+ * @returns {Promise<boolean>} true, якщо дані коректні (інакше відповідь вже відправлено)
+ */
+const validateStructureFields = async (res, { department_id, lead_user_id }) => {
+  if (department_id !== undefined && department_id !== null) {
+    const department = await departmentModel.getDepartmentById(department_id);
+    if (!department) {
+      res.status(400).json({
+        success: false,
+        message: "Вказаного відділу не існує",
+      });
+      return false;
+    }
+  }
+
+  if (lead_user_id !== undefined && lead_user_id !== null) {
+    const lead = await userModel.getUserById(lead_user_id);
+    if (!lead || !lead.is_active) {
+      res.status(400).json({
+        success: false,
+        message: "Тімлід має бути активним користувачем",
+      });
+      return false;
+    }
+  }
+
+  return true;
+};
+
 /**
  * Отримання списку всіх команд
  * @param {Object} req - Об'єкт запиту Express
@@ -125,7 +162,7 @@ exports.createTeam = async (req, res) => {
       });
     }
 
-    const { name } = req.body;
+    const { name, department_id, lead_user_id } = req.body;
 
     // Перевірка на існування команди з такою назвою
     const existingTeam = await teamModel.getTeamByName(name);
@@ -136,8 +173,15 @@ exports.createTeam = async (req, res) => {
       });
     }
 
+    if (!(await validateStructureFields(res, { department_id, lead_user_id }))) {
+      return;
+    }
+
     // Створення команди
-    const newTeam = await teamModel.createTeam(name);
+    const newTeam = await teamModel.createTeam(name, {
+      department_id,
+      lead_user_id,
+    });
 
     res.status(201).json({
       success: true,
@@ -154,7 +198,7 @@ exports.createTeam = async (req, res) => {
 };
 
 /**
- * Оновлення назви команди
+ * Оновлення команди: назва, відділ та тімлід
  * @param {Object} req - Об'єкт запиту Express
  * @param {Object} res - Об'єкт відповіді Express
  */
@@ -170,7 +214,7 @@ exports.updateTeam = async (req, res) => {
     }
 
     const teamId = parseInt(req.params.id);
-    const { name } = req.body;
+    const { name, department_id, lead_user_id } = req.body;
 
     if (isNaN(teamId)) {
       return res.status(400).json({
@@ -189,7 +233,7 @@ exports.updateTeam = async (req, res) => {
     }
 
     // Перевірка на унікальність нової назви
-    if (name !== existingTeam.name) {
+    if (name !== undefined && name !== existingTeam.name) {
       const teamWithName = await teamModel.getTeamByName(name);
       if (teamWithName) {
         return res.status(400).json({
@@ -199,13 +243,28 @@ exports.updateTeam = async (req, res) => {
       }
     }
 
+    if (!(await validateStructureFields(res, { department_id, lead_user_id }))) {
+      return;
+    }
+
     // Оновлення команди
-    const updatedTeam = await teamModel.updateTeam(teamId, name);
+    const updatedTeam = await teamModel.updateTeam(teamId, {
+      name,
+      department_id,
+      lead_user_id,
+    });
+
+    if (!updatedTeam) {
+      return res.status(400).json({
+        success: false,
+        message: "Немає даних для оновлення",
+      });
+    }
 
     res.json({
       success: true,
       data: updatedTeam,
-      message: "Назву команди успішно оновлено",
+      message: "Дані команди успішно оновлено",
     });
   } catch (err) {
     console.error(`Помилка оновлення команди з ID ${req.params.id}:`, err);
@@ -0,0 +1,158 @@
+const { validationResult } = require("express-validator");
+const trashModel = require("../models/trash.model");
+
+/**
+ * Контролер кошика (м'яко видалені бізнес-сутності)
+ */
+
+/**
+ * Перетворює результат відмови моделі у статус відповіді
+ * @param {string} reason - Причина відмови
+ * @returns {number} HTTP статус
+ */
+const statusForReason = (reason) => (reason === "not_found" ? 404 : 409);
+
+/**
+ * Отримання вмісту кошика
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getTrash = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 50,
+      entityType,
+      deletedBy,
+      dateFrom,
+      dateTo,
+    } = req.query;
+
+    const result = await trashModel.getTrash({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      entityTypes: entityType ? String(entityType).split(",") : undefined,
+      deletedBy: deletedBy ? parseInt(deletedBy) : undefined,
+      dateFrom,
+      dateTo,
+    });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (err) {
+    console.error("Помилка отримання вмісту кошика:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання вмісту кошика",
+    });
+  }
+};
+
+/**
+ * Відновлення запису з кошика
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.restoreEntity = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { entityType } = req.params;
+    const id = parseInt(req.params.id);
+
+    const result = await trashModel.restoreEntity(entityType, id);
+
+    if (!result.success) {
+      return res.status(statusForReason(result.reason)).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.entity,
+      message: "Запис успішно відновлено",
+    });
+  } catch (err) {
+    console.error("Помилка відновлення запису з кошика:", err);
+
+    // Активний запис з тими ж унікальними полями (наприклад, зарплата за той самий місяць)
+    if (err.code === "23505") {
+      return res.status(409).json({
+        success: false,
+        message: "Неможливо відновити: вже існує активний запис з такими ж даними",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час відновлення запису",
+    });
+  }
+};
+
+/**
+ * Остаточне видалення запису з кошика
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.purgeEntity = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { entityType } = req.params;
+    const id = parseInt(req.params.id);
+
+    const result = await trashModel.purgeEntity(entityType, id);
+
+    if (!result.success) {
+      return res.status(statusForReason(result.reason)).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Запис остаточно видалено",
+    });
+  } catch (err) {
+    console.error("Помилка остаточного видалення запису:", err);
+
+    // На запис посилаються інші дані (наприклад, оффери партнера в кошику)
+    if (err.code === "23503") {
+      return res.status(409).json({
+        success: false,
+        message: "Неможливо остаточно видалити: на запис посилаються інші дані",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час остаточного видалення запису",
+    });
+  }
+};
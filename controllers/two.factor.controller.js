@@ -0,0 +1,519 @@
+/**
+ * Контролер для двофакторної автентифікації (TOTP)
+ * Обробляє підключення 2FA, підтвердження входу та політики для ролей
+ */
+const { validationResult } = require("express-validator");
+const jwtConfig = require("../config/jwt");
+const userModel = require("../models/user.model");
+const twoFactorModel = require("../models/two.factor.model");
+const sessionModel = require("../models/session.model");
+const authLogger = require("../utils/authLogger");
+const totp = require("../utils/totp");
+const loginProtection = require("../utils/loginProtection");
+const { issueSessionTokens } = require("../utils/auth.utils");
+
+/**
+ * Генерує коди відновлення та їх хеші для збереження
+ * @returns {Object} Об'єкт з codes (для користувача) та hashes (для БД)
+ */
+const createRecoveryCodes = () => {
+  const codes = totp.generateRecoveryCodes();
+  const hashes = codes.map((code) =>
+    jwtConfig.hashToken(totp.normalizeRecoveryCode(code))
+  );
+  return { codes, hashes };
+};
+
+/**
+ * Перевіряє TOTP код або одноразовий код відновлення
+ * @param {Object} twoFactor - Налаштування 2FA користувача
+ * @param {string} code - Код, введений користувачем
+ * @returns {Promise<Object>} Результат перевірки { valid, method, remainingRecoveryCodes }
+ */
+const verifyTwoFactorCode = async (twoFactor, code) => {
+  const step = totp.verifyCode(twoFactor.secret, code);
+
+  if (step !== null) {
+    const isFresh = await twoFactorModel.markStepUsed(twoFactor.user_id, step);
+    return { valid: isFresh, method: "totp" };
+  }
+
+  const remaining = await twoFactorModel.consumeRecoveryCode(
+    twoFactor.user_id,
+    jwtConfig.hashToken(totp.normalizeRecoveryCode(code))
+  );
+
+  if (remaining !== null) {
+    return { valid: true, method: "recovery_code", remainingRecoveryCodes: remaining };
+  }
+
+  return { valid: false };
+};
+
+/**
+ * Отримання статусу 2FA поточного користувача
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getStatus = async (req, res) => {
+  try {
+    const twoFactor = await twoFactorModel.getUserTwoFactor(req.userId);
+    const isRequired = await twoFactorModel.isRequiredForRole(req.userRole);
+
+    res.json({
+      success: true,
+      data: {
+        is_enabled: Boolean(twoFactor && twoFactor.is_enabled),
+        is_required: isRequired,
+        enabled_at: twoFactor ? twoFactor.enabled_at : null,
+        recovery_codes_left:
+          twoFactor && twoFactor.is_enabled
+            ? twoFactor.recovery_codes.length
+            : 0,
+      },
+    });
+  } catch (err) {
+    console.error("Помилка отримання статусу 2FA:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання статусу 2FA",
+    });
+  }
+};
+
+/**
+ * Початок підключення 2FA: генерація секрету та otpauth URI
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.setup = async (req, res) => {
+  try {
+    const user = await userModel.getUserById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Користувача не знайдено",
+      });
+    }
+
+    const existing = await twoFactorModel.getUserTwoFactor(user.id);
+    if (existing && existing.is_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Двофакторну автентифікацію вже підключено",
+      });
+    }
+
+    const secret = totp.generateSecret();
+    await twoFactorModel.saveSecret(user.id, secret);
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauth_uri: totp.buildOtpauthUri(secret, user.username || user.email),
+      },
+      message: "Відскануйте QR-код та підтвердіть підключення кодом із застосунку",
+    });
+  } catch (err) {
+    console.error("Помилка підключення 2FA:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час підключення 2FA",
+    });
+  }
+};
+
+/**
+ * Підтвердження підключення 2FA першим кодом та видача кодів відновлення
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.enable = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const twoFactor = await twoFactorModel.getUserTwoFactor(req.userId);
+    if (!twoFactor) {
+      return res.status(400).json({
+        success: false,
+        message: "Спочатку згенеруйте секрет для 2FA",
+      });
+    }
+
+    if (twoFactor.is_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Двофакторну автентифікацію вже підключено",
+      });
+    }
+
+    const step = totp.verifyCode(twoFactor.secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Невірний код підтвердження",
+      });
+    }
+
+    const { codes, hashes } = createRecoveryCodes();
+    await twoFactorModel.enableTwoFactor(req.userId, hashes, step);
+
+    const response = {
+      success: true,
+      data: {
+        recovery_codes: codes,
+      },
+      message:
+        "Двофакторну автентифікацію підключено. Збережіть коди відновлення - вони показуються лише один раз",
+    };
+
+    // Якщо підключення відбувалося під час входу - завершуємо вхід
+    if (req.challenge) {
+      const user = await userModel.getUserById(req.userId);
+      await loginProtection.registerSuccessfulLogin({
+        user,
+        ip: req.ip,
+        userAgent: req.headers["user-agent"] || "Unknown",
+      });
+      const { token, refreshToken } = await issueSessionTokens(user, req);
+
+      authLogger.logSuccessfulLogin(
+        user.username,
+        user.id,
+        req.ip,
+        req.headers["user-agent"] || "Unknown"
+      );
+
+      response.token = token;
+      response.refreshToken = refreshToken;
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error("Помилка підтвердження 2FA:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час підтвердження 2FA",
+    });
+  }
+};
+
+/**
+ * Вимкнення 2FA поточним користувачем
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.disable = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (await twoFactorModel.isRequiredForRole(req.userRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "Двофакторна автентифікація обов'язкова для вашої ролі",
+      });
+    }
+
+    const twoFactor = await twoFactorModel.getUserTwoFactor(req.userId);
+    if (!twoFactor || !twoFactor.is_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Двофакторну автентифікацію не підключено",
+      });
+    }
+
+    const verification = await verifyTwoFactorCode(twoFactor, req.body.code);
+    if (!verification.valid) {
+      return res.status(400).json({
+        success: false,
+        message: "Невірний код підтвердження",
+      });
+    }
+
+    await twoFactorModel.disableTwoFactor(req.userId);
+
+    res.json({
+      success: true,
+      message: "Двофакторну автентифікацію вимкнено",
+    });
+  } catch (err) {
+    console.error("Помилка вимкнення 2FA:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час вимкнення 2FA",
+    });
+  }
+};
+
+/**
+ * Перегенерація кодів відновлення
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const twoFactor = await twoFactorModel.getUserTwoFactor(req.userId);
+    if (!twoFactor || !twoFactor.is_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Двофакторну автентифікацію не підключено",
+      });
+    }
+
+    const step = totp.verifyCode(twoFactor.secret, req.body.code);
+    if (step === null || !(await twoFactorModel.markStepUsed(req.userId, step))) {
+      return res.status(400).json({
+        success: false,
+        message: "Невірний код підтвердження",
+      });
+    }
+
+    const { codes, hashes } = createRecoveryCodes();
+    await twoFactorModel.replaceRecoveryCodes(req.userId, hashes);
+
+    res.json({
+      success: true,
+      data: {
+        recovery_codes: codes,
+      },
+      message: "Нові коди відновлення згенеровано, попередні більше не діють",
+    });
+  } catch (err) {
+    console.error("Помилка генерації кодів відновлення:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час генерації кодів відновлення",
+    });
+  }
+};
+
+/**
+ * Завершення входу: перевірка коду 2FA за challenge токеном
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.verifyLogin = async (req, res) => {
+  const clientIp = req.ip;
+  const userAgent = req.headers["user-agent"] || "Unknown";
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const challenge = jwtConfig.verifyChallengeToken(
+      req.body.challengeToken,
+      "2fa_pending"
+    );
+
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: "Не авторизовано: недійсний або прострочений challenge токен",
+      });
+    }
+
+    const user = await userModel.getUserById(challenge.userId);
+    const twoFactor = user
+      ? await twoFactorModel.getUserTwoFactor(user.id)
+      : null;
+
+    if (!user || !user.is_active || !twoFactor || !twoFactor.is_enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Не авторизовано: вхід неможливо завершити",
+      });
+    }
+
+    const lockout = await loginProtection.checkLockout(user.username, clientIp);
+
+    if (lockout) {
+      res.set("Retry-After", String(lockout.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: "Забагато невдалих спроб входу. Спробуйте пізніше",
+        lockedUntil: lockout.lockedUntil,
+      });
+    }
+
+    const verification = await verifyTwoFactorCode(twoFactor, req.body.code);
+
+    if (!verification.valid) {
+      authLogger.logFailedLogin(
+        user.username,
+        "Невірний код 2FA",
+        clientIp,
+        userAgent
+      );
+
+      await loginProtection.registerFailedLogin({
+        username: user.username,
+        ip: clientIp,
+        userAgent,
+        reason: "Невірний код 2FA",
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: "Невірний код 2FA",
+      });
+    }
+
+    await loginProtection.registerSuccessfulLogin({
+      user,
+      ip: clientIp,
+      userAgent,
+    });
+
+    const { token, refreshToken } = await issueSessionTokens(user, req);
+
+    authLogger.logSuccessfulLogin(user.username, user.id, clientIp, userAgent);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      twoFactorMethod: verification.method,
+      recoveryCodesLeft: verification.remainingRecoveryCodes,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        role: user.web_role,
+        team_id: user.team_id,
+        department_id: user.department_id,
+      },
+    });
+  } catch (err) {
+    console.error("Помилка перевірки коду 2FA:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час перевірки коду 2FA",
+    });
+  }
+};
+
+/**
+ * Скидання 2FA користувача адміністратором (наприклад, при втраті пристрою)
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.resetUserTwoFactor = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID користувача має бути числом",
+      });
+    }
+
+    const removed = await twoFactorModel.disableTwoFactor(userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: "Двофакторну автентифікацію для користувача не підключено",
+      });
+    }
+
+    // Сесії, відкриті з попереднім другим фактором, більше не довірені
+    await sessionModel.revokeAllUserSessions(userId, "two_factor_reset");
+
+    res.json({
+      success: true,
+      message: "Двофакторну автентифікацію користувача скинуто",
+    });
+  } catch (err) {
+    console.error(`Помилка скидання 2FA користувача ${req.params.id}:`, err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час скидання 2FA",
+    });
+  }
+};
+
+/**
+ * Отримання політик обов'язковості 2FA для ролей
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getPolicies = async (req, res) => {
+  try {
+    const policies = await twoFactorModel.getRolePolicies();
+
+    res.json({
+      success: true,
+      data: policies,
+    });
+  } catch (err) {
+    console.error("Помилка отримання політик 2FA:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання політик 2FA",
+    });
+  }
+};
+
+/**
+ * Встановлення обов'язковості 2FA для ролі
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.updatePolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const policy = await twoFactorModel.setRolePolicy(
+      req.params.role,
+      req.body.is_required,
+      req.userId
+    );
+
+    res.json({
+      success: true,
+      data: policy,
+      message: "Політику 2FA оновлено",
+    });
+  } catch (err) {
+    console.error("Помилка оновлення політики 2FA:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час оновлення політики 2FA",
+    });
+  }
+};
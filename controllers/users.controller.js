@@ -1,6 +1,17 @@
 const userModel = require("../models/user.model");
 const teamModel = require("../models/team.model");
 const departmentModel = require("../models/department.model");
+const sessionModel = require("../models/session.model");
+const salaryModel = require("../models/salary.model");
+const offboardingModel = require("../models/offboarding.model");
+const membershipModel = require("../models/team.membership.model");
+const orgStructureModel = require("../models/org.structure.model");
+const authLogger = require("../utils/authLogger");
+const {
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+  buildImportPlan,
+} = require("../utils/userImport");
 const { validationResult } = require("express-validator");
 
 /**
@@ -228,21 +239,25 @@ exports.createUser = async (req, res) => {
     }
 
     // Створення користувача
-    const newUser = await userModel.createUser({
-      telegram_id,
-      username,
-      first_name,
-      last_name,
-      role,
-      team_id,
-      department_id,
-      table_id,
-      email,
-      position,
-      phone,
-      sub_id,
-      description,
-    });
+    const newUser = await userModel.createUser(
+      {
+        telegram_id,
+        username,
+        first_name,
+        last_name,
+        role,
+        team_id,
+        department_id,
+        table_id,
+        email,
+        position,
+        phone,
+        sub_id,
+        description,
+      },
+      undefined,
+      { changedBy: req.userId }
+    );
 
     res.status(201).json({
       success: true,
@@ -318,6 +333,7 @@ exports.updateUser = async (req, res) => {
         "phone",
         "sub_id",
         "description",
+        "manager_id",
       ];
     } else if (currentUserRole === "teamlead") {
       // Тімлід може оновлювати користувачів зі своєї команди
@@ -414,8 +430,111 @@ exports.updateUser = async (req, res) => {
       }
     }
 
+    // Керівник має існувати, а лінія підпорядкування не може бути циклічною
+    if (updateData.manager_id !== undefined && updateData.manager_id !== null) {
+      const managerId = parseInt(updateData.manager_id);
+      const manager = isNaN(managerId)
+        ? null
+        : await userModel.getUserById(managerId);
+
+      if (!manager || !manager.is_active) {
+        return res.status(400).json({
+          success: false,
+          message: "Керівник має бути активним користувачем",
+        });
+      }
+
+      if (await orgStructureModel.isInReportingSubtree(userId, managerId)) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Користувач не може підпорядковуватися собі або своєму підлеглому",
+        });
+      }
+
+      updateData.manager_id = managerId;
+    }
+
+    // Дата переходу в нову команду/відділ (адміністратор може вказати її заднім числом)
+    let membershipEffectiveFrom;
+    if (
+      currentUserRole === "admin" &&
+      req.body.team_effective_from !== undefined &&
+      (updateData.team_id !== undefined || updateData.department_id !== undefined)
+    ) {
+      membershipEffectiveFrom = req.body.team_effective_from;
+
+      if (
+        typeof membershipEffectiveFrom !== "string" ||
+        !/^\d{4}-\d{2}-\d{2}$/.test(membershipEffectiveFrom) ||
+        isNaN(new Date(membershipEffectiveFrom).getTime())
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Дата переходу має бути у форматі YYYY-MM-DD",
+        });
+      }
+
+      if (membershipEffectiveFrom > new Date().toISOString().split("T")[0]) {
+        return res.status(400).json({
+          success: false,
+          message: "Дата переходу не може бути в майбутньому",
+        });
+      }
+
+      // Закриті періоди історії не переписуються
+      const currentMembership = await membershipModel.getCurrentMembership(
+        userId
+      );
+      if (
+        currentMembership &&
+        membershipEffectiveFrom < currentMembership.valid_from_date
+      ) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Дата переходу не може бути раніше початку поточного періоду членства",
+        });
+      }
+    }
+
     // Оновлення користувача
-    const updatedUser = await userModel.updateUser(userId, updateData);
+    const updatedUser = await userModel.updateUser(userId, updateData, undefined, {
+      effectiveFrom: membershipEffectiveFrom,
+      changedBy: currentUserId,
+    });
+
+    // Деактивований користувач втрачає всі сесії
+    if (updateData.is_active === false) {
+      await sessionModel.revokeAllUserSessions(userId, "user_deactivated");
+    }
+
+    const clientIp = req.ip;
+    const userAgent = req.headers["user-agent"] || "Unknown";
+
+    if (updateData.role && updateData.role !== existingUser.role) {
+      authLogger.logRoleChange(
+        existingUser,
+        existingUser.role,
+        updateData.role,
+        currentUserId,
+        clientIp,
+        userAgent
+      );
+    }
+
+    if (
+      typeof updateData.is_active === "boolean" &&
+      updateData.is_active !== existingUser.is_active
+    ) {
+      authLogger.logUserStatusChange(
+        existingUser,
+        updateData.is_active,
+        currentUserId,
+        clientIp,
+        userAgent
+      );
+    }
 
     res.json({
       success: true,
@@ -467,6 +586,17 @@ exports.deactivateUser = async (req, res) => {
     // Деактивація користувача
     const result = await userModel.deactivateUser(userId);
 
+    // Відкликання всіх сесій користувача
+    await sessionModel.revokeAllUserSessions(userId, "user_deactivated");
+
+    authLogger.logUserStatusChange(
+      existingUser,
+      false,
+      req.user.id,
+      req.ip,
+      req.headers["user-agent"] || "Unknown"
+    );
+
     res.json({
       success: true,
       message: "Користувача успішно деактивовано",
@@ -512,6 +642,14 @@ exports.activateUser = async (req, res) => {
     // Активація користувача
     const result = await userModel.activateUser(userId);
 
+    authLogger.logUserStatusChange(
+      existingUser,
+      true,
+      req.user.id,
+      req.ip,
+      req.headers["user-agent"] || "Unknown"
+    );
+
     res.json({
       success: true,
       message: "Користувача успішно активовано",
@@ -572,6 +710,17 @@ exports.updateUserRole = async (req, res) => {
     // Зміна ролі користувача
     const result = await userModel.updateUserRole(userId, role);
 
+    if (existingUser.role !== role) {
+      authLogger.logRoleChange(
+        existingUser,
+        existingUser.role,
+        role,
+        req.user.id,
+        req.ip,
+        req.headers["user-agent"] || "Unknown"
+      );
+    }
+
     res.json({
       success: true,
       message: "Роль користувача успішно змінено",
@@ -585,3 +734,427 @@ exports.updateUserRole = async (req, res) => {
     });
   }
 };
+
+/**
+ * Масовий імпорт користувачів з XLSX/CSV
+ * Рядки зіставляються з існуючими користувачами за telegram_id: нові створюються, існуючі оновлюються.
+ * За замовчуванням працює в режимі dry run і лише повертає звіт; з dryRun=false всі зміни
+ * зберігаються в одній транзакції і тільки якщо у файлі немає помилок
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.importUsers = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Файл імпорту є обов'язковим (поле file, формат XLSX або CSV)",
+      });
+    }
+
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun ?? "true") !== "false";
+
+    let parsed;
+    try {
+      parsed = await parseImportFile(req.file.buffer, req.file.originalname);
+    } catch (parseError) {
+      console.error("Помилка розбору файлу імпорту:", parseError);
+      return res.status(400).json({
+        success: false,
+        message: "Не вдалося прочитати файл. Підтримуються формати XLSX та CSV",
+      });
+    }
+
+    const { rows, unknownColumns } = parsed;
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Файл не містить рядків з даними",
+      });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Файл містить забагато рядків (${rows.length}). Максимум: ${MAX_IMPORT_ROWS}`,
+      });
+    }
+
+    const telegramIds = rows
+      .map(({ values }) => values.telegram_id)
+      .filter((telegramId) => /^\d+$/.test(telegramId || ""));
+
+    const [teams, departments, existingUsers] = await Promise.all([
+      teamModel.getAllTeams(),
+      departmentModel.getAllDepartments(),
+      userModel.getUsersByTelegramIds(telegramIds),
+    ]);
+
+    const plan = buildImportPlan(rows, { teams, departments, existingUsers });
+
+    const summary = {
+      total: plan.length,
+      create: plan.filter((row) => row.action === "create").length,
+      update: plan.filter((row) => row.action === "update").length,
+      unchanged: plan.filter((row) => row.action === "unchanged").length,
+      errors: plan.filter((row) => row.action === "error").length,
+    };
+
+    const report = {
+      dryRun,
+      summary,
+      unknownColumns,
+      rows: plan.map(({ row, telegram_id, action, userId, changes, errors }) => ({
+        row,
+        telegram_id,
+        action,
+        userId,
+        changes,
+        errors,
+      })),
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        data: report,
+        message: "Перевірку файлу завершено. Зміни не збережено (dry run)",
+      });
+    }
+
+    if (summary.errors > 0) {
+      return res.status(400).json({
+        success: false,
+        data: report,
+        message: "Файл містить помилки. Жодних змін не збережено",
+      });
+    }
+
+    const creates = plan
+      .filter((row) => row.action === "create")
+      .map((row) => ({ ...row.data, telegram_id: row.telegram_id }));
+
+    const updates = plan
+      .filter((row) => row.action === "update")
+      .map((row) => ({
+        id: row.userId,
+        data: Object.fromEntries(
+          Object.keys(row.changes).map((field) => [field, row.data[field]])
+        ),
+      }));
+
+    let result;
+    try {
+      result = await userModel.importUsers(creates, updates, req.userId);
+    } catch (dbError) {
+      // Порушення унікальності (наприклад, username) - помилка даних, а не сервера
+      if (dbError.code === "23505") {
+        return res.status(409).json({
+          success: false,
+          data: report,
+          message: `Конфлікт унікальних даних: ${dbError.detail || dbError.message}. Жодних змін не збережено`,
+        });
+      }
+      throw dbError;
+    }
+
+    // Зміни ролей через імпорт фіксуються в журналі авторизації так само, як через API
+    const clientIp = req.ip;
+    const userAgent = req.headers["user-agent"] || "Unknown";
+
+    plan
+      .filter((row) => row.action === "update" && row.changes.role)
+      .forEach((row) => {
+        const user = result.updated.find((updated) => updated.id === row.userId);
+
+        authLogger.logRoleChange(
+          user,
+          row.changes.role.from,
+          row.changes.role.to,
+          req.user.id,
+          clientIp,
+          userAgent
+        );
+      });
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        created: result.created.length,
+        updated: result.updated.length,
+      },
+      message: `Імпорт завершено: створено ${result.created.length}, оновлено ${result.updated.length}`,
+    });
+  } catch (err) {
+    console.error("Помилка імпорту користувачів:", err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час імпорту користувачів",
+    });
+  }
+};
+
+/**
+ * Огляд офбордингу: все, чим володіє користувач і що потрібно передати наступникам
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getOffboardingOverview = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID користувача має бути числом",
+      });
+    }
+
+    const user = await userModel.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Користувача не знайдено",
+      });
+    }
+
+    const items = await offboardingModel.getOwnedItems(userId);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user.id,
+          username: user.username,
+          is_active: user.is_active,
+          team_id: user.team_id,
+        },
+        categories: Object.fromEntries(
+          Object.entries(offboardingModel.OFFBOARDING_CATEGORIES).map(
+            ([category, { canRelease }]) => [
+              category,
+              {
+                count: items[category].length,
+                canRelease,
+                items: items[category],
+              },
+            ]
+          )
+        ),
+      },
+    });
+  } catch (err) {
+    console.error(
+      `Помилка отримання даних офбордингу користувача ${req.params.id}:`,
+      err
+    );
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання даних офбордингу",
+    });
+  }
+};
+
+/**
+ * Офбординг користувача: передача володіння наступникам за категоріями
+ * та деактивація облікового запису в одній транзакції
+ * Body: { assignments: { категорія: ID наступника | null }, deactivate: true }
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.offboardUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const userId = parseInt(req.params.id);
+    const { assignments = {}, deactivate = true } = req.body;
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID користувача має бути числом",
+      });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "Ви не можете виконати офбординг власного облікового запису",
+      });
+    }
+
+    const user = await userModel.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Користувача не знайдено",
+      });
+    }
+
+    // Перевірка категорій та наступників
+    const normalizedAssignments = {};
+    const successors = new Map();
+
+    for (const [category, value] of Object.entries(assignments)) {
+      // Лише власні ключі: "constructor" чи "toString" не є категоріями
+      if (!Object.hasOwn(offboardingModel.OFFBOARDING_CATEGORIES, category)) {
+        return res.status(400).json({
+          success: false,
+          message: `Невідома категорія: ${category}`,
+        });
+      }
+
+      const categoryConfig = offboardingModel.OFFBOARDING_CATEGORIES[category];
+
+      if (value === null) {
+        if (!categoryConfig.canRelease) {
+          return res.status(400).json({
+            success: false,
+            message: `Для категорії ${category} потрібно вказати наступника`,
+          });
+        }
+        normalizedAssignments[category] = null;
+        continue;
+      }
+
+      const successorId = parseInt(value);
+
+      if (isNaN(successorId) || successorId === userId) {
+        return res.status(400).json({
+          success: false,
+          message: `Некоректний наступник для категорії ${category}`,
+        });
+      }
+
+      if (!successors.has(successorId)) {
+        successors.set(successorId, await userModel.getUserById(successorId));
+      }
+
+      const successor = successors.get(successorId);
+      if (!successor || !successor.is_active) {
+        return res.status(400).json({
+          success: false,
+          message: `Наступника ${successorId} для категорії ${category} не знайдено або він неактивний`,
+        });
+      }
+
+      normalizedAssignments[category] = successorId;
+    }
+
+    // Шаблон зарплати передається лише наступнику без власного активного шаблону
+    if (normalizedAssignments.salary_templates) {
+      const successorTemplate = await salaryModel.getSalaryTemplate(
+        normalizedAssignments.salary_templates
+      );
+
+      if (successorTemplate) {
+        return res.status(409).json({
+          success: false,
+          message: "Наступник вже має активний шаблон зарплати",
+        });
+      }
+    }
+
+    const { changes, remaining } = await offboardingModel.offboardUser(
+      userId,
+      normalizedAssignments,
+      { performedBy: req.user.id, deactivate: Boolean(deactivate) }
+    );
+
+    if (deactivate && user.is_active) {
+      await sessionModel.revokeAllUserSessions(userId, "user_deactivated");
+
+      authLogger.logUserStatusChange(
+        user,
+        false,
+        req.user.id,
+        req.ip,
+        req.headers["user-agent"] || "Unknown"
+      );
+    }
+
+    res.json({
+      success: true,
+      data: {
+        deactivated: Boolean(deactivate),
+        changes: Object.fromEntries(
+          Object.entries(changes).map(([category, { successorId, ids }]) => [
+            category,
+            { successor_id: successorId, count: ids.length, ids },
+          ])
+        ),
+        remaining: Object.fromEntries(
+          Object.entries(remaining).map(([category, items]) => [
+            category,
+            items.length,
+          ])
+        ),
+      },
+      message: "Офбординг користувача виконано",
+    });
+  } catch (err) {
+    console.error(`Помилка офбордингу користувача ${req.params.id}:`, err);
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час офбордингу користувача",
+    });
+  }
+};
+
+/**
+ * Отримання історії членства користувача в командах та відділах
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ */
+exports.getUserMemberships = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID користувача має бути числом",
+      });
+    }
+
+    const user = await userModel.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Користувача не знайдено",
+      });
+    }
+
+    // Тімлід бачить історію тільки користувачів своєї команди
+    if (req.user.role === "teamlead" && user.team_id !== req.user.teamId) {
+      return res.status(403).json({
+        success: false,
+        message: "Можна переглядати тільки користувачів зі своєї команди",
+      });
+    }
+
+    const memberships = await membershipModel.getUserMemberships(userId);
+
+    res.json({
+      success: true,
+      data: memberships,
+    });
+  } catch (err) {
+    console.error(
+      `Помилка отримання історії членства користувача ${req.params.id}:`,
+      err
+    );
+    res.status(500).json({
+      success: false,
+      message: "Помилка сервера під час отримання історії членства",
+    });
+  }
+};
@@ -0,0 +1,226 @@
+/**
+ * Запуск версійних міграцій бази даних
+ * Міграції - пари файлів db/migrations/<версія>_<назва>.up.sql / .down.sql,
+ * застосовані версії зберігаються в таблиці schema_migrations
+ *
+ * Використання:
+ *   node db/migrate.js [up]        - застосувати всі нові міграції
+ *   node db/migrate.js down [N]    - відкотити останні N міграцій (за замовчуванням 1)
+ *   node db/migrate.js status      - показати стан міграцій
+ */
+const fs = require("fs");
+const path = require("path");
+const db = require("../config/db");
+const { withTransaction } = require("../utils/db.utils");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Ключ advisory lock, щоб два процеси не запускали міграції одночасно
+const MIGRATION_LOCK_KEY = 72418301;
+
+/**
+ * Зчитує список міграцій з каталогу, відсортований за версією
+ * @returns {Array<Object>} Міграції { version, name, upFile, downFile }
+ */
+const loadMigrations = () => {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+    migration[direction === "up" ? "upFile" : "downFile"] = path.join(
+      MIGRATIONS_DIR,
+      file
+    );
+    migrations.set(version, migration);
+  }
+
+  const sorted = [...migrations.values()].sort(
+    (a, b) => Number(a.version) - Number(b.version)
+  );
+
+  for (const migration of sorted) {
+    if (!migration.upFile) {
+      throw new Error(
+        `Міграція ${migration.version}_${migration.name} не має .up.sql файлу`
+      );
+    }
+  }
+
+  return sorted;
+};
+
+/**
+ * Створює таблицю обліку міграцій, якщо її ще немає
+ * @param {Object} client - Клієнт бази даних
+ */
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+/**
+ * Отримує застосовані міграції
+ * @param {Object} client - Клієнт бази даних
+ * @returns {Promise<Array>} Записи schema_migrations за зростанням версії
+ */
+const getAppliedMigrations = async (client) => {
+  const result = await client.query(
+    "SELECT version, name, applied_at FROM schema_migrations ORDER BY version::bigint"
+  );
+  return result.rows;
+};
+
+/**
+ * Виконує дію з міграціями в транзакції під advisory lock
+ * @param {Function} callback - Функція, яка отримує клієнта та застосовані міграції
+ * @returns {Promise<any>} Результат виконання callback
+ */
+const withMigrationLock = (callback) =>
+  withTransaction(async (client) => {
+    await client.query("SELECT pg_advisory_xact_lock($1)", [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedMigrations(client);
+    return callback(client, applied);
+  });
+
+/**
+ * Застосовує всі нові міграції (кожна - в окремій транзакції)
+ * @returns {Promise<Array<string>>} Застосовані міграції
+ */
+const migrateUp = async () => {
+  const migrations = loadMigrations();
+  const applied = [];
+
+  for (const migration of migrations) {
+    const label = `${migration.version}_${migration.name}`;
+
+    const wasApplied = await withMigrationLock(async (client, done) => {
+      if (done.some((row) => row.version === migration.version)) {
+        return false;
+      }
+
+      await client.query(fs.readFileSync(migration.upFile, "utf8"));
+      await client.query(
+        "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+        [migration.version, migration.name]
+      );
+      return true;
+    });
+
+    if (wasApplied) {
+      console.log(`Застосовано міграцію ${label}`);
+      applied.push(label);
+    }
+  }
+
+  if (applied.length === 0) {
+    console.log("Нових міграцій немає, схема актуальна");
+  }
+
+  return applied;
+};
+
+/**
+ * Відкочує останні застосовані міграції
+ * @param {number} steps - Кількість міграцій для відкату
+ * @returns {Promise<Array<string>>} Відкочені міграції
+ */
+const migrateDown = async (steps = 1) => {
+  const migrations = loadMigrations();
+  const reverted = [];
+
+  for (let i = 0; i < steps; i++) {
+    const label = await withMigrationLock(async (client, done) => {
+      const last = done[done.length - 1];
+      if (!last) return null;
+
+      const migration = migrations.find((m) => m.version === last.version);
+      if (!migration || !migration.downFile) {
+        throw new Error(
+          `Для міграції ${last.version}_${last.name} немає .down.sql файлу`
+        );
+      }
+
+      await client.query(fs.readFileSync(migration.downFile, "utf8"));
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [
+        last.version,
+      ]);
+      return `${last.version}_${last.name}`;
+    });
+
+    if (!label) {
+      console.log("Немає застосованих міграцій для відкату");
+      break;
+    }
+
+    console.log(`Відкочено міграцію ${label}`);
+    reverted.push(label);
+  }
+
+  return reverted;
+};
+
+/**
+ * Виводить стан кожної міграції
+ */
+const printStatus = async () => {
+  const migrations = loadMigrations();
+  const applied = await withMigrationLock(async (client, done) => done);
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+
+  for (const migration of migrations) {
+    const row = appliedByVersion.get(migration.version);
+    const state = row
+      ? `застосовано ${row.applied_at.toISOString()}`
+      : "очікує";
+    console.log(`${migration.version}_${migration.name}: ${state}`);
+  }
+};
+
+const run = async () => {
+  const [command = "up", arg] = process.argv.slice(2);
+
+  switch (command) {
+    case "up":
+      await migrateUp();
+      break;
+    case "down": {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("Кількість міграцій для відкату має бути додатним числом");
+      }
+      await migrateDown(steps);
+      break;
+    }
+    case "status":
+      await printStatus();
+      break;
+    default:
+      throw new Error(`Невідома команда: ${command} (доступні: up, down, status)`);
+  }
+};
+
+if (require.main === module) {
+  run()
+    .catch((error) => {
+      console.error("Помилка виконання міграцій:", error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.pool.end());
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+};
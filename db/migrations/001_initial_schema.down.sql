@@ -0,0 +1,36 @@
+-- Видалення базової схеми (у зворотному порядку залежностей)
+
+DROP TABLE IF EXISTS investment_operations;
+DROP TABLE IF EXISTS telegram_broadcast_details;
+DROP TABLE IF EXISTS telegram_broadcasts;
+DROP TABLE IF EXISTS communication_contexts;
+DROP TABLE IF EXISTS communications;
+DROP TABLE IF EXISTS bizdev_requests;
+DROP TABLE IF EXISTS payout_request_allocations;
+DROP TABLE IF EXISTS partner_payments;
+DROP TABLE IF EXISTS partner_payout_flows;
+DROP TABLE IF EXISTS partner_payout_requests;
+DROP TABLE IF EXISTS salary_templates;
+DROP TABLE IF EXISTS salaries;
+DROP TABLE IF EXISTS expense_requests;
+DROP TABLE IF EXISTS agent_refill_requests;
+DROP TABLE IF EXISTS requests;
+DROP TABLE IF EXISTS flow_stats;
+DROP TABLE IF EXISTS flow_users;
+DROP TABLE IF EXISTS flows;
+DROP TABLE IF EXISTS offer_geos;
+DROP TABLE IF EXISTS offers;
+DROP TABLE IF EXISTS partner_traffic_sources;
+DROP TABLE IF EXISTS partner_payment_methods;
+DROP TABLE IF EXISTS partner_geos;
+DROP TABLE IF EXISTS partner_brands;
+DROP TABLE IF EXISTS partners;
+DROP TABLE IF EXISTS expense_types;
+DROP TABLE IF EXISTS agents;
+DROP TABLE IF EXISTS traffic_sources;
+DROP TABLE IF EXISTS payment_methods;
+DROP TABLE IF EXISTS brands;
+DROP TABLE IF EXISTS geos;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS teams;
+DROP TABLE IF EXISTS departments;
@@ -0,0 +1,520 @@
+-- Базова схема БД (стан production до появи наступних міграцій)
+-- Усі об'єкти створюються з IF NOT EXISTS, тому на існуючій production БД
+-- міграція нічого не змінює і лише фіксується як застосована
+
+-- Оргструктура та користувачі
+
+CREATE TABLE IF NOT EXISTS departments (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  type VARCHAR(50),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS teams (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  department_id INTEGER REFERENCES departments(id),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  telegram_id BIGINT UNIQUE,
+  username VARCHAR(255) UNIQUE,
+  email VARCHAR(255),
+  password VARCHAR(255),
+  first_name VARCHAR(255),
+  last_name VARCHAR(255),
+  role VARCHAR(50) NOT NULL DEFAULT 'user',
+  web_role VARCHAR(50) DEFAULT 'user',
+  team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+  department_id INTEGER REFERENCES departments(id) ON DELETE SET NULL,
+  table_id VARCHAR(255),
+  position VARCHAR(255),
+  phone VARCHAR(50),
+  sub_id VARCHAR(255),
+  description TEXT,
+  salary_wallet_address VARCHAR(255),
+  salary_network VARCHAR(50),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_team_id ON users (team_id);
+CREATE INDEX IF NOT EXISTS idx_users_department_id ON users (department_id);
+
+-- Довідники
+
+CREATE TABLE IF NOT EXISTS geos (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  country_code VARCHAR(10),
+  region VARCHAR(100),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS brands (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS payment_methods (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS traffic_sources (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS agents (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  fee NUMERIC(10, 2) DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS expense_types (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  department_id INTEGER REFERENCES departments(id) ON DELETE SET NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Партнери та оффери
+
+CREATE TABLE IF NOT EXISTS partners (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  type VARCHAR(50),
+  contact_telegram VARCHAR(255),
+  contact_email VARCHAR(255),
+  partner_link TEXT,
+  has_integration BOOLEAN DEFAULT false,
+  postback_type VARCHAR(50),
+  telegram_chat_link TEXT,
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS partner_brands (
+  partner_id INTEGER NOT NULL REFERENCES partners(id) ON DELETE CASCADE,
+  brand_id INTEGER NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  PRIMARY KEY (partner_id, brand_id)
+);
+
+CREATE TABLE IF NOT EXISTS partner_geos (
+  partner_id INTEGER NOT NULL REFERENCES partners(id) ON DELETE CASCADE,
+  geo_id INTEGER NOT NULL REFERENCES geos(id) ON DELETE CASCADE,
+  PRIMARY KEY (partner_id, geo_id)
+);
+
+CREATE TABLE IF NOT EXISTS partner_payment_methods (
+  partner_id INTEGER NOT NULL REFERENCES partners(id) ON DELETE CASCADE,
+  payment_method_id INTEGER NOT NULL REFERENCES payment_methods(id) ON DELETE CASCADE,
+  PRIMARY KEY (partner_id, payment_method_id)
+);
+
+CREATE TABLE IF NOT EXISTS partner_traffic_sources (
+  partner_id INTEGER NOT NULL REFERENCES partners(id) ON DELETE CASCADE,
+  traffic_source_id INTEGER NOT NULL REFERENCES traffic_sources(id) ON DELETE CASCADE,
+  PRIMARY KEY (partner_id, traffic_source_id)
+);
+
+CREATE TABLE IF NOT EXISTS offers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  partner_id INTEGER NOT NULL REFERENCES partners(id),
+  brand_id INTEGER REFERENCES brands(id),
+  conditions TEXT,
+  kpi TEXT,
+  description TEXT,
+  is_active BOOLEAN DEFAULT true,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_offers_partner_id ON offers (partner_id);
+
+CREATE TABLE IF NOT EXISTS offer_geos (
+  offer_id INTEGER NOT NULL REFERENCES offers(id) ON DELETE CASCADE,
+  geo_id INTEGER NOT NULL REFERENCES geos(id) ON DELETE CASCADE,
+  PRIMARY KEY (offer_id, geo_id)
+);
+
+-- Потоки та статистика
+
+CREATE TABLE IF NOT EXISTS flows (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  offer_id INTEGER NOT NULL REFERENCES offers(id),
+  geo_id INTEGER REFERENCES geos(id),
+  team_id INTEGER REFERENCES teams(id),
+  flow_type VARCHAR(20) DEFAULT 'cpa',
+  kpi_metric VARCHAR(10),
+  kpi_target_value NUMERIC(12, 2),
+  spend_percentage_ranges JSONB,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft',
+  cpa NUMERIC(12, 2) DEFAULT 0,
+  currency VARCHAR(3) DEFAULT 'USD',
+  is_active BOOLEAN DEFAULT true,
+  start_date DATE,
+  stop_date DATE,
+  conditions TEXT,
+  description TEXT,
+  notes TEXT,
+  cap TEXT,
+  kpi TEXT,
+  landings TEXT,
+  integration_status VARCHAR(20) DEFAULT 'to_do',
+  integration_tasks JSONB,
+  ready_at TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_flows_offer_id ON flows (offer_id);
+CREATE INDEX IF NOT EXISTS idx_flows_team_id ON flows (team_id);
+
+CREATE TABLE IF NOT EXISTS flow_users (
+  id SERIAL PRIMARY KEY,
+  flow_id INTEGER NOT NULL REFERENCES flows(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  notes TEXT,
+  joined_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (flow_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_flow_users_user_id ON flow_users (user_id);
+
+CREATE TABLE IF NOT EXISTS flow_stats (
+  id SERIAL PRIMARY KEY,
+  flow_id INTEGER NOT NULL REFERENCES flows(id),
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  day INTEGER NOT NULL,
+  month INTEGER NOT NULL,
+  year INTEGER NOT NULL,
+  spend NUMERIC(14, 2) DEFAULT 0,
+  installs INTEGER DEFAULT 0,
+  regs INTEGER DEFAULT 0,
+  deps INTEGER DEFAULT 0,
+  verified_deps INTEGER DEFAULT 0,
+  cpa NUMERIC(12, 2) DEFAULT 0,
+  deposit_amount NUMERIC(14, 2) DEFAULT 0,
+  redep_count INTEGER DEFAULT 0,
+  unique_redep_count INTEGER DEFAULT 0,
+  notes TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (flow_id, user_id, day, month, year)
+);
+
+CREATE INDEX IF NOT EXISTS idx_flow_stats_date ON flow_stats (year, month, day);
+CREATE INDEX IF NOT EXISTS idx_flow_stats_user_id ON flow_stats (user_id);
+
+-- Заявки на фінансування (агентські поповнення та витрати)
+
+CREATE TABLE IF NOT EXISTS requests (
+  id SERIAL PRIMARY KEY,
+  request_type VARCHAR(30) NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+  department_id INTEGER REFERENCES departments(id) ON DELETE SET NULL,
+  status VARCHAR(30) NOT NULL DEFAULT 'pending',
+  teamlead_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  finance_manager_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_requests_user_id ON requests (user_id);
+CREATE INDEX IF NOT EXISTS idx_requests_created_at ON requests (created_at);
+
+CREATE TABLE IF NOT EXISTS agent_refill_requests (
+  id SERIAL PRIMARY KEY,
+  request_id INTEGER NOT NULL UNIQUE REFERENCES requests(id) ON DELETE CASCADE,
+  agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL,
+  amount NUMERIC(14, 2) DEFAULT 0,
+  server VARCHAR(255),
+  wallet_address VARCHAR(255),
+  network VARCHAR(50),
+  token VARCHAR(20),
+  transaction_hash VARCHAR(255),
+  comment TEXT,
+  fee NUMERIC(10, 2),
+  fee_amount NUMERIC(14, 2),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS expense_requests (
+  id SERIAL PRIMARY KEY,
+  request_id INTEGER NOT NULL UNIQUE REFERENCES requests(id) ON DELETE CASCADE,
+  expense_type_id INTEGER REFERENCES expense_types(id) ON DELETE SET NULL,
+  purpose TEXT,
+  seller_service VARCHAR(255),
+  amount NUMERIC(14, 2) DEFAULT 0,
+  network VARCHAR(50),
+  token VARCHAR(20),
+  wallet_address VARCHAR(255),
+  need_transaction_time BOOLEAN DEFAULT false,
+  transaction_time VARCHAR(100),
+  need_transaction_hash BOOLEAN DEFAULT false,
+  transaction_hash VARCHAR(255),
+  comment TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Зарплати
+
+CREATE TABLE IF NOT EXISTS salaries (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  amount NUMERIC(14, 2) NOT NULL,
+  month INTEGER NOT NULL,
+  year INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  description TEXT,
+  appeal TEXT,
+  approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP,
+  paid_at TIMESTAMP,
+  payment_transaction_hash VARCHAR(255),
+  payment_network VARCHAR(50),
+  payment_address VARCHAR(255),
+  finance_manager_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT salaries_user_id_month_year_key UNIQUE (user_id, month, year)
+);
+
+CREATE TABLE IF NOT EXISTS salary_templates (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  base_amount NUMERIC(14, 2) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Виплати партнерів
+
+CREATE TABLE IF NOT EXISTS partner_payout_requests (
+  id SERIAL PRIMARY KEY,
+  partner_id INTEGER NOT NULL REFERENCES partners(id),
+  team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  total_amount NUMERIC(14, 2) DEFAULT 0,
+  currency VARCHAR(3) DEFAULT 'USD',
+  status VARCHAR(20) NOT NULL DEFAULT 'draft',
+  description TEXT,
+  notes TEXT,
+  wallet_address VARCHAR(255),
+  network VARCHAR(50),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_partner_payout_requests_partner_id ON partner_payout_requests (partner_id);
+
+CREATE TABLE IF NOT EXISTS partner_payout_flows (
+  id SERIAL PRIMARY KEY,
+  payout_request_id INTEGER NOT NULL REFERENCES partner_payout_requests(id) ON DELETE CASCADE,
+  flow_id INTEGER NOT NULL REFERENCES flows(id),
+  flow_amount NUMERIC(14, 2) DEFAULT 0,
+  conversion_count INTEGER DEFAULT 0,
+  notes TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_partner_payout_flows_flow_id ON partner_payout_flows (flow_id);
+
+CREATE TABLE IF NOT EXISTS partner_payments (
+  id SERIAL PRIMARY KEY,
+  payout_request_id INTEGER NOT NULL REFERENCES partner_payout_requests(id) ON DELETE CASCADE,
+  amount NUMERIC(14, 2) NOT NULL,
+  currency VARCHAR(3) DEFAULT 'USD',
+  status VARCHAR(20) DEFAULT 'pending',
+  transaction_hash VARCHAR(255),
+  network VARCHAR(50),
+  wallet_address VARCHAR(255),
+  notes TEXT,
+  failure_reason TEXT,
+  block_number BIGINT,
+  gas_used BIGINT,
+  gas_price NUMERIC(30, 0),
+  payment_date TIMESTAMP,
+  confirmation_date TIMESTAMP,
+  processed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS payout_request_allocations (
+  id SERIAL PRIMARY KEY,
+  payout_request_id INTEGER NOT NULL REFERENCES partner_payout_requests(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  flow_id INTEGER REFERENCES flows(id) ON DELETE SET NULL,
+  allocated_amount NUMERIC(14, 2) NOT NULL,
+  percentage NUMERIC(5, 2),
+  currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+  status VARCHAR(20) NOT NULL DEFAULT 'draft',
+  description TEXT,
+  notes TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_request_allocations_request_id ON payout_request_allocations (payout_request_id);
+CREATE INDEX IF NOT EXISTS idx_payout_request_allocations_user_id ON payout_request_allocations (user_id);
+
+-- BizDev запити та комунікації
+
+CREATE TABLE IF NOT EXISTS bizdev_requests (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  type VARCHAR(20) NOT NULL,
+  priority VARCHAR(20) NOT NULL DEFAULT 'medium',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  deadline TIMESTAMP,
+  tags TEXT[] DEFAULT '{}',
+  attachments JSONB,
+  metadata JSONB,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS communications (
+  id SERIAL PRIMARY KEY,
+  sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  recipient_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  message_type VARCHAR(20) NOT NULL DEFAULT 'message',
+  subject VARCHAR(255),
+  message TEXT NOT NULL,
+  attachments JSONB,
+  metadata JSONB,
+  priority VARCHAR(20) NOT NULL DEFAULT 'normal',
+  is_urgent BOOLEAN NOT NULL DEFAULT false,
+  is_internal BOOLEAN NOT NULL DEFAULT false,
+  is_read BOOLEAN NOT NULL DEFAULT false,
+  read_at TIMESTAMP,
+  is_edited BOOLEAN NOT NULL DEFAULT false,
+  edited_at TIMESTAMP,
+  edited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS communication_contexts (
+  id SERIAL PRIMARY KEY,
+  communication_id INTEGER NOT NULL REFERENCES communications(id) ON DELETE CASCADE,
+  context_type VARCHAR(30) NOT NULL,
+  context_id INTEGER NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_communication_contexts_context
+  ON communication_contexts (context_type, context_id);
+
+-- Telegram розсилки
+
+CREATE TABLE IF NOT EXISTS telegram_broadcasts (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(255),
+  message TEXT NOT NULL,
+  sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  target_type VARCHAR(30) NOT NULL,
+  target_departments INTEGER[],
+  target_teams INTEGER[],
+  target_users INTEGER[],
+  total_recipients INTEGER NOT NULL DEFAULT 0,
+  successful_sends INTEGER NOT NULL DEFAULT 0,
+  failed_sends INTEGER NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS telegram_broadcast_details (
+  id SERIAL PRIMARY KEY,
+  broadcast_id INTEGER NOT NULL REFERENCES telegram_broadcasts(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  error_message TEXT,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_telegram_broadcast_details_broadcast_id
+  ON telegram_broadcast_details (broadcast_id, status);
+
+-- Інвестиційні операції
+
+CREATE TABLE IF NOT EXISTS investment_operations (
+  id SERIAL PRIMARY KEY,
+  operation_date DATE NOT NULL,
+  amount NUMERIC(18, 2) NOT NULL,
+  operation_type VARCHAR(20) NOT NULL,
+  operator VARCHAR(50) NOT NULL,
+  network VARCHAR(50),
+  token VARCHAR(20),
+  wallet_address VARCHAR(255),
+  transaction_hash VARCHAR(255),
+  additional_fees NUMERIC(18, 2) DEFAULT 0,
+  notes TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,21 @@
+-- Сесії користувачів з refresh токенами (ротація та відкликання на сервері)
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(128) NOT NULL,
+  previous_refresh_token_hash VARCHAR(128),
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(64)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_sessions_refresh_token_hash
+  ON user_sessions (refresh_token_hash);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_refresh_token_hash
+  ON user_sessions (previous_refresh_token_hash);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions (user_id);
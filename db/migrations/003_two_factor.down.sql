@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS two_factor_role_policies;
+DROP TABLE IF EXISTS user_two_factor;
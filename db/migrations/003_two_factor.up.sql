@@ -0,0 +1,20 @@
+-- Двофакторна автентифікація (TOTP) та політики обов'язкової 2FA за ролями
+
+CREATE TABLE IF NOT EXISTS user_two_factor (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  is_enabled BOOLEAN NOT NULL DEFAULT false,
+  recovery_codes TEXT[] NOT NULL DEFAULT '{}',
+  last_used_step BIGINT,
+  enabled_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS two_factor_role_policies (
+  role VARCHAR(50) PRIMARY KEY,
+  is_required BOOLEAN NOT NULL DEFAULT false,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,33 @@
+-- Журнал спроб входу та прогресивне блокування за ім'ям користувача і IP
+
+CREATE TABLE IF NOT EXISTS auth_login_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  username VARCHAR(255),
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  success BOOLEAN NOT NULL,
+  reason VARCHAR(64),
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_login_attempts_created_at
+  ON auth_login_attempts (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS auth_lockouts (
+  id SERIAL PRIMARY KEY,
+  scope_type VARCHAR(20) NOT NULL,
+  scope_value VARCHAR(255) NOT NULL,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  window_started_at TIMESTAMP,
+  lockout_level INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMP,
+  last_failed_at TIMESTAMP,
+  unlocked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  unlocked_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (scope_type, scope_value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_lockouts_locked_until ON auth_lockouts (locked_until);
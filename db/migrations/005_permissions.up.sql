@@ -0,0 +1,26 @@
+-- Дозволи (каталог синхронізується з config/permissions.js під час старту сервера),
+-- їх зв'язки з ролями та персональні перевизначення
+
+CREATE TABLE IF NOT EXISTS permissions (
+  key VARCHAR(100) PRIMARY KEY,
+  description TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role VARCHAR(50) NOT NULL,
+  permission_key VARCHAR(100) NOT NULL REFERENCES permissions(key) ON DELETE CASCADE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (role, permission_key)
+);
+
+CREATE TABLE IF NOT EXISTS user_permission_overrides (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  permission_key VARCHAR(100) NOT NULL REFERENCES permissions(key) ON DELETE CASCADE,
+  is_granted BOOLEAN NOT NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, permission_key)
+);
@@ -0,0 +1,19 @@
+-- API ключі сервісних інтеграцій
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  key_prefix VARCHAR(32) NOT NULL,
+  key_hash VARCHAR(128) NOT NULL UNIQUE,
+  permissions TEXT[] NOT NULL DEFAULT '{}',
+  allowed_ips TEXT[],
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(64),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,15 @@
+-- Одноразові коди відновлення пароля через Telegram
+
+CREATE TABLE IF NOT EXISTS password_reset_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(128) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  ip_address VARCHAR(64),
+  expires_at TIMESTAMP NOT NULL,
+  consumed_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_codes_user_id
+  ON password_reset_codes (user_id, created_at DESC);
@@ -0,0 +1,18 @@
+-- Журнал подій авторизації
+
+CREATE TABLE IF NOT EXISTS auth_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  event_type VARCHAR(64) NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  username VARCHAR(255),
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  details TEXT,
+  metadata JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_audit_log_created_at ON auth_audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auth_audit_log_user_id ON auth_audit_log (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auth_audit_log_event_type ON auth_audit_log (event_type, created_at DESC);
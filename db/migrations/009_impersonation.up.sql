@@ -0,0 +1,30 @@
+-- Імперсонація користувачів адміністратором (тільки читання) та журнал її запитів
+
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+  id SERIAL PRIMARY KEY,
+  admin_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  ended_at TIMESTAMP,
+  ended_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_started_at
+  ON impersonation_sessions (started_at DESC);
+
+CREATE TABLE IF NOT EXISTS impersonation_request_log (
+  id BIGSERIAL PRIMARY KEY,
+  impersonation_id INTEGER NOT NULL REFERENCES impersonation_sessions(id) ON DELETE CASCADE,
+  method VARCHAR(10) NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_request_log_impersonation_id
+  ON impersonation_request_log (impersonation_id, created_at DESC);
@@ -0,0 +1,27 @@
+-- Історія членства користувачів у командах і відділах
+
+-- Період [valid_from, valid_to), відкритий період має valid_to = NULL
+CREATE TABLE IF NOT EXISTS user_team_memberships (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+  department_id INTEGER REFERENCES departments(id) ON DELETE SET NULL,
+  valid_from DATE NOT NULL DEFAULT CURRENT_DATE,
+  valid_to DATE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_team_memberships_user_id
+  ON user_team_memberships (user_id, valid_from);
+CREATE INDEX IF NOT EXISTS idx_user_team_memberships_team_id
+  ON user_team_memberships (team_id, valid_from);
+
+-- Поточна команда/відділ існуючих користувачів стає першим (відкритим) періодом історії
+INSERT INTO user_team_memberships (user_id, team_id, department_id, valid_from)
+SELECT u.id, u.team_id, u.department_id, u.created_at::date
+FROM users u
+WHERE (u.team_id IS NOT NULL OR u.department_id IS NOT NULL)
+  AND NOT EXISTS (
+    SELECT 1 FROM user_team_memberships m WHERE m.user_id = u.id
+  );
@@ -0,0 +1,5 @@
+ALTER TABLE users DROP COLUMN IF EXISTS manager_id;
+ALTER TABLE teams DROP COLUMN IF EXISTS lead_user_id;
+ALTER TABLE departments
+  DROP COLUMN IF EXISTS head_user_id,
+  DROP COLUMN IF EXISTS parent_id;
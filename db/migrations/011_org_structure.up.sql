@@ -0,0 +1,15 @@
+-- Оргструктура: вкладені відділи, керівники відділів і тімліди команд,
+-- лінії підпорядкування
+
+ALTER TABLE departments
+  ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES departments(id),
+  ADD COLUMN IF NOT EXISTS head_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE teams
+  ADD COLUMN IF NOT EXISTS lead_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS manager_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_departments_parent_id ON departments (parent_id);
+CREATE INDEX IF NOT EXISTS idx_users_manager_id ON users (manager_id);
@@ -0,0 +1,21 @@
+DO $$
+DECLARE
+  audited_table TEXT;
+BEGIN
+  FOREACH audited_table IN ARRAY ARRAY[
+    'partners',
+    'offers',
+    'flows',
+    'salaries',
+    'requests',
+    'partner_payout_requests',
+    'payout_request_allocations'
+  ]
+  LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', 'audit_' || audited_table, audited_table);
+  END LOOP;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS audit_entity_change();
+DROP TABLE IF EXISTS entity_audit_log;
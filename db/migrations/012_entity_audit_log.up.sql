@@ -0,0 +1,112 @@
+-- Журнал змін бізнес-сутностей (історія змін партнерів, офферів, потоків,
+-- зарплат, заявок, заявок на виплату та алокацій)
+-- Автора змін API передає через налаштування app.actor_id / app.actor_label
+-- (див. config/db.js), для змін поза API використовуються updated_by / created_by рядка
+
+CREATE TABLE IF NOT EXISTS entity_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  entity_type VARCHAR(64) NOT NULL,
+  entity_id BIGINT NOT NULL,
+  action VARCHAR(10) NOT NULL,
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  actor_label VARCHAR(255),
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+  old_data JSONB,
+  new_data JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_entity_audit_log_entity
+  ON entity_audit_log (entity_type, entity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_entity_audit_log_actor
+  ON entity_audit_log (actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_entity_audit_log_created_at
+  ON entity_audit_log (created_at DESC);
+
+CREATE OR REPLACE FUNCTION audit_entity_change() RETURNS TRIGGER AS $$
+DECLARE
+  old_row JSONB;
+  new_row JSONB;
+  row_data JSONB;
+  diff JSONB := '{}'::jsonb;
+  field TEXT;
+  actor_setting TEXT;
+  actor INTEGER;
+  label TEXT;
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    old_row := to_jsonb(OLD);
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    new_row := to_jsonb(NEW);
+  END IF;
+  row_data := COALESCE(new_row, old_row);
+
+  -- Різниця {поле: {from, to}}; updated_at не вважається зміною
+  FOR field IN
+    SELECT key FROM jsonb_object_keys(COALESCE(new_row, '{}'::jsonb)) AS key
+    UNION
+    SELECT key FROM jsonb_object_keys(COALESCE(old_row, '{}'::jsonb)) AS key
+  LOOP
+    IF field <> 'updated_at'
+       AND (old_row -> field) IS DISTINCT FROM (new_row -> field) THEN
+      diff := diff || jsonb_build_object(
+        field,
+        jsonb_build_object('from', old_row -> field, 'to', new_row -> field)
+      );
+    END IF;
+  END LOOP;
+
+  IF TG_OP = 'UPDATE' AND diff = '{}'::jsonb THEN
+    RETURN NULL;
+  END IF;
+
+  actor_setting := NULLIF(current_setting('app.actor_id', true), '');
+  label := NULLIF(current_setting('app.actor_label', true), '');
+
+  IF actor_setting IS NOT NULL THEN
+    actor := actor_setting::INTEGER;
+  ELSIF label IS NULL THEN
+    actor := COALESCE(
+      (row_data ->> 'updated_by')::INTEGER,
+      (row_data ->> 'created_by')::INTEGER
+    );
+  END IF;
+
+  INSERT INTO entity_audit_log (
+    entity_type, entity_id, action, actor_id, actor_label,
+    changes, old_data, new_data
+  )
+  VALUES (
+    TG_TABLE_NAME, (row_data ->> 'id')::BIGINT, TG_OP, actor, label,
+    diff, old_row, new_row
+  );
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+DECLARE
+  audited_table TEXT;
+BEGIN
+  FOREACH audited_table IN ARRAY ARRAY[
+    'partners',
+    'offers',
+    'flows',
+    'salaries',
+    'requests',
+    'partner_payout_requests',
+    'payout_request_allocations'
+  ]
+  LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', 'audit_' || audited_table, audited_table);
+    EXECUTE format(
+      'CREATE TRIGGER %I AFTER INSERT OR UPDATE OR DELETE ON %I
+       FOR EACH ROW EXECUTE FUNCTION audit_entity_change()',
+      'audit_' || audited_table,
+      audited_table
+    );
+  END LOOP;
+END;
+$$;
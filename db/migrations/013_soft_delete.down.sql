@@ -0,0 +1,28 @@
+-- Зарплати з кошика видаляються остаточно, щоб повернути унікальність (user_id, month, year);
+-- решта записів з кошика після відкату знову стають активними
+DELETE FROM salaries WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_salaries_user_month_year_active;
+ALTER TABLE salaries
+  ADD CONSTRAINT salaries_user_id_month_year_key UNIQUE (user_id, month, year);
+
+DO $$
+DECLARE
+  trash_table TEXT;
+BEGIN
+  FOREACH trash_table IN ARRAY ARRAY[
+    'partners',
+    'offers',
+    'flows',
+    'requests',
+    'salaries',
+    'partner_payout_requests',
+    'payout_request_allocations'
+  ]
+  LOOP
+    EXECUTE format('DROP INDEX IF EXISTS %I', 'idx_' || trash_table || '_deleted_at');
+    EXECUTE format('ALTER TABLE %I DROP COLUMN IF EXISTS deleted_by', trash_table);
+    EXECUTE format('ALTER TABLE %I DROP COLUMN IF EXISTS deleted_at', trash_table);
+  END LOOP;
+END;
+$$;
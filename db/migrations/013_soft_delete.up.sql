@@ -0,0 +1,36 @@
+-- М'яке видалення бізнес-сутностей: записи потрапляють у кошик (deleted_at / deleted_by)
+-- і можуть бути відновлені або остаточно видалені
+
+DO $$
+DECLARE
+  trash_table TEXT;
+BEGIN
+  FOREACH trash_table IN ARRAY ARRAY[
+    'partners',
+    'offers',
+    'flows',
+    'requests',
+    'salaries',
+    'partner_payout_requests',
+    'payout_request_allocations'
+  ]
+  LOOP
+    EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP', trash_table);
+    EXECUTE format(
+      'ALTER TABLE %I ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL',
+      trash_table
+    );
+    EXECUTE format(
+      'CREATE INDEX IF NOT EXISTS %I ON %I (deleted_at) WHERE deleted_at IS NOT NULL',
+      'idx_' || trash_table || '_deleted_at',
+      trash_table
+    );
+  END LOOP;
+END;
+$$;
+
+-- Зарплата видалена в кошик не блокує створення нової за той самий місяць
+ALTER TABLE salaries DROP CONSTRAINT IF EXISTS salaries_user_id_month_year_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_salaries_user_month_year_active
+  ON salaries (user_id, month, year)
+  WHERE deleted_at IS NULL;
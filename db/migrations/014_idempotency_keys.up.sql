@@ -0,0 +1,20 @@
+-- Ключі ідемпотентності для POST запитів, що рухають гроші (заголовок Idempotency-Key):
+-- перша відповідь зберігається і повертається при повторних викликах з тим самим ключем
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id BIGSERIAL PRIMARY KEY,
+  owner VARCHAR(64) NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  method VARCHAR(10) NOT NULL,
+  path TEXT NOT NULL,
+  request_hash VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  UNIQUE (owner, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys (expires_at);
@@ -0,0 +1,12 @@
+-- Лічильники обмеження частоти запитів для сховища RATE_LIMIT_STORE=postgres
+-- (спільні для кількох інстансів API); одне вікно - один рядок
+
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key VARCHAR(255) NOT NULL,
+  window_start BIGINT NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  PRIMARY KEY (key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_expires_at ON rate_limit_counters (expires_at);
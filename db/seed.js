@@ -0,0 +1,139 @@
+/**
+ * Початкові дані для локальної бази: довідники (гео, бренди, методи оплати,
+ * джерела трафіку), каталог дозволів та адміністратор
+ * Скрипт ідемпотентний - існуючі записи (за назвою / username) не змінюються
+ *
+ * Використання: node db/seed.js (після node db/migrate.js)
+ * Дані адміністратора беруться з SEED_ADMIN_USERNAME, SEED_ADMIN_PASSWORD,
+ * SEED_ADMIN_EMAIL та SEED_ADMIN_TELEGRAM_ID
+ */
+const bcrypt = require("bcryptjs");
+const db = require("../config/db");
+const { withTransaction } = require("../utils/db.utils");
+const { PERMISSIONS, SUPER_ROLE } = require("../config/permissions");
+const permissionModel = require("../models/permission.model");
+
+const GEOS = [
+  { name: "Україна", country_code: "UA", region: "Europe" },
+  { name: "Польща", country_code: "PL", region: "Europe" },
+  { name: "Німеччина", country_code: "DE", region: "Europe" },
+  { name: "Казахстан", country_code: "KZ", region: "Asia" },
+  { name: "Бразилія", country_code: "BR", region: "LATAM" },
+  { name: "Індія", country_code: "IN", region: "Asia" },
+  { name: "Канада", country_code: "CA", region: "North America" },
+];
+
+const BRANDS = [
+  { name: "Test Brand", description: "Тестовий бренд для локальної розробки" },
+];
+
+const PAYMENT_METHODS = [
+  { name: "USDT TRC20", description: "Tether у мережі Tron" },
+  { name: "USDT ERC20", description: "Tether у мережі Ethereum" },
+  { name: "Bank Transfer", description: "Банківський переказ" },
+  { name: "Capitalist", description: "Платіжна система Capitalist" },
+];
+
+const TRAFFIC_SOURCES = [
+  { name: "Facebook", description: "Facebook Ads" },
+  { name: "Google", description: "Google Ads" },
+  { name: "TikTok", description: "TikTok Ads" },
+  { name: "SEO", description: "Органічний трафік" },
+];
+
+/**
+ * Додає записи довідника, яких ще немає (за назвою)
+ * @param {Object} client - Клієнт бази даних
+ * @param {string} table - Назва таблиці довідника
+ * @param {Array<Object>} rows - Записи з однаковим набором полів
+ * @returns {Promise<number>} Кількість доданих записів
+ */
+const seedReference = async (client, table, rows) => {
+  let inserted = 0;
+
+  for (const row of rows) {
+    const fields = Object.keys(row);
+    // Явний тип для name: інакше PostgreSQL виводить для одного параметра
+    // varchar (колонка INSERT) і text (порівняння) та відхиляє запит
+    const placeholders = fields.map((field, index) =>
+      field === "name" ? `$${index + 1}::varchar` : `$${index + 1}`
+    );
+    const nameParam = placeholders[fields.indexOf("name")];
+
+    const result = await client.query(
+      `INSERT INTO ${table} (${fields.join(", ")})
+       SELECT ${placeholders.join(", ")}
+       WHERE NOT EXISTS (SELECT 1 FROM ${table} WHERE name = ${nameParam})`,
+      Object.values(row)
+    );
+    inserted += result.rowCount;
+  }
+
+  return inserted;
+};
+
+/**
+ * Створює адміністратора, якщо користувача з таким username ще немає
+ * @param {Object} client - Клієнт бази даних
+ * @returns {Promise<boolean>} Чи було створено користувача
+ */
+const seedAdmin = async (client) => {
+  const username = process.env.SEED_ADMIN_USERNAME || "admin";
+  const password = process.env.SEED_ADMIN_PASSWORD;
+
+  if (!password) {
+    console.warn(
+      "SEED_ADMIN_PASSWORD не задано - адміністратора не створено"
+    );
+    return false;
+  }
+
+  const existing = await client.query(
+    "SELECT id FROM users WHERE username = $1",
+    [username]
+  );
+  if (existing.rows.length > 0) return false;
+
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  await client.query(
+    `INSERT INTO users (
+       username, password, email, telegram_id, first_name, role, web_role
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $6)`,
+    [
+      username,
+      hashedPassword,
+      process.env.SEED_ADMIN_EMAIL || null,
+      process.env.SEED_ADMIN_TELEGRAM_ID || null,
+      "Administrator",
+      SUPER_ROLE,
+    ]
+  );
+  return true;
+};
+
+const run = async () => {
+  const counts = await withTransaction(async (client) => ({
+    geos: await seedReference(client, "geos", GEOS),
+    brands: await seedReference(client, "brands", BRANDS),
+    payment_methods: await seedReference(client, "payment_methods", PAYMENT_METHODS),
+    traffic_sources: await seedReference(client, "traffic_sources", TRAFFIC_SOURCES),
+    admin: await seedAdmin(client),
+  }));
+
+  const newPermissions = await permissionModel.syncPermissionCatalog(PERMISSIONS);
+
+  console.log("Початкові дані додано:", {
+    ...counts,
+    permissions: newPermissions.length,
+  });
+};
+
+run()
+  .catch((error) => {
+    console.error("Помилка заповнення бази даних:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
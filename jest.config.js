@@ -0,0 +1,14 @@
+/**
+ * Конфігурація Jest для інтеграційних тестів
+ * Перед запуском тестів піднімається тимчасовий PostgreSQL з усіма міграціями
+ * (tests/setup/globalSetup.js), після - зупиняється та видаляється
+ */
+module.exports = {
+  testEnvironment: "node",
+  testMatch: ["<rootDir>/tests/**/*.test.js"],
+  globalSetup: "<rootDir>/tests/setup/globalSetup.js",
+  globalTeardown: "<rootDir>/tests/setup/globalTeardown.js",
+  setupFilesAfterEnv: ["<rootDir>/tests/setup/afterEnv.js"],
+  // Запуск БД та міграції займають час на повільних машинах
+  testTimeout: 30000,
+};
@@ -1,9 +1,157 @@
 /**
  * Middleware для перевірки авторизації користувача
- * Перевіряє наявність та валідність JWT токена
+ * Перевіряє наявність та валідність JWT токена або API ключа (X-API-Key)
+ * Токени імперсонації дають доступ лише на читання, кожен запит записується в журнал
  */
 const jwt = require("jsonwebtoken");
 const db = require("../config/db");
+const sessionModel = require("../models/session.model");
+const apiKeyModel = require("../models/api.key.model");
+const impersonationModel = require("../models/impersonation.model");
+const { hashToken } = require("../config/jwt");
+const { SERVICE_ROLE } = require("../config/permissions");
+const { isIpAllowed } = require("../utils/apiKeys");
+const { setActor } = require("../utils/requestContext");
+
+/**
+ * Авторизація сервісної інтеграції за API ключем
+ * Встановлює req.user як сервісного принципала з дозволами ключа
+ * @param {string} apiKey - Відкритий API ключ із заголовка X-API-Key
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ * @param {Function} next - Функція для продовження обробки запиту
+ */
+const authenticateApiKey = async (apiKey, req, res, next) => {
+  const key = await apiKeyModel.findActiveByHash(hashToken(apiKey));
+
+  if (!key) {
+    return res.status(401).json({
+      success: false,
+      message: "Не авторизовано: невірний API ключ",
+    });
+  }
+
+  if (key.expires_at && new Date(key.expires_at) <= new Date()) {
+    return res.status(401).json({
+      success: false,
+      message: "Не авторизовано: закінчився термін дії API ключа",
+    });
+  }
+
+  const ipAddress = req.ip;
+
+  if (!isIpAllowed(ipAddress, key.allowed_ips)) {
+    return res.status(403).json({
+      success: false,
+      message: "Доступ заборонено: IP адреса не дозволена для цього API ключа",
+    });
+  }
+
+  // Оновлення часу використання не повинно блокувати запит
+  apiKeyModel.touchLastUsed(key.id, ipAddress).catch((err) => {
+    console.error("Помилка оновлення часу використання API ключа:", err);
+  });
+
+  req.userId = null;
+  req.sessionId = null;
+  req.userRole = SERVICE_ROLE;
+  req.apiKey = { id: key.id, name: key.name };
+  req.user = {
+    id: null,
+    username: `api-key:${key.name}`,
+    email: null,
+    role: SERVICE_ROLE,
+    teamId: null,
+    isService: true,
+    apiKeyId: key.id,
+    permissions: key.permissions || [],
+  };
+
+  setActor({ id: null, label: req.user.username });
+
+  next();
+};
+
+// HTTP методи, дозволені під час імперсонації (режим лише для читання)
+const IMPERSONATION_SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Авторизація за токеном імперсонації
+ * Встановлює req.user як цільового користувача з позначкою, хто переглядає від його імені
+ * @param {Object} decoded - Розшифрований JWT токен
+ * @param {Object} user - Цільовий користувач
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ * @param {Function} next - Функція для продовження обробки запиту
+ */
+const authenticateImpersonation = async (decoded, user, req, res, next) => {
+  const impersonation = await impersonationModel.getActiveImpersonation(
+    decoded.impersonationId
+  );
+
+  // Адміністратор, який втратив роль або доступ, не може продовжувати імперсонацію
+  if (
+    !impersonation ||
+    impersonation.target_user_id !== user.id ||
+    !impersonation.admin_is_active ||
+    impersonation.admin_role !== "admin"
+  ) {
+    return res.status(401).json({
+      success: false,
+      message: "Не авторизовано: сесію імперсонації завершено",
+    });
+  }
+
+  const ipAddress = req.ip;
+
+  // Кожен запит (включно із заблокованими) записується після відправки відповіді
+  res.on("finish", () => {
+    impersonationModel
+      .logRequest({
+        impersonationId: impersonation.id,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ipAddress,
+      })
+      .catch((err) => {
+        console.error("Помилка запису запиту імперсонації:", err);
+      });
+  });
+
+  if (!IMPERSONATION_SAFE_METHODS.includes(req.method)) {
+    return res.status(403).json({
+      success: false,
+      message: "Доступ заборонено: під час імперсонації дозволено лише перегляд даних",
+    });
+  }
+
+  req.userId = user.id;
+  req.sessionId = null;
+  req.userRole = user.web_role;
+  req.impersonation = {
+    id: impersonation.id,
+    adminId: impersonation.admin_id,
+    adminUsername: impersonation.admin_username,
+    expiresAt: impersonation.expires_at,
+  };
+  req.user = {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.web_role,
+    teamId: user.team_id,
+    impersonatedBy: impersonation.admin_id,
+  };
+
+  // Автором будь-яких змін вважається адміністратор, а не користувач
+  setActor({
+    id: impersonation.admin_id,
+    label: `${impersonation.admin_username} (як ${user.username})`,
+  });
+
+  next();
+};
 
 /**
  * Middleware для перевірки авторизації
@@ -13,6 +161,13 @@ const db = require("../config/db");
  */
 module.exports = async (req, res, next) => {
   try {
+    // Сервісні інтеграції авторизуються API ключем замість JWT
+    const apiKey = req.headers["x-api-key"];
+
+    if (apiKey) {
+      return await authenticateApiKey(apiKey, req, res, next);
+    }
+
     // Отримання токена з заголовка
     const authHeader = req.headers.authorization;
 
@@ -37,6 +192,14 @@ module.exports = async (req, res, next) => {
       // Верифікація токена
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Токени проміжних етапів (наприклад, очікування 2FA) не дають доступу до API
+      if (decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          message: "Не авторизовано: невірний токен",
+        });
+      }
+
       // Перевірка, чи існує користувач
       const userResult = await db.query(
         "SELECT id, team_id, username, email, web_role, is_active FROM users WHERE id = $1",
@@ -59,8 +222,37 @@ module.exports = async (req, res, next) => {
         });
       }
 
+      // Адміністратор переглядає систему від імені користувача
+      if (decoded.impersonation) {
+        return await authenticateImpersonation(decoded, user, req, res, next);
+      }
+
+      // Access токен має бути прив'язаний до сесії, інакше його неможливо відкликати
+      if (!decoded.sessionId) {
+        return res.status(401).json({
+          success: false,
+          message: "Не авторизовано: невірний токен",
+        });
+      }
+
+      // Перевірка, чи не відкликано сесію, до якої прив'язаний токен
+      const isActive = await sessionModel.isSessionActive(decoded.sessionId);
+
+      if (!isActive) {
+        return res.status(401).json({
+          success: false,
+          message: "Не авторизовано: сесію відкликано",
+        });
+      }
+
+      // Оновлення часу активності сесії не повинно блокувати запит
+      sessionModel.touchSession(decoded.sessionId).catch((err) => {
+        console.error("Помилка оновлення активності сесії:", err);
+      });
+
       // Додавання інформації про користувача до запиту
       req.userId = decoded.userId;
+      req.sessionId = decoded.sessionId;
       req.userRole = decoded.role || user.web_role;
       req.user = {
         id: user.id,
@@ -70,6 +262,8 @@ module.exports = async (req, res, next) => {
         teamId: user.team_id,
       };
 
+      setActor({ id: user.id, label: user.username });
+
       next();
     } catch (error) {
       if (error.name === "TokenExpiredError") {
@@ -0,0 +1,35 @@
+/**
+ * Middleware для маршрутів, доступних як з JWT токеном, так і з токеном проміжного етапу
+ * Використовується для налаштування 2FA користувачами, для яких вона обов'язкова
+ */
+const jwtConfig = require("../config/jwt");
+const authMiddleware = require("./auth.middleware");
+
+/**
+ * Створює middleware, що приймає challengeToken з тіла запиту або звичайну авторизацію
+ * @param {string} purpose - Очікуване призначення challenge токена
+ * @returns {Function} Middleware
+ */
+module.exports = (purpose) => {
+  return (req, res, next) => {
+    const challengeToken = req.body && req.body.challengeToken;
+
+    if (!challengeToken) {
+      return authMiddleware(req, res, next);
+    }
+
+    const decoded = jwtConfig.verifyChallengeToken(challengeToken, purpose);
+
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: "Не авторизовано: недійсний або прострочений challenge токен",
+      });
+    }
+
+    req.userId = decoded.userId;
+    req.challenge = decoded;
+
+    next();
+  };
+};
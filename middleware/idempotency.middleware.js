@@ -0,0 +1,163 @@
+/**
+ * Middleware ідемпотентності для POST запитів, що створюють фінансові записи
+ * Якщо клієнт передає заголовок Idempotency-Key, перша відповідь на запит
+ * зберігається і повертається при повторних викликах з тим самим ключем;
+ * повторне використання ключа з іншими даними запиту відхиляється
+ * Запити без заголовка обробляються як звичайно
+ */
+const crypto = require("crypto");
+const idempotencyModel = require("../models/idempotency.model");
+const logger = require("../utils/logger");
+
+const IDEMPOTENCY_HEADER = "Idempotency-Key";
+const MAX_KEY_LENGTH = 255;
+
+// Скільки годин зберігається відповідь для повторної видачі
+const KEY_TTL_HOURS = 24;
+
+/**
+ * Серіалізує значення в JSON з відсортованими ключами об'єктів,
+ * щоб однакові тіла запиту з різним порядком полів мали один хеш
+ * @param {any} value - Значення
+ * @returns {string} JSON рядок
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+/**
+ * Обчислює хеш запиту (метод, URL та тіло)
+ * @param {Object} req - Об'єкт запиту Express
+ * @returns {string} SHA-256 у hex
+ */
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method}\n${req.originalUrl}\n${stableStringify(req.body || {})}`)
+    .digest("hex");
+
+/**
+ * Визначає власника ключа: ключі різних користувачів не перетинаються
+ * @param {Object} req - Об'єкт запиту Express
+ * @returns {string|null} user:<id>, api-key:<id> або null
+ */
+const getOwner = (req) => {
+  if (req.apiKey) return `api-key:${req.apiKey.id}`;
+  if (req.userId) return `user:${req.userId}`;
+  return null;
+};
+
+/**
+ * Middleware ідемпотентності (підключається після авторизації)
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ * @param {Function} next - Функція для продовження обробки запиту
+ */
+module.exports = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  const owner = getOwner(req);
+
+  if (key === undefined || !owner) {
+    return next();
+  }
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Заголовок ${IDEMPOTENCY_HEADER} має містити від 1 до ${MAX_KEY_LENGTH} символів`,
+    });
+  }
+
+  const requestHash = hashRequest(req);
+
+  let reservation;
+  try {
+    reservation = await idempotencyModel.reserveKey({
+      owner,
+      key,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      ttlHours: KEY_TTL_HOURS,
+    });
+  } catch (error) {
+    logger.error("Помилка перевірки ключа ідемпотентності", error);
+    return res.status(500).json({
+      success: false,
+      message: "Помилка сервера при перевірці ключа ідемпотентності",
+    });
+  }
+
+  const { reserved, record } = reservation;
+
+  if (!reserved) {
+    if (!record) {
+      return res.status(409).json({
+        success: false,
+        message: "Запит з цим ключем ідемпотентності щойно завершився, повторіть спробу",
+      });
+    }
+
+    if (record.request_hash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        message: `${IDEMPOTENCY_HEADER} вже використано для запиту з іншими даними`,
+      });
+    }
+
+    if (record.status !== "completed") {
+      return res.status(409).json({
+        success: false,
+        message: "Запит з цим ключем ідемпотентності ще обробляється",
+      });
+    }
+
+    res.set("Idempotent-Replayed", "true");
+    return res.status(record.response_status).json(record.response_body);
+  }
+
+  // Перехоплюємо тіло відповіді, щоб зберегти його після відправлення
+  // (res.send з об'єктом теж проходить через res.json)
+  let responseBody;
+  let bodyCaptured = false;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    bodyCaptured = true;
+    return originalJson(body);
+  };
+
+  let settled = false;
+  const settle = (finished) => {
+    if (settled) return;
+    settled = true;
+
+    // Помилки сервера та обірвані запити не фіксуємо - клієнт може повторити запит;
+    // відповіді не через res.json (res.send з рядком, res.end) не можна відтворити
+    const action =
+      finished && bodyCaptured && res.statusCode < 500
+        ? idempotencyModel.completeKey(record.id, res.statusCode, responseBody)
+        : idempotencyModel.releaseKey(record.id);
+
+    action.catch((error) => {
+      logger.error("Помилка збереження результату ключа ідемпотентності", {
+        idempotencyKeyId: record.id,
+        error,
+      });
+    });
+  };
+
+  res.on("finish", () => settle(true));
+  res.on("close", () => settle(res.writableFinished));
+
+  next();
+};
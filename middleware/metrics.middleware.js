@@ -0,0 +1,46 @@
+/**
+ * Middleware для збору метрик HTTP запитів
+ * Маршрут у мітках - шаблон Express (/api/users/:id), а не фактичний URL,
+ * щоб кількість серій не залежала від ID у шляхах
+ */
+const { httpRequestDuration, httpRequestErrors } = require("../utils/metrics");
+
+/**
+ * Визначає шаблон маршруту, що обробив запит
+ * @param {Object} req - Об'єкт запиту Express
+ * @returns {string} Шаблон маршруту або "unmatched"
+ */
+const routeLabel = (req) => {
+  // Відповідь від middleware роутера (наприклад, 401) до вибору маршруту
+  if (!req.route) return req.baseUrl ? `${req.baseUrl}/*` : "unmatched";
+  const routePath = Array.isArray(req.route.path)
+    ? req.route.path.join("|")
+    : String(req.route.path);
+  return `${req.baseUrl}${routePath === "/" && req.baseUrl ? "" : routePath}`;
+};
+
+/**
+ * Middleware збору метрик
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ * @param {Function} next - Функція для продовження обробки запиту
+ */
+module.exports = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: routeLabel(req),
+      status_code: res.statusCode,
+    };
+    const durationSeconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    httpRequestDuration.observe(labels, durationSeconds);
+    if (res.statusCode >= 400) {
+      httpRequestErrors.inc(labels);
+    }
+  });
+
+  next();
+};
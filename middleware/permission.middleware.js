@@ -0,0 +1,119 @@
+/**
+ * Middleware для перевірки дозволів користувача
+ * Замінює жорстко задані списки ролей на дозволи, що редагуються через API
+ */
+const permissionModel = require("../models/permission.model");
+const { SUPER_ROLE } = require("../config/permissions");
+
+// Кеш ефективних дозволів: ключ "userId:role" → { permissions, expiresAt }
+const permissionCache = new Map();
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Отримує ефективні дозволи користувача (з кешуванням)
+ * @param {number} userId - ID користувача
+ * @param {string} role - Роль користувача
+ * @returns {Promise<Array<string>>} Масив ключів дозволів
+ */
+const getUserPermissions = async (userId, role) => {
+  const cacheKey = `${userId}:${role}`;
+  const cached = permissionCache.get(cacheKey);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const permissions = await permissionModel.getEffectivePermissions(
+    userId,
+    role
+  );
+  permissionCache.set(cacheKey, {
+    permissions,
+    expiresAt: Date.now() + CACHE_TTL_MS,
+  });
+
+  return permissions;
+};
+
+/**
+ * Очищує кеш дозволів (після змін через адмін API)
+ */
+const clearPermissionCache = () => {
+  permissionCache.clear();
+};
+
+/**
+ * Створює middleware для перевірки дозволів
+ * @param {...string} permissions - Дозволи, будь-якого з яких достатньо для доступу
+ * @returns {Function} Middleware для перевірки дозволів
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      // Перевірка, чи пройшов користувач авторизацію
+      if (!req.userRole) {
+        return res.status(401).json({
+          success: false,
+          message: "Не авторизовано: відсутня інформація про роль користувача",
+        });
+      }
+
+      if (req.userRole === SUPER_ROLE) {
+        return next();
+      }
+
+      // Сервісний принципал (API ключ) має лише дозволи, вказані в ключі
+      const userPermissions =
+        req.user && req.user.isService
+          ? req.user.permissions
+          : await getUserPermissions(req.userId, req.userRole);
+
+      if (!permissions.some((permission) => userPermissions.includes(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: `Доступ заборонено: необхідний дозвіл [${permissions.join(
+            ", "
+          )}]`,
+        });
+      }
+
+      // Область видимості даних API ключ отримує лише на маршрутах із перевіреним дозволом
+      if (req.user && req.user.isService) {
+        req.user.permissionGranted = true;
+      }
+
+      next();
+    } catch (err) {
+      console.error("Помилка в middleware перевірки дозволів:", err);
+      res.status(500).json({
+        success: false,
+        message: "Помилка сервера під час перевірки дозволів",
+      });
+    }
+  };
+};
+
+/**
+ * Забороняє доступ сервісним принципалам (API ключам) до маршрутів без requirePermission:
+ * дозволи ключа перевіряються лише там
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ * @param {Function} next - Функція для продовження обробки запиту
+ */
+const rejectServicePrincipal = (req, res, next) => {
+  if (req.user && req.user.isService) {
+    return res.status(403).json({
+      success: false,
+      message: "Доступ заборонено: маршрут недоступний для API ключів",
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requirePermission,
+  rejectServicePrincipal,
+  getUserPermissions,
+  clearPermissionCache,
+};
@@ -0,0 +1,102 @@
+/**
+ * Middleware обмеження частоти запитів (ковзне вікно)
+ * Політики (група маршрутів, ключ ліміту, вікно, максимум) описані в config/config.js;
+ * кількість запитів у ковзному вікні оцінюється як поточне вікно плюс
+ * пропорційна частка попереднього
+ */
+const { RATE_LIMITS } = require("../config/config");
+const { createStore } = require("../utils/rateLimitStore");
+const { createCounter } = require("../utils/metrics");
+const logger = require("../utils/logger");
+
+const store = createStore(RATE_LIMITS.store);
+
+const rateLimitRejections = createCounter({
+  name: "rate_limit_rejections_total",
+  help: "Кількість запитів, відхилених обмеженням частоти, за політикою",
+  labelNames: ["policy"],
+});
+
+/**
+ * Визначає ідентифікатор клієнта для ліміту
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {string} keyBy - "ip" або "user"
+ * @returns {string} Ідентифікатор (ip:..., user:..., api-key:...)
+ */
+const getClientKey = (req, keyBy) => {
+  if (keyBy === "user") {
+    if (req.apiKey) return `api-key:${req.apiKey.id}`;
+    if (req.userId) return `user:${req.userId}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Створює middleware обмеження частоти запитів для політики з конфігурації
+ * Для політик з keyBy "user" підключається після авторизації
+ * @param {string} policyName - Назва політики (RATE_LIMITS.policies)
+ * @returns {Function} Middleware
+ */
+const rateLimit = (policyName) => {
+  const policy = RATE_LIMITS.policies[policyName];
+  if (!policy) {
+    throw new Error(`Невідома політика обмеження частоти запитів: ${policyName}`);
+  }
+
+  const windowMs = policy.windowSeconds * 1000;
+
+  /**
+   * Middleware обмеження частоти запитів
+   * @param {Object} req - Об'єкт запиту Express
+   * @param {Object} res - Об'єкт відповіді Express
+   * @param {Function} next - Функція для продовження обробки запиту
+   */
+  return async (req, res, next) => {
+    const key = `${policyName}:${getClientKey(req, policy.keyBy)}`;
+
+    let hit;
+    try {
+      hit = await store.hit(key, windowMs);
+    } catch (error) {
+      // Недоступне сховище не повинно блокувати API, але обмеження при цьому
+      // не діє - тому рівень error, а не warn
+      logger.error("Помилка сховища обмеження частоти запитів", {
+        policy: policyName,
+        error,
+      });
+      return next();
+    }
+
+    const now = Date.now();
+    const elapsed = now - hit.windowStart;
+    const estimated =
+      hit.current + hit.previous * Math.max(0, (windowMs - elapsed) / windowMs);
+    const resetSeconds = Math.max(
+      1,
+      Math.ceil((hit.windowStart + windowMs - now) / 1000)
+    );
+
+    res.set({
+      "RateLimit-Policy": `${policy.max};w=${policy.windowSeconds}`,
+      "RateLimit-Limit": String(policy.max),
+      "RateLimit-Remaining": String(Math.max(0, Math.floor(policy.max - estimated))),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (estimated > policy.max) {
+      rateLimitRejections.inc({ policy: policyName });
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: "Забагато запитів, спробуйте пізніше",
+        retryAfter: resetSeconds,
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+};
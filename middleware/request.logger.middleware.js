@@ -0,0 +1,43 @@
+/**
+ * Middleware для логування HTTP запитів
+ * Після відправлення відповіді записує метод, шлях, статус і тривалість запиту
+ * (correlation ID додає логер з контексту запиту)
+ */
+const logger = require("../utils/logger");
+
+/**
+ * Визначає рівень запису за статусом відповіді
+ * @param {number} statusCode - HTTP статус
+ * @returns {string} Рівень логування
+ */
+const levelForStatus = (statusCode) => {
+  if (statusCode >= 500) return "error";
+  if (statusCode >= 400) return "warn";
+  return "info";
+};
+
+/**
+ * Middleware логування запиту
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ * @param {Function} next - Функція для продовження обробки запиту
+ */
+module.exports = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+    logger[levelForStatus(res.statusCode)]("HTTP запит", {
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      userId: req.userId || null,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      ip: req.ip,
+    });
+  });
+
+  next();
+};
@@ -0,0 +1,226 @@
+/**
+ * Модель для роботи з API ключами сервісних інтеграцій
+ * Ключі зберігаються лише у вигляді хешів, відкритий ключ показується один раз при створенні
+ */
+const db = require("../config/db");
+
+// Поля ключа, які можна повертати клієнту (без хешу)
+const PUBLIC_FIELDS = `
+  k.id,
+  k.name,
+  k.description,
+  k.key_prefix,
+  k.permissions,
+  k.allowed_ips,
+  k.expires_at,
+  k.last_used_at,
+  k.last_used_ip,
+  k.created_by,
+  k.created_at,
+  k.updated_at,
+  k.revoked_at,
+  k.revoked_by
+`;
+
+/**
+ * Створює новий API ключ
+ * @param {Object} keyData - Дані ключа
+ * @param {string} keyData.name - Назва ключа (наприклад, "telegram-bot")
+ * @param {string} [keyData.description] - Опис
+ * @param {string} keyData.keyPrefix - Відкритий префікс ключа для ідентифікації
+ * @param {string} keyData.keyHash - Хеш ключа
+ * @param {Array<string>} keyData.permissions - Дозволи ключа
+ * @param {Array<string>} [keyData.allowedIps] - Дозволені IP адреси/підмережі
+ * @param {Date} [keyData.expiresAt] - Дата закінчення дії
+ * @param {number} keyData.createdBy - ID адміністратора
+ * @returns {Promise<Object>} Створений ключ (без хешу)
+ */
+const createApiKey = async ({
+  name,
+  description,
+  keyPrefix,
+  keyHash,
+  permissions,
+  allowedIps,
+  expiresAt,
+  createdBy,
+}) => {
+  const query = `
+    INSERT INTO api_keys AS k (
+      name,
+      description,
+      key_prefix,
+      key_hash,
+      permissions,
+      allowed_ips,
+      expires_at,
+      created_by
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING ${PUBLIC_FIELDS}
+  `;
+
+  const result = await db.query(query, [
+    name,
+    description || null,
+    keyPrefix,
+    keyHash,
+    permissions,
+    allowedIps && allowedIps.length > 0 ? allowedIps : null,
+    expiresAt || null,
+    createdBy,
+  ]);
+  return result.rows[0];
+};
+
+/**
+ * Отримує список API ключів
+ * @param {Object} options - Опції фільтрації
+ * @param {boolean} [options.includeRevoked=false] - Включати відкликані ключі
+ * @returns {Promise<Array>} Масив ключів (без хешів)
+ */
+const getAllApiKeys = async ({ includeRevoked = false } = {}) => {
+  const query = `
+    SELECT
+      ${PUBLIC_FIELDS},
+      creator.username as created_by_username
+    FROM api_keys k
+    LEFT JOIN users creator ON k.created_by = creator.id
+    ${includeRevoked ? "" : "WHERE k.revoked_at IS NULL"}
+    ORDER BY k.created_at DESC
+  `;
+
+  const result = await db.query(query);
+  return result.rows;
+};
+
+/**
+ * Отримує API ключ за ID
+ * @param {number} id - ID ключа
+ * @returns {Promise<Object|null>} Ключ (без хешу) або null
+ */
+const getApiKeyById = async (id) => {
+  const query = `
+    SELECT
+      ${PUBLIC_FIELDS},
+      creator.username as created_by_username
+    FROM api_keys k
+    LEFT JOIN users creator ON k.created_by = creator.id
+    WHERE k.id = $1
+  `;
+
+  const result = await db.query(query, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Знаходить невідкликаний API ключ за хешем
+ * @param {string} keyHash - Хеш ключа
+ * @returns {Promise<Object|null>} Ключ або null
+ */
+const findActiveByHash = async (keyHash) => {
+  const query = `
+    SELECT ${PUBLIC_FIELDS}
+    FROM api_keys k
+    WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+  `;
+
+  const result = await db.query(query, [keyHash]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Оновлює час та IP останнього використання ключа
+ * Запис оновлюється не частіше одного разу на хвилину, щоб не навантажувати БД
+ * @param {number} id - ID ключа
+ * @param {string} ipAddress - IP адреса клієнта
+ * @returns {Promise<void>}
+ */
+const touchLastUsed = async (id, ipAddress) => {
+  await db.query(
+    `UPDATE api_keys
+     SET last_used_at = NOW(), last_used_ip = $2
+     WHERE id = $1
+       AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [id, ipAddress]
+  );
+};
+
+/**
+ * Оновлює налаштування API ключа
+ * @param {number} id - ID ключа
+ * @param {Object} keyData - Поля для оновлення
+ * @param {string} [keyData.name] - Назва
+ * @param {string} [keyData.description] - Опис
+ * @param {Array<string>} [keyData.permissions] - Дозволи
+ * @param {Array<string>|null} [keyData.allowedIps] - Дозволені IP (null - без обмежень)
+ * @param {Date|null} [keyData.expiresAt] - Дата закінчення дії (null - безстроковий)
+ * @returns {Promise<Object|null>} Оновлений ключ або null
+ */
+const updateApiKey = async (id, keyData) => {
+  const fieldMap = {
+    name: "name",
+    description: "description",
+    permissions: "permissions",
+    allowedIps: "allowed_ips",
+    expiresAt: "expires_at",
+  };
+
+  const setClauses = [];
+  const params = [];
+  let paramIndex = 1;
+
+  for (const [field, column] of Object.entries(fieldMap)) {
+    if (keyData[field] !== undefined) {
+      setClauses.push(`${column} = $${paramIndex++}`);
+      params.push(
+        field === "allowedIps" && keyData[field] && keyData[field].length === 0
+          ? null
+          : keyData[field]
+      );
+    }
+  }
+
+  if (setClauses.length === 0) {
+    return getApiKeyById(id);
+  }
+
+  setClauses.push("updated_at = NOW()");
+  params.push(id);
+
+  const query = `
+    UPDATE api_keys AS k
+    SET ${setClauses.join(", ")}
+    WHERE k.id = $${paramIndex} AND k.revoked_at IS NULL
+    RETURNING ${PUBLIC_FIELDS}
+  `;
+
+  const result = await db.query(query, params);
+  return result.rows[0] || null;
+};
+
+/**
+ * Відкликає API ключ
+ * @param {number} id - ID ключа
+ * @param {number} revokedBy - ID адміністратора
+ * @returns {Promise<boolean>} Чи було відкликано ключ
+ */
+const revokeApiKey = async (id, revokedBy) => {
+  const result = await db.query(
+    `UPDATE api_keys
+     SET revoked_at = NOW(), revoked_by = $2, updated_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL`,
+    [id, revokedBy]
+  );
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  createApiKey,
+  getAllApiKeys,
+  getApiKeyById,
+  findActiveByHash,
+  touchLastUsed,
+  updateApiKey,
+  revokeApiKey,
+};
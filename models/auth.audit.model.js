@@ -0,0 +1,206 @@
+/**
+ * Модель для роботи з журналом подій авторизації (auth audit log)
+ * Дублює події з файлових логів auth-YYYY-MM-DD.log у базу даних для пошуку та експорту
+ */
+const db = require("../config/db");
+
+/**
+ * Записує подію в журнал
+ * @param {Object} eventData - Дані події
+ * @param {string} eventData.eventType - Тип події (LOGIN_SUCCESS, ROLE_CHANGED тощо)
+ * @param {number|null} [eventData.userId] - ID користувача, якого стосується подія
+ * @param {string|null} [eventData.username] - Ім'я користувача (як було введено при вході)
+ * @param {number|null} [eventData.actorId] - ID користувача, який виконав дію (для адміністративних подій)
+ * @param {string|null} [eventData.ipAddress] - IP адреса
+ * @param {string|null} [eventData.userAgent] - User Agent
+ * @param {string|null} [eventData.details] - Опис/причина події
+ * @param {Object|null} [eventData.metadata] - Додаткові структуровані дані
+ * @returns {Promise<Object>} Створений запис
+ */
+const createEvent = async ({
+  eventType,
+  userId,
+  username,
+  actorId,
+  ipAddress,
+  userAgent,
+  details,
+  metadata,
+}) => {
+  const query = `
+    INSERT INTO auth_audit_log (
+      event_type,
+      user_id,
+      username,
+      actor_id,
+      ip_address,
+      user_agent,
+      details,
+      metadata
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [
+    eventType,
+    userId || null,
+    username || null,
+    actorId || null,
+    ipAddress || null,
+    userAgent || null,
+    details || null,
+    metadata ? JSON.stringify(metadata) : null,
+  ]);
+  return result.rows[0];
+};
+
+/**
+ * Формує умови WHERE для фільтрації журналу
+ * @param {Object} filters - Фільтри
+ * @returns {Object} { whereClause, params, paramIndex }
+ */
+const buildFilterConditions = ({
+  userId,
+  username,
+  ipAddress,
+  eventType,
+  dateFrom,
+  dateTo,
+} = {}) => {
+  const conditions = [];
+  const params = [];
+  let paramIndex = 1;
+
+  if (userId) {
+    conditions.push(`a.user_id = $${paramIndex++}`);
+    params.push(userId);
+  }
+
+  if (username) {
+    conditions.push(`a.username ILIKE $${paramIndex++}`);
+    params.push(`%${username}%`);
+  }
+
+  if (ipAddress) {
+    conditions.push(`a.ip_address = $${paramIndex++}`);
+    params.push(ipAddress);
+  }
+
+  if (eventType) {
+    const eventTypes = Array.isArray(eventType) ? eventType : [eventType];
+    conditions.push(`a.event_type = ANY($${paramIndex++})`);
+    params.push(eventTypes);
+  }
+
+  if (dateFrom) {
+    conditions.push(`a.created_at >= $${paramIndex++}`);
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    conditions.push(`a.created_at <= $${paramIndex++}`);
+    params.push(dateTo);
+  }
+
+  const whereClause =
+    conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  return { whereClause, params, paramIndex };
+};
+
+// Поля журналу разом з іменами користувача та ініціатора дії
+const EVENT_FIELDS = `
+  a.id,
+  a.event_type,
+  a.user_id,
+  a.username,
+  CONCAT(u.first_name, ' ', u.last_name) as user_full_name,
+  a.actor_id,
+  actor.username as actor_username,
+  a.ip_address,
+  a.user_agent,
+  a.details,
+  a.metadata,
+  a.created_at
+`;
+
+/**
+ * Отримує події журналу з фільтрацією та пагінацією
+ * @param {Object} options - Опції фільтрації
+ * @param {number} [options.page=1] - Номер сторінки
+ * @param {number} [options.limit=50] - Кількість записів на сторінці
+ * @param {number} [options.userId] - ID користувача
+ * @param {string} [options.username] - Частина імені користувача
+ * @param {string} [options.ipAddress] - IP адреса
+ * @param {string|Array<string>} [options.eventType] - Тип(и) подій
+ * @param {string} [options.dateFrom] - Початок періоду
+ * @param {string} [options.dateTo] - Кінець періоду
+ * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
+ */
+const getEvents = async ({ page = 1, limit = 50, ...filters } = {}) => {
+  const offset = (page - 1) * limit;
+  const { whereClause, params, paramIndex } = buildFilterConditions(filters);
+
+  const query = `
+    SELECT ${EVENT_FIELDS}
+    FROM auth_audit_log a
+    LEFT JOIN users u ON a.user_id = u.id
+    LEFT JOIN users actor ON a.actor_id = actor.id
+    ${whereClause}
+    ORDER BY a.created_at DESC, a.id DESC
+    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+  `;
+
+  const countQuery = `
+    SELECT COUNT(*) as total
+    FROM auth_audit_log a
+    ${whereClause}
+  `;
+
+  const [dataResult, countResult] = await Promise.all([
+    db.query(query, [...params, limit, offset]),
+    db.query(countQuery, params),
+  ]);
+
+  const total = parseInt(countResult.rows[0].total);
+
+  return {
+    data: dataResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Отримує події журналу для експорту (без пагінації, з обмеженням кількості)
+ * @param {Object} filters - Ті ж фільтри, що й у getEvents
+ * @param {number} maxRows - Максимальна кількість записів
+ * @returns {Promise<Array>} Масив подій
+ */
+const getEventsForExport = async (filters, maxRows) => {
+  const { whereClause, params, paramIndex } = buildFilterConditions(filters);
+
+  const query = `
+    SELECT ${EVENT_FIELDS}
+    FROM auth_audit_log a
+    LEFT JOIN users u ON a.user_id = u.id
+    LEFT JOIN users actor ON a.actor_id = actor.id
+    ${whereClause}
+    ORDER BY a.created_at DESC, a.id DESC
+    LIMIT $${paramIndex}
+  `;
+
+  const result = await db.query(query, [...params, maxRows]);
+  return result.rows;
+};
+
+module.exports = {
+  createEvent,
+  getEvents,
+  getEventsForExport,
+};
@@ -5,6 +5,19 @@
 
 const db = require('../config/db');
 const { withTransaction } = require('../utils/db.utils');
+const {
+  resolveCursorSort,
+  buildKeysetQuery,
+  buildCursorPage
+} = require('../utils/cursorPagination');
+
+// Поля сортування комунікацій (усі NOT NULL, тому придатні для курсора) та їх типи
+const CURSOR_SORT_FIELDS = {
+  created_at: 'date',
+  updated_at: 'date',
+  priority: 'string',
+  message_type: 'string'
+};
 
 class CommunicationModel {
   /**
@@ -64,6 +77,7 @@ class CommunicationModel {
    * @param {string} contextType - Тип контексту
    * @param {number} contextId - ID контексту
    * @param {Object} options - Опції пагінації та фільтрації
+   * (cursorMode, cursor, includeTotal - курсорна пагінація, див. utils/cursorPagination)
    */
   static async getCommunicationsByContext(contextType, contextId, options = {}) {
     const {
@@ -74,7 +88,10 @@ class CommunicationModel {
       sender_id = null,
       search = null,
       sort_by = 'created_at',
-      sort_order = 'DESC'
+      sort_order = 'DESC',
+      cursorMode = false,
+      cursor = null,
+      includeTotal = false
     } = options;
 
     const offset = (page - 1) * limit;
@@ -108,10 +125,9 @@ class CommunicationModel {
     }
 
     // Валідація сортування
-    const validSortFields = ['created_at', 'updated_at', 'priority', 'message_type'];
     const validSortOrders = ['ASC', 'DESC'];
     
-    if (!validSortFields.includes(sort_by)) {
+    if (!Object.hasOwn(CURSOR_SORT_FIELDS, sort_by)) {
       throw new Error(`Недійсне поле для сортування: ${sort_by}`);
     }
     
@@ -119,6 +135,28 @@ class CommunicationModel {
       throw new Error(`Недійсний порядок сортування: ${sort_order}`);
     }
 
+    // Курсорний режим: сторінка продовжується від граничного запису
+    let cursorSort = null;
+    let keyset = null;
+    if (cursorMode) {
+      cursorSort = resolveCursorSort({
+        cursor,
+        sortBy: sort_by,
+        sortOrder: sort_order,
+        sortFields: CURSOR_SORT_FIELDS
+      });
+      keyset = buildKeysetQuery({
+        sortExpr: `c.${cursorSort.sortBy}`,
+        idExpr: 'c.id',
+        sortOrder: cursorSort.sortOrder,
+        cursor,
+        limit,
+        paramIndex
+      });
+    }
+
+    const baseParams = [...params];
+
     const query = `
       SELECT 
         c.*,
@@ -134,21 +172,27 @@ class CommunicationModel {
         editor.username as edited_by_username,
         editor.first_name as edited_by_first_name,
         editor.last_name as edited_by_last_name
+        ${keyset ? `, ${keyset.select}` : ''}
       FROM communications c
       JOIN communication_contexts cc ON c.id = cc.communication_id
       LEFT JOIN users sender ON c.sender_id = sender.id
       LEFT JOIN users recipient ON c.recipient_id = recipient.id
       LEFT JOIN users editor ON c.edited_by = editor.id
       WHERE ${whereConditions.join(' AND ')}
-      ORDER BY c.${sort_by} ${sort_order.toUpperCase()}
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      ${keyset && keyset.condition ? `AND ${keyset.condition}` : ''}
+      ORDER BY ${keyset ? keyset.orderBy : `c.${sort_by} ${sort_order.toUpperCase()}`}
+      ${keyset ? keyset.limitClause : `LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`}
     `;
 
-    params.push(limit, offset);
+    if (keyset) {
+      params.push(...keyset.params);
+    } else {
+      params.push(limit, offset);
+    }
 
     const result = await db.query(query, params);
 
-    // Підрахунок загальної кількості
+    // Підрахунок загальної кількості (у курсорному режимі - лише на запит)
     const countQuery = `
       SELECT COUNT(*) as total
       FROM communications c
@@ -156,8 +200,19 @@ class CommunicationModel {
       WHERE ${whereConditions.join(' AND ')}
     `;
 
-    const countResult = await db.query(countQuery, params.slice(0, -2));
-    const total = parseInt(countResult.rows[0].total);
+    let total;
+    if (!keyset || includeTotal) {
+      const countResult = await db.query(countQuery, baseParams);
+      total = parseInt(countResult.rows[0].total);
+    }
+
+    if (keyset) {
+      const cursorPage = buildCursorPage(result.rows, { limit, cursor, ...cursorSort });
+      return {
+        communications: cursorPage.rows.map(comm => this._formatCommunication(comm)),
+        pagination: { ...cursorPage.pagination, total }
+      };
+    }
 
     const communications = result.rows.map(comm => this._formatCommunication(comm));
 
@@ -430,4 +485,6 @@ class CommunicationModel {
   }
 }
 
+CommunicationModel.CURSOR_SORT_FIELDS = CURSOR_SORT_FIELDS;
+
 module.exports = CommunicationModel;
\ No newline at end of file
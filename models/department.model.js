@@ -64,16 +64,28 @@ const getDepartmentByName = async (name) => {
  * @param {Object} departmentData - Дані нового відділу
  * @param {string} departmentData.name - Назва відділу
  * @param {string} [departmentData.description] - Опис відділу
+ * @param {number} [departmentData.parent_id] - ID батьківського відділу
+ * @param {number} [departmentData.head_user_id] - ID керівника відділу
  * @returns {Promise<Object>} Об'єкт створеного відділу
  */
-const createDepartment = async ({ name, description = "" }) => {
+const createDepartment = async ({
+  name,
+  description = "",
+  parent_id = null,
+  head_user_id = null,
+}) => {
   const query = `
-    INSERT INTO departments (name, description)
-    VALUES ($1, $2)
+    INSERT INTO departments (name, description, parent_id, head_user_id)
+    VALUES ($1, $2, $3, $4)
     RETURNING *
   `;
 
-  const result = await db.query(query, [name, description]);
+  const result = await db.query(query, [
+    name,
+    description,
+    parent_id,
+    head_user_id,
+  ]);
   return result.rows[0];
 };
 
@@ -83,7 +95,10 @@ const createDepartment = async ({ name, description = "" }) => {
  * @param {Object} departmentData - Дані для оновлення
  * @returns {Promise<Object|null>} Оновлений об'єкт відділу або null
  */
-const updateDepartment = async (id, { name, description }) => {
+const updateDepartment = async (
+  id,
+  { name, description, parent_id, head_user_id }
+) => {
   const setClauses = [];
   const values = [];
   let paramIndex = 1;
@@ -98,6 +113,16 @@ const updateDepartment = async (id, { name, description }) => {
     values.push(description);
   }
 
+  if (parent_id !== undefined) {
+    setClauses.push(`parent_id = $${paramIndex++}`);
+    values.push(parent_id);
+  }
+
+  if (head_user_id !== undefined) {
+    setClauses.push(`head_user_id = $${paramIndex++}`);
+    values.push(head_user_id);
+  }
+
   if (setClauses.length === 0) {
     return null;
   }
@@ -170,7 +195,30 @@ const getUserCountInDepartment = async (departmentId) => {
 };
 
 /**
- * Видаляє відділ (якщо немає користувачів у ньому)
+ * Перевіряє, чи є відділ candidateId самим відділом departmentId або його нащадком
+ * Використовується, щоб не допустити циклів при зміні батьківського відділу
+ * @param {number} departmentId - ID відділу, який переміщується
+ * @param {number} candidateId - ID нового батьківського відділу
+ * @returns {Promise<boolean>} true, якщо переміщення створить цикл
+ */
+const isDepartmentDescendant = async (departmentId, candidateId) => {
+  const query = `
+    WITH RECURSIVE subtree AS (
+      SELECT id FROM departments WHERE id = $1
+      UNION
+      SELECT d.id
+      FROM departments d
+      JOIN subtree s ON d.parent_id = s.id
+    )
+    SELECT EXISTS (SELECT 1 FROM subtree WHERE id = $2) as is_descendant
+  `;
+
+  const result = await db.query(query, [departmentId, candidateId]);
+  return result.rows[0].is_descendant;
+};
+
+/**
+ * Видаляє відділ (якщо немає користувачів, команд та дочірніх відділів)
  * @param {number} id - ID відділу
  * @returns {Promise<boolean>} Результат видалення
  */
@@ -187,6 +235,23 @@ const deleteDepartment = async (id) => {
       };
     }
 
+    // Дочірні відділи та команди втратили б своє місце в структурі
+    const dependentsResult = await db.query(
+      `SELECT
+         (SELECT COUNT(*) FROM departments WHERE parent_id = $1) as children_count,
+         (SELECT COUNT(*) FROM teams WHERE department_id = $1) as teams_count`,
+      [id]
+    );
+    const { children_count, teams_count } = dependentsResult.rows[0];
+
+    if (parseInt(children_count) > 0 || parseInt(teams_count) > 0) {
+      return {
+        success: false,
+        message:
+          "Неможливо видалити відділ, оскільки він містить дочірні відділи або команди",
+      };
+    }
+
     // Видаляємо відділ
     const query = `
       DELETE FROM departments
@@ -222,5 +287,6 @@ module.exports = {
   deactivateDepartment,
   activateDepartment,
   getUserCountInDepartment,
+  isDepartmentDescendant,
   deleteDepartment,
 };
@@ -0,0 +1,168 @@
+/**
+ * Модель для роботи з журналом змін бізнес-сутностей (entity audit log)
+ * Записи створюють тригери БД (db/migrations/012_entity_audit_log.up.sql) при кожному INSERT/UPDATE/DELETE,
+ * тип сутності - назва таблиці
+ */
+const db = require("../config/db");
+
+// Таблиці, зміни яких записуються в журнал
+const AUDITED_ENTITY_TYPES = [
+  "partners",
+  "offers",
+  "flows",
+  "salaries",
+  "requests",
+  "partner_payout_requests",
+  "payout_request_allocations",
+];
+
+// Типи дій у журналі (TG_OP тригера)
+const AUDIT_ACTIONS = ["INSERT", "UPDATE", "DELETE"];
+
+// Поля журналу разом з іменем автора змін
+const LOG_FIELDS = `
+  l.id,
+  l.entity_type,
+  l.entity_id,
+  l.action,
+  l.actor_id,
+  COALESCE(l.actor_label, actor.username) as actor_label,
+  CONCAT(actor.first_name, ' ', actor.last_name) as actor_full_name,
+  l.changes,
+  l.old_data,
+  l.new_data,
+  l.created_at
+`;
+
+/**
+ * Формує умови WHERE для фільтрації журналу
+ * @param {Object} filters - Фільтри
+ * @returns {Object} { whereClause, params, paramIndex }
+ */
+const buildFilterConditions = ({
+  entityType,
+  entityId,
+  actorId,
+  action,
+  field,
+  dateFrom,
+  dateTo,
+} = {}) => {
+  const conditions = [];
+  const params = [];
+  let paramIndex = 1;
+
+  if (entityType) {
+    const entityTypes = Array.isArray(entityType) ? entityType : [entityType];
+    conditions.push(`l.entity_type = ANY($${paramIndex++})`);
+    params.push(entityTypes);
+  }
+
+  if (entityId) {
+    conditions.push(`l.entity_id = $${paramIndex++}`);
+    params.push(entityId);
+  }
+
+  if (actorId) {
+    conditions.push(`l.actor_id = $${paramIndex++}`);
+    params.push(actorId);
+  }
+
+  if (action) {
+    const actions = Array.isArray(action) ? action : [action];
+    conditions.push(`l.action = ANY($${paramIndex++})`);
+    params.push(actions);
+  }
+
+  // Лише записи, в яких змінилось вказане поле
+  if (field) {
+    conditions.push(`l.changes ? $${paramIndex++}`);
+    params.push(field);
+  }
+
+  if (dateFrom) {
+    conditions.push(`l.created_at >= $${paramIndex++}`);
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    conditions.push(`l.created_at <= $${paramIndex++}`);
+    params.push(dateTo);
+  }
+
+  const whereClause =
+    conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  return { whereClause, params, paramIndex };
+};
+
+/**
+ * Пошук у журналі змін з фільтрацією та пагінацією
+ * @param {Object} options - Опції фільтрації
+ * @param {number} [options.page=1] - Номер сторінки
+ * @param {number} [options.limit=50] - Кількість записів на сторінці
+ * @param {string|Array<string>} [options.entityType] - Тип(и) сутностей
+ * @param {number} [options.entityId] - ID сутності
+ * @param {number} [options.actorId] - ID автора змін
+ * @param {string|Array<string>} [options.action] - Тип(и) дій (INSERT, UPDATE, DELETE)
+ * @param {string} [options.field] - Поле, яке змінилось
+ * @param {string} [options.dateFrom] - Початок періоду
+ * @param {string} [options.dateTo] - Кінець періоду
+ * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
+ */
+const searchLog = async ({ page = 1, limit = 50, ...filters } = {}) => {
+  const offset = (page - 1) * limit;
+  const { whereClause, params, paramIndex } = buildFilterConditions(filters);
+
+  const query = `
+    SELECT ${LOG_FIELDS}
+    FROM entity_audit_log l
+    LEFT JOIN users actor ON l.actor_id = actor.id
+    ${whereClause}
+    ORDER BY l.created_at DESC, l.id DESC
+    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+  `;
+
+  const countQuery = `
+    SELECT COUNT(*) as total
+    FROM entity_audit_log l
+    ${whereClause}
+  `;
+
+  const [dataResult, countResult] = await Promise.all([
+    db.query(query, [...params, limit, offset]),
+    db.query(countQuery, params),
+  ]);
+
+  const total = parseInt(countResult.rows[0].total);
+
+  return {
+    data: dataResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Отримує історію змін однієї сутності (від найновіших змін)
+ * @param {string} entityType - Тип сутності (назва таблиці)
+ * @param {number} entityId - ID сутності
+ * @param {Object} [options] - Опції пагінації
+ * @param {number} [options.page=1] - Номер сторінки
+ * @param {number} [options.limit=50] - Кількість записів на сторінці
+ * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
+ */
+const getEntityHistory = async (entityType, entityId, { page = 1, limit = 50 } = {}) => {
+  return searchLog({ page, limit, entityType, entityId });
+};
+
+module.exports = {
+  AUDITED_ENTITY_TYPES,
+  AUDIT_ACTIONS,
+  searchLog,
+  getEntityHistory,
+};
@@ -5,6 +5,33 @@
  */
 
 const db = require("../config/db");
+const { applyDataScope } = require("../utils/dataScope");
+const { applyFilterConditions } = require("../utils/db.utils");
+const {
+  resolveCursorSort,
+  buildKeysetQuery,
+  buildCursorPage,
+} = require("../utils/cursorPagination");
+
+// Поля, за якими можлива курсорна пагінація потоків (NOT NULL), та їх типи
+const CURSOR_SORT_FIELDS = {
+  id: "integer",
+  name: "string",
+  created_at: "date",
+  updated_at: "date",
+};
+
+/**
+ * Колонки для обмеження потоків областю видимості користувача:
+ * команда потоку або участь користувача в потоці
+ */
+const FLOW_SCOPE_COLUMNS = {
+  team: "f.team_id",
+  user: (placeholder) => `EXISTS (
+    SELECT 1 FROM flow_users fu_scope
+    WHERE fu_scope.flow_id = f.id AND fu_scope.user_id = ${placeholder}
+  )`,
+};
 
 /**
  * Константи для типів потоків та метрик
@@ -21,10 +48,56 @@ const KPI_METRICS = {
   URD: "URD",
 };
 
+/**
+ * Специфікація фільтрів і сортування списку потоків (див. utils/listQuery)
+ */
+const LIST_QUERY_SPEC = {
+  filters: {
+    id: { column: "f.id", type: "integer" },
+    name: { column: "f.name", type: "string" },
+    status: {
+      column: "f.status",
+      type: "string",
+      operators: ["eq", "neq", "in"],
+      values: ["active", "paused", "stopped", "pending"],
+    },
+    flow_type: {
+      column: "f.flow_type",
+      type: "string",
+      operators: ["eq", "in"],
+      values: Object.values(FLOW_TYPES),
+    },
+    kpi_metric: {
+      column: "f.kpi_metric",
+      type: "string",
+      operators: ["eq", "in"],
+      values: Object.values(KPI_METRICS),
+    },
+    integration_status: {
+      column: "f.integration_status",
+      type: "string",
+      operators: ["eq", "neq", "in"],
+    },
+    currency: { column: "f.currency", type: "string", operators: ["eq", "in"] },
+    cpa: { column: "f.cpa", type: "number" },
+    offer_id: { column: "f.offer_id", type: "integer" },
+    geo_id: { column: "f.geo_id", type: "integer" },
+    team_id: { column: "f.team_id", type: "integer" },
+    is_active: { column: "f.is_active", type: "boolean" },
+    start_date: { column: "f.start_date", type: "date" },
+    stop_date: { column: "f.stop_date", type: "date" },
+    created_at: { column: "f.created_at", type: "date" },
+    updated_at: { column: "f.updated_at", type: "date" },
+  },
+  sort: ["created_at", "updated_at", "name", "cpa"],
+};
+
 /**
  * Отримання всіх потоків з пагінацією та фільтрацією
  * ОНОВЛЕНО: додано поля flow_type, kpi_metric, kpi_target_value, spend_percentage_ranges,
  * integration_status, integration_tasks, ready_at
+ * Курсорний режим (cursorMode) замінює OFFSET на keyset (див. utils/cursorPagination)
+ * options.filters - фільтри з параметрів filter[...] (див. utils/listQuery)
  */
 const getAllFlows = async (options = {}) => {
   const {
@@ -55,6 +128,13 @@ const getAllFlows = async (options = {}) => {
     sortOrder = "desc",
     startDate,
     endDate,
+    // Область видимості даних (див. utils/dataScope)
+    scope,
+    // Курсорна пагінація
+    cursorMode = false,
+    cursor = null,
+    includeTotal = false,
+    filters,
   } = options;
 
   const offset = (page - 1) * limit;
@@ -71,8 +151,8 @@ const getAllFlows = async (options = {}) => {
     LEFT JOIN users updater ON f.updated_by = updater.id
   `;
 
-  // Умови фільтрації
-  const conditions = [];
+  // Умови фільтрації (видалені потоки не показуються)
+  const conditions = ["f.deleted_at IS NULL"];
   const params = [];
   let paramIndex = 1;
 
@@ -167,12 +247,43 @@ const getAllFlows = async (options = {}) => {
     paramIndex++;
   }
 
+  // Фільтри з параметрів filter[...]
+  paramIndex = applyFilterConditions(filters, conditions, params, paramIndex);
+
+  paramIndex = applyDataScope(
+    scope,
+    FLOW_SCOPE_COLUMNS,
+    conditions,
+    params,
+    paramIndex
+  );
+
   const whereClause =
     conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
 
   // Зберігаємо базові параметри для count запиту
   const baseParams = [...params];
 
+  // Курсорний режим: сторінка продовжується від граничного запису
+  let cursorSort = null;
+  let keyset = null;
+  if (cursorMode) {
+    cursorSort = resolveCursorSort({
+      cursor,
+      sortBy,
+      sortOrder,
+      sortFields: CURSOR_SORT_FIELDS,
+    });
+    keyset = buildKeysetQuery({
+      sortExpr: `f.${cursorSort.sortBy}`,
+      idExpr: "f.id",
+      sortOrder: cursorSort.sortOrder,
+      cursor,
+      limit,
+      paramIndex,
+    });
+  }
+
   // ОНОВЛЕНО: Запит для отримання даних з новими полями
   const dataQuery = `
     SELECT 
@@ -236,15 +347,19 @@ const getAllFlows = async (options = {}) => {
       
       -- Кількість активних користувачів
       (SELECT COUNT(*) FROM flow_users fu WHERE fu.flow_id = f.id AND fu.status = 'active') as active_users_count
+      ${keyset ? `, ${keyset.select}` : ""}
       
     ${baseQuery}
     ${whereClause}
-    ORDER BY f.${sortBy} ${sortOrder.toUpperCase()}
-    LIMIT $${paramIndex++} OFFSET $${paramIndex++}
+    ${keyset && keyset.condition ? `AND ${keyset.condition}` : ""}
+    ORDER BY ${keyset ? keyset.orderBy : `f.${sortBy} ${sortOrder.toUpperCase()}`}
+    ${keyset ? keyset.limitClause : `LIMIT $${paramIndex++} OFFSET $${paramIndex++}`}
   `;
 
   // Додаємо параметри пагінації для data запиту
-  const dataParams = [...params, limit, offset];
+  const dataParams = keyset
+    ? [...params, ...keyset.params]
+    : [...params, limit, offset];
 
   // Запит для підрахунку загальної кількості (використовуємо базові параметри)
   const countQuery = `
@@ -254,13 +369,17 @@ const getAllFlows = async (options = {}) => {
   `;
 
   try {
+    // У курсорному режимі загальна кількість рахується лише на запит
     const [dataResult, countResult] = await Promise.all([
       db.query(dataQuery, dataParams),
-      db.query(countQuery, baseParams),
+      !keyset || includeTotal ? db.query(countQuery, baseParams) : null,
     ]);
 
-    const flows = dataResult.rows;
-    const total = parseInt(countResult.rows[0].total);
+    const total = countResult ? parseInt(countResult.rows[0].total) : undefined;
+    const cursorPage = keyset
+      ? buildCursorPage(dataResult.rows, { limit, cursor, ...cursorSort })
+      : null;
+    const flows = cursorPage ? cursorPage.rows : dataResult.rows;
 
     // Отримуємо користувачів для кожного потоку
     const flowsWithUsers = await Promise.all(
@@ -289,14 +408,16 @@ const getAllFlows = async (options = {}) => {
       })
     );
 
-    const pagination = {
-      page,
-      limit,
-      total,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page < Math.ceil(total / limit),
-      hasPrevPage: page > 1,
-    };
+    const pagination = cursorPage
+      ? { ...cursorPage.pagination, total }
+      : {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1,
+        };
 
     return {
       flows: flowsWithUsers,
@@ -311,8 +432,14 @@ const getAllFlows = async (options = {}) => {
 /**
  * ОНОВЛЕНО: Отримання потоку за ID з повною інформацією включно з новими полями
  * (integration_status, integration_tasks, ready_at)
+ * @param {number} id - ID потоку
+ * @param {Object} [scope] - Область видимості даних (див. utils/dataScope)
  */
-const getFlowById = async (id) => {
+const getFlowById = async (id, scope) => {
+  const conditions = ["f.id = $1", "f.deleted_at IS NULL"];
+  const params = [id];
+  applyDataScope(scope, FLOW_SCOPE_COLUMNS, conditions, params, 2);
+
   const query = `
     SELECT 
       f.*,
@@ -345,10 +472,10 @@ const getFlowById = async (id) => {
     LEFT JOIN teams tm ON f.team_id = tm.id
     LEFT JOIN users creator ON f.created_by = creator.id
     LEFT JOIN users updater ON f.updated_by = updater.id
-    WHERE f.id = $1
+    WHERE ${conditions.join(" AND ")}
   `;
 
-  const result = await db.query(query, [id]);
+  const result = await db.query(query, params);
   if (result.rows.length === 0) return null;
 
   const flow = result.rows[0];
@@ -430,7 +557,7 @@ const createFlow = async (flowData) => {
 
     // 2. Отримуємо назву офферу
     const offerQuery = await client.query(
-      "SELECT name FROM offers WHERE id = $1",
+      "SELECT name FROM offers WHERE id = $1 AND deleted_at IS NULL",
       [offer_id]
     );
 
@@ -720,7 +847,7 @@ const updateFlow = async (id, flowData) => {
   const query = `
     UPDATE flows
     SET ${setClauses.join(", ")}
-    WHERE id = $${paramIndex}
+    WHERE id = $${paramIndex} AND deleted_at IS NULL
     RETURNING *
   `;
 
@@ -766,9 +893,9 @@ const updateFlow = async (id, flowData) => {
 };
 
 /**
- * Видалення потоку (без змін)
+ * Видалення потоку (м'яке видалення: потік разом з користувачами переходить у кошик)
  */
-const deleteFlow = async (id) => {
+const deleteFlow = async (id, deletedBy) => {
   try {
     // Перевіряємо наявність пов'язаних записів
     const [statsResult, payoutFlowsResult] = await Promise.all([
@@ -792,10 +919,12 @@ const deleteFlow = async (id) => {
       };
     }
 
-    // Видаляємо потік (каскадне видалення користувачів відбудеться автоматично)
     const result = await db.query(
-      "DELETE FROM flows WHERE id = $1 RETURNING id",
-      [id]
+      `UPDATE flows
+       SET deleted_at = NOW(), deleted_by = $2
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id`,
+      [id, deletedBy]
     );
 
     return {
@@ -857,10 +986,12 @@ const getAllFlowsStats = async (options = {}) => {
     // ДОДАНО: фільтри за типом
     flow_type,
     kpi_metric,
+    // Область видимості даних (див. utils/dataScope)
+    scope,
   } = options;
 
-  // Будуємо умови фільтрації
-  const conditions = [];
+  // Будуємо умови фільтрації (видалені потоки не враховуються)
+  const conditions = ["f.deleted_at IS NULL"];
   const params = [];
   let paramIndex = 1;
 
@@ -924,6 +1055,14 @@ const getAllFlowsStats = async (options = {}) => {
     params.push(dateTo);
   }
 
+  paramIndex = applyDataScope(
+    scope,
+    FLOW_SCOPE_COLUMNS,
+    conditions,
+    params,
+    paramIndex
+  );
+
   const whereClause =
     conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
 
@@ -1015,7 +1154,7 @@ const updateFlowStatus = async (id, status, updatedBy) => {
   const query = `
     UPDATE flows
     SET status = $1, updated_by = $2, updated_at = NOW()
-    WHERE id = $3
+    WHERE id = $3 AND deleted_at IS NULL
     RETURNING *
   `;
 
@@ -1030,7 +1169,7 @@ const updateFlowActiveStatus = async (id, isActive, updatedBy) => {
   const query = `
     UPDATE flows
     SET is_active = $1, updated_by = $2, updated_at = NOW()
-    WHERE id = $3
+    WHERE id = $3 AND deleted_at IS NULL
     RETURNING *
   `;
 
@@ -1042,6 +1181,8 @@ module.exports = {
   // Константи
   FLOW_TYPES,
   KPI_METRICS,
+  LIST_QUERY_SPEC,
+  CURSOR_SORT_FIELDS,
 
   // Основні CRUD операції
   getAllFlows,
@@ -1,4 +1,5 @@
 const db = require("../config/db");
+const { teamOnDateCondition } = require("./team.membership.model");
 
 /**
  * Модель для роботи зі статистикою потоків (P/L таблиці)
@@ -327,7 +328,7 @@ const getDailyFlowsStats = async (options) => {
     LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
       AND fu.user_id = fs.user_id 
       AND fs.day = $1 AND fs.month = $2 AND fs.year = $3
-    WHERE fu.user_id IS NOT NULL ${whereClause}
+    WHERE fu.user_id IS NOT NULL AND f.deleted_at IS NULL ${whereClause}
     ORDER BY f.name, u.first_name, u.last_name
     LIMIT ${limitParam} OFFSET ${offsetParam}
   `;
@@ -340,7 +341,7 @@ const getDailyFlowsStats = async (options) => {
     LEFT JOIN partners p ON o.partner_id = p.id
     LEFT JOIN flow_users fu ON f.id = fu.flow_id AND fu.status = 'active'
     LEFT JOIN users u ON fu.user_id = u.id
-    WHERE fu.user_id IS NOT NULL ${countWhereClause}
+    WHERE fu.user_id IS NOT NULL AND f.deleted_at IS NULL ${countWhereClause}
   `;
 
   try {
@@ -448,7 +449,7 @@ const checkUserAccess = async (flow_id, user_id, user_role) => {
   if (
     ["admin", "bizdev", "teamlead", "affiliate_manager"].includes(user_role)
   ) {
-    const query = `SELECT 1 FROM flows WHERE id = $1 LIMIT 1`;
+    const query = `SELECT 1 FROM flows WHERE id = $1 AND deleted_at IS NULL LIMIT 1`;
     const result = await db.query(query, [flow_id]);
     return result.rows.length > 0;
   }
@@ -457,7 +458,9 @@ const checkUserAccess = async (flow_id, user_id, user_role) => {
   if (user_role === "buyer") {
     const query = `
       SELECT 1 FROM flow_users fu
+      JOIN flows f ON fu.flow_id = f.id
       WHERE fu.flow_id = $1 AND fu.user_id = $2 AND fu.status = 'active'
+        AND f.deleted_at IS NULL
       LIMIT 1
     `;
     const result = await db.query(query, [flow_id, user_id]);
@@ -964,7 +967,7 @@ const getUserMonthlyStats = async (
         SELECT DISTINCT f.id as flow_id
         FROM flows f
         JOIN flow_users fu ON f.id = fu.flow_id
-        WHERE fu.user_id = $1 AND fu.status = 'active'
+        WHERE fu.user_id = $1 AND fu.status = 'active' AND f.deleted_at IS NULL
       ),
       daily_data AS (
         SELECT 
@@ -1077,7 +1080,7 @@ const getUserMonthlyStats = async (
         f.cpa
       FROM flows f
       JOIN flow_users fu ON f.id = fu.flow_id
-      WHERE fu.user_id = $1 AND fu.status = 'active'
+      WHERE fu.user_id = $1 AND fu.status = 'active' AND f.deleted_at IS NULL
     `;
 
     const activeFlowsResult = await db.query(activeFlowsQuery, [userId]);
@@ -1127,7 +1130,7 @@ const getUserMonthlyStats = async (
         COUNT(DISTINCT f.team_id) as unique_teams,
         -- Найкращий день за ROI
         (SELECT day FROM flow_stats fs2 
-         JOIN flows f2 ON fs2.flow_id = f2.id
+         JOIN flows f2 ON fs2.flow_id = f2.id AND f2.deleted_at IS NULL
          JOIN flow_users fu2 ON f2.id = fu2.flow_id
          WHERE fu2.user_id = $1 AND fu2.status = 'active'
          AND fs2.user_id = $1
@@ -1137,7 +1140,7 @@ const getUserMonthlyStats = async (
          LIMIT 1) as best_roi_day,
         -- Найгірший день за ROI
         (SELECT day FROM flow_stats fs2 
-         JOIN flows f2 ON fs2.flow_id = f2.id
+         JOIN flows f2 ON fs2.flow_id = f2.id AND f2.deleted_at IS NULL
          JOIN flow_users fu2 ON f2.id = fu2.flow_id
          WHERE fu2.user_id = $1 AND fu2.status = 'active'
          AND fs2.user_id = $1
@@ -1151,7 +1154,7 @@ const getUserMonthlyStats = async (
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.user_id = $1
         AND fs.month = $2 AND fs.year = $3
-      WHERE fu.user_id = $1 AND fu.status = 'active'
+      WHERE fu.user_id = $1 AND fu.status = 'active' AND f.deleted_at IS NULL
     `;
 
     const summaryResult = await db.query(summaryQuery, [userId, month, year]);
@@ -1371,16 +1374,29 @@ const getTeamMonthlyStats = async (
     // Отримуємо кількість днів у місяці
     const daysInMonth = new Date(year, month, 0).getDate();
 
+    // Статистика місяця, віднесена до команди за історією членства користувача на кожен день
+    // (для користувачів без історії - за командою потоку). Параметри: $1 - команда, $2 - місяць, $3 - рік
+    const teamStatsCte = `
+      team_stats AS (
+        SELECT fs.*
+        FROM flow_stats fs
+        JOIN flows f ON fs.flow_id = f.id AND f.deleted_at IS NULL
+        WHERE fs.month = $2 AND fs.year = $3
+          AND ${teamOnDateCondition(
+            "fs.user_id",
+            "make_date(fs.year, fs.month, fs.day)",
+            "$1",
+            "f.team_id"
+          )}
+      )
+    `;
+
     // Основний запит з денними даними
     const dailyStatsQuery = `
       WITH days_series AS (
-        SELECT generate_series(1, $3) as day
-      ),
-      team_flows AS (
-        SELECT id as flow_id
-        FROM flows
-        WHERE team_id = $1
+        SELECT generate_series(1, $4) as day
       ),
+      ${teamStatsCte},
       daily_data AS (
         SELECT 
           ds.day,
@@ -1408,10 +1424,7 @@ const getTeamMonthlyStats = async (
             )
           ) FILTER (WHERE fs.flow_id IS NOT NULL) as daily_flow_stats
         FROM days_series ds
-        LEFT JOIN flow_stats fs ON ds.day = fs.day 
-          AND fs.month = $2 
-          AND fs.year = $4
-          AND fs.flow_id IN (SELECT flow_id FROM team_flows)
+        LEFT JOIN team_stats fs ON ds.day = fs.day
         GROUP BY ds.day
       )
       SELECT 
@@ -1479,12 +1492,14 @@ const getTeamMonthlyStats = async (
     const dailyResult = await db.query(dailyStatsQuery, [
       teamId,
       month,
-      daysInMonth,
       year,
+      daysInMonth,
     ]);
 
-    // Отримуємо дані про всі потоки команди
+    // Отримуємо дані про всі потоки команди та потоки інших команд,
+    // статистика яких належить команді за історією членства
     const teamFlowsQuery = `
+      WITH ${teamStatsCte}
       SELECT 
         f.id,
         f.flow_type,
@@ -1493,10 +1508,15 @@ const getTeamMonthlyStats = async (
         f.spend_percentage_ranges,
         f.cpa
       FROM flows f
-      WHERE f.team_id = $1
+      WHERE f.deleted_at IS NULL
+        AND (f.team_id = $1 OR f.id IN (SELECT flow_id FROM team_stats))
     `;
 
-    const teamFlowsResult = await db.query(teamFlowsQuery, [teamId]);
+    const teamFlowsResult = await db.query(teamFlowsQuery, [
+      teamId,
+      month,
+      year,
+    ]);
     const teamFlows = teamFlowsResult.rows;
 
     // Створюємо мапу потоків для швидкого доступу
@@ -1525,10 +1545,22 @@ const getTeamMonthlyStats = async (
 
     // Загальна статистика за місяць
     const summaryQuery = `
+      WITH ${teamStatsCte},
+      team_flows_summary AS (
+        SELECT 
+          COUNT(DISTINCT f.id) as total_team_flows,
+          COUNT(DISTINCT f.id) FILTER (WHERE f.status = 'active') as active_team_flows,
+          COUNT(DISTINCT o.partner_id) as unique_partners,
+          COUNT(DISTINCT o.id) as unique_offers,
+          COUNT(DISTINCT f.geo_id) as unique_geos
+        FROM flows f
+        LEFT JOIN offers o ON f.offer_id = o.id
+        WHERE f.team_id = $1 AND f.deleted_at IS NULL
+      )
       SELECT 
         t.name as team_name,
-        COUNT(DISTINCT f.id) as total_team_flows,
-        COUNT(DISTINCT f.id) FILTER (WHERE f.status = 'active') as active_team_flows,
+        tfs.total_team_flows,
+        tfs.active_team_flows,
         COUNT(DISTINCT fs.user_id) as total_active_users,
         COALESCE(SUM(fs.spend), 0) as total_spend,
         COALESCE(SUM(fs.installs), 0) as total_installs,
@@ -1541,40 +1573,36 @@ const getTeamMonthlyStats = async (
         COALESCE(AVG(fs.cpa), 0) as avg_cpa,
         COUNT(fs.id) as total_stats_entries,
         COUNT(DISTINCT fs.flow_id) as flows_with_activity,
-        COUNT(DISTINCT o.partner_id) as unique_partners,
-        COUNT(DISTINCT o.id) as unique_offers,
-        COUNT(DISTINCT f.geo_id) as unique_geos,
+        tfs.unique_partners,
+        tfs.unique_offers,
+        tfs.unique_geos,
         -- Найкращий день за ROI
-        (SELECT day FROM flow_stats fs2 
-         JOIN flows f2 ON fs2.flow_id = f2.id
-         WHERE f2.team_id = $1
-         AND fs2.month = $2 AND fs2.year = $3
-         AND fs2.spend > 0 AND fs2.deps > 0 AND fs2.cpa > 0
+        (SELECT day FROM team_stats fs2 
+         WHERE fs2.spend > 0 AND fs2.deps > 0 AND fs2.cpa > 0
          ORDER BY ((fs2.deps * fs2.cpa - fs2.spend) / fs2.spend * 100) DESC
          LIMIT 1) as best_roi_day,
         -- Найгірший день за ROI
-        (SELECT day FROM flow_stats fs2 
-         JOIN flows f2 ON fs2.flow_id = f2.id
-         WHERE f2.team_id = $1
-         AND fs2.month = $2 AND fs2.year = $3
-         AND fs2.spend > 0 AND fs2.deps > 0 AND fs2.cpa > 0
+        (SELECT day FROM team_stats fs2 
+         WHERE fs2.spend > 0 AND fs2.deps > 0 AND fs2.cpa > 0
          ORDER BY ((fs2.deps * fs2.cpa - fs2.spend) / fs2.spend * 100) ASC
          LIMIT 1) as worst_roi_day,
         -- Найпродуктивніший користувач
-        (SELECT fs.user_id FROM flow_stats fs 
-         JOIN flows f ON fs.flow_id = f.id
-         WHERE f.team_id = $1
-         AND fs.month = $2 AND fs.year = $3
-         GROUP BY fs.user_id
-         ORDER BY SUM(fs.deps) DESC
+        (SELECT fs2.user_id FROM team_stats fs2 
+         GROUP BY fs2.user_id
+         ORDER BY SUM(fs2.deps) DESC
          LIMIT 1) as top_user_id
       FROM teams t
-      LEFT JOIN flows f ON t.id = f.team_id
-      LEFT JOIN offers o ON f.offer_id = o.id
-      LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
-        AND fs.month = $2 AND fs.year = $3
+      CROSS JOIN team_flows_summary tfs
+      LEFT JOIN team_stats fs ON true
       WHERE t.id = $1
-      GROUP BY t.id, t.name
+      GROUP BY
+        t.id,
+        t.name,
+        tfs.total_team_flows,
+        tfs.active_team_flows,
+        tfs.unique_partners,
+        tfs.unique_offers,
+        tfs.unique_geos
     `;
 
     const summaryResult = await db.query(summaryQuery, [teamId, month, year]);
@@ -1617,6 +1645,7 @@ const getTeamMonthlyStats = async (
 
     // ОНОВЛЕНО: Отримуємо топ користувачів команди
     const topUsersQuery = `
+      WITH ${teamStatsCte}
       SELECT 
         u.id as user_id,
         u.username,
@@ -1655,9 +1684,7 @@ const getTeamMonthlyStats = async (
           ELSE 0 
         END as cpd
       FROM users u
-      JOIN flow_stats fs ON u.id = fs.user_id
-      JOIN flows f ON fs.flow_id = f.id
-      WHERE f.team_id = $1 AND fs.month = $2 AND fs.year = $3
+      JOIN team_stats fs ON u.id = fs.user_id
       GROUP BY u.id, u.username, u.first_name, u.last_name
       HAVING SUM(fs.deps) > 0
       ORDER BY total_deps DESC
@@ -1673,26 +1700,23 @@ const getTeamMonthlyStats = async (
 
         // Отримуємо статистику по потоках для конкретного користувача
         const userFlowStatsQuery = `
+          WITH ${teamStatsCte}
           SELECT 
             fs.flow_id,
             SUM(fs.spend) as total_spend,
             SUM(fs.deps) as total_deps,
             SUM(fs.verified_deps) as total_verified_deps,
             AVG(fs.cpa) as avg_cpa
-          FROM flow_stats fs
-          JOIN flows f ON fs.flow_id = f.id
-          WHERE f.team_id = $1 
-            AND fs.user_id = $2 
-            AND fs.month = $3 
-            AND fs.year = $4
+          FROM team_stats fs
+          WHERE fs.user_id = $4
           GROUP BY fs.flow_id
         `;
 
         const userFlowStatsResult = await db.query(userFlowStatsQuery, [
           teamId,
-          user.user_id,
           month,
           year,
+          user.user_id,
         ]);
 
         // Розраховуємо прибуток по потоках користувача
@@ -1966,10 +1990,13 @@ const getCompanyDailyStats = async (
             )
           ) FILTER (WHERE fs.flow_id IS NOT NULL) as daily_flow_stats
         FROM days_series ds
-        LEFT JOIN flow_stats fs ON ds.day = fs.day 
-          AND fs.month = $1 
+        -- Статистика видалених потоків не враховується
+        LEFT JOIN (
+          flow_stats fs
+          JOIN flows f ON fs.flow_id = f.id AND f.deleted_at IS NULL
+        ) ON ds.day = fs.day
+          AND fs.month = $1
           AND fs.year = $3
-        LEFT JOIN flows f ON fs.flow_id = f.id
         GROUP BY ds.day
       )
       SELECT 
@@ -2047,7 +2074,7 @@ const getCompanyDailyStats = async (
         f.spend_percentage_ranges,
         f.cpa
       FROM flows f
-      WHERE f.status = 'active'
+      WHERE f.status = 'active' AND f.deleted_at IS NULL
     `;
 
     const companyFlowsResult = await db.query(companyFlowsQuery);
@@ -2122,6 +2149,7 @@ const getCompanyDailyStats = async (
       LEFT JOIN offers o ON f.offer_id = o.id
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.month = $1 AND fs.year = $2
+      WHERE f.deleted_at IS NULL
     `;
 
     const summaryResult = await db.query(summaryQuery, [month, year]);
@@ -2164,7 +2192,7 @@ const getCompanyDailyStats = async (
         END as cpd
         
       FROM teams t
-      LEFT JOIN flows f ON t.id = f.team_id
+      LEFT JOIN flows f ON t.id = f.team_id AND f.deleted_at IS NULL
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.month = $1 AND fs.year = $2
       GROUP BY t.id, t.name
@@ -2213,7 +2241,7 @@ const getCompanyDailyStats = async (
         
       FROM users u
       JOIN flow_stats fs ON u.id = fs.user_id
-      JOIN flows f ON fs.flow_id = f.id
+      JOIN flows f ON fs.flow_id = f.id AND f.deleted_at IS NULL
       LEFT JOIN teams t ON f.team_id = t.id
       WHERE fs.month = $1 AND fs.year = $2
       GROUP BY u.id, u.username, u.first_name, u.last_name, t.name
@@ -2261,7 +2289,7 @@ const getCompanyDailyStats = async (
         
       FROM partners p
       LEFT JOIN offers o ON p.id = o.partner_id
-      LEFT JOIN flows f ON o.id = f.offer_id
+      LEFT JOIN flows f ON o.id = f.offer_id AND f.deleted_at IS NULL
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.month = $1 AND fs.year = $2
       GROUP BY p.id, p.name, p.type
@@ -2843,7 +2871,7 @@ const getUserFlowsMonthlyStats = async (
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.user_id = $1
         AND fs.month = $2 AND fs.year = $3
-      WHERE fu.user_id = $1 AND fu.status = 'active'
+      WHERE fu.user_id = $1 AND fu.status = 'active' AND f.deleted_at IS NULL
       GROUP BY 
         f.id, f.name, f.status, f.cpa, f.currency, f.description, 
         f.flow_type, f.kpi_metric, f.kpi_target_value, f.spend_percentage_ranges,
@@ -2913,7 +2941,7 @@ const getUserFlowsMonthlyStats = async (
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.user_id = $1
         AND fs.month = $2 AND fs.year = $3
-      WHERE fu.user_id = $1 AND fu.status = 'active'
+      WHERE fu.user_id = $1 AND fu.status = 'active' AND f.deleted_at IS NULL
     `;
 
     const summaryResult = await db.query(userSummaryQuery, [
@@ -3228,7 +3256,7 @@ const getTeamFlowsMonthlyStats = async (
       LEFT JOIN geos g ON f.geo_id = g.id
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.month = $2 AND fs.year = $3
-      WHERE f.team_id = $1
+      WHERE f.team_id = $1 AND f.deleted_at IS NULL
       GROUP BY 
         f.id, f.name, f.status, f.cpa, f.currency, f.description, 
         f.flow_type, f.kpi_metric, f.kpi_target_value, f.spend_percentage_ranges,
@@ -3295,7 +3323,7 @@ const getTeamFlowsMonthlyStats = async (
         COUNT(DISTINCT o.id) as unique_offers,
         COUNT(DISTINCT f.geo_id) as unique_geos
       FROM teams t
-      LEFT JOIN flows f ON t.id = f.team_id
+      LEFT JOIN flows f ON t.id = f.team_id AND f.deleted_at IS NULL
       LEFT JOIN offers o ON f.offer_id = o.id
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.month = $2 AND fs.year = $3
@@ -3623,7 +3651,7 @@ const getCompanyFlowsMonthlyStats = async (
       LEFT JOIN geos g ON f.geo_id = g.id
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.month = $1 AND fs.year = $2
-      WHERE f.status = 'active'
+      WHERE f.status = 'active' AND f.deleted_at IS NULL
       GROUP BY 
         f.id, f.name, f.status, f.cpa, f.currency, f.description, 
         f.flow_type, f.kpi_metric, f.kpi_target_value, f.spend_percentage_ranges,
@@ -3694,7 +3722,7 @@ const getCompanyFlowsMonthlyStats = async (
       LEFT JOIN offers o ON f.offer_id = o.id
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.month = $1 AND fs.year = $2
-      WHERE f.status = 'active'
+      WHERE f.status = 'active' AND f.deleted_at IS NULL
     `;
 
     const summaryResult = await db.query(companySummaryQuery, [month, year]);
@@ -3949,6 +3977,7 @@ const getCompanyMonthlyStats = async (options = {}) => {
       LEFT JOIN teams t ON f.team_id = t.id
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.month = $1 AND fs.year = $2
+      WHERE f.deleted_at IS NULL
     `;
 
     // Агрегати по потоках
@@ -3968,7 +3997,7 @@ const getCompanyMonthlyStats = async (options = {}) => {
       FROM flows f
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.month = $1 AND fs.year = $2
-      WHERE (fs.flow_id IS NOT NULL OR f.id IS NOT NULL)
+      WHERE f.deleted_at IS NULL
       GROUP BY f.id, f.flow_type, f.kpi_metric, f.kpi_target_value, f.spend_percentage_ranges, f.cpa
     `;
 
@@ -4111,7 +4140,7 @@ const getCompanyMonthlyStats = async (options = {}) => {
         END as team_cpd
         
       FROM teams t
-      LEFT JOIN flows f ON t.id = f.team_id
+      LEFT JOIN flows f ON t.id = f.team_id AND f.deleted_at IS NULL
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.month = $1 AND fs.year = $2
       GROUP BY t.id, t.name
@@ -4157,7 +4186,7 @@ const getCompanyMonthlyStats = async (options = {}) => {
         
       FROM partners p
       LEFT JOIN offers o ON p.id = o.partner_id
-      LEFT JOIN flows f ON o.id = f.offer_id
+      LEFT JOIN flows f ON o.id = f.offer_id AND f.deleted_at IS NULL
       LEFT JOIN flow_stats fs ON f.id = fs.flow_id 
         AND fs.month = $1 AND fs.year = $2
       GROUP BY p.id, p.name, p.type
@@ -4205,7 +4234,7 @@ const getCompanyMonthlyStats = async (options = {}) => {
         
       FROM users u
       JOIN flow_stats fs ON u.id = fs.user_id
-      JOIN flows f ON fs.flow_id = f.id
+      JOIN flows f ON fs.flow_id = f.id AND f.deleted_at IS NULL
       LEFT JOIN teams t ON f.team_id = t.id
       WHERE fs.month = $1 AND fs.year = $2
       GROUP BY u.id, u.username, u.first_name, u.last_name, t.name
@@ -4251,7 +4280,7 @@ const getCompanyMonthlyStats = async (options = {}) => {
         END as day_cpd
         
       FROM flow_stats fs
-      JOIN flows f ON fs.flow_id = f.id
+      JOIN flows f ON fs.flow_id = f.id AND f.deleted_at IS NULL
       WHERE fs.month = $1 AND fs.year = $2
       GROUP BY fs.day
       ORDER BY fs.day
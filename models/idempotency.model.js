@@ -0,0 +1,79 @@
+/**
+ * Модель для роботи з ключами ідемпотентності (заголовок Idempotency-Key)
+ * Ключ унікальний у межах власника (користувача або API ключа)
+ */
+const db = require("../config/db");
+
+/**
+ * Резервує ключ для нового запиту
+ * Прострочені ключі власника видаляються, тож прострочений ключ резервується заново
+ * @param {Object} keyData - Дані ключа
+ * @param {string} keyData.owner - Власник ключа (user:<id> або api-key:<id>)
+ * @param {string} keyData.key - Значення заголовка Idempotency-Key
+ * @param {string} keyData.method - HTTP метод
+ * @param {string} keyData.path - Шлях запиту
+ * @param {string} keyData.requestHash - Хеш методу, шляху та тіла запиту
+ * @param {number} keyData.ttlHours - Час зберігання ключа (годин)
+ * @returns {Promise<Object>} { reserved: true, record } або { reserved: false, record } з існуючим записом
+ */
+const reserveKey = async ({ owner, key, method, path, requestHash, ttlHours }) => {
+  await db.query(
+    "DELETE FROM idempotency_keys WHERE owner = $1 AND expires_at <= NOW()",
+    [owner]
+  );
+
+  const inserted = await db.query(
+    `INSERT INTO idempotency_keys (
+       owner, idempotency_key, method, path, request_hash, expires_at
+     )
+     VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' hours')::interval)
+     ON CONFLICT (owner, idempotency_key) DO NOTHING
+     RETURNING *`,
+    [owner, key, method, path, requestHash, String(ttlHours)]
+  );
+
+  if (inserted.rows.length > 0) {
+    return { reserved: true, record: inserted.rows[0] };
+  }
+
+  const existing = await db.query(
+    "SELECT * FROM idempotency_keys WHERE owner = $1 AND idempotency_key = $2",
+    [owner, key]
+  );
+
+  return { reserved: false, record: existing.rows[0] || null };
+};
+
+/**
+ * Зберігає відповідь на запит для повторної видачі
+ * @param {number} id - ID запису ключа
+ * @param {number} responseStatus - HTTP статус відповіді
+ * @param {any} responseBody - Тіло відповіді (JSON)
+ * @returns {Promise<void>}
+ */
+const completeKey = async (id, responseStatus, responseBody) => {
+  await db.query(
+    `UPDATE idempotency_keys
+     SET status = 'completed',
+         response_status = $2,
+         response_body = $3,
+         completed_at = NOW()
+     WHERE id = $1`,
+    [id, responseStatus, JSON.stringify(responseBody ?? null)]
+  );
+};
+
+/**
+ * Звільняє ключ (запит завершився помилкою сервера і може бути повторений)
+ * @param {number} id - ID запису ключа
+ * @returns {Promise<void>}
+ */
+const releaseKey = async (id) => {
+  await db.query("DELETE FROM idempotency_keys WHERE id = $1", [id]);
+};
+
+module.exports = {
+  reserveKey,
+  completeKey,
+  releaseKey,
+};
@@ -0,0 +1,265 @@
+/**
+ * Модель для роботи з сесіями імперсонації ("перегляд від імені користувача")
+ * та журналом запитів, виконаних під час імперсонації
+ */
+const db = require("../config/db");
+
+/**
+ * Створює сесію імперсонації
+ * @param {Object} impersonationData - Дані сесії
+ * @param {number} impersonationData.adminId - ID адміністратора
+ * @param {number} impersonationData.targetUserId - ID користувача, від імені якого виконується перегляд
+ * @param {string} impersonationData.reason - Причина (наприклад, номер звернення)
+ * @param {Date} impersonationData.expiresAt - Дата закінчення дії
+ * @param {string} [impersonationData.ipAddress] - IP адреса адміністратора
+ * @param {string} [impersonationData.userAgent] - User Agent адміністратора
+ * @returns {Promise<Object>} Створена сесія
+ */
+const createImpersonation = async ({
+  adminId,
+  targetUserId,
+  reason,
+  expiresAt,
+  ipAddress,
+  userAgent,
+}) => {
+  const query = `
+    INSERT INTO impersonation_sessions (
+      admin_id,
+      target_user_id,
+      reason,
+      expires_at,
+      ip_address,
+      user_agent
+    )
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [
+    adminId,
+    targetUserId,
+    reason,
+    expiresAt,
+    ipAddress || null,
+    userAgent || null,
+  ]);
+  return result.rows[0];
+};
+
+/**
+ * Отримує активну (не завершену та не прострочену) сесію імперсонації
+ * разом з даними адміністратора
+ * @param {number} id - ID сесії
+ * @returns {Promise<Object|null>} Сесія або null
+ */
+const getActiveImpersonation = async (id) => {
+  const query = `
+    SELECT
+      i.*,
+      a.username as admin_username,
+      a.web_role as admin_role,
+      a.is_active as admin_is_active
+    FROM impersonation_sessions i
+    JOIN users a ON i.admin_id = a.id
+    WHERE i.id = $1 AND i.ended_at IS NULL AND i.expires_at > NOW()
+  `;
+
+  const result = await db.query(query, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Отримує сесію імперсонації за ID
+ * @param {number} id - ID сесії
+ * @returns {Promise<Object|null>} Сесія або null
+ */
+const getImpersonationById = async (id) => {
+  const query = `
+    SELECT
+      i.*,
+      a.username as admin_username,
+      t.username as target_username
+    FROM impersonation_sessions i
+    LEFT JOIN users a ON i.admin_id = a.id
+    LEFT JOIN users t ON i.target_user_id = t.id
+    WHERE i.id = $1
+  `;
+
+  const result = await db.query(query, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Отримує список сесій імперсонації з фільтрацією та пагінацією
+ * @param {Object} options - Опції фільтрації
+ * @param {number} [options.page=1] - Номер сторінки
+ * @param {number} [options.limit=20] - Кількість записів на сторінці
+ * @param {number} [options.adminId] - ID адміністратора
+ * @param {number} [options.targetUserId] - ID користувача
+ * @param {boolean} [options.onlyActive] - Тільки активні сесії
+ * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
+ */
+const getAllImpersonations = async ({
+  page = 1,
+  limit = 20,
+  adminId,
+  targetUserId,
+  onlyActive,
+} = {}) => {
+  const offset = (page - 1) * limit;
+  const conditions = [];
+  const params = [];
+  let paramIndex = 1;
+
+  if (adminId) {
+    conditions.push(`i.admin_id = $${paramIndex++}`);
+    params.push(adminId);
+  }
+
+  if (targetUserId) {
+    conditions.push(`i.target_user_id = $${paramIndex++}`);
+    params.push(targetUserId);
+  }
+
+  if (onlyActive) {
+    conditions.push("i.ended_at IS NULL AND i.expires_at > NOW()");
+  }
+
+  const whereClause =
+    conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const query = `
+    SELECT
+      i.*,
+      a.username as admin_username,
+      t.username as target_username,
+      (SELECT COUNT(*) FROM impersonation_request_log r WHERE r.impersonation_id = i.id) as requests_count
+    FROM impersonation_sessions i
+    LEFT JOIN users a ON i.admin_id = a.id
+    LEFT JOIN users t ON i.target_user_id = t.id
+    ${whereClause}
+    ORDER BY i.started_at DESC
+    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+  `;
+
+  const countQuery = `
+    SELECT COUNT(*) as total
+    FROM impersonation_sessions i
+    ${whereClause}
+  `;
+
+  const [dataResult, countResult] = await Promise.all([
+    db.query(query, [...params, limit, offset]),
+    db.query(countQuery, params),
+  ]);
+
+  const total = parseInt(countResult.rows[0].total);
+
+  return {
+    data: dataResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Завершує сесію імперсонації
+ * @param {number} id - ID сесії
+ * @param {number} endedBy - ID користувача, який завершив сесію
+ * @returns {Promise<Object|null>} Завершена сесія або null, якщо вона вже неактивна
+ */
+const endImpersonation = async (id, endedBy) => {
+  const result = await db.query(
+    `UPDATE impersonation_sessions
+     SET ended_at = NOW(), ended_by = $2
+     WHERE id = $1 AND ended_at IS NULL AND expires_at > NOW()
+     RETURNING *`,
+    [id, endedBy]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Записує запит, виконаний під час імперсонації
+ * @param {Object} requestData - Дані запиту
+ * @param {number} requestData.impersonationId - ID сесії імперсонації
+ * @param {string} requestData.method - HTTP метод
+ * @param {string} requestData.path - Шлях запиту (з query string)
+ * @param {number} requestData.statusCode - Код відповіді
+ * @param {string} [requestData.ipAddress] - IP адреса
+ * @returns {Promise<void>}
+ */
+const logRequest = async ({
+  impersonationId,
+  method,
+  path,
+  statusCode,
+  ipAddress,
+}) => {
+  await db.query(
+    `INSERT INTO impersonation_request_log (
+       impersonation_id, method, path, status_code, ip_address
+     )
+     VALUES ($1, $2, $3, $4, $5)`,
+    [impersonationId, method, path, statusCode, ipAddress || null]
+  );
+};
+
+/**
+ * Отримує журнал запитів сесії імперсонації
+ * @param {number} impersonationId - ID сесії
+ * @param {Object} options - Опції пагінації
+ * @param {number} [options.page=1] - Номер сторінки
+ * @param {number} [options.limit=50] - Кількість записів на сторінці
+ * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
+ */
+const getImpersonationRequests = async (
+  impersonationId,
+  { page = 1, limit = 50 } = {}
+) => {
+  const offset = (page - 1) * limit;
+
+  const [dataResult, countResult] = await Promise.all([
+    db.query(
+      `SELECT *
+       FROM impersonation_request_log
+       WHERE impersonation_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [impersonationId, limit, offset]
+    ),
+    db.query(
+      `SELECT COUNT(*) as total
+       FROM impersonation_request_log
+       WHERE impersonation_id = $1`,
+      [impersonationId]
+    ),
+  ]);
+
+  const total = parseInt(countResult.rows[0].total);
+
+  return {
+    data: dataResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+module.exports = {
+  createImpersonation,
+  getActiveImpersonation,
+  getImpersonationById,
+  getAllImpersonations,
+  endImpersonation,
+  logRequest,
+  getImpersonationRequests,
+};
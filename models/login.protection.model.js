@@ -0,0 +1,277 @@
+/**
+ * Модель для захисту від підбору паролів
+ * Зберігає історію спроб входу та блокування за username/IP
+ */
+const db = require("../config/db");
+const { withTransaction } = require("../utils/db.utils");
+
+/**
+ * Зберігає спробу входу
+ * @param {Object} attemptData - Дані спроби
+ * @param {string} attemptData.username - Ім'я користувача, що вводилося
+ * @param {string} attemptData.ipAddress - IP адреса
+ * @param {string} attemptData.userAgent - User Agent
+ * @param {boolean} attemptData.success - Чи успішна спроба
+ * @param {string} [attemptData.reason] - Причина невдачі
+ * @param {number} [attemptData.userId] - ID користувача (для успішних спроб)
+ * @returns {Promise<Object>} Збережена спроба
+ */
+const recordAttempt = async ({
+  username,
+  ipAddress,
+  userAgent,
+  success,
+  reason = null,
+  userId = null,
+}) => {
+  const query = `
+    INSERT INTO auth_login_attempts (
+      username, ip_address, user_agent, success, reason, user_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [
+    username,
+    ipAddress,
+    userAgent,
+    success,
+    reason,
+    userId,
+  ]);
+  return result.rows[0];
+};
+
+/**
+ * Знаходить активне блокування для будь-якого з переданих ключів
+ * @param {Array<Object>} scopes - Масив { type, value }, наприклад [{ type: "username", value: "john" }]
+ * @returns {Promise<Object|null>} Блокування з найпізнішим locked_until або null
+ */
+const getActiveLockout = async (scopes) => {
+  const conditions = [];
+  const params = [];
+  let paramIndex = 1;
+
+  scopes.forEach(({ type, value }) => {
+    conditions.push(
+      `(scope_type = $${paramIndex++} AND scope_value = $${paramIndex++})`
+    );
+    params.push(type, value);
+  });
+
+  const query = `
+    SELECT *
+    FROM auth_lockouts
+    WHERE locked_until > NOW() AND (${conditions.join(" OR ")})
+    ORDER BY locked_until DESC
+    LIMIT 1
+  `;
+
+  const result = await db.query(query, params);
+  return result.rows[0] || null;
+};
+
+/**
+ * Реєструє невдалу спробу для ключа та за потреби встановлює прогресивне блокування
+ * @param {string} scopeType - Тип ключа (username або ip)
+ * @param {string} scopeValue - Значення ключа
+ * @param {Object} settings - Налаштування захисту (LOGIN_PROTECTION)
+ * @returns {Promise<Object>} Оновлений запис блокування
+ */
+const registerFailure = async (scopeType, scopeValue, settings) => {
+  return withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO auth_lockouts (scope_type, scope_value)
+       VALUES ($1, $2)
+       ON CONFLICT (scope_type, scope_value) DO NOTHING`,
+      [scopeType, scopeValue]
+    );
+
+    const current = (
+      await client.query(
+        `SELECT * FROM auth_lockouts
+         WHERE scope_type = $1 AND scope_value = $2
+         FOR UPDATE`,
+        [scopeType, scopeValue]
+      )
+    ).rows[0];
+
+    const now = new Date();
+    const windowStart = new Date(
+      now.getTime() - settings.windowMinutes * 60 * 1000
+    );
+    const isNewWindow =
+      !current.window_started_at ||
+      new Date(current.window_started_at) < windowStart;
+
+    let failedCount = isNewWindow ? 1 : current.failed_count + 1;
+    let windowStartedAt = isNewWindow ? now : current.window_started_at;
+    let lockoutLevel = current.lockout_level;
+    let lockedUntil = current.locked_until;
+
+    // Кожне наступне блокування вдвічі довше за попереднє
+    if (failedCount >= settings.maxFailedAttempts) {
+      lockoutLevel += 1;
+      const lockoutMinutes = Math.min(
+        settings.baseLockoutMinutes * 2 ** (lockoutLevel - 1),
+        settings.maxLockoutMinutes
+      );
+      lockedUntil = new Date(now.getTime() + lockoutMinutes * 60 * 1000);
+      failedCount = 0;
+      windowStartedAt = null;
+    }
+
+    const result = await client.query(
+      `UPDATE auth_lockouts
+       SET
+         failed_count = $2,
+         window_started_at = $3,
+         lockout_level = $4,
+         locked_until = $5,
+         last_failed_at = $6,
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        current.id,
+        failedCount,
+        windowStartedAt,
+        lockoutLevel,
+        lockedUntil,
+        now,
+      ]
+    );
+
+    return result.rows[0];
+  });
+};
+
+/**
+ * Скидає лічильник невдалих спроб та рівень блокування для ключа
+ * @param {string} scopeType - Тип ключа (username або ip)
+ * @param {string} scopeValue - Значення ключа
+ * @returns {Promise<void>}
+ */
+const resetFailures = async (scopeType, scopeValue) => {
+  await db.query(
+    `UPDATE auth_lockouts
+     SET failed_count = 0, window_started_at = NULL, lockout_level = 0, updated_at = NOW()
+     WHERE scope_type = $1 AND scope_value = $2`,
+    [scopeType, scopeValue]
+  );
+};
+
+/**
+ * Знімає блокування для ключа та скидає лічильник невдалих спроб
+ * @param {string} scopeType - Тип ключа (username або ip)
+ * @param {string} scopeValue - Значення ключа
+ * @returns {Promise<void>}
+ */
+const clearLockout = async (scopeType, scopeValue) => {
+  await db.query(
+    `UPDATE auth_lockouts
+     SET
+       locked_until = NULL,
+       failed_count = 0,
+       window_started_at = NULL,
+       lockout_level = 0,
+       updated_at = NOW()
+     WHERE scope_type = $1 AND scope_value = $2`,
+    [scopeType, scopeValue]
+  );
+};
+
+/**
+ * Отримує список активних блокувань
+ * @param {Object} options - Опції фільтрації та пагінації
+ * @param {number} [options.page=1] - Номер сторінки
+ * @param {number} [options.limit=20] - Кількість записів на сторінку
+ * @param {string} [options.scopeType] - Фільтр за типом ключа
+ * @returns {Promise<Object>} Об'єкт з блокуваннями та пагінацією
+ */
+const getActiveLockouts = async ({ page = 1, limit = 20, scopeType } = {}) => {
+  const offset = (page - 1) * limit;
+  const conditions = ["l.locked_until > NOW()"];
+  const params = [];
+  let paramIndex = 1;
+
+  if (scopeType) {
+    conditions.push(`l.scope_type = $${paramIndex++}`);
+    params.push(scopeType);
+  }
+
+  const whereClause = conditions.join(" AND ");
+
+  const query = `
+    SELECT
+      l.*,
+      u.id as user_id,
+      CONCAT(u.first_name, ' ', u.last_name) as user_full_name
+    FROM auth_lockouts l
+    LEFT JOIN users u
+      ON l.scope_type = 'username'
+      AND (LOWER(u.username) = l.scope_value OR LOWER(u.email) = l.scope_value)
+    WHERE ${whereClause}
+    ORDER BY l.locked_until DESC
+    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+  `;
+
+  const countQuery = `
+    SELECT COUNT(*) as total
+    FROM auth_lockouts l
+    WHERE ${whereClause}
+  `;
+
+  const [dataResult, countResult] = await Promise.all([
+    db.query(query, [...params, limit, offset]),
+    db.query(countQuery, params),
+  ]);
+
+  const total = parseInt(countResult.rows[0].total);
+
+  return {
+    data: dataResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Знімає блокування (дію виконує адміністратор)
+ * @param {number} id - ID блокування
+ * @param {number} unlockedBy - ID адміністратора
+ * @returns {Promise<Object|null>} Оновлений запис або null
+ */
+const unlock = async (id, unlockedBy) => {
+  const query = `
+    UPDATE auth_lockouts
+    SET
+      locked_until = NULL,
+      failed_count = 0,
+      window_started_at = NULL,
+      lockout_level = 0,
+      unlocked_by = $2,
+      unlocked_at = NOW(),
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [id, unlockedBy]);
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  recordAttempt,
+  getActiveLockout,
+  registerFailure,
+  resetFailures,
+  clearLockout,
+  getActiveLockouts,
+  unlock,
+};
@@ -0,0 +1,272 @@
+/**
+ * Модель для офбордингу користувачів: пошук усього, чим володіє користувач,
+ * та передача цього наступнику в одній транзакції
+ */
+const db = require("../config/db");
+const { withTransaction } = require("../utils/db.utils");
+
+// Статуси фінансових заявок, які ще очікують обробки
+const PENDING_REQUEST_STATUSES = ["pending", "approved_by_teamlead"];
+
+// Статуси bizdev заявок, які вже закриті
+const CLOSED_BIZDEV_STATUSES = ["completed", "cancelled"];
+
+// Статуси алокацій виплат, які ще не виплачені
+const OPEN_ALLOCATION_STATUSES = ["draft", "confirmed"];
+
+/**
+ * Категорії володіння та дії, доступні для кожної з них
+ * reassign - передати наступнику, release - звільнити без наступника
+ */
+const OFFBOARDING_CATEGORIES = {
+  flow_memberships: { canRelease: true },
+  salary_templates: { canRelease: true },
+  finance_requests: { canRelease: false },
+  bizdev_requests: { canRelease: false },
+  payout_allocations: { canRelease: false },
+};
+
+/**
+ * Отримує все, чим володіє користувач і що потребує передачі при офбордингу
+ * @param {number} userId - ID користувача
+ * @param {Object} [client=db] - Клієнт БД
+ * @returns {Promise<Object>} Об'єкт з масивами записів за категоріями
+ */
+const getOwnedItems = async (userId, client = db) => {
+  const [flows, templates, requests, bizdevRequests, allocations] =
+    await Promise.all([
+      client.query(
+        `SELECT fu.flow_id, f.name as flow_name, fu.status, fu.joined_at
+         FROM flow_users fu
+         JOIN flows f ON fu.flow_id = f.id
+         WHERE fu.user_id = $1 AND fu.status = 'active'
+         ORDER BY f.name`,
+        [userId]
+      ),
+      client.query(
+        `SELECT id, base_amount, created_at, updated_at
+         FROM salary_templates
+         WHERE user_id = $1 AND is_active = true`,
+        [userId]
+      ),
+      client.query(
+        `SELECT id, request_type, status, created_at
+         FROM requests
+         WHERE user_id = $1 AND status = ANY($2) AND deleted_at IS NULL
+         ORDER BY created_at`,
+        [userId, PENDING_REQUEST_STATUSES]
+      ),
+      client.query(
+        `SELECT id, name, status, priority, deadline
+         FROM bizdev_requests
+         WHERE assigned_to = $1 AND status <> ALL($2)
+         ORDER BY created_at`,
+        [userId, CLOSED_BIZDEV_STATUSES]
+      ),
+      client.query(
+        `SELECT id, payout_request_id, flow_id, allocated_amount, currency, status
+         FROM payout_request_allocations
+         WHERE user_id = $1 AND status = ANY($2) AND deleted_at IS NULL
+         ORDER BY created_at`,
+        [userId, OPEN_ALLOCATION_STATUSES]
+      ),
+    ]);
+
+  return {
+    flow_memberships: flows.rows,
+    salary_templates: templates.rows,
+    finance_requests: requests.rows,
+    bizdev_requests: bizdevRequests.rows,
+    payout_allocations: allocations.rows,
+  };
+};
+
+/**
+ * Передає членство в потоках: старе членство деактивується, наступник додається
+ * (або його членство знову активується, якщо він вже був у потоці)
+ * @param {Object} client - Клієнт БД (транзакція)
+ * @param {number} userId - ID користувача
+ * @param {number|null} successorId - ID наступника (null - звільнити без наступника)
+ * @param {number} performedBy - ID адміністратора
+ * @returns {Promise<Array<number>>} ID змінених записів
+ */
+const reassignFlowMemberships = async (client, userId, successorId, performedBy) => {
+  const result = await client.query(
+    `UPDATE flow_users
+     SET status = 'inactive'
+     WHERE user_id = $1 AND status = 'active'
+     RETURNING flow_id`,
+    [userId]
+  );
+  const flowIds = result.rows.map((row) => row.flow_id);
+
+  if (successorId && flowIds.length > 0) {
+    await client.query(
+      `UPDATE flow_users
+       SET status = 'active'
+       WHERE user_id = $1 AND flow_id = ANY($2)`,
+      [successorId, flowIds]
+    );
+
+    await client.query(
+      `INSERT INTO flow_users (flow_id, user_id, status, notes, created_by)
+       SELECT t.flow_id, $1, 'active', $3, $4
+       FROM UNNEST($2::integer[]) AS t(flow_id)
+       WHERE NOT EXISTS (
+         SELECT 1 FROM flow_users fu WHERE fu.flow_id = t.flow_id AND fu.user_id = $1
+       )`,
+      [successorId, flowIds, `Передано від користувача ${userId} (офбординг)`, performedBy]
+    );
+  }
+
+  return flowIds;
+};
+
+/**
+ * Передає активний шаблон зарплати: шаблон користувача деактивується,
+ * наступник отримує копію (контролер перевіряє, що в нього немає власного активного шаблону)
+ * @param {Object} client - Клієнт БД (транзакція)
+ * @param {number} userId - ID користувача
+ * @param {number|null} successorId - ID наступника (null - звільнити без наступника)
+ * @param {number} performedBy - ID адміністратора
+ * @returns {Promise<Array<number>>} ID змінених записів
+ */
+const reassignSalaryTemplates = async (client, userId, successorId, performedBy) => {
+  const result = await client.query(
+    `UPDATE salary_templates
+     SET is_active = false, updated_at = NOW()
+     WHERE user_id = $1 AND is_active = true
+     RETURNING id, base_amount`,
+    [userId]
+  );
+
+  if (successorId) {
+    for (const template of result.rows) {
+      await client.query(
+        `INSERT INTO salary_templates (user_id, base_amount, created_by)
+         VALUES ($1, $2, $3)`,
+        [successorId, template.base_amount, performedBy]
+      );
+    }
+  }
+
+  return result.rows.map((row) => row.id);
+};
+
+/**
+ * Передає фінансові заявки, що очікують обробки; заявки переходять у команду наступника
+ * @param {Object} client - Клієнт БД (транзакція)
+ * @param {number} userId - ID користувача
+ * @param {number} successorId - ID наступника
+ * @returns {Promise<Array<number>>} ID змінених записів
+ */
+const reassignFinanceRequests = async (client, userId, successorId) => {
+  const result = await client.query(
+    `UPDATE requests
+     SET
+       user_id = $2,
+       team_id = (SELECT team_id FROM users WHERE id = $2),
+       updated_at = NOW()
+     WHERE user_id = $1 AND status = ANY($3) AND deleted_at IS NULL
+     RETURNING id`,
+    [userId, successorId, PENDING_REQUEST_STATUSES]
+  );
+  return result.rows.map((row) => row.id);
+};
+
+/**
+ * Передає незакриті bizdev заявки, призначені користувачу
+ * @param {Object} client - Клієнт БД (транзакція)
+ * @param {number} userId - ID користувача
+ * @param {number} successorId - ID наступника
+ * @param {number} performedBy - ID адміністратора
+ * @returns {Promise<Array<number>>} ID змінених записів
+ */
+const reassignBizdevRequests = async (client, userId, successorId, performedBy) => {
+  const result = await client.query(
+    `UPDATE bizdev_requests
+     SET assigned_to = $2, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE assigned_to = $1 AND status <> ALL($4)
+     RETURNING id`,
+    [userId, successorId, performedBy, CLOSED_BIZDEV_STATUSES]
+  );
+  return result.rows.map((row) => row.id);
+};
+
+/**
+ * Передає невиплачені алокації виплат партнерам
+ * @param {Object} client - Клієнт БД (транзакція)
+ * @param {number} userId - ID користувача
+ * @param {number} successorId - ID наступника
+ * @param {number} performedBy - ID адміністратора
+ * @returns {Promise<Array<number>>} ID змінених записів
+ */
+const reassignPayoutAllocations = async (client, userId, successorId, performedBy) => {
+  const result = await client.query(
+    `UPDATE payout_request_allocations
+     SET user_id = $2, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND status = ANY($4) AND deleted_at IS NULL
+     RETURNING id`,
+    [userId, successorId, performedBy, OPEN_ALLOCATION_STATUSES]
+  );
+  return result.rows.map((row) => row.id);
+};
+
+const REASSIGN_HANDLERS = {
+  flow_memberships: reassignFlowMemberships,
+  salary_templates: reassignSalaryTemplates,
+  finance_requests: reassignFinanceRequests,
+  bizdev_requests: reassignBizdevRequests,
+  payout_allocations: reassignPayoutAllocations,
+};
+
+/**
+ * Виконує офбординг: передає володіння за категоріями та (опційно) деактивує користувача
+ * Усі зміни виконуються в одній транзакції
+ * @param {number} userId - ID користувача, який залишає компанію
+ * @param {Object} assignments - Категорія → ID наступника або null (звільнити без наступника)
+ * @param {Object} options - Опції
+ * @param {number} options.performedBy - ID адміністратора
+ * @param {boolean} [options.deactivate=true] - Деактивувати користувача
+ * @returns {Promise<Object>} { changes: { категорія: { successorId, ids } }, remaining }
+ */
+const offboardUser = async (
+  userId,
+  assignments,
+  { performedBy, deactivate = true }
+) => {
+  return withTransaction(async (client) => {
+    const changes = {};
+
+    for (const [category, successorId] of Object.entries(assignments)) {
+      if (!Object.hasOwn(REASSIGN_HANDLERS, category)) {
+        throw new Error(`Невідома категорія: ${category}`);
+      }
+
+      const ids = await REASSIGN_HANDLERS[category](
+        client,
+        userId,
+        successorId,
+        performedBy
+      );
+      changes[category] = { successorId, ids };
+    }
+
+    if (deactivate) {
+      await client.query(
+        `UPDATE users SET is_active = false, updated_at = NOW() WHERE id = $1`,
+        [userId]
+      );
+    }
+
+    const remaining = await getOwnedItems(userId, client);
+
+    return { changes, remaining };
+  });
+};
+
+module.exports = {
+  OFFBOARDING_CATEGORIES,
+  getOwnedItems,
+  offboardUser,
+};
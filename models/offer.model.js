@@ -1,4 +1,21 @@
 const db = require("../config/db");
+const { applyFilterConditions } = require("../utils/db.utils");
+
+/**
+ * Специфікація фільтрів і сортування списку офферів (див. utils/listQuery)
+ */
+const LIST_QUERY_SPEC = {
+  filters: {
+    id: { column: "o.id", type: "integer" },
+    name: { column: "o.name", type: "string" },
+    partner_id: { column: "o.partner_id", type: "integer" },
+    brand_id: { column: "o.brand_id", type: "integer" },
+    is_active: { column: "o.is_active", type: "boolean" },
+    created_at: { column: "o.created_at", type: "date" },
+    updated_at: { column: "o.updated_at", type: "date" },
+  },
+  sort: ["id", "name", "created_at", "updated_at", "geos_count", "flows_count"],
+};
 
 /**
  * Отримує список всіх офферів з фільтрацією та пагінацією
@@ -12,6 +29,7 @@ const db = require("../config/db");
  * @param {string} [options.search] - Пошук за назвою
  * @param {string} [options.sortBy] - Поле сортування
  * @param {string} [options.sortOrder] - Порядок сортування
+ * @param {Object} [options.filters] - Фільтри з параметрів filter[...] (див. utils/listQuery)
  * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
  */
 const getAllOffers = async ({
@@ -24,12 +42,14 @@ const getAllOffers = async ({
   search,
   sortBy = "created_at",
   sortOrder = "desc",
+  filters,
 }) => {
   const offset = (page - 1) * limit;
 
   // Функція для побудови WHERE умов
   const buildWhereConditions = (aliasPrefix = "o") => {
-    const conditions = ["TRUE"];
+    // Видалені оффери не показуються
+    const conditions = [`${aliasPrefix}.deleted_at IS NULL`];
     const params = [];
     let paramIndex = 1;
 
@@ -76,6 +96,9 @@ const getAllOffers = async ({
       paramIndex++;
     }
 
+    // Фільтри з параметрів filter[...]
+    paramIndex = applyFilterConditions(filters, conditions, params, paramIndex);
+
     return {
       whereClause: conditions.join(" AND "),
       params: params,
@@ -134,7 +157,7 @@ const getAllOffers = async ({
       LEFT JOIN 
         users u ON o.created_by = u.id
       LEFT JOIN 
-        flows f ON o.id = f.offer_id
+        flows f ON o.id = f.offer_id AND f.deleted_at IS NULL
       LEFT JOIN 
         offer_geos og ON o.id = og.offer_id
       LEFT JOIN 
@@ -169,7 +192,7 @@ const getAllOffers = async ({
     FROM offers o
     JOIN partners p ON o.partner_id = p.id
     LEFT JOIN brands b ON o.brand_id = b.id
-    LEFT JOIN flows f ON o.id = f.offer_id
+    LEFT JOIN flows f ON o.id = f.offer_id AND f.deleted_at IS NULL
     LEFT JOIN offer_geos og ON o.id = og.offer_id
     WHERE ${whereClause}
   `;
@@ -221,18 +244,22 @@ const getOffersStatistics = async () => {
       COUNT(DISTINCT brand_id) FILTER (WHERE brand_id IS NOT NULL) as total_brands,
       MAX(updated_at) as latest_update
     FROM offers
+    WHERE deleted_at IS NULL
   `;
 
   // Підрахунок унікальних гео регіонів
   const geosQuery = `
-    SELECT COUNT(DISTINCT geo_id) as total_geos
-    FROM offer_geos
+    SELECT COUNT(DISTINCT og.geo_id) as total_geos
+    FROM offer_geos og
+    JOIN offers o ON og.offer_id = o.id
+    WHERE o.deleted_at IS NULL
   `;
 
   // Підрахунок потоків
   const flowsQuery = `
     SELECT COUNT(*) as total_flows
     FROM flows
+    WHERE deleted_at IS NULL
   `;
 
   const [offersResult, geosResult, flowsResult] = await Promise.all([
@@ -291,13 +318,13 @@ const getOfferById = async (id) => {
     LEFT JOIN 
       users u ON o.created_by = u.id
     LEFT JOIN 
-      flows f ON o.id = f.offer_id
+      flows f ON o.id = f.offer_id AND f.deleted_at IS NULL
     LEFT JOIN 
       offer_geos og ON o.id = og.offer_id
     LEFT JOIN 
       geos g ON og.geo_id = g.id
     WHERE 
-      o.id = $1
+      o.id = $1 AND o.deleted_at IS NULL
     GROUP BY 
       o.id, p.name, p.type, b.name, u.username, u.first_name, u.last_name
   `;
@@ -327,7 +354,7 @@ const createOffer = async (offerData) => {
 
     // Перевіряємо існування партнера
     const partnerCheck = await db.query(
-      "SELECT id FROM partners WHERE id = $1",
+      "SELECT id FROM partners WHERE id = $1 AND deleted_at IS NULL",
       [partner_id]
     );
     if (partnerCheck.rows.length === 0) {
@@ -413,16 +440,17 @@ const updateOffer = async (id, updateData) => {
     } = updateData;
 
     // Перевіряємо існування офферу
-    const offerCheck = await db.query("SELECT id FROM offers WHERE id = $1", [
-      id,
-    ]);
+    const offerCheck = await db.query(
+      "SELECT id FROM offers WHERE id = $1 AND deleted_at IS NULL",
+      [id]
+    );
     if (offerCheck.rows.length === 0) {
       return null;
     }
 
     // Перевіряємо існування партнера
     const partnerCheck = await db.query(
-      "SELECT id FROM partners WHERE id = $1",
+      "SELECT id FROM partners WHERE id = $1 AND deleted_at IS NULL",
       [partner_id]
     );
     if (partnerCheck.rows.length === 0) {
@@ -500,7 +528,7 @@ const updateOfferStatus = async (id, isActive) => {
   const query = `
     UPDATE offers 
     SET is_active = $1, updated_at = NOW()
-    WHERE id = $2
+    WHERE id = $2 AND deleted_at IS NULL
     RETURNING *
   `;
 
@@ -515,15 +543,16 @@ const updateOfferStatus = async (id, isActive) => {
 };
 
 /**
- * Видаляє оффер
+ * Видаляє оффер (м'яке видалення: оффер разом з гео переходить у кошик)
  * @param {number} id - ID офферу
+ * @param {number} deletedBy - ID користувача, який видаляє оффер
  * @returns {Promise<boolean>} true, якщо оффер видалено
  */
-const deleteOffer = async (id) => {
+const deleteOffer = async (id, deletedBy) => {
   try {
     // Перевіряємо чи є пов'язані потоки
     const flowsCheck = await db.query(
-      "SELECT COUNT(*) as count FROM flows WHERE offer_id = $1",
+      "SELECT COUNT(*) as count FROM flows WHERE offer_id = $1 AND deleted_at IS NULL",
       [id]
     );
 
@@ -531,13 +560,12 @@ const deleteOffer = async (id) => {
       throw new Error("Неможливо видалити оффер, який має пов'язані потоки");
     }
 
-    // Видаляємо пов'язані гео регіони
-    await db.query("DELETE FROM offer_geos WHERE offer_id = $1", [id]);
-
-    // Видаляємо оффер
     const result = await db.query(
-      "DELETE FROM offers WHERE id = $1 RETURNING id",
-      [id]
+      `UPDATE offers
+       SET deleted_at = NOW(), deleted_by = $2
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id`,
+      [id, deletedBy]
     );
 
     return result.rows.length > 0;
@@ -547,6 +575,7 @@ const deleteOffer = async (id) => {
 };
 
 module.exports = {
+  LIST_QUERY_SPEC,
   getAllOffers,
   getOffersStatistics,
   getOfferById,
@@ -0,0 +1,453 @@
+/**
+ * Модель для організаційної структури: дерево відділів і команд,
+ * лінії підпорядкування користувачів та зведені (roll-up) звіти по ієрархії
+ */
+const db = require("../config/db");
+const { teamOnDateExpression } = require("./team.membership.model");
+
+// Метрики зведеного звіту
+const ROLLUP_METRICS = ["expenses", "salaries", "spend", "fees", "payouts"];
+
+/**
+ * Створює порожній набір метрик зведеного звіту
+ * @returns {Object} Метрики з нульовими значеннями
+ */
+const emptyTotals = () =>
+  Object.fromEntries(ROLLUP_METRICS.map((metric) => [metric, 0]));
+
+/**
+ * Додає метрики source до target
+ * @param {Object} target - Метрики, що накопичуються
+ * @param {Object} source - Метрики, що додаються
+ */
+const addTotals = (target, source) => {
+  ROLLUP_METRICS.forEach((metric) => {
+    target[metric] += source[metric];
+  });
+};
+
+/**
+ * Доповнює метрики розрахунковими показниками прибутку
+ * Прибуток потоків = виплати - спенд - комісії поповнень;
+ * чистий результат = прибуток потоків - витрати - зарплати
+ * @param {Object} totals - Метрики
+ * @returns {Object} Метрики з flow_profit та net_profit (округлені до копійок)
+ */
+const withProfit = (totals) => {
+  const rounded = Object.fromEntries(
+    ROLLUP_METRICS.map((metric) => [
+      metric,
+      Math.round(totals[metric] * 100) / 100,
+    ])
+  );
+  const flowProfit = totals.payouts - totals.spend - totals.fees;
+
+  return {
+    ...rounded,
+    flow_profit: Math.round(flowProfit * 100) / 100,
+    net_profit:
+      Math.round((flowProfit - totals.expenses - totals.salaries) * 100) / 100,
+  };
+};
+
+/**
+ * Формує коротку інформацію про користувача для дерева
+ * @param {number|null} id - ID користувача
+ * @param {string} username - Ім'я користувача
+ * @param {string} [firstName] - Ім'я
+ * @param {string} [lastName] - Прізвище
+ * @returns {Object|null} { id, username, full_name } або null
+ */
+const toPerson = (id, username, firstName, lastName) => {
+  if (!id) {
+    return null;
+  }
+
+  return {
+    id,
+    username,
+    full_name:
+      firstName && lastName ? `${firstName} ${lastName}` : username,
+  };
+};
+
+/**
+ * Будує дерево відділів з плоского списку
+ * Відділи, батьківський відділ яких не знайдено, стають кореневими
+ * @param {Array} departments - Відділи (з полями id, parent_id)
+ * @param {Function} createNode - Перетворює відділ на вузол дерева
+ * @returns {Object} { roots, nodesById }
+ */
+const buildDepartmentTree = (departments, createNode) => {
+  const nodesById = new Map(
+    departments.map((department) => [
+      department.id,
+      { ...createNode(department), children: [] },
+    ])
+  );
+  const roots = [];
+
+  departments.forEach((department) => {
+    const node = nodesById.get(department.id);
+    const parent = department.parent_id
+      ? nodesById.get(department.parent_id)
+      : null;
+
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return { roots, nodesById };
+};
+
+/**
+ * Отримує організаційну структуру у вигляді дерева:
+ * відділи → дочірні відділи та команди → учасники
+ * @param {Object} [options] - Опції
+ * @param {boolean} [options.includeMembers=true] - Додавати учасників команд і відділів
+ * @param {boolean} [options.onlyActive=true] - Тільки активні відділи та користувачі
+ * @returns {Promise<Object>} { departments, unassigned_teams, unassigned_users }
+ */
+const getOrgChart = async ({ includeMembers = true, onlyActive = true } = {}) => {
+  const [departmentsResult, teamsResult, usersResult] = await Promise.all([
+    db.query(
+      `SELECT
+         d.id, d.name, d.type, d.is_active, d.parent_id, d.head_user_id,
+         h.username as head_username,
+         h.first_name as head_first_name,
+         h.last_name as head_last_name
+       FROM departments d
+       LEFT JOIN users h ON d.head_user_id = h.id
+       ${onlyActive ? "WHERE d.is_active = true" : ""}
+       ORDER BY d.name`
+    ),
+    db.query(
+      `SELECT
+         t.id, t.name, t.department_id, t.lead_user_id,
+         l.username as lead_username,
+         l.first_name as lead_first_name,
+         l.last_name as lead_last_name
+       FROM teams t
+       LEFT JOIN users l ON t.lead_user_id = l.id
+       ORDER BY t.name`
+    ),
+    includeMembers
+      ? db.query(
+          `SELECT
+             id, username, first_name, last_name, role, position,
+             team_id, department_id, manager_id
+           FROM users
+           ${onlyActive ? "WHERE is_active = true" : ""}
+           ORDER BY username`
+        )
+      : Promise.resolve({ rows: [] }),
+  ]);
+
+  const { roots, nodesById } = buildDepartmentTree(
+    departmentsResult.rows,
+    (department) => ({
+      id: department.id,
+      name: department.name,
+      type: department.type,
+      is_active: department.is_active,
+      head: toPerson(
+        department.head_user_id,
+        department.head_username,
+        department.head_first_name,
+        department.head_last_name
+      ),
+      teams: [],
+      ...(includeMembers ? { members: [] } : {}),
+    })
+  );
+
+  const teamNodes = new Map();
+  const unassignedTeams = [];
+
+  teamsResult.rows.forEach((team) => {
+    const node = {
+      id: team.id,
+      name: team.name,
+      lead: toPerson(
+        team.lead_user_id,
+        team.lead_username,
+        team.lead_first_name,
+        team.lead_last_name
+      ),
+      ...(includeMembers ? { members: [] } : {}),
+    };
+    teamNodes.set(team.id, node);
+
+    const department = nodesById.get(team.department_id);
+    if (department) {
+      department.teams.push(node);
+    } else {
+      unassignedTeams.push(node);
+    }
+  });
+
+  const unassignedUsers = [];
+
+  usersResult.rows.forEach((user) => {
+    const member = {
+      id: user.id,
+      username: user.username,
+      full_name:
+        user.first_name && user.last_name
+          ? `${user.first_name} ${user.last_name}`
+          : user.username,
+      role: user.role,
+      position: user.position,
+      manager_id: user.manager_id,
+    };
+
+    const container =
+      teamNodes.get(user.team_id) || nodesById.get(user.department_id);
+
+    if (container) {
+      container.members.push(member);
+    } else {
+      unassignedUsers.push(member);
+    }
+  });
+
+  return {
+    departments: roots,
+    unassigned_teams: unassignedTeams,
+    ...(includeMembers ? { unassigned_users: unassignedUsers } : {}),
+  };
+};
+
+/**
+ * Перевіряє, чи є candidateId самим користувачем userId або його підлеглим (прямо чи опосередковано)
+ * Використовується, щоб не допустити циклів при призначенні керівника
+ * @param {number} userId - ID користувача, якому призначається керівник
+ * @param {number} candidateId - ID нового керівника
+ * @returns {Promise<boolean>} true, якщо призначення створить цикл
+ */
+const isInReportingSubtree = async (userId, candidateId) => {
+  const result = await db.query(
+    `WITH RECURSIVE subordinates AS (
+       SELECT id FROM users WHERE id = $1
+       UNION
+       SELECT u.id
+       FROM users u
+       JOIN subordinates s ON u.manager_id = s.id
+     )
+     SELECT EXISTS (SELECT 1 FROM subordinates WHERE id = $2) as in_subtree`,
+    [userId, candidateId]
+  );
+  return result.rows[0].in_subtree;
+};
+
+/**
+ * Отримує лінію підпорядкування користувача: ланцюжок керівників угору
+ * та прямих підлеглих
+ * @param {number} userId - ID користувача
+ * @returns {Promise<Object>} { managers: [від безпосереднього до найвищого], direct_reports }
+ */
+const getReportingLine = async (userId) => {
+  const [managersResult, reportsResult] = await Promise.all([
+    db.query(
+      `WITH RECURSIVE chain AS (
+         SELECT m.id, m.username, m.first_name, m.last_name, m.position, m.manager_id, 1 as level
+         FROM users u
+         JOIN users m ON u.manager_id = m.id
+         WHERE u.id = $1
+         UNION
+         SELECT m.id, m.username, m.first_name, m.last_name, m.position, m.manager_id, c.level + 1
+         FROM chain c
+         JOIN users m ON c.manager_id = m.id
+         WHERE c.level < 50
+       )
+       SELECT * FROM chain ORDER BY level`,
+      [userId]
+    ),
+    db.query(
+      `SELECT id, username, first_name, last_name, position, role, is_active
+       FROM users
+       WHERE manager_id = $1
+       ORDER BY username`,
+      [userId]
+    ),
+  ]);
+
+  return {
+    managers: managersResult.rows,
+    direct_reports: reportsResult.rows,
+  };
+};
+
+/**
+ * Отримує суми витрат, зарплат, спенду, комісій та виплат по командах за період
+ * Дані відносяться до команди, у якій користувач був на дату запису (історія членства)
+ * @param {string} startDate - Початок періоду (YYYY-MM-DD, включно)
+ * @param {string} endDate - Кінець періоду (YYYY-MM-DD, не включно)
+ * @returns {Promise<Map>} team_id (або null) → метрики
+ */
+const getTeamTotals = async (startDate, endDate) => {
+  const query = `
+    WITH items AS (
+      SELECT
+        ${teamOnDateExpression("r.user_id", "r.created_at::date", "u.team_id")} as team_id,
+        er.amount as expenses, 0 as salaries, 0 as spend, 0 as fees, 0 as payouts
+      FROM requests r
+      JOIN expense_requests er ON r.id = er.request_id
+      JOIN users u ON r.user_id = u.id
+      WHERE r.status = 'completed'
+        AND r.deleted_at IS NULL
+        AND r.request_type = 'expenses'
+        AND r.created_at >= $1 AND r.created_at < $2
+
+      UNION ALL
+
+      SELECT
+        ${teamOnDateExpression("r.user_id", "r.created_at::date", "u.team_id")},
+        0, 0, 0, COALESCE(arr.fee_amount, 0), 0
+      FROM requests r
+      JOIN agent_refill_requests arr ON r.id = arr.request_id
+      JOIN users u ON r.user_id = u.id
+      WHERE r.status = 'completed'
+        AND r.deleted_at IS NULL
+        AND r.request_type = 'agent_refill'
+        AND r.created_at >= $1 AND r.created_at < $2
+
+      UNION ALL
+
+      SELECT
+        ${teamOnDateExpression("s.user_id", "make_date(s.year, s.month, 1)", "u.team_id")},
+        0, s.amount, 0, 0, 0
+      FROM salaries s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.status <> 'rejected'
+        AND s.deleted_at IS NULL
+        AND make_date(s.year, s.month, 1) >= $1
+        AND make_date(s.year, s.month, 1) < $2
+
+      UNION ALL
+
+      SELECT
+        ${teamOnDateExpression("fs.user_id", "make_date(fs.year, fs.month, fs.day)", "u.team_id")},
+        0, 0, fs.spend, 0, 0
+      FROM flow_stats fs
+      JOIN users u ON fs.user_id = u.id
+      WHERE make_date(fs.year, fs.month, fs.day) >= $1
+        AND make_date(fs.year, fs.month, fs.day) < $2
+
+      UNION ALL
+
+      SELECT
+        ${teamOnDateExpression("pra.user_id", "pr.period_start::date", "u.team_id")},
+        0, 0, 0, 0, pra.allocated_amount
+      FROM payout_request_allocations pra
+      JOIN partner_payout_requests pr ON pra.payout_request_id = pr.id
+      JOIN users u ON pra.user_id = u.id
+      WHERE pr.period_start >= $1 AND pr.period_start < $2
+        AND pr.deleted_at IS NULL
+        AND pra.deleted_at IS NULL
+    )
+    SELECT
+      team_id,
+      COALESCE(SUM(expenses), 0) as expenses,
+      COALESCE(SUM(salaries), 0) as salaries,
+      COALESCE(SUM(spend), 0) as spend,
+      COALESCE(SUM(fees), 0) as fees,
+      COALESCE(SUM(payouts), 0) as payouts
+    FROM items
+    GROUP BY team_id
+  `;
+
+  const result = await db.query(query, [startDate, endDate]);
+
+  return new Map(
+    result.rows.map((row) => [
+      row.team_id,
+      Object.fromEntries(
+        ROLLUP_METRICS.map((metric) => [metric, parseFloat(row[metric]) || 0])
+      ),
+    ])
+  );
+};
+
+/**
+ * Отримує зведений звіт по ієрархії: метрики команд підсумовуються у їхні відділи,
+ * а метрики відділів - у батьківські відділи
+ * @param {Object} period - Період звіту
+ * @param {string} period.startDate - Початок періоду (YYYY-MM-DD, включно)
+ * @param {string} period.endDate - Кінець періоду (YYYY-MM-DD, не включно)
+ * @returns {Promise<Object>} { departments, unassigned, totals }
+ */
+const getRollupReport = async ({ startDate, endDate }) => {
+  const [departmentsResult, teamsResult, teamTotals] = await Promise.all([
+    db.query(`SELECT id, name, parent_id FROM departments ORDER BY name`),
+    db.query(`SELECT id, name, department_id FROM teams ORDER BY name`),
+    getTeamTotals(startDate, endDate),
+  ]);
+
+  const { roots, nodesById } = buildDepartmentTree(
+    departmentsResult.rows,
+    (department) => ({
+      id: department.id,
+      name: department.name,
+      own: emptyTotals(),
+      teams: [],
+    })
+  );
+
+  const unassigned = { teams: [], own: emptyTotals() };
+
+  teamsResult.rows.forEach((team) => {
+    const totals = teamTotals.get(team.id) || emptyTotals();
+    const node = { id: team.id, name: team.name, totals: withProfit(totals) };
+    const department = nodesById.get(team.department_id);
+
+    if (department) {
+      department.teams.push(node);
+      addTotals(department.own, totals);
+    } else {
+      unassigned.teams.push(node);
+      addTotals(unassigned.own, totals);
+    }
+  });
+
+  // Дані користувачів без команди на дату запису
+  if (teamTotals.has(null)) {
+    addTotals(unassigned.own, teamTotals.get(null));
+  }
+
+  const grandTotals = emptyTotals();
+
+  // Рекурсивно підсумовує відділ з усіма дочірніми відділами
+  const rollUp = (node) => {
+    const totals = emptyTotals();
+    addTotals(totals, node.own);
+    node.children.forEach((child) => addTotals(totals, rollUp(child)));
+
+    node.totals = withProfit(totals);
+    node.own = withProfit(node.own);
+    return totals;
+  };
+
+  roots.forEach((root) => addTotals(grandTotals, rollUp(root)));
+  addTotals(grandTotals, unassigned.own);
+
+  return {
+    period: { startDate, endDate },
+    departments: roots,
+    unassigned: {
+      teams: unassigned.teams,
+      totals: withProfit(unassigned.own),
+    },
+    totals: withProfit(grandTotals),
+  };
+};
+
+module.exports = {
+  getOrgChart,
+  isInReportingSubtree,
+  getReportingLine,
+  getRollupReport,
+};
@@ -1,4 +1,47 @@
 const db = require("../config/db");
+const { applyFilterConditions } = require("../utils/db.utils");
+const {
+  resolveCursorSort,
+  buildKeysetQuery,
+  buildCursorPage,
+} = require("../utils/cursorPagination");
+
+// Поля, за якими можлива курсорна пагінація (NOT NULL), та їх типи
+const CURSOR_SORT_FIELDS = {
+  id: "integer",
+  name: "string",
+  created_at: "date",
+  updated_at: "date",
+};
+
+/**
+ * Специфікація фільтрів і сортування списку партнерів (див. utils/listQuery)
+ */
+const LIST_QUERY_SPEC = {
+  filters: {
+    id: { column: "p.id", type: "integer" },
+    name: { column: "p.name", type: "string" },
+    type: {
+      column: "p.type",
+      type: "string",
+      operators: ["eq", "neq", "in"],
+      values: ["Brand", "PP", "NET", "DIRECT ADV"],
+    },
+    is_active: { column: "p.is_active", type: "boolean" },
+    has_integration: { column: "p.has_integration", type: "boolean" },
+    created_at: { column: "p.created_at", type: "date" },
+    updated_at: { column: "p.updated_at", type: "date" },
+  },
+  sort: [
+    "id",
+    "name",
+    "type",
+    "created_at",
+    "updated_at",
+    "flows_count",
+    "offers_count",
+  ],
+};
 
 /**
  * Отримує список всіх партнерів з фільтрацією, пагінацією та всіма пов'язаними даними
@@ -12,6 +55,10 @@ const db = require("../config/db");
  * @param {number[]} [options.brands] - Масив ID брендів для фільтрації
  * @param {number[]} [options.geos] - Масив ID гео для фільтрації
  * @param {number[]} [options.trafficSources] - Масив ID джерел трафіку для фільтрації
+ * @param {boolean} [options.cursorMode] - Курсорна пагінація замість сторінок
+ * @param {Object} [options.cursor] - Декодований курсор (див. utils/cursorPagination)
+ * @param {boolean} [options.includeTotal] - Рахувати загальну кількість у курсорному режимі
+ * @param {Object} [options.filters] - Фільтри з параметрів filter[...] (див. utils/listQuery)
  * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
  */
 const getAllPartners = async ({
@@ -26,11 +73,15 @@ const getAllPartners = async ({
   trafficSources,
   sortBy = "created_at",
   sortOrder = "desc",
+  cursorMode = false,
+  cursor = null,
+  includeTotal = false,
+  filters,
 }) => {
   const offset = (page - 1) * limit;
 
-  // Побудова WHERE умов та JOIN'ів
-  const conditions = ["TRUE"];
+  // Побудова WHERE умов та JOIN'ів (видалені партнери не показуються)
+  const conditions = ["p.deleted_at IS NULL"];
   const params = [];
   let paramIndex = 1;
   let additionalJoins = "";
@@ -84,6 +135,9 @@ const getAllPartners = async ({
     params.push(...trafficSources);
   }
 
+  // Фільтри з параметрів filter[...]
+  paramIndex = applyFilterConditions(filters, conditions, params, paramIndex);
+
   const whereClause = conditions.join(" AND ");
 
   // Валідація полів сортування та підготовка ORDER BY
@@ -106,14 +160,34 @@ const getAllPartners = async ({
   if (validSortBy === "flows_count") {
     orderByClause = `(SELECT COUNT(DISTINCT f.id) FROM flows f 
                       INNER JOIN offers o ON f.offer_id = o.id 
-                      WHERE o.partner_id = p.id) ${validSortOrder}`;
+                      WHERE o.partner_id = p.id AND f.deleted_at IS NULL) ${validSortOrder}`;
   } else if (validSortBy === "offers_count") {
     orderByClause = `(SELECT COUNT(DISTINCT o.id) FROM offers o 
-                      WHERE o.partner_id = p.id) ${validSortOrder}`;
+                      WHERE o.partner_id = p.id AND o.deleted_at IS NULL) ${validSortOrder}`;
   } else {
     orderByClause = `p.${validSortBy} ${validSortOrder}`;
   }
 
+  // Курсорний режим: продовження від граничного запису замість OFFSET
+  let cursorSort = null;
+  let keyset = null;
+  if (cursorMode) {
+    cursorSort = resolveCursorSort({
+      cursor,
+      sortBy,
+      sortOrder,
+      sortFields: CURSOR_SORT_FIELDS,
+    });
+    keyset = buildKeysetQuery({
+      sortExpr: `p.${cursorSort.sortBy}`,
+      idExpr: "p.id",
+      sortOrder: cursorSort.sortOrder,
+      cursor,
+      limit,
+      paramIndex,
+    });
+  }
+
   // Основний запит з підрахунком offers_count та flows_count
   // Використовуємо DISTINCT для уникнення дублікатів при множинних JOIN'ах
   const query = `
@@ -121,10 +195,12 @@ const getAllPartners = async ({
       p.*,
       u.username as created_by_username,
       CONCAT(u.first_name, ' ', u.last_name) as created_by_name,
-      (SELECT COUNT(DISTINCT o.id) FROM offers o WHERE o.partner_id = p.id) as offers_count,
+      (SELECT COUNT(DISTINCT o.id) FROM offers o
+       WHERE o.partner_id = p.id AND o.deleted_at IS NULL) as offers_count,
       (SELECT COUNT(DISTINCT f.id) FROM flows f 
        INNER JOIN offers o ON f.offer_id = o.id 
-       WHERE o.partner_id = p.id) as flows_count
+       WHERE o.partner_id = p.id AND f.deleted_at IS NULL) as flows_count
+      ${keyset ? `, ${keyset.select}` : ""}
     FROM 
       partners p
     LEFT JOIN 
@@ -132,12 +208,15 @@ const getAllPartners = async ({
     ${additionalJoins}
     WHERE 
       ${whereClause}
+      ${keyset && keyset.condition ? `AND ${keyset.condition}` : ""}
     ORDER BY 
-      ${orderByClause}
-    LIMIT $${paramIndex++} OFFSET $${paramIndex++}
+      ${keyset ? keyset.orderBy : orderByClause}
+    ${keyset ? keyset.limitClause : `LIMIT $${paramIndex++} OFFSET $${paramIndex++}`}
   `;
 
-  params.push(parseInt(limit), offset);
+  const dataParams = keyset
+    ? [...params, ...keyset.params]
+    : [...params, parseInt(limit), offset];
 
   // Запит для підрахунку загальної кількості (з тими ж фільтрами)
   const countQuery = `
@@ -147,24 +226,34 @@ const getAllPartners = async ({
     WHERE ${whereClause}
   `;
 
+  // У курсорному режимі загальна кількість рахується лише на запит
   const [dataResult, countResult] = await Promise.all([
-    db.query(query, params),
-    db.query(countQuery, params.slice(0, params.length - 2)),
+    db.query(query, dataParams),
+    !keyset || includeTotal ? db.query(countQuery, params) : null,
   ]);
 
-  const partners = dataResult.rows;
-  const total = parseInt(countResult.rows[0].total);
+  const total = countResult ? parseInt(countResult.rows[0].total) : undefined;
+
+  let partners = dataResult.rows;
+  let pagination;
+  if (keyset) {
+    const cursorPage = buildCursorPage(partners, { limit, cursor, ...cursorSort });
+    partners = cursorPage.rows;
+    pagination = { ...cursorPage.pagination, total };
+  } else {
+    pagination = {
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      perPage: parseInt(limit),
+    };
+  }
 
   // Якщо партнерів немає, повертаємо порожній результат
   if (partners.length === 0) {
     return {
       data: [],
-      pagination: {
-        total: 0,
-        totalPages: 0,
-        currentPage: parseInt(page),
-        perPage: parseInt(limit),
-      },
+      pagination,
     };
   }
 
@@ -299,16 +388,9 @@ const getAllPartners = async ({
     flows_count: parseInt(partner.flows_count) || 0,
   }));
 
-  const totalPages = Math.ceil(total / limit);
-
   return {
     data: partnersWithRelations,
-    pagination: {
-      total,
-      totalPages,
-      currentPage: parseInt(page),
-      perPage: parseInt(limit),
-    },
+    pagination,
   };
 };
 
@@ -328,7 +410,7 @@ const getPartnerById = async (id) => {
     LEFT JOIN 
       users u ON p.created_by = u.id
     WHERE 
-      p.id = $1
+      p.id = $1 AND p.deleted_at IS NULL
   `;
 
   const result = await db.query(query, [id]);
@@ -587,7 +669,7 @@ const updatePartner = async (id, partnerData) => {
       const updateQuery = `
         UPDATE partners
         SET ${setClauses.join(", ")}
-        WHERE id = $${paramIndex}
+        WHERE id = $${paramIndex} AND deleted_at IS NULL
         RETURNING *
       `;
 
@@ -690,15 +772,16 @@ const updatePartner = async (id, partnerData) => {
 };
 
 /**
- * Видаляє партнера
+ * Видаляє партнера (м'яке видалення: запис переходить у кошик і може бути відновлений)
  * @param {number} id - ID партнера
+ * @param {number} deletedBy - ID користувача, який видаляє партнера
  * @returns {Promise<Object>} Результат видалення
  */
-const deletePartner = async (id) => {
+const deletePartner = async (id, deletedBy) => {
   try {
     // Перевіряємо наявність пов'язаних офферів
     const offersResult = await db.query(
-      "SELECT COUNT(*) as count FROM offers WHERE partner_id = $1",
+      "SELECT COUNT(*) as count FROM offers WHERE partner_id = $1 AND deleted_at IS NULL",
       [id]
     );
 
@@ -709,10 +792,12 @@ const deletePartner = async (id) => {
       };
     }
 
-    // Видаляємо партнера (каскадне видалення зв'язків відбудеться автоматично)
     const result = await db.query(
-      "DELETE FROM partners WHERE id = $1 RETURNING id",
-      [id]
+      `UPDATE partners
+       SET deleted_at = NOW(), deleted_by = $2
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id`,
+      [id, deletedBy]
     );
 
     return {
@@ -742,7 +827,7 @@ const updatePartnerStatus = async (id, isActive) => {
   const query = `
     UPDATE partners
     SET is_active = $1, updated_at = NOW()
-    WHERE id = $2
+    WHERE id = $2 AND deleted_at IS NULL
     RETURNING *
   `;
 
@@ -767,6 +852,8 @@ const getPartnersStats = async () => {
       SUM(CASE WHEN has_integration = true THEN 1 ELSE 0 END) as with_integration
     FROM 
       partners
+    WHERE 
+      deleted_at IS NULL
   `;
 
   const result = await db.query(query);
@@ -774,6 +861,8 @@ const getPartnersStats = async () => {
 };
 
 module.exports = {
+  LIST_QUERY_SPEC,
+  CURSOR_SORT_FIELDS,
   getAllPartners,
   getPartnerById,
   createPartner,
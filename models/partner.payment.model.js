@@ -1,9 +1,23 @@
 const db = require("../config/db");
+const {
+  resolveCursorSort,
+  buildKeysetQuery,
+  buildCursorPage,
+} = require("../utils/cursorPagination");
+
+// Поля, за якими можлива курсорна пагінація платежів (NOT NULL), та їх типи
+const CURSOR_SORT_FIELDS = {
+  id: "integer",
+  amount: "number",
+  created_at: "date",
+};
 
 /**
  * Модель для роботи з платежами партнерських програм
  */
 const partnerPaymentModel = {
+  CURSOR_SORT_FIELDS,
+
   /**
    * Отримує список всіх платежів з фільтрацією та пагінацією
    * @param {Object} options - Опції для фільтрації та пагінації
@@ -15,6 +29,9 @@ const partnerPaymentModel = {
    * @param {string} [options.network] - Мережа
    * @param {Date} [options.startDate] - Початкова дата
    * @param {Date} [options.endDate] - Кінцева дата
+   * @param {boolean} [options.cursorMode=false] - Курсорна пагінація замість page
+   * @param {Object} [options.cursor] - Декодований курсор (див. utils/cursorPagination)
+   * @param {boolean} [options.includeTotal=false] - Рахувати total у курсорному режимі
    * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
    */
   getAllPayments: async ({
@@ -28,11 +45,14 @@ const partnerPaymentModel = {
     endDate,
     sortBy = "created_at",
     sortOrder = "desc",
+    cursorMode = false,
+    cursor = null,
+    includeTotal = false,
   }) => {
     const offset = (page - 1) * limit;
 
-    // Побудова WHERE умов
-    const conditions = ["TRUE"];
+    // Побудова WHERE умов (платежі видалених заявок не показуються)
+    const conditions = ["ppr.deleted_at IS NULL"];
     const params = [];
     let paramIndex = 1;
 
@@ -81,6 +101,26 @@ const partnerPaymentModel = {
       : "created_at";
     const validSortOrder = sortOrder.toLowerCase() === "asc" ? "ASC" : "DESC";
 
+    // Курсорний режим: сторінка продовжується від граничного запису
+    let cursorSort = null;
+    let keyset = null;
+    if (cursorMode) {
+      cursorSort = resolveCursorSort({
+        cursor,
+        sortBy,
+        sortOrder,
+        sortFields: CURSOR_SORT_FIELDS,
+      });
+      keyset = buildKeysetQuery({
+        sortExpr: `pp.${cursorSort.sortBy}`,
+        idExpr: "pp.id",
+        sortOrder: cursorSort.sortOrder,
+        cursor,
+        limit,
+        paramIndex,
+      });
+    }
+
     // Основний запит
     const query = `
       SELECT 
@@ -92,6 +132,7 @@ const partnerPaymentModel = {
         CONCAT(creator.first_name, ' ', creator.last_name) as created_by_name,
         processor.username as processed_by_username,
         CONCAT(processor.first_name, ' ', processor.last_name) as processed_by_name
+        ${keyset ? `, ${keyset.select}` : ""}
       FROM 
         partner_payments pp
       JOIN 
@@ -104,12 +145,18 @@ const partnerPaymentModel = {
         users processor ON pp.processed_by = processor.id
       WHERE 
         ${whereClause}
+        ${keyset && keyset.condition ? `AND ${keyset.condition}` : ""}
       ORDER BY 
-        pp.${validSortBy} ${validSortOrder}
-      LIMIT $${paramIndex++} OFFSET $${paramIndex++}
+        ${keyset ? keyset.orderBy : `pp.${validSortBy} ${validSortOrder}`}
+      ${keyset ? keyset.limitClause : `LIMIT $${paramIndex++} OFFSET $${paramIndex++}`}
     `;
 
-    params.push(parseInt(limit), offset);
+    const baseParams = [...params];
+    if (keyset) {
+      params.push(...keyset.params);
+    } else {
+      params.push(parseInt(limit), offset);
+    }
 
     // Запит для підрахунку загальної кількості
     const countQuery = `
@@ -120,11 +167,27 @@ const partnerPaymentModel = {
       WHERE ${whereClause}
     `;
 
+    // У курсорному режимі загальна кількість рахується лише на запит
     const [dataResult, countResult] = await Promise.all([
       db.query(query, params),
-      db.query(countQuery, params.slice(0, params.length - 2)),
+      !keyset || includeTotal ? db.query(countQuery, baseParams) : null,
     ]);
 
+    if (keyset) {
+      const cursorPage = buildCursorPage(dataResult.rows, {
+        limit,
+        cursor,
+        ...cursorSort,
+      });
+      return {
+        data: cursorPage.rows,
+        pagination: {
+          ...cursorPage.pagination,
+          total: countResult ? parseInt(countResult.rows[0].total) : undefined,
+        },
+      };
+    }
+
     const total = parseInt(countResult.rows[0].total);
     const totalPages = Math.ceil(total / limit);
 
@@ -1,9 +1,62 @@
 const db = require("../config/db");
+const { applyDataScope } = require("../utils/dataScope");
+const { applyFilterConditions } = require("../utils/db.utils");
+
+// Колонки для обмеження заявок областю видимості користувача
+const PAYOUT_SCOPE_COLUMNS = { team: "ppr.team_id", user: "ppr.created_by" };
+
+/**
+ * Специфікація фільтрів і сортування списку заявок на виплату (див. utils/listQuery)
+ * Лише колонки ppr: запит підрахунку не містить JOIN'ів
+ */
+const LIST_QUERY_SPEC = {
+  filters: {
+    id: { column: "ppr.id", type: "integer" },
+    partner_id: { column: "ppr.partner_id", type: "integer" },
+    team_id: { column: "ppr.team_id", type: "integer" },
+    status: {
+      column: "ppr.status",
+      type: "string",
+      operators: ["eq", "neq", "in"],
+      values: [
+        "draft",
+        "pending",
+        "approved",
+        "in_payment",
+        "completed",
+        "rejected",
+        "cancelled",
+      ],
+    },
+    currency: {
+      column: "ppr.currency",
+      type: "string",
+      operators: ["eq", "in"],
+      values: ["USD", "EUR", "GBP"],
+    },
+    total_amount: { column: "ppr.total_amount", type: "number" },
+    period_start: { column: "ppr.period_start", type: "date" },
+    period_end: { column: "ppr.period_end", type: "date" },
+    created_at: { column: "ppr.created_at", type: "date" },
+    updated_at: { column: "ppr.updated_at", type: "date" },
+  },
+  sort: [
+    "id",
+    "partner_id",
+    "team_id",
+    "total_amount",
+    "status",
+    "created_at",
+    "period_start",
+  ],
+};
 
 /**
  * Модель для роботи з заявками на виплату партнерських програм
  */
 const partnerPayoutModel = {
+  LIST_QUERY_SPEC,
+
   /**
    * Отримує список всіх заявок на виплату з фільтрацією та пагінацією
    * @param {Object} options - Опції для фільтрації та пагінації
@@ -15,6 +68,8 @@ const partnerPayoutModel = {
    * @param {string} [options.currency] - Валюта
    * @param {Date} [options.startDate] - Початкова дата періоду
    * @param {Date} [options.endDate] - Кінцева дата періоду
+   * @param {Object} [options.scope] - Область видимості даних (див. utils/dataScope)
+   * @param {Object} [options.filters] - Фільтри з параметрів filter[...] (див. utils/listQuery)
    * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
    */
   getAllPayoutRequests: async ({
@@ -28,11 +83,13 @@ const partnerPayoutModel = {
     endDate,
     sortBy = "created_at",
     sortOrder = "desc",
+    scope,
+    filters,
   }) => {
     const offset = (page - 1) * limit;
 
-    // Побудова WHERE умов
-    const conditions = ["TRUE"];
+    // Побудова WHERE умов (видалені заявки не показуються)
+    const conditions = ["ppr.deleted_at IS NULL"];
     const params = [];
     let paramIndex = 1;
 
@@ -66,6 +123,17 @@ const partnerPayoutModel = {
       params.push(endDate);
     }
 
+    // Фільтри з параметрів filter[...]
+    paramIndex = applyFilterConditions(filters, conditions, params, paramIndex);
+
+    paramIndex = applyDataScope(
+      scope,
+      PAYOUT_SCOPE_COLUMNS,
+      conditions,
+      params,
+      paramIndex
+    );
+
     const whereClause = conditions.join(" AND ");
 
     // Валідація полів сортування
@@ -195,9 +263,14 @@ const partnerPayoutModel = {
   /**
    * Отримує детальну інформацію про заявку за ID
    * @param {number} id - ID заявки
+   * @param {Object} [scope] - Область видимості даних (див. utils/dataScope)
    * @returns {Promise<Object|null>} Об'єкт заявки з додатковою інформацією або null
    */
-  getPayoutRequestById: async (id) => {
+  getPayoutRequestById: async (id, scope) => {
+    const conditions = ["ppr.id = $1", "ppr.deleted_at IS NULL"];
+    const params = [id];
+    applyDataScope(scope, PAYOUT_SCOPE_COLUMNS, conditions, params, 2);
+
     const query = `
       SELECT 
         ppr.*,
@@ -221,10 +294,10 @@ const partnerPayoutModel = {
       LEFT JOIN 
         users approver ON ppr.approved_by = approver.id
       WHERE 
-        ppr.id = $1
+        ${conditions.join(" AND ")}
     `;
 
-    const result = await db.query(query, [id]);
+    const result = await db.query(query, params);
 
     if (result.rows.length === 0) {
       return null;
@@ -310,8 +383,6 @@ const partnerPayoutModel = {
 
     const client = await db.getClient();
 
-    console.log(flows);
-
     try {
       await client.query("BEGIN");
 
@@ -446,7 +517,7 @@ const partnerPayoutModel = {
       const updateQuery = `
         UPDATE partner_payout_requests
         SET ${setClauses.join(", ")}
-        WHERE id = $${paramIndex}
+        WHERE id = $${paramIndex} AND deleted_at IS NULL
         RETURNING *
       `;
 
@@ -512,7 +583,7 @@ const partnerPayoutModel = {
     const query = `
       UPDATE partner_payout_requests
       SET ${setClauses.join(", ")}
-      WHERE id = $${paramIndex}
+      WHERE id = $${paramIndex} AND deleted_at IS NULL
       RETURNING *
     `;
 
@@ -523,19 +594,22 @@ const partnerPayoutModel = {
   },
 
   /**
-   * Видаляє заявку на виплату
+   * Видаляє заявку на виплату (м'яке видалення: заявка разом з потоками
+   * та розподілами переходить у кошик)
    * @param {number} id - ID заявки для видалення
+   * @param {number} deletedBy - ID користувача, який видаляє заявку
    * @returns {Promise<Object>} Результат операції
    */
-  deletePayoutRequest: async (id) => {
+  deletePayoutRequest: async (id, deletedBy) => {
     try {
       const query = `
-        DELETE FROM partner_payout_requests
-        WHERE id = $1
+        UPDATE partner_payout_requests
+        SET deleted_at = NOW(), deleted_by = $2
+        WHERE id = $1 AND deleted_at IS NULL
         RETURNING id
       `;
 
-      const result = await db.query(query, [id]);
+      const result = await db.query(query, [id, deletedBy]);
 
       return {
         success: result.rows.length > 0,
@@ -562,13 +636,14 @@ const partnerPayoutModel = {
    * @param {number} [options.teamId] - ID команди для фільтрації
    * @param {number} [options.partnerId] - ID партнера для фільтрації
    * @param {string} [options.status] - Статус заявки для фільтрації
+   * @param {Object} [options.scope] - Область видимості даних (див. utils/dataScope)
    * @returns {Promise<Object>} Статистика заявок
    */
   getPayoutRequestsStats: async (options = {}) => {
-    const { startDate, endDate, teamId, partnerId, status } = options;
+    const { startDate, endDate, teamId, partnerId, status, scope } = options;
 
     // Побудова WHERE умов
-    const whereConditions = [];
+    const whereConditions = ["ppr.deleted_at IS NULL"];
     const params = [];
     let paramIndex = 1;
 
@@ -602,6 +677,14 @@ const partnerPayoutModel = {
       params.push(status);
     }
 
+    paramIndex = applyDataScope(
+      scope,
+      PAYOUT_SCOPE_COLUMNS,
+      whereConditions,
+      params,
+      paramIndex
+    );
+
     const whereClause =
       whereConditions.length > 0
         ? `WHERE ${whereConditions.join(" AND ")}`
@@ -751,13 +834,14 @@ const partnerPayoutModel = {
    * @param {number} [options.teamId] - ID команди для фільтрації
    * @param {number} [options.partnerId] - ID партнера для фільтрації
    * @param {string} [options.status] - Статус заявки для фільтрації
+   * @param {Object} [options.scope] - Область видимості даних (див. utils/dataScope)
    * @returns {Promise<Object>} Помісячна статистика заявок
    */
   getMonthlyPayoutStats: async (options = {}) => {
-    const { year, teamId, partnerId, status } = options;
+    const { year, teamId, partnerId, status, scope } = options;
 
     // Побудова WHERE умов
-    const whereConditions = [];
+    const whereConditions = ["ppr.deleted_at IS NULL"];
     const params = [];
     let paramIndex = 1;
 
@@ -787,6 +871,14 @@ const partnerPayoutModel = {
       params.push(status);
     }
 
+    paramIndex = applyDataScope(
+      scope,
+      PAYOUT_SCOPE_COLUMNS,
+      whereConditions,
+      params,
+      paramIndex
+    );
+
     const whereClause =
       whereConditions.length > 0
         ? `WHERE ${whereConditions.join(" AND ")}`
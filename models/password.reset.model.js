@@ -0,0 +1,124 @@
+/**
+ * Модель для роботи з одноразовими кодами відновлення пароля
+ * Коди зберігаються лише у вигляді хешів
+ */
+const db = require("../config/db");
+
+/**
+ * Створює новий код відновлення; попередні невикористані коди користувача анулюються
+ * @param {Object} codeData - Дані коду
+ * @param {number} codeData.userId - ID користувача
+ * @param {string} codeData.codeHash - Хеш коду
+ * @param {Date} codeData.expiresAt - Дата закінчення дії
+ * @param {string} [codeData.ipAddress] - IP адреса, з якої запитано код
+ * @returns {Promise<Object>} Створений запис
+ */
+const createResetCode = async ({ userId, codeHash, expiresAt, ipAddress }) => {
+  await db.query(
+    `UPDATE password_reset_codes
+     SET expires_at = NOW()
+     WHERE user_id = $1 AND consumed_at IS NULL AND expires_at > NOW()`,
+    [userId]
+  );
+
+  const result = await db.query(
+    `INSERT INTO password_reset_codes (user_id, code_hash, expires_at, ip_address)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, user_id, expires_at, created_at`,
+    [userId, codeHash, expiresAt, ipAddress]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Підраховує кількість кодів, запитаних користувачем за останні N хвилин
+ * @param {number} userId - ID користувача
+ * @param {number} minutes - Розмір вікна у хвилинах
+ * @returns {Promise<number>} Кількість кодів
+ */
+const countRecentCodes = async (userId, minutes) => {
+  const result = await db.query(
+    `SELECT COUNT(*) as total
+     FROM password_reset_codes
+     WHERE user_id = $1 AND created_at > NOW() - ($2 * INTERVAL '1 minute')`,
+    [userId, minutes]
+  );
+  return parseInt(result.rows[0].total);
+};
+
+/**
+ * Отримує актуальний (невикористаний та непрострочений) код користувача
+ * @param {number} userId - ID користувача
+ * @returns {Promise<Object|null>} Код або null
+ */
+const getActiveCode = async (userId) => {
+  const result = await db.query(
+    `SELECT *
+     FROM password_reset_codes
+     WHERE user_id = $1 AND consumed_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Фіксує спробу введення коду до його перевірки
+ * Лічильник збільшується атомарно, тому паралельні запити не можуть
+ * перевірити більше кодів, ніж дозволяє ліміт
+ * @param {number} id - ID коду
+ * @param {number} maxAttempts - Максимальна кількість спроб
+ * @returns {Promise<number|null>} Номер спроби або null, якщо код недійсний чи ліміт вичерпано
+ */
+const registerAttempt = async (id, maxAttempts) => {
+  const result = await db.query(
+    `UPDATE password_reset_codes
+     SET attempts = attempts + 1
+     WHERE id = $1
+       AND consumed_at IS NULL
+       AND expires_at > NOW()
+       AND attempts < $2
+     RETURNING attempts`,
+    [id, maxAttempts]
+  );
+  return result.rows[0] ? result.rows[0].attempts : null;
+};
+
+/**
+ * Анулює код (після вичерпання ліміту спроб)
+ * @param {number} id - ID коду
+ * @returns {Promise<void>}
+ */
+const expireCode = async (id) => {
+  await db.query(
+    `UPDATE password_reset_codes
+     SET expires_at = NOW()
+     WHERE id = $1 AND consumed_at IS NULL`,
+    [id]
+  );
+};
+
+/**
+ * Позначає код як використаний
+ * @param {number} id - ID коду
+ * @returns {Promise<boolean>} Чи вдалося використати код (false - вже використаний)
+ */
+const consumeCode = async (id) => {
+  const result = await db.query(
+    `UPDATE password_reset_codes
+     SET consumed_at = NOW()
+     WHERE id = $1 AND consumed_at IS NULL AND expires_at > NOW()`,
+    [id]
+  );
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  createResetCode,
+  countRecentCodes,
+  getActiveCode,
+  registerAttempt,
+  expireCode,
+  consumeCode,
+};
@@ -37,6 +37,7 @@ const getAllocationsByPayoutRequest = async (payoutRequestId) => {
       users updater ON pra.updated_by = updater.id
     WHERE 
       pra.payout_request_id = $1
+      AND pra.deleted_at IS NULL
     ORDER BY 
       pra.created_at DESC
   `;
@@ -97,6 +98,7 @@ const getUsersByPayoutRequestFlows = async (payoutRequestId) => {
       payout_request_allocations pra ON pra.payout_request_id = ppf.payout_request_id 
       AND pra.user_id = u.id 
       AND (pra.flow_id = f.id OR pra.flow_id IS NULL)
+      AND pra.deleted_at IS NULL
     WHERE 
       ppf.payout_request_id = $1
     ORDER BY 
@@ -263,6 +265,8 @@ const getUserAllocationsByPeriod = async (userId, filters) => {
       partner_payments pp ON ppr.id = pp.payout_request_id
     WHERE 
       pra.user_id = $1
+      AND pra.deleted_at IS NULL
+      AND ppr.deleted_at IS NULL
       AND ppr.period_start >= $2
       AND ppr.period_end <= $3
   `;
@@ -351,6 +355,8 @@ const getUserAllocationsStats = async (userId, filters) => {
       partner_payout_requests ppr ON pra.payout_request_id = ppr.id
     WHERE 
       pra.user_id = $1
+      AND pra.deleted_at IS NULL
+      AND ppr.deleted_at IS NULL
       AND ppr.period_start >= $2
       AND ppr.period_end <= $3
   `;
@@ -483,7 +489,7 @@ const updateAllocation = async (allocationId, updateData) => {
       status = COALESCE($7, status),
       updated_by = $8,
       updated_at = CURRENT_TIMESTAMP
-    WHERE id = $1
+    WHERE id = $1 AND deleted_at IS NULL
     RETURNING *
   `;
 
@@ -502,18 +508,20 @@ const updateAllocation = async (allocationId, updateData) => {
 };
 
 /**
- * Видалення розподілу
+ * Видалення розподілу (м'яке видалення: розподіл переходить у кошик)
  * @param {number} allocationId - ID розподілу
+ * @param {number} deletedBy - ID користувача, який видаляє розподіл
  * @returns {Promise<boolean>} Результат видалення
  */
-const deleteAllocation = async (allocationId) => {
+const deleteAllocation = async (allocationId, deletedBy) => {
   const query = `
-    DELETE FROM payout_request_allocations 
-    WHERE id = $1
+    UPDATE payout_request_allocations 
+    SET deleted_at = NOW(), deleted_by = $2
+    WHERE id = $1 AND deleted_at IS NULL
     RETURNING id
   `;
 
-  const result = await db.query(query, [allocationId]);
+  const result = await db.query(query, [allocationId, deletedBy]);
   return result.rows.length > 0;
 };
 
@@ -547,6 +555,7 @@ const getAllocationStats = async (payoutRequestId) => {
       partner_payout_requests ppr ON pra.payout_request_id = ppr.id
     WHERE 
       pra.payout_request_id = $1
+      AND pra.deleted_at IS NULL
     GROUP BY 
       ppr.total_amount
   `;
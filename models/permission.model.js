@@ -0,0 +1,237 @@
+/**
+ * Модель для роботи з дозволами
+ * Каталог дозволів, зв'язки роль→дозвіл та персональні перевизначення користувачів
+ */
+const db = require("../config/db");
+const { withTransaction } = require("../utils/db.utils");
+
+/**
+ * Отримує всі дозволи з каталогу
+ * @returns {Promise<Array>} Масив дозволів
+ */
+const getAllPermissions = async () => {
+  const result = await db.query(
+    `SELECT * FROM permissions ORDER BY key`
+  );
+  return result.rows;
+};
+
+/**
+ * Перевіряє, чи існують дозволи з переданими ключами
+ * @param {Array<string>} keys - Ключі дозволів
+ * @returns {Promise<Array<string>>} Ключі, яких немає в каталозі
+ */
+const findUnknownPermissions = async (keys) => {
+  if (keys.length === 0) {
+    return [];
+  }
+
+  const result = await db.query(
+    `SELECT key FROM permissions WHERE key = ANY($1)`,
+    [keys]
+  );
+  const known = result.rows.map((row) => row.key);
+  return keys.filter((key) => !known.includes(key));
+};
+
+/**
+ * Синхронізує каталог дозволів з кодом
+ * Нові дозволи отримують зв'язки з ролями за замовчуванням,
+ * для вже існуючих дозволів зв'язки не змінюються
+ * @param {Object} catalog - Каталог { key: { description, defaultRoles } }
+ * @returns {Promise<Array<string>>} Ключі щойно доданих дозволів
+ */
+const syncPermissionCatalog = async (catalog) => {
+  return withTransaction(async (client) => {
+    const inserted = [];
+
+    for (const [key, { description, defaultRoles }] of Object.entries(
+      catalog
+    )) {
+      const result = await client.query(
+        `INSERT INTO permissions (key, description)
+         VALUES ($1, $2)
+         ON CONFLICT (key) DO UPDATE SET description = EXCLUDED.description
+         RETURNING (xmax = 0) as is_new`,
+        [key, description]
+      );
+
+      if (result.rows[0].is_new) {
+        inserted.push(key);
+
+        for (const role of defaultRoles) {
+          await client.query(
+            `INSERT INTO role_permissions (role, permission_key)
+             VALUES ($1, $2)
+             ON CONFLICT (role, permission_key) DO NOTHING`,
+            [role, key]
+          );
+        }
+      }
+    }
+
+    return inserted;
+  });
+};
+
+/**
+ * Отримує зв'язки роль→дозволи для всіх ролей
+ * @returns {Promise<Object>} Об'єкт { role: [permission_key, ...] }
+ */
+const getAllRolePermissions = async () => {
+  const result = await db.query(
+    `SELECT role, permission_key FROM role_permissions ORDER BY role, permission_key`
+  );
+
+  return result.rows.reduce((acc, row) => {
+    if (!acc[row.role]) {
+      acc[row.role] = [];
+    }
+    acc[row.role].push(row.permission_key);
+    return acc;
+  }, {});
+};
+
+/**
+ * Отримує дозволи ролі
+ * @param {string} role - Роль
+ * @returns {Promise<Array<string>>} Масив ключів дозволів
+ */
+const getRolePermissions = async (role) => {
+  const result = await db.query(
+    `SELECT permission_key FROM role_permissions WHERE role = $1 ORDER BY permission_key`,
+    [role]
+  );
+  return result.rows.map((row) => row.permission_key);
+};
+
+/**
+ * Повністю замінює набір дозволів ролі
+ * @param {string} role - Роль
+ * @param {Array<string>} permissionKeys - Нові ключі дозволів
+ * @param {number} updatedBy - ID адміністратора
+ * @returns {Promise<Array<string>>} Актуальний набір дозволів ролі
+ */
+const setRolePermissions = async (role, permissionKeys, updatedBy) => {
+  return withTransaction(async (client) => {
+    await client.query(`DELETE FROM role_permissions WHERE role = $1`, [role]);
+
+    if (permissionKeys.length > 0) {
+      await client.query(
+        `INSERT INTO role_permissions (role, permission_key, created_by)
+         SELECT $1, UNNEST($2::text[]), $3`,
+        [role, permissionKeys, updatedBy]
+      );
+    }
+
+    const result = await client.query(
+      `SELECT permission_key FROM role_permissions WHERE role = $1 ORDER BY permission_key`,
+      [role]
+    );
+    return result.rows.map((row) => row.permission_key);
+  });
+};
+
+/**
+ * Отримує персональні перевизначення дозволів користувача
+ * @param {number} userId - ID користувача
+ * @returns {Promise<Array>} Масив перевизначень
+ */
+const getUserOverrides = async (userId) => {
+  const query = `
+    SELECT
+      o.*,
+      creator.username as created_by_username
+    FROM user_permission_overrides o
+    LEFT JOIN users creator ON o.created_by = creator.id
+    WHERE o.user_id = $1
+    ORDER BY o.permission_key
+  `;
+
+  const result = await db.query(query, [userId]);
+  return result.rows;
+};
+
+/**
+ * Встановлює персональне перевизначення дозволу (надання або заборона)
+ * @param {number} userId - ID користувача
+ * @param {string} permissionKey - Ключ дозволу
+ * @param {boolean} isGranted - true - надати, false - заборонити
+ * @param {number} createdBy - ID адміністратора
+ * @returns {Promise<Object>} Перевизначення
+ */
+const setUserOverride = async (userId, permissionKey, isGranted, createdBy) => {
+  const query = `
+    INSERT INTO user_permission_overrides (user_id, permission_key, is_granted, created_by)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (user_id, permission_key) DO UPDATE SET
+      is_granted = EXCLUDED.is_granted,
+      created_by = EXCLUDED.created_by,
+      updated_at = NOW()
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [
+    userId,
+    permissionKey,
+    isGranted,
+    createdBy,
+  ]);
+  return result.rows[0];
+};
+
+/**
+ * Видаляє персональне перевизначення дозволу
+ * @param {number} userId - ID користувача
+ * @param {string} permissionKey - Ключ дозволу
+ * @returns {Promise<boolean>} Чи було видалено перевизначення
+ */
+const removeUserOverride = async (userId, permissionKey) => {
+  const result = await db.query(
+    `DELETE FROM user_permission_overrides WHERE user_id = $1 AND permission_key = $2`,
+    [userId, permissionKey]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Обчислює ефективні дозволи користувача:
+ * дозволи ролі + персонально надані - персонально заборонені
+ * @param {number} userId - ID користувача
+ * @param {string} role - Роль користувача
+ * @returns {Promise<Array<string>>} Масив ключів дозволів
+ */
+const getEffectivePermissions = async (userId, role) => {
+  const query = `
+    SELECT rp.permission_key
+    FROM role_permissions rp
+    WHERE rp.role = $2
+      AND NOT EXISTS (
+        SELECT 1 FROM user_permission_overrides o
+        WHERE o.user_id = $1
+          AND o.permission_key = rp.permission_key
+          AND o.is_granted = false
+      )
+    UNION
+    SELECT o.permission_key
+    FROM user_permission_overrides o
+    WHERE o.user_id = $1 AND o.is_granted = true
+    ORDER BY permission_key
+  `;
+
+  const result = await db.query(query, [userId, role]);
+  return result.rows.map((row) => row.permission_key);
+};
+
+module.exports = {
+  getAllPermissions,
+  findUnknownPermissions,
+  syncPermissionCatalog,
+  getAllRolePermissions,
+  getRolePermissions,
+  setRolePermissions,
+  getUserOverrides,
+  setUserOverride,
+  removeUserOverride,
+  getEffectivePermissions,
+};
@@ -1,4 +1,25 @@
 const db = require("../config/db");
+const { teamOnDateCondition } = require("./team.membership.model");
+
+// Умови належності даних до команди $1 за історією членства на дату запису
+const REQUEST_IN_TEAM = teamOnDateCondition(
+  "r.user_id",
+  "r.created_at::date",
+  "$1",
+  "u.team_id"
+);
+const FLOW_STAT_IN_TEAM = teamOnDateCondition(
+  "fs.user_id",
+  "make_date(fs.year, fs.month, fs.day)",
+  "$1",
+  "u.team_id"
+);
+const PAYOUT_IN_TEAM = teamOnDateCondition(
+  "pra.user_id",
+  "pr.period_start::date",
+  "$1",
+  "u.team_id"
+);
 
 /**
  * Отримує загальну статистику для біздевів
@@ -28,6 +49,11 @@ const getBizdevStatistics = async ({ startDate, endDate } = {}) => {
     params.push(newEndDate.toISOString());
   }
 
+  // Для потоків, офферів та партнерів видалені записи не враховуються
+  const notDeletedCondition = dateCondition
+    ? `${dateCondition} AND deleted_at IS NULL`
+    : "WHERE deleted_at IS NULL";
+
   try {
     // Запит для статистики потоків
     const flowsQuery = `
@@ -38,7 +64,7 @@ const getBizdevStatistics = async ({ startDate, endDate } = {}) => {
         COUNT(DISTINCT f.id) FILTER (WHERE f.status = 'stopped') as stopped_flows,
         COUNT(DISTINCT f.id) FILTER (WHERE f.status = 'archived') as archived_flows
       FROM flows f
-      ${dateCondition}
+      ${notDeletedCondition}
     `;
 
     // Запит для статистики брендів
@@ -65,7 +91,7 @@ const getBizdevStatistics = async ({ startDate, endDate } = {}) => {
         COUNT(DISTINCT o.id) as total_offers,
         COUNT(DISTINCT o.id) FILTER (WHERE o.is_active = true) as active_offers
       FROM offers o
-      ${dateCondition}
+      ${notDeletedCondition}
     `;
 
     // Запит для статистики партнерів
@@ -78,7 +104,7 @@ const getBizdevStatistics = async ({ startDate, endDate } = {}) => {
         COUNT(DISTINCT p.id) FILTER (WHERE p.type = 'NET') as network_partners,
         COUNT(DISTINCT p.id) FILTER (WHERE p.type = 'DIRECT ADV') as direct_partners
       FROM partners p
-      ${dateCondition}
+      ${notDeletedCondition}
     `;
 
     // Запит для розподілу потоків за статусом
@@ -88,7 +114,7 @@ const getBizdevStatistics = async ({ startDate, endDate } = {}) => {
         COUNT(*) as count,
         ROUND(COUNT(*) * 100.0 / NULLIF(SUM(COUNT(*)) OVER(), 0), 2) as percentage
       FROM flows
-      ${dateCondition}
+      ${notDeletedCondition}
       GROUP BY status
       ORDER BY count DESC
     `;
@@ -243,6 +269,7 @@ async function getUserStatistics(userId, { startDate, endDate } = {}) {
       JOIN agent_refill_requests arr ON r.id = arr.request_id
       WHERE r.user_id = $1 
         AND r.status IN ('completed')
+        AND r.deleted_at IS NULL
         AND r.request_type = 'agent_refill'
         ${dateFilterRequests}
     ),
@@ -253,6 +280,7 @@ async function getUserStatistics(userId, { startDate, endDate } = {}) {
       JOIN expense_requests er ON r.id = er.request_id
       WHERE r.user_id = $1 
         AND r.status IN ('completed')
+        AND r.deleted_at IS NULL
         AND r.request_type = 'expenses'
         ${dateFilterRequests}
     ),
@@ -271,12 +299,14 @@ async function getUserStatistics(userId, { startDate, endDate } = {}) {
       WHERE fu.user_id = $1 
         AND fu.status = 'active'
         AND f.status = 'active'
+        AND f.deleted_at IS NULL
     ),
     user_payouts AS (
       SELECT 
         COALESCE(SUM(pra.allocated_amount), 0) as total_payouts
       FROM payout_request_allocations pra
       JOIN partner_payout_requests pr ON pra.payout_request_id = pr.id
+        AND pr.deleted_at IS NULL AND pra.deleted_at IS NULL
       WHERE pra.user_id = $1 
         ${dateFilterPayouts}
     )
@@ -390,8 +420,9 @@ async function getTeamStatistics(teamId, { startDate, endDate } = {}) {
       FROM requests r
       JOIN agent_refill_requests arr ON r.id = arr.request_id
       JOIN users u ON r.user_id = u.id
-      WHERE u.team_id = $1 
+      WHERE ${REQUEST_IN_TEAM}
         AND r.status IN ('completed')
+        AND r.deleted_at IS NULL
         AND r.request_type = 'agent_refill'
         ${dateFilterRequests}
     ),
@@ -401,8 +432,9 @@ async function getTeamStatistics(teamId, { startDate, endDate } = {}) {
       FROM requests r
       JOIN expense_requests er ON r.id = er.request_id
       JOIN users u ON r.user_id = u.id
-      WHERE u.team_id = $1 
+      WHERE ${REQUEST_IN_TEAM}
         AND r.status IN ('completed')
+        AND r.deleted_at IS NULL
         AND r.request_type = 'expenses'
         ${dateFilterRequests}
     ),
@@ -411,7 +443,7 @@ async function getTeamStatistics(teamId, { startDate, endDate } = {}) {
         COALESCE(SUM(fs.spend), 0) as total_spend
       FROM flow_stats fs
       JOIN users u ON fs.user_id = u.id
-      WHERE u.team_id = $1
+      WHERE ${FLOW_STAT_IN_TEAM}
         ${dateFilterFlowStats}
     ),
     team_active_flows AS (
@@ -420,14 +452,16 @@ async function getTeamStatistics(teamId, { startDate, endDate } = {}) {
       FROM flows f
       WHERE f.team_id = $1 
         AND f.status = 'active'
+        AND f.deleted_at IS NULL
     ),
     team_payouts AS (
       SELECT 
         COALESCE(SUM(pra.allocated_amount), 0) as total_payouts
       FROM payout_request_allocations pra
       JOIN partner_payout_requests pr ON pra.payout_request_id = pr.id
+        AND pr.deleted_at IS NULL AND pra.deleted_at IS NULL
       JOIN users u ON pra.user_id = u.id
-      WHERE u.team_id = $1 
+      WHERE ${PAYOUT_IN_TEAM}
         ${dateFilterPayouts}
     )
     SELECT 
@@ -540,6 +574,7 @@ const getUserCalendarStats = async ({ userId, month, year }) => {
           EXTRACT(DAY FROM r.created_at) = gs.day 
           AND EXTRACT(MONTH FROM r.created_at) = $2 
           AND EXTRACT(YEAR FROM r.created_at) = $4
+          AND r.deleted_at IS NULL
           AND r.user_id = $1
         LEFT JOIN agent_refill_requests ar ON 
           r.id = ar.request_id AND r.request_type = 'agent_refill'
@@ -638,7 +673,8 @@ const getTeamCalendarStats = async ({ teamId, month, year }) => {
           EXTRACT(DAY FROM r.created_at) = gs.day 
           AND EXTRACT(MONTH FROM r.created_at) = $3 
           AND EXTRACT(YEAR FROM r.created_at) = $4
-        LEFT JOIN users u ON r.user_id = u.id AND u.team_id = $1
+          AND r.deleted_at IS NULL
+        LEFT JOIN users u ON r.user_id = u.id AND ${REQUEST_IN_TEAM}
         LEFT JOIN agent_refill_requests ar ON 
           r.id = ar.request_id AND r.request_type = 'agent_refill'
         LEFT JOIN expense_requests er ON 
@@ -647,7 +683,12 @@ const getTeamCalendarStats = async ({ teamId, month, year }) => {
           fs.day = gs.day 
           AND fs.month = $3 
           AND fs.year = $4
-        LEFT JOIN users fu ON fs.user_id = fu.id AND fu.team_id = $1
+        LEFT JOIN users fu ON fs.user_id = fu.id AND ${teamOnDateCondition(
+          "fs.user_id",
+          "make_date(fs.year, fs.month, fs.day)",
+          "$1",
+          "fu.team_id"
+        )}
         GROUP BY gs.day
         ORDER BY gs.day
       )
@@ -701,6 +742,7 @@ const getUserMonthlyStatistics = async (userId, { year }) => {
       JOIN agent_refill_requests arr ON r.id = arr.request_id
       WHERE r.user_id = $1 
         AND r.status IN ('completed')
+        AND r.deleted_at IS NULL
         AND r.request_type = 'agent_refill'
         AND EXTRACT(YEAR FROM r.created_at) = $2
       GROUP BY EXTRACT(MONTH FROM r.created_at)
@@ -713,6 +755,7 @@ const getUserMonthlyStatistics = async (userId, { year }) => {
       JOIN expense_requests er ON r.id = er.request_id
       WHERE r.user_id = $1 
         AND r.status IN ('completed')
+        AND r.deleted_at IS NULL
         AND r.request_type = 'expenses'
         AND EXTRACT(YEAR FROM r.created_at) = $2
       GROUP BY EXTRACT(MONTH FROM r.created_at)
@@ -732,6 +775,7 @@ const getUserMonthlyStatistics = async (userId, { year }) => {
         COALESCE(SUM(pra.allocated_amount), 0) as total_payouts
       FROM payout_request_allocations pra
       JOIN partner_payout_requests pr ON pra.payout_request_id = pr.id
+        AND pr.deleted_at IS NULL AND pra.deleted_at IS NULL
       WHERE pra.user_id = $1 
         AND EXTRACT(YEAR FROM pr.period_start) = $2
       GROUP BY EXTRACT(MONTH FROM pr.period_start)
@@ -778,6 +822,7 @@ const getUserMonthlyStatistics = async (userId, { year }) => {
     WHERE fu.user_id = $1 
       AND fu.status = 'active'
       AND f.status = 'active'
+      AND f.deleted_at IS NULL
   `;
 
   const activeFlowsResult = await db.query(activeFlowsQuery, [userId]);
@@ -869,8 +914,9 @@ const getTeamMonthlyStatistics = async (teamId, { year }) => {
       FROM requests r
       JOIN agent_refill_requests arr ON r.id = arr.request_id
       JOIN users u ON r.user_id = u.id
-      WHERE u.team_id = $1 
+      WHERE ${REQUEST_IN_TEAM}
         AND r.status IN ('completed')
+        AND r.deleted_at IS NULL
         AND r.request_type = 'agent_refill'
         AND EXTRACT(YEAR FROM r.created_at) = $2
       GROUP BY EXTRACT(MONTH FROM r.created_at)
@@ -882,8 +928,9 @@ const getTeamMonthlyStatistics = async (teamId, { year }) => {
       FROM requests r
       JOIN expense_requests er ON r.id = er.request_id
       JOIN users u ON r.user_id = u.id
-      WHERE u.team_id = $1 
+      WHERE ${REQUEST_IN_TEAM}
         AND r.status IN ('completed')
+        AND r.deleted_at IS NULL
         AND r.request_type = 'expenses'
         AND EXTRACT(YEAR FROM r.created_at) = $2
       GROUP BY EXTRACT(MONTH FROM r.created_at)
@@ -894,7 +941,7 @@ const getTeamMonthlyStatistics = async (teamId, { year }) => {
         COALESCE(SUM(fs.spend), 0) as total_spend
       FROM flow_stats fs
       JOIN users u ON fs.user_id = u.id
-      WHERE u.team_id = $1
+      WHERE ${FLOW_STAT_IN_TEAM}
         AND fs.year = $2
       GROUP BY fs.month
     ),
@@ -904,8 +951,9 @@ const getTeamMonthlyStatistics = async (teamId, { year }) => {
         COALESCE(SUM(pra.allocated_amount), 0) as total_payouts
       FROM payout_request_allocations pra
       JOIN partner_payout_requests pr ON pra.payout_request_id = pr.id
+        AND pr.deleted_at IS NULL AND pra.deleted_at IS NULL
       JOIN users u ON pra.user_id = u.id
-      WHERE u.team_id = $1 
+      WHERE ${PAYOUT_IN_TEAM}
         AND EXTRACT(YEAR FROM pr.period_start) = $2
       GROUP BY EXTRACT(MONTH FROM pr.period_start)
     )
@@ -949,6 +997,7 @@ const getTeamMonthlyStatistics = async (teamId, { year }) => {
     FROM flows f
     WHERE f.team_id = $1 
       AND f.status = 'active'
+      AND f.deleted_at IS NULL
   `;
 
   const activeFlowsResult = await db.query(activeFlowsQuery, [teamId]);
@@ -1075,6 +1124,7 @@ async function getCompanyStatistics({ startDate, endDate } = {}) {
       FROM requests r
       JOIN agent_refill_requests arr ON r.id = arr.request_id
       WHERE r.status IN ('completed')
+        AND r.deleted_at IS NULL
         AND r.request_type = 'agent_refill'
         ${dateFilterRequests}
     ),
@@ -1084,6 +1134,7 @@ async function getCompanyStatistics({ startDate, endDate } = {}) {
       FROM requests r
       JOIN expense_requests er ON r.id = er.request_id
       WHERE r.status IN ('completed')
+        AND r.deleted_at IS NULL
         AND r.request_type = 'expenses'
         ${dateFilterRequests}
     ),
@@ -1102,12 +1153,14 @@ async function getCompanyStatistics({ startDate, endDate } = {}) {
       JOIN flows f ON fu.flow_id = f.id
       WHERE fu.status = 'active'
         AND f.status = 'active'
+        AND f.deleted_at IS NULL
     ),
     company_payouts AS (
       SELECT 
         COALESCE(SUM(pra.allocated_amount), 0) as total_payouts
       FROM payout_request_allocations pra
       JOIN partner_payout_requests pr ON pra.payout_request_id = pr.id
+        AND pr.deleted_at IS NULL AND pra.deleted_at IS NULL
       WHERE 1=1
         ${dateFilterPayouts}
     )
@@ -1188,6 +1241,7 @@ const getCompanyMonthlyStatistics = async ({ year }) => {
       FROM requests r
       JOIN agent_refill_requests arr ON r.id = arr.request_id
       WHERE r.status IN ('completed')
+        AND r.deleted_at IS NULL
         AND r.request_type = 'agent_refill'
         AND EXTRACT(YEAR FROM r.created_at) = $1
       GROUP BY EXTRACT(MONTH FROM r.created_at)
@@ -1199,6 +1253,7 @@ const getCompanyMonthlyStatistics = async ({ year }) => {
       FROM requests r
       JOIN expense_requests er ON r.id = er.request_id
       WHERE r.status IN ('completed')
+        AND r.deleted_at IS NULL
         AND r.request_type = 'expenses'
         AND EXTRACT(YEAR FROM r.created_at) = $1
       GROUP BY EXTRACT(MONTH FROM r.created_at)
@@ -1217,6 +1272,7 @@ const getCompanyMonthlyStatistics = async ({ year }) => {
         COALESCE(SUM(pra.allocated_amount), 0) as total_payouts
       FROM payout_request_allocations pra
       JOIN partner_payout_requests pr ON pra.payout_request_id = pr.id
+        AND pr.deleted_at IS NULL AND pra.deleted_at IS NULL
       WHERE EXTRACT(YEAR FROM pr.period_start) = $1
       GROUP BY EXTRACT(MONTH FROM pr.period_start)
     )
@@ -1263,6 +1319,7 @@ const getCompanyMonthlyStatistics = async ({ year }) => {
     JOIN flows f ON fu.flow_id = f.id
     WHERE fu.status = 'active'
       AND f.status = 'active'
+      AND f.deleted_at IS NULL
   `;
 
   const activeFlowsResult = await db.query(activeFlowsQuery);
@@ -1392,6 +1449,7 @@ const getCompanyCalendarStats = async ({ month, year }) => {
           EXTRACT(DAY FROM r.created_at) = gs.day 
           AND EXTRACT(MONTH FROM r.created_at) = $1 
           AND EXTRACT(YEAR FROM r.created_at) = $3
+          AND r.deleted_at IS NULL
         LEFT JOIN agent_refill_requests ar ON 
           r.id = ar.request_id AND r.request_type = 'agent_refill'
         LEFT JOIN expense_requests er ON 
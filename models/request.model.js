@@ -1,7 +1,71 @@
 const db = require("../config/db");
+const { applyDataScope } = require("../utils/dataScope");
+const {
+  resolveCursorSort,
+  buildKeysetQuery,
+  buildCursorPage,
+} = require("../utils/cursorPagination");
+const { applyFilterConditions } = require("../utils/db.utils");
+
+// Поля сортування списку заявок (усі NOT NULL, тому придатні для курсора) та їх типи
+const CURSOR_SORT_FIELDS = {
+  id: "integer",
+  request_type: "string",
+  status: "string",
+  created_at: "date",
+  updated_at: "date",
+};
+
+/**
+ * Специфікація фільтрів і сортування списку заявок (див. utils/listQuery)
+ * Сума береться з таблиці деталей відповідно до типу заявки
+ */
+const LIST_QUERY_SPEC = {
+  filters: {
+    id: { column: "r.id", type: "integer" },
+    request_type: {
+      column: "r.request_type",
+      type: "string",
+      operators: ["eq", "in"],
+      values: ["agent_refill", "expenses"],
+    },
+    status: {
+      column: "r.status",
+      type: "string",
+      operators: ["eq", "neq", "in"],
+      values: [
+        "pending",
+        "approved_by_teamlead",
+        "rejected_by_teamlead",
+        "approved_by_finance",
+        "rejected_by_finance",
+        "completed",
+        "cancelled",
+      ],
+    },
+    amount: {
+      column: `COALESCE(
+        (SELECT ar_f.amount FROM agent_refill_requests ar_f WHERE ar_f.request_id = r.id),
+        (SELECT er_f.amount FROM expense_requests er_f WHERE er_f.request_id = r.id)
+      )`,
+      type: "number",
+    },
+    user_id: { column: "r.user_id", type: "integer" },
+    team_id: { column: "r.team_id", type: "integer" },
+    department_id: { column: "r.department_id", type: "integer" },
+    teamlead_id: { column: "r.teamlead_id", type: "integer" },
+    finance_manager_id: { column: "r.finance_manager_id", type: "integer" },
+    created_at: { column: "r.created_at", type: "date" },
+    updated_at: { column: "r.updated_at", type: "date" },
+  },
+  sort: ["id", "request_type", "status", "created_at", "updated_at"],
+};
 
 const getRequestTypeSummary = async ({ startDate, endDate, teamId }) => {
-  const conditions = ["r.status IN ('approved_by_finance', 'completed')"];
+  const conditions = [
+    "r.deleted_at IS NULL",
+    "r.status IN ('approved_by_finance', 'completed')",
+  ];
   const params = [];
   let paramIndex = 1;
 
@@ -62,11 +126,12 @@ const getWeeklyExpenseSummary = async ({
 }) => {
   // Побудова WHERE умов для requests
   const requestConditions = [
+    `r.deleted_at IS NULL`,
     `r.status IN ('approved_by_finance', 'completed')`,
   ];
 
   // Побудова WHERE умов для salaries
-  const salaryConditions = [`s.status = 'paid'`];
+  const salaryConditions = [`s.deleted_at IS NULL`, `s.status = 'paid'`];
 
   const params = [];
   let paramIndex = 1;
@@ -278,11 +343,13 @@ const getMonthlyExpenseSummary = async ({
   // (Весь існуючий код функції getMonthlyExpenseSummary залишається без змін)
   const requestConditions = [
     `EXTRACT(YEAR FROM r.created_at) = $1`,
+    `r.deleted_at IS NULL`,
     `r.status IN ('approved_by_finance', 'completed')`,
   ];
 
   const salaryConditions = [
     `EXTRACT(YEAR FROM s.paid_at) = $1`,
+    `s.deleted_at IS NULL`,
     `s.status = 'paid'`,
   ];
 
@@ -400,9 +467,10 @@ const getMonthlyExpenseSummary = async ({
  */
 const getFinanceManagerStats = async ({ startDate, endDate, teamId }) => {
   const requestConditions = [
+    "r.deleted_at IS NULL",
     "r.status IN ('approved_by_finance', 'completed')",
   ];
-  const salaryConditions = ["s.status = 'paid'"];
+  const salaryConditions = ["s.deleted_at IS NULL", "s.status = 'paid'"];
   const params = [];
   let paramIndex = 1;
 
@@ -532,10 +600,11 @@ const getFinanceManagerStats = async ({ startDate, endDate, teamId }) => {
 const getDepartmentExpenseStats = async ({ startDate, endDate } = {}) => {
   // Побудова базових умов для requests
   const requestConditions = [
+    "r.deleted_at IS NULL",
     "r.status IN ('approved_by_finance', 'completed')",
   ];
   // Окремі умови для таблиці salaries
-  const salaryConditions = ["s.status = 'paid'"];
+  const salaryConditions = ["s.deleted_at IS NULL", "s.status = 'paid'"];
 
   const params = [];
   let paramIndex = 1;
@@ -680,9 +749,20 @@ const getDepartmentExpenseStats = async ({ startDate, endDate } = {}) => {
 /**
  * Отримує один запит за ідентифікатором з усіма деталями
  * @param {number} id - Ідентифікатор запиту
+ * @param {Object} [scope] - Область видимості даних (див. utils/dataScope)
  * @returns {Promise<Object|null>} Детальна інформація про запит або null
  */
-const getRequestById = async (id) => {
+const getRequestById = async (id, scope) => {
+  const conditions = ["r.id = $1", "r.deleted_at IS NULL"];
+  const params = [id];
+  applyDataScope(
+    scope,
+    { team: "r.team_id", user: "r.user_id" },
+    conditions,
+    params,
+    2
+  );
+
   // Отримання базової інформації про запит
   const requestResult = await db.query(
     `
@@ -706,9 +786,9 @@ const getRequestById = async (id) => {
     LEFT JOIN 
       users fm ON r.finance_manager_id = fm.id
     WHERE 
-      r.id = $1
+      ${conditions.join(" AND ")}
   `,
-    [id]
+    params
   );
 
   if (requestResult.rows.length === 0) {
@@ -756,10 +836,11 @@ const getRequestById = async (id) => {
 const getStatistics = async ({ startDate, endDate }) => {
   // Побудова базових умов для requests
   const requestConditions = [
+    "r.deleted_at IS NULL",
     "r.status IN ('approved_by_finance', 'completed')",
   ];
   // Окремі умови для таблиці salaries
-  const salaryConditions = ["s.status = 'paid'"];
+  const salaryConditions = ["s.deleted_at IS NULL", "s.status = 'paid'"];
 
   const requestParams = [];
   const salaryParams = [];
@@ -916,6 +997,11 @@ const getStatistics = async ({ startDate, endDate }) => {
  * @param {number} [options.agentId] - ID агента для фільтрації
  * @param {string} [options.sortBy="created_at"] - Поле для сортування
  * @param {string} [options.sortOrder="desc"] - Порядок сортування (asc/desc)
+ * @param {Object} [options.scope] - Область видимості даних (див. utils/dataScope)
+ * @param {boolean} [options.cursorMode] - Курсорна пагінація замість сторінок
+ * @param {Object} [options.cursor] - Декодований курсор (див. utils/cursorPagination)
+ * @param {boolean} [options.includeTotal] - Рахувати загальну кількість у курсорному режимі
+ * @param {Object} [options.filters] - Фільтри з параметрів filter[...] (див. utils/listQuery)
  * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
  */
 const getAllRequests = async ({
@@ -937,11 +1023,16 @@ const getAllRequests = async ({
   agentId, // Додано параметр agentId
   sortBy = "created_at",
   sortOrder = "desc",
+  scope,
+  cursorMode = false,
+  cursor = null,
+  includeTotal = false,
+  filters,
 }) => {
   const offset = (page - 1) * limit;
 
-  // Побудова WHERE умов на основі фільтрів
-  const conditions = ["TRUE"];
+  // Побудова WHERE умов на основі фільтрів (видалені заявки не показуються)
+  const conditions = ["r.deleted_at IS NULL"];
   const params = [];
   let paramIndex = 1;
 
@@ -1001,6 +1092,15 @@ const getAllRequests = async ({
     params.push(departmentId);
   }
 
+  // Обмеження областю видимості користувача (не залежить від параметрів запиту)
+  paramIndex = applyDataScope(
+    scope,
+    { team: "r.team_id", user: "r.user_id" },
+    conditions,
+    params,
+    paramIndex
+  );
+
   if (teamleadId) {
     conditions.push(`r.teamlead_id = $${paramIndex++}`);
     params.push(teamleadId);
@@ -1071,21 +1171,37 @@ const getAllRequests = async ({
     paramIndex++;
   }
 
+  // Фільтри з параметрів filter[...]
+  paramIndex = applyFilterConditions(filters, conditions, params, paramIndex);
+
   const whereClause = conditions.join(" AND ");
 
   // Валідація полів сортування
-  const allowedSortFields = [
-    "id",
-    "request_type",
-    "status",
-    "created_at",
-    "updated_at",
-  ];
-  const validSortBy = allowedSortFields.includes(sortBy)
+  const validSortBy = Object.hasOwn(CURSOR_SORT_FIELDS, sortBy)
     ? sortBy
     : "created_at";
   const validSortOrder = sortOrder.toLowerCase() === "asc" ? "ASC" : "DESC";
 
+  // Курсорний режим: продовження від граничного запису замість OFFSET
+  let cursorSort = null;
+  let keyset = null;
+  if (cursorMode) {
+    cursorSort = resolveCursorSort({
+      cursor,
+      sortBy,
+      sortOrder,
+      sortFields: CURSOR_SORT_FIELDS,
+    });
+    keyset = buildKeysetQuery({
+      sortExpr: `r.${cursorSort.sortBy}`,
+      idExpr: "r.id",
+      sortOrder: cursorSort.sortOrder,
+      cursor,
+      limit,
+      paramIndex,
+    });
+  }
+
   // Виконання запиту для отримання даних з пагінацією
   const query = `
     WITH user_data AS (
@@ -1197,6 +1313,7 @@ const getAllRequests = async ({
       ed.transaction_time,
       ed.expense_type_name,
       ed.expense_type_description
+      ${keyset ? `, ${keyset.select}` : ""}
     FROM 
       requests r
     JOIN 
@@ -1215,12 +1332,15 @@ const getAllRequests = async ({
       expense_data ed ON r.id = ed.request_id AND r.request_type = 'expenses'
         WHERE 
       ${whereClause}
+      ${keyset && keyset.condition ? `AND ${keyset.condition}` : ""}
     ORDER BY 
-      r.${validSortBy} ${validSortOrder}
-    LIMIT $${paramIndex++} OFFSET $${paramIndex++}
+      ${keyset ? keyset.orderBy : `r.${validSortBy} ${validSortOrder}`}
+    ${keyset ? keyset.limitClause : `LIMIT $${paramIndex++} OFFSET $${paramIndex++}`}
   `;
 
-  params.push(parseInt(limit), offset);
+  const dataParams = keyset
+    ? [...params, ...keyset.params]
+    : [...params, parseInt(limit), offset];
 
   // Виконання запиту для отримання загальної кількості результатів
   const countQuery = `
@@ -1314,11 +1434,27 @@ const getAllRequests = async ({
       ${whereClause}
   `;
 
+  // У курсорному режимі загальна кількість рахується лише на запит
   const [dataResult, countResult] = await Promise.all([
-    db.query(query, params),
-    db.query(countQuery, params.slice(0, params.length - 2)),
+    db.query(query, dataParams),
+    !keyset || includeTotal ? db.query(countQuery, params) : null,
   ]);
 
+  if (keyset) {
+    const cursorPage = buildCursorPage(dataResult.rows, {
+      limit,
+      cursor,
+      ...cursorSort,
+    });
+    return {
+      data: cursorPage.rows,
+      pagination: {
+        ...cursorPage.pagination,
+        total: countResult ? parseInt(countResult.rows[0].total) : undefined,
+      },
+    };
+  }
+
   const total = parseInt(countResult.rows[0].total);
   const totalPages = Math.ceil(total / limit);
   const totalAmount = parseFloat(countResult.rows[0].total_amount) || 0;
@@ -1415,6 +1551,7 @@ const getAllRequests = async ({
  * @param {number} [options.departmentId] - ID відділу для фільтрації
  * @param {number} [options.userId] - ID користувача для фільтрації
  * @param {string} [options.network] - Мережа для фільтрації
+ * @param {Object} [options.scope] - Область видимості даних (див. utils/dataScope)
  * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
  */
 const getAllAgentRefills = async ({
@@ -1431,11 +1568,12 @@ const getAllAgentRefills = async ({
   departmentId,
   userId,
   network,
+  scope,
 }) => {
   const offset = (page - 1) * limit;
 
-  // Побудова WHERE умов на основі фільтрів
-  const conditions = ["TRUE"];
+  // Побудова WHERE умов на основі фільтрів (видалені заявки не показуються)
+  const conditions = ["r.deleted_at IS NULL"];
   const params = [];
   let paramIndex = 1;
 
@@ -1499,6 +1637,14 @@ const getAllAgentRefills = async ({
     params.push(network);
   }
 
+  paramIndex = applyDataScope(
+    scope,
+    { team: "u.team_id", user: "u.id" },
+    conditions,
+    params,
+    paramIndex
+  );
+
   const whereClause = conditions.join(" AND ");
 
   // Виконання запиту для отримання даних з пагінацією
@@ -1612,6 +1758,7 @@ const getAllAgentRefills = async ({
  * @param {string} [options.network] - Мережа для фільтрації
  * @param {string} [options.purpose] - Призначення платежу (пошук за частковим збігом)
  * @param {number} [options.teamId] - ID команди для фільтрації
+ * @param {Object} [options.scope] - Область видимості даних (див. utils/dataScope)
  * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
  */
 const getAllExpenses = async ({
@@ -1626,12 +1773,13 @@ const getAllExpenses = async ({
   purpose,
   teamId,
   departmentId,
+  scope,
 }) => {
   try {
     const offset = (page - 1) * limit;
 
-    // Побудова WHERE умов на основі фільтрів
-    const conditions = ["TRUE"];
+    // Побудова WHERE умов на основі фільтрів (видалені заявки не показуються)
+    const conditions = ["r.deleted_at IS NULL"];
     const params = [];
     let paramIndex = 1;
 
@@ -1682,6 +1830,14 @@ const getAllExpenses = async ({
       params.push(departmentId);
     }
 
+    paramIndex = applyDataScope(
+      scope,
+      { team: "u.team_id", user: "r.user_id" },
+      conditions,
+      params,
+      paramIndex
+    );
+
     const whereClause = conditions.join(" AND ");
 
     // Виконання запиту для отримання даних з пагінацією
@@ -1780,7 +1936,7 @@ const updateAgentRefillRequest = async (requestId, updateData) => {
 
     // Перевіряємо, чи існує запит та чи він типу agent_refill
     const requestCheck = await client.query(
-      `SELECT * FROM requests WHERE id = $1 AND request_type = 'agent_refill'`,
+      `SELECT * FROM requests WHERE id = $1 AND request_type = 'agent_refill' AND deleted_at IS NULL`,
       [requestId]
     );
 
@@ -1862,7 +2018,7 @@ const updateExpenseRequest = async (requestId, updateData) => {
 
     // Перевіряємо, чи існує запит та чи він типу expenses
     const requestCheck = await client.query(
-      `SELECT * FROM requests WHERE id = $1 AND request_type = 'expenses'`,
+      `SELECT * FROM requests WHERE id = $1 AND request_type = 'expenses' AND deleted_at IS NULL`,
       [requestId]
     );
 
@@ -1971,7 +2127,7 @@ const updateRequestStatus = async (requestId, newStatus, options = {}) => {
   const query = `
     UPDATE requests
     SET ${setClauses.join(", ")}
-    WHERE id = $2
+    WHERE id = $2 AND deleted_at IS NULL
     RETURNING *
   `;
 
@@ -1985,67 +2141,23 @@ const updateRequestStatus = async (requestId, newStatus, options = {}) => {
 };
 
 /**
- * Видаляє запит з бази даних разом із пов'язаними даними
+ * Видаляє запит (м'яке видалення: запит разом з деталями переходить у кошик)
  * @param {number} requestId - ID запиту
+ * @param {number} deletedBy - ID користувача, який видаляє запит
  * @returns {Promise<boolean>} Результат операції
  */
-const deleteRequest = async (requestId) => {
-  const client = await db.getClient();
-
-  try {
-    await client.query("BEGIN");
-
-    // Спочатку визначаємо тип запиту
-    const requestQuery = `
-      SELECT request_type FROM requests WHERE id = $1
-    `;
-    const requestResult = await client.query(requestQuery, [requestId]);
-
-    if (requestResult.rows.length === 0) {
-      // Запит не знайдено
-      await client.query("ROLLBACK");
-      return false;
-    }
-
-    const requestType = requestResult.rows[0].request_type;
-
-    // Видаляємо деталі відповідно до типу запиту
-    if (requestType === "expenses") {
-      await client.query(
-        `
-        DELETE FROM expense_requests 
-        WHERE request_id = $1
-      `,
-        [requestId]
-      );
-    } else if (requestType === "agent_refill") {
-      await client.query(
-        `
-        DELETE FROM agent_refill_requests 
-        WHERE request_id = $1
-      `,
-        [requestId]
-      );
-    }
-
-    // Видаляємо сам запит
-    const result = await client.query(
-      `
-      DELETE FROM requests
-      WHERE id = $1
-      RETURNING id
-    `,
-      [requestId]
-    );
+const deleteRequest = async (requestId, deletedBy) => {
+  const result = await db.query(
+    `
+    UPDATE requests
+    SET deleted_at = NOW(), deleted_by = $2
+    WHERE id = $1 AND deleted_at IS NULL
+    RETURNING id
+  `,
+    [requestId, deletedBy]
+  );
 
-    await client.query("COMMIT");
-    return true;
-  } catch (error) {
-    await client.query("ROLLBACK");
-    throw error;
-  } finally {
-    client.release();
-  }
+  return result.rows.length > 0;
 };
 
 module.exports = {
@@ -2058,6 +2170,8 @@ module.exports = {
   getRequestTypeSummary,
 
   // GENERAL
+  LIST_QUERY_SPEC,
+  CURSOR_SORT_FIELDS,
   getAllRequests,
   getRequestById,
   getAllAgentRefills,
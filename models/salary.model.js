@@ -1,5 +1,41 @@
 const db = require("../config/db");
 const { TELEGRAM_API_URL } = require("../config/config");
+const { applyDataScope } = require("../utils/dataScope");
+const { applyFilterConditions } = require("../utils/db.utils");
+
+/**
+ * Специфікація фільтрів і сортування списку зарплат (див. utils/listQuery)
+ */
+const LIST_QUERY_SPEC = {
+  filters: {
+    id: { column: "s.id", type: "integer" },
+    user_id: { column: "s.user_id", type: "integer" },
+    amount: { column: "s.amount", type: "number" },
+    month: { column: "s.month", type: "integer" },
+    year: { column: "s.year", type: "integer" },
+    status: {
+      column: "s.status",
+      type: "string",
+      operators: ["eq", "neq", "in"],
+      values: ["pending", "approved", "rejected", "paid"],
+    },
+    team_id: { column: "u.team_id", type: "integer" },
+    department_id: { column: "u.department_id", type: "integer" },
+    paid_at: { column: "s.paid_at", type: "date" },
+    created_at: { column: "s.created_at", type: "date" },
+    updated_at: { column: "s.updated_at", type: "date" },
+  },
+  sort: [
+    "id",
+    "amount",
+    "month",
+    "year",
+    "status",
+    "created_at",
+    "updated_at",
+    "paid_at",
+  ],
+};
 
 /**
  * Отримує всі зарплати з фільтрацією та пагінацією
@@ -12,6 +48,8 @@ const { TELEGRAM_API_URL } = require("../config/config");
  * @param {number} [options.userId] - ID користувача
  * @param {number} [options.teamId] - ID команди
  * @param {number} [options.departmentId] - ID відділу
+ * @param {Object} [options.scope] - Область видимості даних (див. utils/dataScope)
+ * @param {Object} [options.filters] - Фільтри з параметрів filter[...] (див. utils/listQuery)
  * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
  */
 const getAllSalaries = async ({
@@ -25,11 +63,13 @@ const getAllSalaries = async ({
   departmentId,
   sortBy = "created_at",
   sortOrder = "desc",
+  scope,
+  filters,
 }) => {
   const offset = (page - 1) * limit;
 
-  // Побудова WHERE умов на основі фільтрів
-  const conditions = ["TRUE"];
+  // Побудова WHERE умов на основі фільтрів (видалені зарплати не показуються)
+  const conditions = ["s.deleted_at IS NULL"];
   const params = [];
   let paramIndex = 1;
 
@@ -63,6 +103,17 @@ const getAllSalaries = async ({
     params.push(parseInt(departmentId));
   }
 
+  // Фільтри з параметрів filter[...]
+  paramIndex = applyFilterConditions(filters, conditions, params, paramIndex);
+
+  paramIndex = applyDataScope(
+    scope,
+    { team: "u.team_id", user: "s.user_id" },
+    conditions,
+    params,
+    paramIndex
+  );
+
   const whereClause = conditions.join(" AND ");
 
   // Валідація полів сортування
@@ -169,9 +220,20 @@ const getAllSalaries = async ({
 /**
  * Отримує деталі зарплати за ID
  * @param {number} id - ID зарплати
+ * @param {Object} [scope] - Область видимості даних (див. utils/dataScope)
  * @returns {Promise<Object|null>} Об'єкт зарплати або null
  */
-const getSalaryById = async (id) => {
+const getSalaryById = async (id, scope) => {
+  const conditions = ["s.id = $1", "s.deleted_at IS NULL"];
+  const params = [id];
+  applyDataScope(
+    scope,
+    { team: "u.team_id", user: "s.user_id" },
+    conditions,
+    params,
+    2
+  );
+
   const query = `
     SELECT 
       s.id,
@@ -211,10 +273,10 @@ const getSalaryById = async (id) => {
     LEFT JOIN 
       users a ON s.approved_by = a.id
     WHERE 
-      s.id = $1
+      ${conditions.join(" AND ")}
   `;
 
-  const result = await db.query(query, [id]);
+  const result = await db.query(query, params);
   return result.rows.length > 0 ? result.rows[0] : null;
 };
 
@@ -233,7 +295,7 @@ const createSalary = async (salaryData) => {
 
   // Перевірка на існування зарплати за цей місяць і рік для користувача
   const existingResult = await db.query(
-    "SELECT id FROM salaries WHERE user_id = $1 AND month = $2 AND year = $3",
+    "SELECT id FROM salaries WHERE user_id = $1 AND month = $2 AND year = $3 AND deleted_at IS NULL",
     [user_id, month, year]
   );
 
@@ -297,7 +359,7 @@ const updateSalary = async (id, salaryData) => {
   const query = `
     UPDATE salaries
     SET ${setClauses.join(", ")}
-    WHERE id = $${paramIndex}
+    WHERE id = $${paramIndex} AND deleted_at IS NULL
     RETURNING *
   `;
 
@@ -336,7 +398,7 @@ const updateSalaryStatus = async (
     "SELECT s.*, u.telegram_id, u.first_name, u.last_name, u.salary_wallet_address, " +
       "u.department_id, u.team_id FROM salaries s " +
       "JOIN users u ON s.user_id = u.id " +
-      "WHERE s.id = $1",
+      "WHERE s.id = $1 AND s.deleted_at IS NULL",
     [id]
   );
 
@@ -389,7 +451,7 @@ const updateSalaryStatus = async (
   const query = `
           UPDATE salaries
           SET ${setClauses.join(", ")}
-          WHERE id = $${paramIndex}
+          WHERE id = $${paramIndex} AND deleted_at IS NULL
           RETURNING *
         `;
 
@@ -585,14 +647,18 @@ ${
 };
 
 /**
- * Видаляє зарплату
+ * Видаляє зарплату (м'яке видалення: зарплата переходить у кошик)
  * @param {number} id - ID зарплати
+ * @param {number} deletedBy - ID користувача, який видаляє зарплату
  * @returns {Promise<boolean>} true, якщо видалення успішне, інакше false
  */
-const deleteSalary = async (id) => {
+const deleteSalary = async (id, deletedBy) => {
   const result = await db.query(
-    "DELETE FROM salaries WHERE id = $1 RETURNING id",
-    [id]
+    `UPDATE salaries
+     SET deleted_at = NOW(), deleted_by = $2
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING id`,
+    [id, deletedBy]
   );
   return result.rows.length > 0;
 };
@@ -604,6 +670,7 @@ const deleteSalary = async (id) => {
  * @param {number} [options.year] - Рік
  * @param {number} [options.teamId] - ID команди
  * @param {number} [options.departmentId] - ID відділу
+ * @param {Object} [options.scope] - Область видимості даних (див. utils/dataScope)
  * @returns {Promise<Object>} Об'єкт зі статистикою
  */
 const getSalaryStats = async ({
@@ -612,8 +679,9 @@ const getSalaryStats = async ({
   userId,
   teamId,
   departmentId,
+  scope,
 }) => {
-  const conditions = ["TRUE"];
+  const conditions = ["s.deleted_at IS NULL"];
   const params = [];
   let paramIndex = 1;
 
@@ -642,6 +710,14 @@ const getSalaryStats = async ({
     params.push(parseInt(departmentId));
   }
 
+  paramIndex = applyDataScope(
+    scope,
+    { team: "u.team_id", user: "s.user_id" },
+    conditions,
+    params,
+    paramIndex
+  );
+
   const whereClause = conditions.join(" AND ");
 
   const query = `
@@ -723,6 +799,7 @@ const generateSalaries = async (
       salary_templates st ON u.id = st.user_id AND st.is_active = true
     LEFT JOIN 
       salaries s ON u.id = s.user_id AND s.month = $1 AND s.year = $2
+        AND s.deleted_at IS NULL
     WHERE 
       ${userWhereClause} AND s.id IS NULL
   `;
@@ -840,6 +917,7 @@ const updateUserSalaryWallet = async (userId, walletAddress) => {
  * @param {number} [options.departmentId] - ID відділу
  * @param {number} [options.page=1] - Номер сторінки (1-based)
  * @param {number} [options.limit=10] - Кількість записів на сторінці
+ * @param {Object} [options.scope] - Область видимості даних (див. utils/dataScope)
  * @returns {Promise<{ data: Array, total: number }>} Об'єкт із масивом шаблонів і загальною кількістю
  */
 const getAllSalaryTemplates = async ({
@@ -848,6 +926,7 @@ const getAllSalaryTemplates = async ({
   departmentId,
   page = 1,
   limit = 10,
+  scope,
 } = {}) => {
   const conditions = ["TRUE"];
   const params = [];
@@ -867,6 +946,14 @@ const getAllSalaryTemplates = async ({
     params.push(parseInt(departmentId));
   }
 
+  paramIndex = applyDataScope(
+    scope,
+    { team: "u.team_id", user: "st.user_id" },
+    conditions,
+    params,
+    paramIndex
+  );
+
   const whereClause = conditions.join(" AND ");
 
   // Запит для отримання шаблонів із пагінацією
@@ -939,6 +1026,7 @@ const getAllSalaryTemplates = async ({
 };
 
 module.exports = {
+  LIST_QUERY_SPEC,
   getAllSalaries,
   getSalaryById,
   createSalary,
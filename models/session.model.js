@@ -0,0 +1,230 @@
+/**
+ * Модель для роботи з сесіями користувачів
+ * Зберігає refresh токени (у вигляді хешів) та стан відкликання сесій
+ */
+const db = require("../config/db");
+
+/**
+ * Створює нову сесію користувача
+ * @param {Object} sessionData - Дані сесії
+ * @param {number} sessionData.userId - ID користувача
+ * @param {string} sessionData.refreshTokenHash - Хеш refresh токена
+ * @param {Date} sessionData.expiresAt - Дата закінчення дії сесії
+ * @param {string} [sessionData.ipAddress] - IP адреса клієнта
+ * @param {string} [sessionData.userAgent] - User Agent клієнта
+ * @returns {Promise<Object>} Створена сесія
+ */
+const createSession = async ({
+  userId,
+  refreshTokenHash,
+  expiresAt,
+  ipAddress,
+  userAgent,
+}) => {
+  const query = `
+    INSERT INTO user_sessions (
+      user_id,
+      refresh_token_hash,
+      ip_address,
+      user_agent,
+      expires_at
+    )
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [
+    userId,
+    refreshTokenHash,
+    ipAddress,
+    userAgent,
+    expiresAt,
+  ]);
+  return result.rows[0];
+};
+
+/**
+ * Отримує сесію за ID
+ * @param {number} id - ID сесії
+ * @returns {Promise<Object|null>} Сесія або null
+ */
+const getSessionById = async (id) => {
+  const result = await db.query(`SELECT * FROM user_sessions WHERE id = $1`, [
+    id,
+  ]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Знаходить сесію за хешем поточного або попереднього refresh токена
+ * @param {string} refreshTokenHash - Хеш refresh токена
+ * @returns {Promise<Object|null>} Сесія з ознакою is_previous_token або null
+ */
+const findByRefreshTokenHash = async (refreshTokenHash) => {
+  const query = `
+    SELECT
+      s.*,
+      (s.refresh_token_hash <> $1) as is_previous_token
+    FROM user_sessions s
+    WHERE s.refresh_token_hash = $1 OR s.previous_refresh_token_hash = $1
+    LIMIT 1
+  `;
+
+  const result = await db.query(query, [refreshTokenHash]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Перевіряє, чи сесія активна (не відкликана і не прострочена)
+ * @param {number} id - ID сесії
+ * @returns {Promise<boolean>} Чи активна сесія
+ */
+const isSessionActive = async (id) => {
+  const query = `
+    SELECT id
+    FROM user_sessions
+    WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+  `;
+
+  const result = await db.query(query, [id]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Оновлює час останньої активності сесії
+ * Запис оновлюється не частіше одного разу на хвилину, щоб не навантажувати БД
+ * @param {number} id - ID сесії
+ * @returns {Promise<void>}
+ */
+const touchSession = async (id) => {
+  await db.query(
+    `UPDATE user_sessions
+     SET last_used_at = NOW()
+     WHERE id = $1
+       AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [id]
+  );
+};
+
+/**
+ * Отримує сесії користувача (без хешів refresh токенів)
+ * @param {number} userId - ID користувача
+ * @param {Object} options - Опції
+ * @param {boolean} [options.includeInactive=false] - Включати відкликані та прострочені сесії
+ * @returns {Promise<Array>} Масив сесій, найновіша активність першою
+ */
+const getUserSessions = async (userId, { includeInactive = false } = {}) => {
+  const query = `
+    SELECT
+      id,
+      user_id,
+      ip_address,
+      user_agent,
+      created_at,
+      COALESCE(last_used_at, created_at) as last_seen_at,
+      expires_at,
+      revoked_at,
+      revoked_reason
+    FROM user_sessions
+    WHERE user_id = $1
+      ${includeInactive ? "" : "AND revoked_at IS NULL AND expires_at > NOW()"}
+    ORDER BY COALESCE(last_used_at, created_at) DESC
+  `;
+
+  const result = await db.query(query, [userId]);
+  return result.rows;
+};
+
+/**
+ * Ротує refresh токен сесії: поточний хеш стає попереднім
+ * @param {number} id - ID сесії
+ * @param {string} currentHash - Хеш токена, який ротується
+ * @param {string} newHash - Хеш нового refresh токена
+ * @param {Date} expiresAt - Нова дата закінчення дії сесії
+ * @returns {Promise<Object|null>} Оновлена сесія або null, якщо токен вже ротовано
+ */
+const rotateRefreshToken = async (id, currentHash, newHash, expiresAt) => {
+  const query = `
+    UPDATE user_sessions
+    SET
+      previous_refresh_token_hash = refresh_token_hash,
+      refresh_token_hash = $3,
+      expires_at = $4,
+      last_used_at = NOW()
+    WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [id, currentHash, newHash, expiresAt]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Відкликає сесію
+ * @param {number} id - ID сесії
+ * @param {string} [reason="logout"] - Причина відкликання
+ * @returns {Promise<Object|null>} Відкликана сесія або null
+ */
+const revokeSession = async (id, reason = "logout") => {
+  const query = `
+    UPDATE user_sessions
+    SET revoked_at = NOW(), revoked_reason = $2
+    WHERE id = $1 AND revoked_at IS NULL
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [id, reason]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Відкликає сесію, лише якщо вона належить вказаному користувачу
+ * @param {number} id - ID сесії
+ * @param {number} userId - ID власника сесії
+ * @param {string} reason - Причина відкликання
+ * @returns {Promise<Object|null>} Відкликана сесія або null
+ */
+const revokeUserSession = async (id, userId, reason) => {
+  const query = `
+    UPDATE user_sessions
+    SET revoked_at = NOW(), revoked_reason = $3
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    RETURNING id, user_id, ip_address, user_agent, created_at, revoked_at, revoked_reason
+  `;
+
+  const result = await db.query(query, [id, userId, reason]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Відкликає всі активні сесії користувача
+ * @param {number} userId - ID користувача
+ * @param {string} reason - Причина відкликання
+ * @param {number} [exceptSessionId] - ID сесії, яку потрібно залишити активною
+ * @returns {Promise<number>} Кількість відкликаних сесій
+ */
+const revokeAllUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const query = `
+    UPDATE user_sessions
+    SET revoked_at = NOW(), revoked_reason = $2
+    WHERE user_id = $1
+      AND revoked_at IS NULL
+      AND ($3::integer IS NULL OR id <> $3)
+  `;
+
+  const result = await db.query(query, [userId, reason, exceptSessionId]);
+  return result.rowCount;
+};
+
+module.exports = {
+  createSession,
+  getSessionById,
+  findByRefreshTokenHash,
+  isSessionActive,
+  touchSession,
+  getUserSessions,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSession,
+  revokeAllUserSessions,
+};
@@ -0,0 +1,186 @@
+/**
+ * Модель для історії членства користувачів у командах та відділах
+ * Кожен запис - період [valid_from, valid_to), відкритий період має valid_to = NULL.
+ * Звіти по командах використовують історію, щоб віднести дані дня до команди,
+ * у якій користувач був саме того дня
+ */
+const db = require("../config/db");
+
+/**
+ * Повертає SQL умову "користувач належав до команди на дату"
+ * Дані до першого запису історії відносяться до команди з першого запису,
+ * а для користувачів без історії використовується запасний вираз
+ * @param {string} userIdExpr - SQL вираз з ID користувача (наприклад, "fs.user_id")
+ * @param {string} dateExpr - SQL вираз з датою (наприклад, "r.created_at::date")
+ * @param {string} teamIdExpr - SQL вираз з ID команди (зазвичай параметр, "$1")
+ * @param {string} fallbackTeamExpr - SQL вираз з командою для користувачів без історії
+ * @returns {string} SQL умова
+ */
+const teamOnDateCondition = (
+  userIdExpr,
+  dateExpr,
+  teamIdExpr,
+  fallbackTeamExpr
+) => `(
+  EXISTS (
+    SELECT 1
+    FROM (
+      SELECT m.team_id
+      FROM user_team_memberships m
+      WHERE m.user_id = ${userIdExpr}
+        AND (m.valid_to IS NULL OR m.valid_to > ${dateExpr})
+      ORDER BY m.valid_from ASC
+      LIMIT 1
+    ) tm
+    WHERE tm.team_id = ${teamIdExpr}
+  )
+  OR (
+    ${fallbackTeamExpr} = ${teamIdExpr}
+    AND NOT EXISTS (
+      SELECT 1 FROM user_team_memberships m WHERE m.user_id = ${userIdExpr}
+    )
+  )
+)`;
+
+/**
+ * Повертає SQL вираз з ID команди, до якої користувач належав на дату
+ * (за тими ж правилами, що й teamOnDateCondition) - для групування за командами
+ * @param {string} userIdExpr - SQL вираз з ID користувача
+ * @param {string} dateExpr - SQL вираз з датою
+ * @param {string} fallbackTeamExpr - SQL вираз з командою для користувачів без історії
+ * @returns {string} SQL вираз
+ */
+const teamOnDateExpression = (userIdExpr, dateExpr, fallbackTeamExpr) => `(
+  CASE
+    WHEN EXISTS (
+      SELECT 1 FROM user_team_memberships m WHERE m.user_id = ${userIdExpr}
+    )
+    THEN (
+      SELECT m.team_id
+      FROM user_team_memberships m
+      WHERE m.user_id = ${userIdExpr}
+        AND (m.valid_to IS NULL OR m.valid_to > ${dateExpr})
+      ORDER BY m.valid_from ASC
+      LIMIT 1
+    )
+    ELSE ${fallbackTeamExpr}
+  END
+)`;
+
+/**
+ * Отримує поточний (відкритий) період членства користувача
+ * @param {number} userId - ID користувача
+ * @param {Object} [client=db] - Клієнт БД
+ * @returns {Promise<Object|null>} Період (з valid_from_date у форматі YYYY-MM-DD) або null
+ */
+const getCurrentMembership = async (userId, client = db) => {
+  const result = await client.query(
+    `SELECT *, to_char(valid_from, 'YYYY-MM-DD') as valid_from_date
+     FROM user_team_memberships
+     WHERE user_id = $1 AND valid_to IS NULL
+     ORDER BY valid_from DESC
+     LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Синхронізує історію членства з поточними team_id/department_id користувача
+ * Якщо команда або відділ змінились - поточний період закривається датою effectiveFrom
+ * і відкривається новий. Зміна в день початку поточного періоду виправляє його на місці
+ * @param {Object} client - Клієнт БД (транзакція)
+ * @param {Object} user - Користувач після змін ({ id, team_id, department_id })
+ * @param {Object} [options] - Опції
+ * @param {string} [options.effectiveFrom] - Дата початку нового періоду (YYYY-MM-DD), за замовчуванням сьогодні
+ * @param {number} [options.changedBy] - ID користувача, який виконав зміну
+ * @returns {Promise<Object|null>} Новий або виправлений період, null - якщо змін немає
+ */
+const syncUserMembership = async (
+  client,
+  user,
+  { effectiveFrom, changedBy } = {}
+) => {
+  const teamId = user.team_id || null;
+  const departmentId = user.department_id || null;
+
+  const currentResult = await client.query(
+    `SELECT *, (valid_from >= COALESCE($2::date, CURRENT_DATE)) as starts_same_day
+     FROM user_team_memberships
+     WHERE user_id = $1 AND valid_to IS NULL
+     ORDER BY valid_from DESC
+     LIMIT 1
+     FOR UPDATE`,
+    [user.id, effectiveFrom || null]
+  );
+  const current = currentResult.rows[0];
+
+  if (
+    current &&
+    current.team_id === teamId &&
+    current.department_id === departmentId
+  ) {
+    return null;
+  }
+
+  if (current && current.starts_same_day) {
+    const result = await client.query(
+      `UPDATE user_team_memberships
+       SET team_id = $2, department_id = $3, created_by = $4
+       WHERE id = $1
+       RETURNING *`,
+      [current.id, teamId, departmentId, changedBy || null]
+    );
+    return result.rows[0];
+  }
+
+  if (current) {
+    await client.query(
+      `UPDATE user_team_memberships
+       SET valid_to = COALESCE($2::date, CURRENT_DATE)
+       WHERE id = $1`,
+      [current.id, effectiveFrom || null]
+    );
+  }
+
+  const result = await client.query(
+    `INSERT INTO user_team_memberships (
+       user_id, team_id, department_id, valid_from, created_by
+     )
+     VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5)
+     RETURNING *`,
+    [user.id, teamId, departmentId, effectiveFrom || null, changedBy || null]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Отримує історію членства користувача (від найновішого періоду)
+ * @param {number} userId - ID користувача
+ * @returns {Promise<Array>} Періоди з назвами команд та відділів
+ */
+const getUserMemberships = async (userId) => {
+  const result = await db.query(
+    `SELECT
+       m.*,
+       t.name as team_name,
+       d.name as department_name,
+       c.username as created_by_username
+     FROM user_team_memberships m
+     LEFT JOIN teams t ON m.team_id = t.id
+     LEFT JOIN departments d ON m.department_id = d.id
+     LEFT JOIN users c ON m.created_by = c.id
+     WHERE m.user_id = $1
+     ORDER BY m.valid_from DESC, m.id DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  teamOnDateCondition,
+  teamOnDateExpression,
+  getCurrentMembership,
+  syncUserMembership,
+  getUserMemberships,
+};
@@ -98,34 +98,69 @@ const getTeamByName = async (name) => {
 /**
  * Створює нову команду
  * @param {string} name - Назва команди
+ * @param {Object} [structure] - Місце команди в структурі
+ * @param {number} [structure.department_id] - ID відділу, до якого належить команда
+ * @param {number} [structure.lead_user_id] - ID тімліда команди
  * @returns {Promise<Object>} Об'єкт створеної команди
  */
-const createTeam = async (name) => {
+const createTeam = async (
+  name,
+  { department_id = null, lead_user_id = null } = {}
+) => {
   const query = `
-    INSERT INTO teams (name)
-    VALUES ($1)
+    INSERT INTO teams (name, department_id, lead_user_id)
+    VALUES ($1, $2, $3)
     RETURNING *
   `;
 
-  const result = await db.query(query, [name]);
+  const result = await db.query(query, [name, department_id, lead_user_id]);
   return result.rows[0];
 };
 
 /**
- * Оновлює назву команди
+ * Оновлює дані команди
  * @param {number} id - ID команди
- * @param {string} name - Нова назва команди
+ * @param {Object} teamData - Дані для оновлення
+ * @param {string} [teamData.name] - Нова назва команди
+ * @param {number|null} [teamData.department_id] - ID відділу
+ * @param {number|null} [teamData.lead_user_id] - ID тімліда
  * @returns {Promise<Object|null>} Оновлений об'єкт команди або null
  */
-const updateTeam = async (id, name) => {
+const updateTeam = async (id, { name, department_id, lead_user_id }) => {
+  const setClauses = [];
+  const values = [];
+  let paramIndex = 1;
+
+  if (name !== undefined) {
+    setClauses.push(`name = $${paramIndex++}`);
+    values.push(name);
+  }
+
+  if (department_id !== undefined) {
+    setClauses.push(`department_id = $${paramIndex++}`);
+    values.push(department_id);
+  }
+
+  if (lead_user_id !== undefined) {
+    setClauses.push(`lead_user_id = $${paramIndex++}`);
+    values.push(lead_user_id);
+  }
+
+  if (setClauses.length === 0) {
+    return null;
+  }
+
+  setClauses.push(`updated_at = NOW()`);
+  values.push(id);
+
   const query = `
     UPDATE teams
-    SET name = $1, updated_at = NOW()
-    WHERE id = $2
+    SET ${setClauses.join(", ")}
+    WHERE id = $${paramIndex}
     RETURNING *
   `;
 
-  const result = await db.query(query, [name, id]);
+  const result = await db.query(query, values);
   return result.rows[0] || null;
 };
 
@@ -215,14 +250,22 @@ const getUserCountInTeam = async (teamId) => {
 
 /**
  * Отримує тімліда команди
+ * Пріоритет має явно призначений тімлід (teams.lead_user_id); якщо його немає,
+ * повертається активний користувач команди з роллю teamlead
  * @param {number} teamId - ID команди
  * @returns {Promise<Object|null>} Об'єкт тімліда або null
  */
 const getTeamLead = async (teamId) => {
   const query = `
-    SELECT *
-    FROM users
-    WHERE team_id = $1 AND role = 'teamlead' AND is_active = true
+    SELECT u.*
+    FROM users u
+    LEFT JOIN teams t ON t.id = $1 AND t.lead_user_id = u.id
+    WHERE u.is_active = true
+      AND (
+        t.id IS NOT NULL
+        OR (u.team_id = $1 AND u.role = 'teamlead')
+      )
+    ORDER BY (t.id IS NOT NULL) DESC, u.id
     LIMIT 1
   `;
 
@@ -0,0 +1,252 @@
+/**
+ * Модель кошика: м'яко видалені бізнес-сутності (deleted_at IS NOT NULL),
+ * їх відновлення та остаточне видалення
+ */
+const db = require("../config/db");
+const { withTransaction } = require("../utils/db.utils");
+
+/**
+ * Сутності з м'яким видаленням (ключ - назва таблиці, як і в журналі змін)
+ * label - SQL вираз з назвою запису для списку кошика (t - псевдонім таблиці)
+ * userColumn - колонка з користувачем, якому належить запис
+ * parent - батьківська сутність: запис не можна відновити, поки батько в кошику
+ * children - дочірні таблиці без каскадного видалення, що очищаються при остаточному видаленні
+ */
+const TRASH_ENTITIES = {
+  partners: {
+    label: "t.name",
+  },
+  offers: {
+    label: "t.name",
+    parent: { column: "partner_id", entityType: "partners" },
+    children: [{ table: "offer_geos", column: "offer_id" }],
+  },
+  flows: {
+    label: "t.name",
+    parent: { column: "offer_id", entityType: "offers" },
+  },
+  requests: {
+    label: "CONCAT(t.request_type, ' #', t.id)",
+    userColumn: "user_id",
+    children: [
+      { table: "expense_requests", column: "request_id" },
+      { table: "agent_refill_requests", column: "request_id" },
+    ],
+  },
+  salaries: {
+    label: "CONCAT(t.month, '/', t.year, ' - ', t.amount)",
+    userColumn: "user_id",
+  },
+  partner_payout_requests: {
+    label: "CONCAT(t.period_start, ' - ', t.period_end, ': ', t.total_amount, ' ', t.currency)",
+  },
+  payout_request_allocations: {
+    label: "CONCAT(t.allocated_amount, ' ', t.currency)",
+    userColumn: "user_id",
+    parent: { column: "payout_request_id", entityType: "partner_payout_requests" },
+  },
+};
+
+/**
+ * Формує SELECT видалених записів однієї сутності для об'єднаного списку кошика
+ * @param {string} entityType - Тип сутності
+ * @returns {string} SQL запит
+ */
+const buildTrashSelect = (entityType) => {
+  const { label, userColumn } = TRASH_ENTITIES[entityType];
+
+  return `
+    SELECT
+      '${entityType}' as entity_type,
+      t.id as entity_id,
+      ${label} as label,
+      ${userColumn ? `t.${userColumn}` : "NULL::integer"} as owner_id,
+      t.deleted_at,
+      t.deleted_by
+    FROM ${entityType} t
+    WHERE t.deleted_at IS NOT NULL
+  `;
+};
+
+/**
+ * Отримує вміст кошика з фільтрацією та пагінацією (від нещодавно видалених)
+ * @param {Object} options - Опції фільтрації
+ * @param {number} [options.page=1] - Номер сторінки
+ * @param {number} [options.limit=50] - Кількість записів на сторінці
+ * @param {Array<string>} [options.entityTypes] - Типи сутностей (за замовчуванням усі)
+ * @param {number} [options.deletedBy] - ID користувача, який видалив запис
+ * @param {string} [options.dateFrom] - Початок періоду видалення
+ * @param {string} [options.dateTo] - Кінець періоду видалення
+ * @returns {Promise<Object>} Об'єкт з даними та інформацією про пагінацію
+ */
+const getTrash = async ({
+  page = 1,
+  limit = 50,
+  entityTypes = Object.keys(TRASH_ENTITIES),
+  deletedBy,
+  dateFrom,
+  dateTo,
+} = {}) => {
+  const offset = (page - 1) * limit;
+  const conditions = [];
+  const params = [];
+  let paramIndex = 1;
+
+  if (deletedBy) {
+    conditions.push(`x.deleted_by = $${paramIndex++}`);
+    params.push(deletedBy);
+  }
+
+  if (dateFrom) {
+    conditions.push(`x.deleted_at >= $${paramIndex++}`);
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    conditions.push(`x.deleted_at <= $${paramIndex++}`);
+    params.push(dateTo);
+  }
+
+  const whereClause =
+    conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+  const trashItems = entityTypes.map(buildTrashSelect).join(" UNION ALL ");
+
+  const query = `
+    SELECT
+      x.*,
+      owner.username as owner_username,
+      CONCAT(owner.first_name, ' ', owner.last_name) as owner_name,
+      d.username as deleted_by_username,
+      CONCAT(d.first_name, ' ', d.last_name) as deleted_by_name
+    FROM (${trashItems}) x
+    LEFT JOIN users owner ON x.owner_id = owner.id
+    LEFT JOIN users d ON x.deleted_by = d.id
+    ${whereClause}
+    ORDER BY x.deleted_at DESC, x.entity_type, x.entity_id DESC
+    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+  `;
+
+  const countQuery = `
+    SELECT COUNT(*) as total
+    FROM (${trashItems}) x
+    ${whereClause}
+  `;
+
+  const [dataResult, countResult] = await Promise.all([
+    db.query(query, [...params, limit, offset]),
+    db.query(countQuery, params),
+  ]);
+
+  const total = parseInt(countResult.rows[0].total);
+
+  return {
+    data: dataResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Блокує видалений запис для відновлення або остаточного видалення
+ * @param {Object} client - Клієнт БД (транзакція)
+ * @param {string} entityType - Тип сутності
+ * @param {number} id - ID запису
+ * @returns {Promise<Object|null>} Запис або null, якщо його немає в кошику
+ */
+const lockDeletedRow = async (client, entityType, id) => {
+  const result = await client.query(
+    `SELECT * FROM ${entityType} WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Відновлює запис з кошика
+ * @param {string} entityType - Тип сутності
+ * @param {number} id - ID запису
+ * @returns {Promise<Object>} { success, entity } або { success: false, reason, message },
+ *          reason: "not_found" | "parent_deleted"
+ */
+const restoreEntity = async (entityType, id) => {
+  const { parent } = TRASH_ENTITIES[entityType];
+
+  return withTransaction(async (client) => {
+    const row = await lockDeletedRow(client, entityType, id);
+    if (!row) {
+      return {
+        success: false,
+        reason: "not_found",
+        message: "Запис не знайдено в кошику",
+      };
+    }
+
+    if (parent && row[parent.column]) {
+      const parentResult = await client.query(
+        `SELECT deleted_at FROM ${parent.entityType} WHERE id = $1`,
+        [row[parent.column]]
+      );
+      if (parentResult.rows[0] && parentResult.rows[0].deleted_at) {
+        return {
+          success: false,
+          reason: "parent_deleted",
+          message: `Спочатку відновіть батьківський запис (${parent.entityType} #${row[parent.column]})`,
+        };
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE ${entityType}
+       SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+
+    return { success: true, entity: result.rows[0] };
+  });
+};
+
+/**
+ * Остаточно видаляє запис з кошика разом з дочірніми записами
+ * Пов'язані записи в інших таблицях (наприклад, оффери партнера) блокують видалення
+ * @param {string} entityType - Тип сутності
+ * @param {number} id - ID запису
+ * @returns {Promise<Object>} { success } або { success: false, reason: "not_found", message }
+ */
+const purgeEntity = async (entityType, id) => {
+  const { children = [] } = TRASH_ENTITIES[entityType];
+
+  return withTransaction(async (client) => {
+    const row = await lockDeletedRow(client, entityType, id);
+    if (!row) {
+      return {
+        success: false,
+        reason: "not_found",
+        message: "Запис не знайдено в кошику",
+      };
+    }
+
+    for (const child of children) {
+      await client.query(
+        `DELETE FROM ${child.table} WHERE ${child.column} = $1`,
+        [id]
+      );
+    }
+
+    await client.query(`DELETE FROM ${entityType} WHERE id = $1`, [id]);
+
+    return { success: true };
+  });
+};
+
+module.exports = {
+  TRASH_ENTITIES,
+  getTrash,
+  restoreEntity,
+  purgeEntity,
+};
@@ -0,0 +1,198 @@
+/**
+ * Модель для роботи з двофакторною автентифікацією (TOTP)
+ * Зберігає секрети користувачів, коди відновлення та політики обов'язковості для ролей
+ */
+const db = require("../config/db");
+
+/**
+ * Отримує налаштування 2FA користувача
+ * @param {number} userId - ID користувача
+ * @returns {Promise<Object|null>} Налаштування 2FA або null
+ */
+const getUserTwoFactor = async (userId) => {
+  const result = await db.query(
+    `SELECT * FROM user_two_factor WHERE user_id = $1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Зберігає новий (ще не підтверджений) секрет користувача
+ * @param {number} userId - ID користувача
+ * @param {string} secret - Секрет у форматі base32
+ * @returns {Promise<Object>} Налаштування 2FA
+ */
+const saveSecret = async (userId, secret) => {
+  const query = `
+    INSERT INTO user_two_factor (user_id, secret, is_enabled, recovery_codes)
+    VALUES ($1, $2, false, '{}')
+    ON CONFLICT (user_id) DO UPDATE SET
+      secret = EXCLUDED.secret,
+      is_enabled = false,
+      recovery_codes = '{}',
+      last_used_step = NULL,
+      enabled_at = NULL,
+      updated_at = NOW()
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [userId, secret]);
+  return result.rows[0];
+};
+
+/**
+ * Вмикає 2FA після підтвердження першого коду
+ * @param {number} userId - ID користувача
+ * @param {Array<string>} recoveryCodeHashes - Хеші кодів відновлення
+ * @param {number} step - Часовий крок підтвердженого коду
+ * @returns {Promise<Object|null>} Оновлені налаштування або null
+ */
+const enableTwoFactor = async (userId, recoveryCodeHashes, step) => {
+  const query = `
+    UPDATE user_two_factor
+    SET
+      is_enabled = true,
+      recovery_codes = $2,
+      last_used_step = $3,
+      enabled_at = NOW(),
+      updated_at = NOW()
+    WHERE user_id = $1
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [userId, recoveryCodeHashes, step]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Вимикає 2FA та видаляє секрет користувача
+ * @param {number} userId - ID користувача
+ * @returns {Promise<boolean>} Чи було видалено налаштування
+ */
+const disableTwoFactor = async (userId) => {
+  const result = await db.query(
+    `DELETE FROM user_two_factor WHERE user_id = $1`,
+    [userId]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Фіксує використаний часовий крок (захист від повторного використання коду)
+ * @param {number} userId - ID користувача
+ * @param {number} step - Часовий крок
+ * @returns {Promise<boolean>} false, якщо код з цього кроку вже використано
+ */
+const markStepUsed = async (userId, step) => {
+  const query = `
+    UPDATE user_two_factor
+    SET last_used_step = $2, updated_at = NOW()
+    WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+  `;
+
+  const result = await db.query(query, [userId, step]);
+  return result.rowCount > 0;
+};
+
+/**
+ * Використовує одноразовий код відновлення
+ * @param {number} userId - ID користувача
+ * @param {string} codeHash - Хеш коду відновлення
+ * @returns {Promise<number|null>} Кількість кодів, що залишилися, або null, якщо код не знайдено
+ */
+const consumeRecoveryCode = async (userId, codeHash) => {
+  const query = `
+    UPDATE user_two_factor
+    SET recovery_codes = array_remove(recovery_codes, $2), updated_at = NOW()
+    WHERE user_id = $1 AND is_enabled = true AND $2 = ANY(recovery_codes)
+    RETURNING cardinality(recovery_codes) as remaining
+  `;
+
+  const result = await db.query(query, [userId, codeHash]);
+  return result.rows.length > 0 ? parseInt(result.rows[0].remaining) : null;
+};
+
+/**
+ * Замінює коди відновлення новим набором
+ * @param {number} userId - ID користувача
+ * @param {Array<string>} recoveryCodeHashes - Хеші нових кодів
+ * @returns {Promise<Object|null>} Оновлені налаштування або null
+ */
+const replaceRecoveryCodes = async (userId, recoveryCodeHashes) => {
+  const query = `
+    UPDATE user_two_factor
+    SET recovery_codes = $2, updated_at = NOW()
+    WHERE user_id = $1 AND is_enabled = true
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [userId, recoveryCodeHashes]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Отримує політики обов'язковості 2FA для ролей
+ * @returns {Promise<Array>} Масив політик
+ */
+const getRolePolicies = async () => {
+  const query = `
+    SELECT
+      p.*,
+      u.username as updated_by_username
+    FROM two_factor_role_policies p
+    LEFT JOIN users u ON p.updated_by = u.id
+    ORDER BY p.role
+  `;
+
+  const result = await db.query(query);
+  return result.rows;
+};
+
+/**
+ * Перевіряє, чи є 2FA обов'язковою для ролі
+ * @param {string} role - Роль користувача
+ * @returns {Promise<boolean>} Чи обов'язкова 2FA
+ */
+const isRequiredForRole = async (role) => {
+  const result = await db.query(
+    `SELECT is_required FROM two_factor_role_policies WHERE role = $1`,
+    [role]
+  );
+  return result.rows.length > 0 && result.rows[0].is_required === true;
+};
+
+/**
+ * Встановлює політику обов'язковості 2FA для ролі
+ * @param {string} role - Роль
+ * @param {boolean} isRequired - Чи обов'язкова 2FA
+ * @param {number} updatedBy - ID адміністратора
+ * @returns {Promise<Object>} Оновлена політика
+ */
+const setRolePolicy = async (role, isRequired, updatedBy) => {
+  const query = `
+    INSERT INTO two_factor_role_policies (role, is_required, updated_by)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (role) DO UPDATE SET
+      is_required = EXCLUDED.is_required,
+      updated_by = EXCLUDED.updated_by,
+      updated_at = NOW()
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [role, isRequired, updatedBy]);
+  return result.rows[0];
+};
+
+module.exports = {
+  getUserTwoFactor,
+  saveSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  markStepUsed,
+  consumeRecoveryCode,
+  replaceRecoveryCodes,
+  getRolePolicies,
+  isRequiredForRole,
+  setRolePolicy,
+};
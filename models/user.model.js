@@ -1,5 +1,10 @@
 const db = require("../config/db");
 const bcrypt = require("bcryptjs");
+const { withTransaction } = require("../utils/db.utils");
+const membershipModel = require("./team.membership.model");
+
+// Поля, зміна яких записується в історію членства
+const MEMBERSHIP_FIELDS = ["team_id", "department_id"];
 
 /**
  * Знаходить користувача за ідентифікатором
@@ -279,24 +284,36 @@ const getUserWithDetails = async (id) => {
 
 /**
  * Створює нового користувача
+ * Якщо вказано команду або відділ, відкривається перший період в історії членства
  * @param {Object} userData - Дані нового користувача
+ * @param {Object} [client=db] - Клієнт БД (для виконання в транзакції)
+ * @param {Object} [options] - Опції
+ * @param {number} [options.changedBy] - ID користувача, який створює запис
  * @returns {Promise<Object>} Об'єкт створеного користувача
  */
-const createUser = async ({
-  telegram_id,
-  username,
-  first_name,
-  last_name,
-  role,
-  team_id,
-  department_id,
-  table_id,
-  email,
-  position,
-  phone,
-  sub_id,
-  description,
-}) => {
+const createUser = async (userData, client = db, options = {}) => {
+  if ((userData.team_id || userData.department_id) && client === db) {
+    return withTransaction((transactionClient) =>
+      createUser(userData, transactionClient, options)
+    );
+  }
+
+  const {
+    telegram_id,
+    username,
+    first_name,
+    last_name,
+    role,
+    team_id,
+    department_id,
+    table_id,
+    email,
+    position,
+    phone,
+    sub_id,
+    description,
+  } = userData;
+
   const query = `
     INSERT INTO users (
       telegram_id, 
@@ -333,17 +350,30 @@ const createUser = async ({
     description,
   ];
 
-  const result = await db.query(query, values);
-  return result.rows[0];
+  const result = await client.query(query, values);
+  const user = result.rows[0];
+
+  if (user.team_id || user.department_id) {
+    await membershipModel.syncUserMembership(client, user, {
+      changedBy: options.changedBy,
+    });
+  }
+
+  return user;
 };
 
 /**
  * Оновлює дані користувача
+ * Зміна команди або відділу записується в історію членства в тій самій транзакції
  * @param {number} id - ID користувача
  * @param {Object} userData - Дані для оновлення
+ * @param {Object} [client=db] - Клієнт БД (для виконання в транзакції)
+ * @param {Object} [options] - Опції
+ * @param {string} [options.effectiveFrom] - Дата переходу в нову команду/відділ (YYYY-MM-DD), за замовчуванням сьогодні
+ * @param {number} [options.changedBy] - ID користувача, який виконав зміну
  * @returns {Promise<Object|null>} Оновлений об'єкт користувача або null
  */
-const updateUser = async (id, userData) => {
+const updateUser = async (id, userData, client = db, options = {}) => {
   // Визначення полів, які можна оновити
   const allowedFields = [
     "username",
@@ -359,6 +389,7 @@ const updateUser = async (id, userData) => {
     "phone",
     "sub_id",
     "description",
+    "manager_id",
   ];
 
   // Фільтрація даних
@@ -373,6 +404,16 @@ const updateUser = async (id, userData) => {
     return null;
   }
 
+  const changesMembership = MEMBERSHIP_FIELDS.some(
+    (field) => updateData[field] !== undefined
+  );
+
+  if (changesMembership && client === db) {
+    return withTransaction((transactionClient) =>
+      updateUser(id, updateData, transactionClient, options)
+    );
+  }
+
   // Побудова запиту
   const setClauses = [];
   const values = [];
@@ -396,8 +437,14 @@ const updateUser = async (id, userData) => {
     RETURNING *
   `;
 
-  const result = await db.query(query, values);
-  return result.rows[0] || null;
+  const result = await client.query(query, values);
+  const user = result.rows[0] || null;
+
+  if (user && changesMembership) {
+    await membershipModel.syncUserMembership(client, user, options);
+  }
+
+  return user;
 };
 
 /**
@@ -452,6 +499,52 @@ const updateUserRole = async (userId, role) => {
   return result.rows[0] || null;
 };
 
+/**
+ * Отримує користувачів за списком Telegram ID
+ * @param {Array<string|number>} telegramIds - Telegram ID
+ * @returns {Promise<Array>} Масив користувачів
+ */
+const getUsersByTelegramIds = async (telegramIds) => {
+  if (telegramIds.length === 0) {
+    return [];
+  }
+
+  const result = await db.query(
+    `SELECT * FROM users WHERE telegram_id::text = ANY($1::text[])`,
+    [telegramIds.map(String)]
+  );
+  return result.rows;
+};
+
+/**
+ * Імпортує користувачів: створення та оновлення в одній транзакції
+ * Якщо будь-яка операція завершиться помилкою, жодних змін не буде збережено
+ * @param {Array<Object>} creates - Дані нових користувачів
+ * @param {Array<Object>} updates - Оновлення: { id, data }
+ * @param {number} [performedBy] - ID адміністратора, який виконує імпорт
+ * @returns {Promise<Object>} { created, updated } - масиви збережених користувачів
+ */
+const importUsers = async (creates, updates, performedBy) => {
+  return withTransaction(async (client) => {
+    const created = [];
+    const updated = [];
+
+    for (const userData of creates) {
+      created.push(
+        await createUser(userData, client, { changedBy: performedBy })
+      );
+    }
+
+    for (const { id, data } of updates) {
+      updated.push(
+        await updateUser(id, data, client, { changedBy: performedBy })
+      );
+    }
+
+    return { created, updated };
+  });
+};
+
 module.exports = {
   findById,
   findByUsernameOrEmail,
@@ -465,4 +558,6 @@ module.exports = {
   deactivateUser,
   activateUser,
   updateUserRole,
+  getUsersByTelegramIds,
+  importUsers,
 };
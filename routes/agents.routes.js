@@ -2,11 +2,13 @@ const express = require("express");
 const router = express.Router();
 const agentsController = require("../controllers/agents.controller");
 const authMiddleware = require("../middleware/auth.middleware");
+const { rejectServicePrincipal } = require("../middleware/permission.middleware");
 const roleMiddleware = require("../middleware/role.middleware");
 const { check } = require("express-validator");
 
 // Застосовуємо middleware авторизації до всіх маршрутів
 router.use(authMiddleware);
+router.use(rejectServicePrincipal);
 
 /**
  * @route   GET /api/agents
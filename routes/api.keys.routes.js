@@ -0,0 +1,95 @@
+const express = require("express");
+const router = express.Router();
+const apiKeysController = require("../controllers/api.keys.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
+const { isValidIpEntry } = require("../utils/apiKeys");
+const { check } = require("express-validator");
+
+// Застосовуємо middleware авторизації та перевірку дозволу до всіх маршрутів
+router.use(authMiddleware);
+router.use(requirePermission("api_keys.manage"));
+
+// Спільні правила валідації для створення та оновлення ключа
+const allowedIpsValidation = [
+  check("allowed_ips", "Список IP адрес має бути масивом").optional().isArray(),
+  check(
+    "allowed_ips.*",
+    "Кожен запис має бути IP адресою або підмережею у форматі CIDR"
+  ).custom(isValidIpEntry),
+];
+
+const expiresAtValidation = check(
+  "expires_at",
+  "Дата закінчення дії має бути майбутньою датою у форматі ISO 8601"
+)
+  .optional({ nullable: true })
+  .isISO8601()
+  .custom((value) => new Date(value) > new Date());
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    Отримання списку API ключів
+ * @access  Private/api_keys.manage
+ */
+router.get("/", apiKeysController.getAllApiKeys);
+
+/**
+ * @route   GET /api/api-keys/:id
+ * @desc    Отримання API ключа за ID
+ * @access  Private/api_keys.manage
+ */
+router.get("/:id", apiKeysController.getApiKeyById);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Створення API ключа для сервісної інтеграції
+ * @access  Private/api_keys.manage
+ */
+router.post(
+  "/",
+  [
+    check("name", "Назва ключа є обов'язковою").trim().notEmpty(),
+    check("description", "Опис має бути рядком").optional().isString(),
+    check("permissions", "Дозволи мають бути непорожнім масивом").isArray({
+      min: 1,
+    }),
+    check("permissions.*", "Ключ дозволу має бути рядком").isString(),
+    ...allowedIpsValidation,
+    expiresAtValidation,
+  ],
+  apiKeysController.createApiKey
+);
+
+/**
+ * @route   PUT /api/api-keys/:id
+ * @desc    Оновлення налаштувань API ключа
+ * @access  Private/api_keys.manage
+ */
+router.put(
+  "/:id",
+  [
+    check("id", "ID ключа має бути числом").isInt(),
+    check("name", "Назва ключа не може бути порожньою")
+      .optional()
+      .trim()
+      .notEmpty(),
+    check("description", "Опис має бути рядком").optional().isString(),
+    check("permissions", "Дозволи мають бути непорожнім масивом")
+      .optional()
+      .isArray({ min: 1 }),
+    check("permissions.*", "Ключ дозволу має бути рядком").isString(),
+    ...allowedIpsValidation,
+    expiresAtValidation,
+  ],
+  apiKeysController.updateApiKey
+);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Відкликання API ключа
+ * @access  Private/api_keys.manage
+ */
+router.delete("/:id", apiKeysController.revokeApiKey);
+
+module.exports = router;
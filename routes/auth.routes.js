@@ -3,11 +3,33 @@
  * Обробляє запити для реєстрації, логіну та управління користувачами
  */
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const roleMiddleware = require('../middleware/role.middleware');
+const { requirePermission, rejectServicePrincipal } = require('../middleware/permission.middleware');
+const { AUTH_EVENT_TYPES } = require('../utils/authLogger');
+const challengeMiddleware = require('../middleware/challenge.middleware');
+const { rateLimit } = require('../middleware/rate.limit.middleware');
+const twoFactorController = require('../controllers/two.factor.controller');
+const impersonationController = require('../controllers/impersonation.controller');
+const sessionsController = require('../controllers/sessions.controller');
+
+// Публічні маршрути входу та відновлення пароля мають спільний ліміт на IP
+const authRateLimit = rateLimit('auth');
+
+// Ролі, для яких можна налаштувати політику 2FA
+const ROLES = [
+  'admin',
+  'bizdev',
+  'finance_manager',
+  'teamlead',
+  'buyer',
+  'affiliate_manager',
+  'integrator',
+  'user'
+];
 
 /**
  * @route   POST /api/auth/register
@@ -31,6 +53,7 @@ router.post(
  */
 router.post(
   '/login',
+  authRateLimit,
   [
     body('username', 'Ім\'я користувача або email обов\'язкові').notEmpty().trim(),
     body('password', 'Пароль обов\'язковий').notEmpty()
@@ -38,12 +61,201 @@ router.post(
   authController.login
 );
 
+/**
+ * @route   POST /api/auth/telegram
+ * @desc    Вхід через Telegram Login Widget
+ * @access  Public
+ */
+router.post(
+  '/telegram',
+  authRateLimit,
+  [
+    body('id', 'Telegram ID обов\'язковий').notEmpty().isNumeric(),
+    body('auth_date', 'Дата авторизації обов\'язкова').notEmpty().isInt(),
+    body('hash', 'Підпис даних обов\'язковий').notEmpty().isString()
+  ],
+  authController.telegramLogin
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Запит одноразового коду відновлення пароля в Telegram
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  authRateLimit,
+  [
+    body('username', 'Ім\'я користувача або email обов\'язкові').notEmpty().trim()
+  ],
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Встановлення нового пароля за кодом з Telegram
+ * @access  Public
+ */
+router.post(
+  '/reset-password',
+  authRateLimit,
+  [
+    body('username', 'Ім\'я користувача або email обов\'язкові').notEmpty().trim(),
+    body('code', 'Код відновлення має складатися з 6 цифр').trim().matches(/^\d{6}$/),
+    body('newPassword', 'Новий пароль повинен містити не менше 6 символів').isLength({ min: 6 })
+  ],
+  authController.resetPassword
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Оновлення access токена за refresh токеном
+ * @access  Public
+ */
+router.post(
+  '/refresh',
+  [
+    body('refreshToken', 'Refresh токен обов\'язковий').notEmpty().isString()
+  ],
+  authController.refresh
+);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Вихід користувача та відкликання сесії
+ * @access  Public
+ */
+router.post(
+  '/logout',
+  [
+    body('refreshToken', 'Refresh токен обов\'язковий').notEmpty().isString()
+  ],
+  authController.logout
+);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Завершення входу кодом 2FA (TOTP або код відновлення)
+ * @access  Public (з challenge токеном)
+ */
+router.post(
+  '/2fa/verify',
+  authRateLimit,
+  [
+    body('challengeToken', 'Challenge токен обов\'язковий').notEmpty().isString(),
+    body('code', 'Код обов\'язковий').notEmpty().isString()
+  ],
+  twoFactorController.verifyLogin
+);
+
+/**
+ * @route   GET /api/auth/2fa/status
+ * @desc    Статус 2FA поточного користувача
+ * @access  Private
+ */
+router.get('/2fa/status', authMiddleware, rejectServicePrincipal, twoFactorController.getStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Генерація секрету та otpauth URI для підключення 2FA
+ * @access  Private (або з challenge токеном, якщо 2FA обов'язкова для ролі)
+ */
+router.post('/2fa/setup', challengeMiddleware('2fa_setup'), twoFactorController.setup);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Підтвердження підключення 2FA та отримання кодів відновлення
+ * @access  Private (або з challenge токеном, якщо 2FA обов'язкова для ролі)
+ */
+router.post(
+  '/2fa/enable',
+  [
+    challengeMiddleware('2fa_setup'),
+    body('code', 'Код обов\'язковий').notEmpty().isString()
+  ],
+  twoFactorController.enable
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Вимкнення 2FA
+ * @access  Private
+ */
+router.post(
+  '/2fa/disable',
+  [
+    authMiddleware,
+    rejectServicePrincipal,
+    body('code', 'Код обов\'язковий').notEmpty().isString()
+  ],
+  twoFactorController.disable
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Перегенерація кодів відновлення
+ * @access  Private
+ */
+router.post(
+  '/2fa/recovery-codes',
+  [
+    authMiddleware,
+    rejectServicePrincipal,
+    body('code', 'Код обов\'язковий').notEmpty().isString()
+  ],
+  twoFactorController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   GET /api/auth/2fa/policies
+ * @desc    Політики обов'язковості 2FA для ролей
+ * @access  Private/Admin
+ */
+router.get(
+  '/2fa/policies',
+  [
+    authMiddleware,
+    roleMiddleware('admin')
+  ],
+  twoFactorController.getPolicies
+);
+
+/**
+ * @route   PUT /api/auth/2fa/policies/:role
+ * @desc    Встановлення обов'язковості 2FA для ролі
+ * @access  Private/Admin
+ */
+router.put(
+  '/2fa/policies/:role',
+  [
+    authMiddleware,
+    roleMiddleware('admin'),
+    param('role', 'Недійсна роль').isIn(ROLES),
+    body('is_required', 'Поле is_required має бути boolean').isBoolean().toBoolean()
+  ],
+  twoFactorController.updatePolicy
+);
+
+/**
+ * @route   DELETE /api/auth/2fa/users/:id
+ * @desc    Скидання 2FA користувача (при втраті пристрою)
+ * @access  Private/Admin
+ */
+router.delete(
+  '/2fa/users/:id',
+  [
+    authMiddleware,
+    roleMiddleware('admin')
+  ],
+  twoFactorController.resetUserTwoFactor
+);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Отримання інформації про поточного користувача
  * @access  Private
  */
-router.get('/me', authMiddleware, authController.getCurrentUser);
+router.get('/me', authMiddleware, rejectServicePrincipal, authController.getCurrentUser);
 
 /**
  * @route   PUT /api/auth/password
@@ -54,6 +266,7 @@ router.put(
   '/password',
   [
     authMiddleware,
+    rejectServicePrincipal,
     body('currentPassword', 'Поточний пароль обов\'язковий').notEmpty(),
     body('newPassword', 'Новий пароль повинен містити не менше 6 символів').isLength({ min: 6 })
   ],
@@ -69,6 +282,7 @@ router.put(
   '/profile',
   [
     authMiddleware,
+    rejectServicePrincipal,
     body('email', 'Введіть коректний email').optional().isEmail().normalizeEmail(),
     body('first_name').optional().trim(),
     body('last_name').optional().trim()
@@ -76,6 +290,69 @@ router.put(
   authController.updateProfile
 );
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Активні сесії поточного користувача (IP, пристрій, час входу та останньої активності)
+ * @access  Private
+ */
+router.get('/sessions', authMiddleware, rejectServicePrincipal, sessionsController.getMySessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Відкликання всіх сесій поточного користувача, крім поточної
+ * @access  Private
+ */
+router.delete('/sessions', authMiddleware, rejectServicePrincipal, sessionsController.revokeMyOtherSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Відкликання власної сесії
+ * @access  Private
+ */
+router.delete('/sessions/:id', authMiddleware, rejectServicePrincipal, sessionsController.revokeMySession);
+
+/**
+ * @route   GET /api/auth/sessions/users/:userId
+ * @desc    Сесії будь-якого користувача (query: includeInactive=true - разом з відкликаними)
+ * @access  Private/sessions.manage
+ */
+router.get(
+  '/sessions/users/:userId',
+  [
+    authMiddleware,
+    requirePermission('sessions.manage')
+  ],
+  sessionsController.getUserSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/users/:userId
+ * @desc    Відкликання всіх сесій користувача без деактивації облікового запису
+ * @access  Private/sessions.manage
+ */
+router.delete(
+  '/sessions/users/:userId',
+  [
+    authMiddleware,
+    requirePermission('sessions.manage')
+  ],
+  sessionsController.revokeAllUserSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/users/:userId/:sessionId
+ * @desc    Відкликання конкретної сесії користувача
+ * @access  Private/sessions.manage
+ */
+router.delete(
+  '/sessions/users/:userId/:sessionId',
+  [
+    authMiddleware,
+    requirePermission('sessions.manage')
+  ],
+  sessionsController.revokeUserSession
+);
+
 /**
  * @route   GET /api/auth/users
  * @desc    Отримання списку всіх користувачів (тільки для адміністраторів)
@@ -104,4 +381,138 @@ router.delete(
   authController.deleteUser
 );
 
+/**
+ * @route   GET /api/auth/lockouts
+ * @desc    Список активних блокувань входу (username/IP)
+ * @access  Private/Admin
+ */
+router.get(
+  '/lockouts',
+  [
+    authMiddleware,
+    roleMiddleware('admin')
+  ],
+  authController.getLockouts
+);
+
+/**
+ * @route   POST /api/auth/lockouts/:id/unlock
+ * @desc    Зняття блокування входу
+ * @access  Private/Admin
+ */
+router.post(
+  '/lockouts/:id/unlock',
+  [
+    authMiddleware,
+    roleMiddleware('admin')
+  ],
+  authController.unlockLockout
+);
+
+// Фільтри журналу авторизації (спільні для перегляду та експорту)
+const auditLogFilters = [
+  query('userId', 'ID користувача має бути числом').optional().isInt(),
+  query('ip', 'Некоректна IP адреса').optional().isIP(),
+  query('eventType', 'Невідомий тип події')
+    .optional()
+    .custom((value) =>
+      String(value)
+        .split(',')
+        .every((type) => Object.values(AUTH_EVENT_TYPES).includes(type))
+    ),
+  query('dateFrom', 'Дата початку має бути у форматі ISO 8601').optional().isISO8601(),
+  query('dateTo', 'Дата кінця має бути у форматі ISO 8601').optional().isISO8601()
+];
+
+/**
+ * @route   GET /api/auth/audit-log
+ * @desc    Журнал подій авторизації з фільтрацією (користувач, IP, тип події, період)
+ * @access  Private/auth_audit.view
+ */
+router.get(
+  '/audit-log',
+  [
+    authMiddleware,
+    requirePermission('auth_audit.view'),
+    ...auditLogFilters,
+    query('page', 'Номер сторінки має бути додатним числом').optional().isInt({ min: 1 }),
+    query('limit', 'Ліміт має бути числом від 1 до 500').optional().isInt({ min: 1, max: 500 })
+  ],
+  authController.getAuditLog
+);
+
+/**
+ * @route   GET /api/auth/audit-log/export
+ * @desc    Експорт журналу подій авторизації в CSV
+ * @access  Private/auth_audit.view
+ */
+router.get(
+  '/audit-log/export',
+  [
+    authMiddleware,
+    requirePermission('auth_audit.view'),
+    ...auditLogFilters
+  ],
+  authController.exportAuditLog
+);
+
+/**
+ * @route   POST /api/auth/impersonations
+ * @desc    Початок імперсонації: токен для перегляду системи від імені користувача (лише читання)
+ * @access  Private/Admin
+ */
+router.post(
+  '/impersonations',
+  [
+    authMiddleware,
+    roleMiddleware('admin'),
+    body('user_id', 'ID користувача має бути числом').isInt(),
+    body('reason', 'Причина імперсонації обов\'язкова').trim().notEmpty(),
+    body('duration_minutes', 'Тривалість має бути додатним числом хвилин').optional().isInt({ min: 1 })
+  ],
+  impersonationController.startImpersonation
+);
+
+/**
+ * @route   GET /api/auth/impersonations
+ * @desc    Список сесій імперсонації
+ * @access  Private/Admin
+ */
+router.get(
+  '/impersonations',
+  [
+    authMiddleware,
+    roleMiddleware('admin')
+  ],
+  impersonationController.getImpersonations
+);
+
+/**
+ * @route   GET /api/auth/impersonations/:id/requests
+ * @desc    Журнал запитів, виконаних під час сесії імперсонації
+ * @access  Private/Admin
+ */
+router.get(
+  '/impersonations/:id/requests',
+  [
+    authMiddleware,
+    roleMiddleware('admin')
+  ],
+  impersonationController.getImpersonationRequests
+);
+
+/**
+ * @route   POST /api/auth/impersonations/:id/end
+ * @desc    Завершення сесії імперсонації
+ * @access  Private/Admin
+ */
+router.post(
+  '/impersonations/:id/end',
+  [
+    authMiddleware,
+    roleMiddleware('admin')
+  ],
+  impersonationController.endImpersonation
+);
+
 module.exports = router;
\ No newline at end of file
@@ -8,6 +8,7 @@ const { body, param, query } = require('express-validator');
 
 // Middleware
 const authMiddleware = require('../middleware/auth.middleware');
+const { rejectServicePrincipal } = require('../middleware/permission.middleware');
 const roleMiddleware = require('../middleware/role.middleware');
 
 // Контролери
@@ -15,6 +16,7 @@ const requestsController = require('../controllers/bizdev.requests.controller.js
 
 // Застосовуємо middleware авторизації до всіх маршрутів
 router.use(authMiddleware);
+router.use(rejectServicePrincipal);
 
 // Валідатори
 const createRequestValidators = [
@@ -7,11 +7,13 @@ const express = require('express');
 const router = express.Router();
 const communicationsController = require('../controllers/communications.controller');
 const authMiddleware = require('../middleware/auth.middleware');
+const { rejectServicePrincipal } = require('../middleware/permission.middleware');
 const roleMiddleware = require('../middleware/role.middleware');
 const { body, param, query } = require('express-validator');
 
 // Застосовуємо middleware авторизації до всіх маршрутів
 router.use(authMiddleware);
+router.use(rejectServicePrincipal);
 
 /**
  * Валідація для створення комунікації
@@ -93,7 +95,15 @@ const validateGetByContext = [
   query('sort_order')
     .optional()
     .isIn(['ASC', 'DESC'])
-    .withMessage('Порядок сортування повинен бути ASC або DESC')
+    .withMessage('Порядок сортування повинен бути ASC або DESC'),
+  query('pagination')
+    .optional()
+    .isIn(['page', 'cursor'])
+    .withMessage('pagination повинен бути page або cursor'),
+  query('includeTotal')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTotal повинен бути булевим значенням')
 ];
 
 /**
@@ -167,6 +177,8 @@ router.post(
 /**
  * @route   GET /api/communications/:contextType/:contextId
  * @desc    Отримання комунікацій за контекстом
+ *          (pagination=cursor - курсорна пагінація, cursor - next_cursor / prev_cursor,
+ *          includeTotal=true - рахувати total)
  * @access  Private
  */
 router.get(
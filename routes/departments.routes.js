@@ -38,7 +38,7 @@ router.get(
 
 /**
  * @route   POST /api/departments
- * @desc    Створення нового відділу
+ * @desc    Створення нового відділу (parent_id - батьківський відділ, head_user_id - керівник)
  * @access  Private/Admin
  */
 router.post(
@@ -48,13 +48,21 @@ router.post(
     check("name", "Назва відділу є обов'язковою").notEmpty(),
     check("name", "Назва відділу має бути рядком").isString(),
     check("description", "Опис має бути рядком").optional().isString(),
+    check("parent_id", "ID батьківського відділу має бути числом")
+      .optional({ nullable: true })
+      .isInt()
+      .toInt(),
+    check("head_user_id", "ID керівника має бути числом")
+      .optional({ nullable: true })
+      .isInt()
+      .toInt(),
   ],
   departmentsController.createDepartment
 );
 
 /**
  * @route   PUT /api/departments/:id
- * @desc    Оновлення даних відділу
+ * @desc    Оновлення даних відділу, зокрема місця в ієрархії (parent_id) та керівника (head_user_id)
  * @access  Private/Admin
  */
 router.put(
@@ -63,6 +71,14 @@ router.put(
   [
     check("name", "Назва відділу має бути рядком").optional().isString(),
     check("description", "Опис має бути рядком").optional().isString(),
+    check("parent_id", "ID батьківського відділу має бути числом")
+      .optional({ nullable: true })
+      .isInt()
+      .toInt(),
+    check("head_user_id", "ID керівника має бути числом")
+      .optional({ nullable: true })
+      .isInt()
+      .toInt(),
   ],
   departmentsController.updateDepartment
 );
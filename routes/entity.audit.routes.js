@@ -0,0 +1,54 @@
+const express = require("express");
+const router = express.Router();
+const { query } = require("express-validator");
+const entityAuditController = require("../controllers/entity.audit.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
+const {
+  AUDITED_ENTITY_TYPES,
+  AUDIT_ACTIONS,
+} = require("../models/entity.audit.model");
+
+// Застосовуємо middleware авторизації до всіх маршрутів
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/entity-audit
+ * @desc    Пошук у журналі змін бізнес-сутностей (партнери, оффери, потоки,
+ *          зарплати, заявки, заявки на виплату, розподіли коштів)
+ * @access  Private/entity_audit.view
+ * @query   entityType - тип(и) сутностей через кому (назви таблиць);
+ *          entityId, actorId, action (INSERT/UPDATE/DELETE через кому),
+ *          field - лише записи, де змінилось поле; dateFrom, dateTo, page, limit
+ */
+router.get(
+  "/",
+  [
+    requirePermission("entity_audit.view"),
+    query("entityType", "Невідомий тип сутності")
+      .optional()
+      .custom((value) =>
+        String(value)
+          .split(",")
+          .every((type) => AUDITED_ENTITY_TYPES.includes(type))
+      ),
+    query("entityId", "ID сутності має бути числом").optional().isInt({ min: 1 }),
+    query("actorId", "ID автора змін має бути числом").optional().isInt({ min: 1 }),
+    query("action", "Невідомий тип дії")
+      .optional()
+      .custom((value) =>
+        String(value)
+          .toUpperCase()
+          .split(",")
+          .every((action) => AUDIT_ACTIONS.includes(action))
+      ),
+    query("field", "Назва поля некоректна").optional().matches(/^[a-z_][a-z0-9_]*$/),
+    query("dateFrom", "Дата початку має бути у форматі ISO 8601").optional().isISO8601(),
+    query("dateTo", "Дата кінця має бути у форматі ISO 8601").optional().isISO8601(),
+    query("page", "Номер сторінки має бути додатним числом").optional().isInt({ min: 1 }),
+    query("limit", "Ліміт має бути числом від 1 до 500").optional().isInt({ min: 1, max: 500 }),
+  ],
+  entityAuditController.searchAuditLog
+);
+
+module.exports = router;
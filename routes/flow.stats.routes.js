@@ -2,12 +2,18 @@ const express = require("express");
 const router = express.Router();
 const flowStatsController = require("../controllers/flow.stats.controller");
 const authMiddleware = require("../middleware/auth.middleware");
+const { rejectServicePrincipal } = require("../middleware/permission.middleware");
 const roleMiddleware = require("../middleware/role.middleware");
+const { rateLimit } = require("../middleware/rate.limit.middleware");
 
 const { check, param, body } = require("express-validator");
 
 // Всі маршрути потребують авторизації
 router.use(authMiddleware);
+router.use(rejectServicePrincipal);
+
+// Обмеження частоти важких агрегацій статистики компанії
+router.use("/company", rateLimit("flowStatsCompany"));
 
 /**
  * ОНОВЛЕНО: Створення або оновлення статистики за день з обов'язковим user_id
@@ -61,7 +67,8 @@ router.post(
  * Query params: partnerId, partnerIds[], status, teamId, userId, page, limit, includeUsers
  *
  * Права доступу:
- * - admin, bizdev, teamlead: можуть переглядати всю статистику та фільтрувати по користувачах
+ * - admin, bizdev: можуть переглядати всю статистику та фільтрувати по користувачах
+ * - teamlead: бачить лише потоки своєї команди
  * - buyer: бачить лише свою статистику
  */
 router.get(
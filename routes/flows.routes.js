@@ -8,6 +8,11 @@ const express = require("express");
 const router = express.Router();
 const flowController = require("../controllers/flows.controller");
 const authMiddleware = require("../middleware/auth.middleware");
+const {
+  requirePermission,
+  rejectServicePrincipal,
+} = require("../middleware/permission.middleware");
+const entityAuditController = require("../controllers/entity.audit.controller");
 const roleMiddleware = require("../middleware/role.middleware");
 const { check, query, body } = require("express-validator");
 
@@ -16,6 +21,9 @@ router.use(authMiddleware);
 
 /**
  * ОНОВЛЕНО: Отримання всіх потоків з додатковими фільтрами
+ * Курсорна пагінація: pagination=cursor, далі cursor з next_cursor / prev_cursor;
+ * includeTotal=true - рахувати total (сортування лише за created_at, updated_at, name)
+ * Фільтри filter[<поле>][<оператор>] та sort=-<поле> - див. flowModel.LIST_QUERY_SPEC
  */
 router.get(
   "/",
@@ -61,6 +69,12 @@ router.get(
     query("onlyActive", "onlyActive має бути булевим значенням")
       .optional()
       .isBoolean(),
+    query("pagination", "pagination має бути page або cursor")
+      .optional()
+      .isIn(["page", "cursor"]),
+    query("includeTotal", "includeTotal має бути булевим значенням")
+      .optional()
+      .isBoolean(),
   ],
   flowController.getAllFlows
 );
@@ -134,6 +148,7 @@ router.get(
  */
 router.get(
   "/:id",
+  rejectServicePrincipal,
   [check("id", "ID потоку має бути числом").isInt()],
   flowController.getFlowById
 );
@@ -334,6 +349,7 @@ router.patch(
  */
 router.get(
   "/:id/users",
+  rejectServicePrincipal,
   [
     check("id", "ID потоку має бути числом").isInt(),
     query("onlyActive", "onlyActive має бути булевим значенням")
@@ -343,4 +359,15 @@ router.get(
   flowController.getFlowUsers
 );
 
+/**
+ * @route   GET /api/flows/:id/history
+ * @desc    Історія змін потоку: хто, коли і які поля змінив
+ * @access  Private/entity_audit.view
+ */
+router.get(
+  "/:id/history",
+  requirePermission("entity_audit.view"),
+  entityAuditController.getEntityHistory("flows")
+);
+
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const healthController = require("../controllers/health.controller");
+
+/**
+ * @route   GET /health/live
+ * @desc    Перевірка, що процес сервера працює (liveness probe)
+ * @access  Public
+ */
+router.get("/live", healthController.getLiveness);
+
+/**
+ * @route   GET /health/ready
+ * @desc    Перевірка готовності: доступність бази даних та стан пулу підключень
+ *          (503, якщо база даних недоступна)
+ * @access  Public
+ */
+router.get("/ready", healthController.getReadiness);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const investmentOperationsController = require("../controllers/investment.operations.controller");
 const authMiddleware = require("../middleware/auth.middleware");
+const idempotency = require("../middleware/idempotency.middleware");
 const roleMiddleware = require("../middleware/role.middleware");
 const { check } = require("express-validator");
 
@@ -55,11 +56,13 @@ router.get(
 /**
  * @route   POST /api/investment-operations
  * @desc    Створення нової інвестиційної операції
+ *          Підтримує заголовок Idempotency-Key для безпечних повторів
  * @access  Private/Admin/Finance
  */
 router.post(
   "/",
   roleMiddleware("admin", "finance_manager"),
+  idempotency,
   [
     check("operation_date", "Дата операції є обов'язковою")
       .notEmpty()
@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const offersController = require("../controllers/offers.controller");
 const authMiddleware = require("../middleware/auth.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
+const entityAuditController = require("../controllers/entity.audit.controller");
 const roleMiddleware = require("../middleware/role.middleware");
 
 // Застосовуємо middleware авторизації до всіх маршрутів
@@ -20,6 +22,9 @@ router.use(authMiddleware);
  * @query   {string} [search] - Пошук за назвою, описом, умовами, KPI
  * @query   {string} [sortBy=created_at] - Поле сортування (id|name|created_at|updated_at|geos_count|flows_count)
  * @query   {string} [sortOrder=desc] - Порядок сортування (asc|desc)
+ * @query   {string} [filter[<поле>][<оператор>]] - Фільтр (див. utils/listQuery):
+ *          id, name, partner_id, brand_id, is_active, created_at, updated_at
+ * @query   {string} [sort] - Поле сортування, "-" на початку - за спаданням: "-flows_count"
  */
 router.get(
   "/",
@@ -121,4 +126,15 @@ router.delete(
   offersController.deleteOffer
 );
 
+/**
+ * @route   GET /api/offers/:id/history
+ * @desc    Історія змін оффера: хто, коли і які поля змінив
+ * @access  Private/entity_audit.view
+ */
+router.get(
+  "/:id/history",
+  requirePermission("entity_audit.view"),
+  entityAuditController.getEntityHistory("offers")
+);
+
 module.exports = router;
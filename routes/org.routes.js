@@ -0,0 +1,31 @@
+const express = require("express");
+const router = express.Router();
+const orgStructureController = require("../controllers/org.structure.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const { rejectServicePrincipal } = require("../middleware/permission.middleware");
+
+// Застосовуємо middleware авторизації до всіх маршрутів
+router.use(authMiddleware);
+router.use(rejectServicePrincipal);
+
+/**
+ * @route   GET /api/org/chart
+ * @desc    Організаційна структура у вигляді дерева: відділи, дочірні відділи,
+ *          команди з тімлідами та учасники з їхніми керівниками
+ * @access  Private
+ * @query   includeMembers - false, щоб не додавати учасників;
+ *          includeInactive - true, щоб додати неактивні відділи та користувачів (тільки адмін)
+ */
+router.get("/chart", orgStructureController.getOrgChart);
+
+/**
+ * @route   GET /api/org/users/:id/reporting-line
+ * @desc    Лінія підпорядкування користувача: ланцюжок керівників та прямі підлеглі
+ * @access  Private
+ */
+router.get(
+  "/users/:id/reporting-line",
+  orgStructureController.getReportingLine
+);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const partnerPaymentsController = require("../controllers/partner.payment.controller");
 const authMiddleware = require("../middleware/auth.middleware");
+const idempotency = require("../middleware/idempotency.middleware");
 const roleMiddleware = require("../middleware/role.middleware");
 const { check } = require("express-validator");
 
@@ -11,6 +12,8 @@ router.use(authMiddleware);
 /**
  * @route   GET /api/partner-payments
  * @desc    Отримання списку всіх платежів з фільтрацією та пагінацією
+ *          (pagination=cursor - курсорна пагінація за id, amount або created_at;
+ *          cursor - next_cursor / prev_cursor; includeTotal=true - рахувати total)
  * @access  Private/Admin/Finance
  */
 router.get(
@@ -44,11 +47,13 @@ router.get(
 /**
  * @route   POST /api/partner-payments
  * @desc    Створення нового платежу
+ *          Підтримує заголовок Idempotency-Key для безпечних повторів
  * @access  Private/Admin/Finance
  */
 router.post(
   "/",
   roleMiddleware("admin", "bizdev"),
+  idempotency,
   [
     check("payout_request_id", "ID заявки на виплату є обов'язковим")
       .notEmpty()
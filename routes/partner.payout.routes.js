@@ -2,7 +2,9 @@ const express = require("express");
 const router = express.Router();
 const partnerPayoutController = require("../controllers/partner.payout.controller");
 const authMiddleware = require("../middleware/auth.middleware");
-const roleMiddleware = require("../middleware/role.middleware");
+const idempotency = require("../middleware/idempotency.middleware");
+const entityAuditController = require("../controllers/entity.audit.controller");
+const { requirePermission } = require("../middleware/permission.middleware");
 const { check } = require("express-validator");
 
 // Застосовуємо middleware авторизації до всіх маршрутів
@@ -11,11 +13,12 @@ router.use(authMiddleware);
 /**
  * @route   GET /api/partner-payouts
  * @desc    Отримання списку всіх заявок на виплату з фільтрацією та пагінацією
+ *          Фільтри filter[<поле>][<оператор>] та sort=-<поле> - див. partnerPayoutModel.LIST_QUERY_SPEC
  * @access  Private/Admin/BizDev/Finance
  */
 router.get(
   "/",
-  roleMiddleware("admin", "bizdev", "teamlead", "finance_manager"),
+  requirePermission("partner_payouts.view"),
   partnerPayoutController.getAllPayoutRequests
 );
 
@@ -26,7 +29,7 @@ router.get(
  */
 router.get(
   "/stats",
-  roleMiddleware("admin", "bizdev", "teamlead", "finance_manager"),
+  requirePermission("partner_payouts.view"),
   partnerPayoutController.getPayoutRequestsStats
 );
 
@@ -37,18 +40,20 @@ router.get(
  */
 router.get(
   "/:id",
-  roleMiddleware("admin", "bizdev", "finance_manager"),
+  requirePermission("partner_payouts.view_details"),
   partnerPayoutController.getPayoutRequestById
 );
 
 /**
  * @route   POST /api/partner-payouts
  * @desc    Створення нової заявки на виплату
+ *          Підтримує заголовок Idempotency-Key для безпечних повторів
  * @access  Private/Admin/BizDev
  */
 router.post(
   "/",
-  roleMiddleware("admin", "bizdev"),
+  requirePermission("partner_payouts.create"),
+  idempotency,
   [
     check("partner_id", "ID партнера є обов'язковим").notEmpty().isInt(),
     check("team_id", "ID команди має бути числом").optional().isInt(),
@@ -90,7 +95,7 @@ router.post(
  */
 router.put(
   "/:id",
-  roleMiddleware("admin", "bizdev"),
+  requirePermission("partner_payouts.update"),
   [
     check("team_id", "ID команди має бути числом").optional().isInt(),
     check("period_start", "Дата початку періоду має бути валідною")
@@ -131,7 +136,7 @@ router.put(
  */
 router.patch(
   "/:id/status",
-  roleMiddleware("admin", "bizdev", "finance_manager"),
+  requirePermission("partner_payouts.update_status"),
   [
     check("status", "Статус є обов'язковим").notEmpty(),
     check("status", "Недійсний статус заявки").isIn([
@@ -154,7 +159,7 @@ router.patch(
  */
 router.delete(
   "/:id",
-  roleMiddleware("admin", "bizdev"),
+  requirePermission("partner_payouts.delete"),
   partnerPayoutController.deletePayoutRequest
 );
 
@@ -165,7 +170,7 @@ router.delete(
  */
 router.get(
   "/stats/monthly",
-  roleMiddleware("admin", "bizdev", "finance_manager"),
+  requirePermission("partner_payouts.view_details"),
   [
     check("year", "Рік має бути числом між 2020 та 2030")
       .optional()
@@ -191,4 +196,15 @@ router.get(
   partnerPayoutController.getMonthlyPayoutStats
 );
 
+/**
+ * @route   GET /api/partner-payouts/:id/history
+ * @desc    Історія змін заявки на виплату: хто, коли і які поля змінив
+ * @access  Private/entity_audit.view
+ */
+router.get(
+  "/:id/history",
+  requirePermission("entity_audit.view"),
+  entityAuditController.getEntityHistory("partner_payout_requests")
+);
+
 module.exports = router;
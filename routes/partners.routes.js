@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const partnersController = require("../controllers/partners.controller");
 const authMiddleware = require("../middleware/auth.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
+const entityAuditController = require("../controllers/entity.audit.controller");
 const roleMiddleware = require("../middleware/role.middleware");
 const { check } = require("express-validator");
 
@@ -23,9 +25,17 @@ router.use(authMiddleware);
  * @query   {string} [trafficSources] - ID джерел трафіку через кому: "1,2,3" або одне число: "5"
  * @query   {string} [sortBy] - Поле сортування: 'id', 'name', 'type', 'created_at', 'updated_at'
  * @query   {string} [sortOrder] - Порядок сортування: 'asc', 'desc'
+ * @query   {string} [pagination] - 'cursor' - курсорна пагінація замість page
+ *          (сортування лише за 'id', 'name', 'created_at', 'updated_at')
+ * @query   {string} [cursor] - next_cursor / prev_cursor з попередньої відповіді
+ * @query   {boolean} [includeTotal] - Рахувати total у курсорному режимі: true/false
+ * @query   {string} [filter[<поле>][<оператор>]] - Фільтр (див. utils/listQuery):
+ *          id, name, type, is_active, has_integration, created_at, updated_at
+ * @query   {string} [sort] - Поле сортування, "-" на початку - за спаданням: "-created_at"
  *
  * @example
  * GET /api/partners?brands=1,2&geos=3,4&trafficSources=5&type=Brand&onlyActive=true&page=1&limit=20
+ * GET /api/partners?filter[type][in]=Brand,PP&filter[created_at][gte]=2025-01-01&sort=-name
  *
  * @returns {Object} response
  * @returns {boolean} response.success - Статус успіху
@@ -196,4 +206,15 @@ router.delete(
   partnersController.deletePartner
 );
 
+/**
+ * @route   GET /api/partners/:id/history
+ * @desc    Історія змін партнера: хто, коли і які поля змінив
+ * @access  Private/entity_audit.view
+ */
+router.get(
+  "/:id/history",
+  requirePermission("entity_audit.view"),
+  entityAuditController.getEntityHistory("partners")
+);
+
 module.exports = router;
@@ -10,6 +10,8 @@ const { body } = require("express-validator");
 const payoutAllocationController = require("../controllers/payout.allocation.controller");
 const authMiddleware = require("../middleware/auth.middleware");
 const roleMiddleware = require("../middleware/role.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
+const entityAuditController = require("../controllers/entity.audit.controller");
 
 // Валідація для створення розподілу
 const createAllocationValidation = [
@@ -91,4 +93,13 @@ router.delete(
   payoutAllocationController.deleteAllocation
 );
 
+// Історія змін розподілу коштів
+// GET /api/payout-allocations/allocation/:allocationId/history
+router.get(
+  "/allocation/:allocationId/history",
+  authMiddleware,
+  requirePermission("entity_audit.view"),
+  entityAuditController.getEntityHistory("payout_request_allocations", "allocationId")
+);
+
 module.exports = router;
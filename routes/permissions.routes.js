@@ -0,0 +1,94 @@
+const express = require("express");
+const router = express.Router();
+const permissionsController = require("../controllers/permissions.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
+const { check } = require("express-validator");
+
+// Застосовуємо middleware авторизації до всіх маршрутів
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/permissions/me
+ * @desc    Отримання ефективних дозволів поточного користувача
+ * @access  Private
+ */
+router.get("/me", permissionsController.getMyPermissions);
+
+/**
+ * @route   GET /api/permissions
+ * @desc    Отримання каталогу дозволів
+ * @access  Private/permissions.manage
+ */
+router.get(
+  "/",
+  requirePermission("permissions.manage"),
+  permissionsController.getAllPermissions
+);
+
+/**
+ * @route   GET /api/permissions/roles
+ * @desc    Отримання зв'язків роль→дозволи
+ * @access  Private/permissions.manage
+ */
+router.get(
+  "/roles",
+  requirePermission("permissions.manage"),
+  permissionsController.getRolePermissions
+);
+
+/**
+ * @route   PUT /api/permissions/roles/:role
+ * @desc    Заміна набору дозволів ролі
+ * @access  Private/permissions.manage
+ */
+router.put(
+  "/roles/:role",
+  requirePermission("permissions.manage"),
+  [
+    check("permissions", "Дозволи мають бути масивом").isArray(),
+    check("permissions.*", "Ключ дозволу має бути рядком").isString(),
+  ],
+  permissionsController.updateRolePermissions
+);
+
+/**
+ * @route   GET /api/permissions/users/:id
+ * @desc    Отримання перевизначень та ефективних дозволів користувача
+ * @access  Private/permissions.manage
+ */
+router.get(
+  "/users/:id",
+  requirePermission("permissions.manage"),
+  permissionsController.getUserPermissions
+);
+
+/**
+ * @route   PUT /api/permissions/users/:id/:permission
+ * @desc    Надання або заборона дозволу конкретному користувачу
+ * @access  Private/permissions.manage
+ */
+router.put(
+  "/users/:id/:permission",
+  requirePermission("permissions.manage"),
+  [
+    check("id", "ID користувача має бути числом").isInt(),
+    check("is_granted", "Поле is_granted має бути boolean")
+      .isBoolean()
+      .toBoolean(),
+  ],
+  permissionsController.setUserOverride
+);
+
+/**
+ * @route   DELETE /api/permissions/users/:id/:permission
+ * @desc    Видалення персонального перевизначення дозволу
+ * @access  Private/permissions.manage
+ */
+router.delete(
+  "/users/:id/:permission",
+  requirePermission("permissions.manage"),
+  permissionsController.removeUserOverride
+);
+
+module.exports = router;
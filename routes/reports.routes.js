@@ -2,10 +2,12 @@ const express = require("express");
 const router = express.Router();
 const reportsController = require("../controllers/reports.controller");
 const authMiddleware = require("../middleware/auth.middleware");
+const { rejectServicePrincipal } = require("../middleware/permission.middleware");
 const roleMiddleware = require("../middleware/role.middleware");
 
 // Застосовуємо middleware авторизації до всіх маршрутів
 router.use(authMiddleware);
+router.use(rejectServicePrincipal);
 
 /**
  * @route   GET /api/reports/stats/finance-managers
@@ -174,4 +176,17 @@ router.get(
   reportsController.getCompanyCalendarStatistics
 );
 
+/**
+ * @route   GET /api/reports/rollup/org
+ * @desc    Зведений звіт по ієрархії: витрати, зарплати та прибуток потоків
+ *          команд, підсумовані у відділи та батьківські відділи
+ * @access  Private/Admin/Finance
+ * @query   year - рік, month - місяць (1-12, необов'язково; без нього - весь рік)
+ */
+router.get(
+  "/rollup/org",
+  roleMiddleware("admin", "finance_manager"),
+  reportsController.getOrgRollupReport
+);
+
 module.exports = router;
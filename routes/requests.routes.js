@@ -2,6 +2,11 @@ const express = require("express");
 const router = express.Router();
 const requestsController = require("../controllers/requests.controller");
 const authMiddleware = require("../middleware/auth.middleware");
+const {
+  requirePermission,
+  rejectServicePrincipal,
+} = require("../middleware/permission.middleware");
+const entityAuditController = require("../controllers/entity.audit.controller");
 const roleMiddleware = require("../middleware/role.middleware");
 const { check } = require("express-validator");
 
@@ -11,6 +16,9 @@ router.use(authMiddleware);
 /**
  * @route   GET /api/requests
  * @desc    Отримання списку всіх заявок з фільтрацією та пагінацією
+ *          (pagination=cursor - курсорна пагінація з next_cursor/prev_cursor,
+ *          cursor - курсор з попередньої відповіді, includeTotal=true - з total)
+ *          Фільтри filter[<поле>][<оператор>] та sort=-<поле> - див. requestModel.LIST_QUERY_SPEC
  * @access  Private
  */
 router.get(
@@ -48,6 +56,7 @@ router.get(
  */
 router.put(
   "/:id/agent-refill",
+  rejectServicePrincipal,
   [
     check("amount", "Сума має бути числом").optional().isNumeric(),
     check("server", "Сервер має бути рядком").optional().isString(),
@@ -70,6 +79,7 @@ router.put(
  */
 router.put(
   "/:id/expense",
+  rejectServicePrincipal,
   [
     check("purpose", "Призначення платежу має бути рядком")
       .optional()
@@ -114,6 +124,7 @@ router.put(
  */
 router.patch(
   "/:id/status",
+  rejectServicePrincipal,
   [
     check("status", "Статус є обов'язковим").notEmpty(),
     check("status", "Недійсний статус").isIn([
@@ -134,13 +145,24 @@ router.patch(
  * @desc    Скасування (видалення) заявки
  * @access  Private
  */
-router.delete("/:id", requestsController.deleteRequest);
+router.delete("/:id", rejectServicePrincipal, requestsController.deleteRequest);
 
 /**
  * @route   GET /api/requests/:id
  * @desc    Отримання детальної інформації про заявку за ID
  * @access  Private
  */
-router.get("/:id", requestsController.getRequestById);
+router.get("/:id", rejectServicePrincipal, requestsController.getRequestById);
+
+/**
+ * @route   GET /api/requests/:id/history
+ * @desc    Історія змін заявки: хто, коли і які поля змінив
+ * @access  Private/entity_audit.view
+ */
+router.get(
+  "/:id/history",
+  requirePermission("entity_audit.view"),
+  entityAuditController.getEntityHistory("requests")
+);
 
 module.exports = router;
@@ -2,7 +2,12 @@ const express = require("express");
 const router = express.Router();
 const salariesController = require("../controllers/salaries.controller");
 const authMiddleware = require("../middleware/auth.middleware");
-const roleMiddleware = require("../middleware/role.middleware");
+const idempotency = require("../middleware/idempotency.middleware");
+const entityAuditController = require("../controllers/entity.audit.controller");
+const {
+  requirePermission,
+  rejectServicePrincipal,
+} = require("../middleware/permission.middleware");
 const { check } = require("express-validator");
 
 // Застосовуємо middleware авторизації до всіх маршрутів
@@ -11,9 +16,10 @@ router.use(authMiddleware);
 /**
  * @route   GET /api/salaries
  * @desc    Отримання списку всіх зарплат з фільтрацією та пагінацією
+ *          Фільтри filter[<поле>][<оператор>] та sort=-<поле> - див. salaryModel.LIST_QUERY_SPEC
  * @access  Private
  */
-router.get("/", salariesController.getAllSalaries);
+router.get("/", rejectServicePrincipal, salariesController.getAllSalaries);
 
 /**
  * @route   GET /api/salaries/stats
@@ -22,7 +28,7 @@ router.get("/", salariesController.getAllSalaries);
  */
 router.get(
   "/stats",
-  roleMiddleware("admin", "finance_manager", "teamlead"),
+  requirePermission("salaries.view_stats"),
   salariesController.getSalaryStats
 );
 
@@ -33,7 +39,7 @@ router.get(
  */
 router.get(
   "/templates",
-  roleMiddleware("admin", "finance_manager", "teamlead"),
+  requirePermission("salaries.view_templates"),
   salariesController.getAllSalaryTemplates
 );
 
@@ -42,23 +48,29 @@ router.get(
  * @desc    Отримання шаблону зарплати для користувача
  * @access  Private
  */
-router.get("/templates/:id", salariesController.getSalaryTemplate);
+router.get(
+  "/templates/:id",
+  rejectServicePrincipal,
+  salariesController.getSalaryTemplate
+);
 
 /**
  * @route   GET /api/salaries/:id
  * @desc    Отримання детальної інформації про зарплату за ID
  * @access  Private
  */
-router.get("/:id", salariesController.getSalaryById);
+router.get("/:id", rejectServicePrincipal, salariesController.getSalaryById);
 
 /**
  * @route   POST /api/salaries
  * @desc    Створення нової зарплати
+ *          Підтримує заголовок Idempotency-Key для безпечних повторів
  * @access  Private/Admin/Finance
  */
 router.post(
   "/",
-  roleMiddleware("admin", "finance_manager"),
+  requirePermission("salaries.create"),
+  idempotency,
   [
     check("user_id", "ID користувача є обов'язковим").notEmpty().isInt(),
     check("amount", "Сума зарплати є обов'язковою")
@@ -81,7 +93,7 @@ router.post(
  */
 router.put(
   "/:id",
-  roleMiddleware("admin", "finance_manager"),
+  requirePermission("salaries.update"),
   [
     check("amount", "Сума зарплати має бути числом")
       .optional()
@@ -98,7 +110,7 @@ router.put(
  */
 router.patch(
   "/:id/status",
-  roleMiddleware("admin", "finance_manager"),
+  requirePermission("salaries.approve"),
   [
     check("status", "Статус є обов'язковим")
       .notEmpty()
@@ -116,16 +128,22 @@ router.patch(
  * @desc    Видалення зарплати
  * @access  Private/Admin
  */
-router.delete("/:id", roleMiddleware("admin"), salariesController.deleteSalary);
+router.delete(
+  "/:id",
+  requirePermission("salaries.delete"),
+  salariesController.deleteSalary
+);
 
 /**
  * @route   POST /api/salaries/generate
  * @desc    Генерація зарплат для користувачів
+ *          Підтримує заголовок Idempotency-Key для безпечних повторів
  * @access  Private/Admin/Finance
  */
 router.post(
   "/generate",
-  roleMiddleware("admin", "finance_manager"),
+  requirePermission("salaries.generate"),
+  idempotency,
   [
     check("month", "Місяць є обов'язковим")
       .notEmpty()
@@ -146,7 +164,7 @@ router.post(
  */
 router.put(
   "/templates/:id",
-  roleMiddleware("admin", "finance_manager"),
+  requirePermission("salaries.manage_templates"),
   [
     check("base_amount", "Базова сума зарплати є обов'язковою")
       .notEmpty()
@@ -162,6 +180,7 @@ router.put(
  */
 router.put(
   "/wallet/:id",
+  rejectServicePrincipal,
   [
     check("wallet_address", "Адреса гаманця є обов'язковою")
       .notEmpty()
@@ -170,4 +189,15 @@ router.put(
   salariesController.updateUserSalaryWallet
 );
 
+/**
+ * @route   GET /api/salaries/:id/history
+ * @desc    Історія змін зарплати: хто, коли і які поля змінив
+ * @access  Private/entity_audit.view
+ */
+router.get(
+  "/:id/history",
+  requirePermission("entity_audit.view"),
+  entityAuditController.getEntityHistory("salaries")
+);
+
 module.exports = router;
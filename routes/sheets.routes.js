@@ -11,14 +11,6 @@ const {
   getUserSheetStats
 } = require('../controllers/sheets.controller');
 
-// Middleware для логування запитів
-const logRequest = (req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.originalUrl}`);
-  next();
-};
-
-router.use(logRequest);
-
 // Основні маршрути для роботи з Google Sheets
 
 /**
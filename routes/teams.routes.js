@@ -39,7 +39,7 @@ router.get(
 
 /**
  * @route   POST /api/teams
- * @desc    Створення нової команди
+ * @desc    Створення нової команди (department_id - відділ, lead_user_id - тімлід)
  * @access  Private/Admin
  */
 router.post(
@@ -48,21 +48,39 @@ router.post(
   [
     check("name", "Назва команди є обов'язковою").notEmpty(),
     check("name", "Назва команди має бути рядком").isString(),
+    check("department_id", "ID відділу має бути числом")
+      .optional({ nullable: true })
+      .isInt()
+      .toInt(),
+    check("lead_user_id", "ID тімліда має бути числом")
+      .optional({ nullable: true })
+      .isInt()
+      .toInt(),
   ],
   teamsController.createTeam
 );
 
 /**
  * @route   PUT /api/teams/:id
- * @desc    Оновлення назви команди
+ * @desc    Оновлення команди: назва, відділ (department_id) та тімлід (lead_user_id)
  * @access  Private/Admin
  */
 router.put(
   "/:id",
   roleMiddleware("admin"),
   [
-    check("name", "Назва команди є обов'язковою").notEmpty(),
-    check("name", "Назва команди має бути рядком").isString(),
+    check("name", "Назва команди не може бути порожньою")
+      .optional()
+      .notEmpty(),
+    check("name", "Назва команди має бути рядком").optional().isString(),
+    check("department_id", "ID відділу має бути числом")
+      .optional({ nullable: true })
+      .isInt()
+      .toInt(),
+    check("lead_user_id", "ID тімліда має бути числом")
+      .optional({ nullable: true })
+      .isInt()
+      .toInt(),
   ],
   teamsController.updateTeam
 );
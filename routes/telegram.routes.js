@@ -4,6 +4,7 @@ const router = express.Router();
 const telegramController = require('../controllers/telegram.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const roleMiddleware = require('../middleware/role.middleware');
+const { rateLimit } = require('../middleware/rate.limit.middleware');
 const { check } = require('express-validator');
 
 // Застосовуємо middleware авторизації до всіх маршрутів
@@ -75,6 +76,7 @@ router.post(
 router.post(
   '/broadcasts/:id/execute',
   roleMiddleware('admin', 'teamlead'),
+  rateLimit('telegramSend'),
   telegramController.executeBroadcast
 );
 
@@ -86,6 +88,7 @@ router.post(
 router.post(
   '/send',
   roleMiddleware('admin', 'teamlead'),
+  rateLimit('telegramSend'),
   [
     check('title', 'Назва розсилки є обов\'язковою').notEmpty().trim(),
     check('title', 'Назва розсилки має бути не більше 255 символів').isLength({ max: 255 }),
@@ -0,0 +1,70 @@
+const express = require("express");
+const router = express.Router();
+const { param, query } = require("express-validator");
+const trashController = require("../controllers/trash.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
+const { TRASH_ENTITIES } = require("../models/trash.model");
+
+const TRASH_ENTITY_TYPES = Object.keys(TRASH_ENTITIES);
+
+// Застосовуємо middleware авторизації до всіх маршрутів
+router.use(authMiddleware);
+
+// Валідація параметрів запису в кошику
+const trashItemValidation = [
+  param("entityType", "Невідомий тип сутності").isIn(TRASH_ENTITY_TYPES),
+  param("id", "ID має бути числом").isInt({ min: 1 }),
+];
+
+/**
+ * @route   GET /api/trash
+ * @desc    Вміст кошика: м'яко видалені партнери, оффери, потоки, заявки,
+ *          зарплати, заявки на виплату та розподіли коштів
+ * @access  Private/trash.manage
+ * @query   entityType - тип(и) сутностей через кому (назви таблиць);
+ *          deletedBy, dateFrom, dateTo, page, limit
+ */
+router.get(
+  "/",
+  [
+    requirePermission("trash.manage"),
+    query("entityType", "Невідомий тип сутності")
+      .optional()
+      .custom((value) =>
+        String(value)
+          .split(",")
+          .every((type) => TRASH_ENTITY_TYPES.includes(type))
+      ),
+    query("deletedBy", "ID користувача має бути числом").optional().isInt({ min: 1 }),
+    query("dateFrom", "Дата початку має бути у форматі ISO 8601").optional().isISO8601(),
+    query("dateTo", "Дата кінця має бути у форматі ISO 8601").optional().isISO8601(),
+    query("page", "Номер сторінки має бути додатним числом").optional().isInt({ min: 1 }),
+    query("limit", "Ліміт має бути числом від 1 до 500").optional().isInt({ min: 1, max: 500 }),
+  ],
+  trashController.getTrash
+);
+
+/**
+ * @route   POST /api/trash/:entityType/:id/restore
+ * @desc    Відновити запис з кошика (батьківський запис має бути активним)
+ * @access  Private/trash.manage
+ */
+router.post(
+  "/:entityType/:id/restore",
+  [requirePermission("trash.manage"), ...trashItemValidation],
+  trashController.restoreEntity
+);
+
+/**
+ * @route   DELETE /api/trash/:entityType/:id
+ * @desc    Остаточно видалити запис з кошика
+ * @access  Private/trash.purge
+ */
+router.delete(
+  "/:entityType/:id",
+  [requirePermission("trash.purge"), ...trashItemValidation],
+  trashController.purgeEntity
+);
+
+module.exports = router;
@@ -1,12 +1,47 @@
 const express = require("express");
+const multer = require("multer");
+const path = require("path");
 const router = express.Router();
 const usersController = require("../controllers/users.controller");
 const authMiddleware = require("../middleware/auth.middleware");
+const { rejectServicePrincipal } = require("../middleware/permission.middleware");
 const roleMiddleware = require("../middleware/role.middleware");
 const { check } = require("express-validator");
 
 // Застосовуємо middleware авторизації до всіх маршрутів
 router.use(authMiddleware);
+router.use(rejectServicePrincipal);
+
+// Завантаження файлу імпорту користувачів: тільки XLSX/CSV, до 5 МБ, у пам'яті
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    cb(null, [".xlsx", ".csv"].includes(extension));
+  },
+}).single("file");
+
+/**
+ * Обробляє завантаження файлу імпорту та перетворює помилки multer у відповідь 400
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ * @param {Function} next - Функція для продовження обробки запиту
+ */
+const handleImportUpload = (req, res, next) => {
+  importUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message:
+          err.code === "LIMIT_FILE_SIZE"
+            ? "Файл занадто великий. Максимальний розмір: 5 МБ"
+            : `Помилка завантаження файлу: ${err.message}`,
+      });
+    }
+    next();
+  });
+};
 
 /**
  * @route   GET /api/users
@@ -26,6 +61,21 @@ router.get(
   usersController.getAllUsers
 );
 
+/**
+ * @route   POST /api/users/import
+ * @desc    Масовий імпорт/оновлення користувачів з XLSX або CSV (поле file).
+ *          Колонки: telegram_id, username, first_name, last_name, role, team, department,
+ *          table_id, email, position, phone, sub_id, description.
+ *          За замовчуванням dry run (звіт без змін); ?dryRun=false - збереження в одній транзакції
+ * @access  Private/Admin
+ */
+router.post(
+  "/import",
+  roleMiddleware("admin"),
+  handleImportUpload,
+  usersController.importUsers
+);
+
 /**
  * @route   GET /api/users/:id
  * @desc    Отримання детальної інформації про користувача за ID
@@ -61,7 +111,8 @@ router.post(
 
 /**
  * @route   PUT /api/users/:id
- * @desc    Оновлення даних користувача
+ * @desc    Оновлення даних користувача. При зміні team_id/department_id адміністратор
+ *          може передати team_effective_from (YYYY-MM-DD) - дату переходу для історії членства
  * @access  Private/Admin/Self
  */
 router.put("/:id", usersController.updateUser);
@@ -84,6 +135,48 @@ router.post(
   usersController.activateUser
 );
 
+/**
+ * @route   GET /api/users/:id/memberships
+ * @desc    Історія членства користувача в командах та відділах (періоди valid_from/valid_to)
+ * @access  Private/Admin/TeamLead
+ */
+router.get(
+  "/:id/memberships",
+  roleMiddleware("admin", "teamlead"),
+  usersController.getUserMemberships
+);
+
+/**
+ * @route   GET /api/users/:id/offboarding
+ * @desc    Огляд офбордингу: потоки, шаблони зарплат, заявки та алокації користувача
+ * @access  Private/Admin
+ */
+router.get(
+  "/:id/offboarding",
+  roleMiddleware("admin"),
+  usersController.getOffboardingOverview
+);
+
+/**
+ * @route   POST /api/users/:id/offboarding
+ * @desc    Передача володіння наступникам за категоріями та деактивація користувача (одна транзакція)
+ * @access  Private/Admin
+ */
+router.post(
+  "/:id/offboarding",
+  roleMiddleware("admin"),
+  [
+    check("assignments", "Призначення мають бути об'єктом")
+      .optional()
+      .isObject(),
+    check("deactivate", "Поле deactivate має бути boolean")
+      .optional()
+      .isBoolean()
+      .toBoolean(),
+  ],
+  usersController.offboardUser
+);
+
 /**
  * @route   PUT /api/users/:id/role
  * @desc    Зміна ролі користувача
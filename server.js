@@ -4,6 +4,9 @@
  */
 const app = require('./app');
 const dotenv = require('dotenv');
+const permissionModel = require('./models/permission.model');
+const { PERMISSIONS } = require('./config/permissions');
+const logger = require('./utils/logger');
 
 // Завантаження змінних оточення, якщо ще не завантажено
 dotenv.config();
@@ -13,21 +16,34 @@ const PORT = process.env.PORT || 5000;
 
 // Обробка необроблених винятків
 process.on('uncaughtException', (err) => {
-  console.error('Необроблений виняток:', err);
-  console.log('Завершення роботи сервера через необроблений виняток');
+  logger.error('Необроблений виняток, завершення роботи сервера', err);
   process.exit(1);
 });
 
 // Запуск сервера
 const server = app.listen(PORT, () => {
-  console.log(`✅ Сервер запущено на порту ${PORT} в режимі ${process.env.NODE_ENV}`);
-  console.log(`🔗 Локальний URL: http://localhost:${PORT}`);
+  logger.info('Сервер запущено', {
+    port: Number(PORT),
+    env: process.env.NODE_ENV,
+    url: `http://localhost:${PORT}`,
+  });
+
+  // Синхронізація каталогу дозволів: нові дозволи отримують ролі за замовчуванням
+  permissionModel
+    .syncPermissionCatalog(PERMISSIONS)
+    .then((inserted) => {
+      if (inserted.length > 0) {
+        logger.info('Додано нові дозволи', { permissions: inserted });
+      }
+    })
+    .catch((err) => {
+      logger.error('Помилка синхронізації каталогу дозволів', err);
+    });
 });
 
 // Обробка необроблених відмов у Promise
 process.on('unhandledRejection', (err) => {
-  console.error('Необроблена відмова у Promise:', err);
-  console.log('Завершення роботи сервера через необроблену відмову у Promise');
+  logger.error('Необроблена відмова у Promise, завершення роботи сервера', err);
   // Правильне завершення сервера перед виходом
   server.close(() => {
     process.exit(1);
@@ -36,8 +52,8 @@ process.on('unhandledRejection', (err) => {
 
 // Обробка сигналів завершення для належного завершення роботи
 process.on('SIGTERM', () => {
-  console.log('Отримано SIGTERM. Правильне завершення роботи сервера.');
+  logger.info('Отримано SIGTERM. Правильне завершення роботи сервера');
   server.close(() => {
-    console.log('Процес завершено');
+    logger.info('Процес завершено');
   });
 });
\ No newline at end of file
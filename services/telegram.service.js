@@ -1,6 +1,8 @@
 // server/services/telegram.service.js
 const axios = require('axios');
+const crypto = require('crypto');
 const telegramModel = require('../models/telegram.model');
+const { telegramMessages, telegramBroadcasts } = require('../utils/metrics');
 
 class TelegramService {
   constructor() {
@@ -74,16 +76,19 @@ class TelegramService {
           if (result.success) {
             await telegramModel.updateBroadcastDetail(detail.detail_id, 'sent');
             successCount++;
+            telegramMessages.inc({ status: 'sent' });
             console.log(`✓ Повідомлення відправлено користувачу ${detail.telegram_id}`);
           } else {
             await telegramModel.updateBroadcastDetail(detail.detail_id, 'failed', result.error);
             failCount++;
+            telegramMessages.inc({ status: 'failed' });
             console.log(`✗ Помилка відправки користувачу ${detail.telegram_id}: ${result.error}`);
           }
           
         } catch (error) {
           await telegramModel.updateBroadcastDetail(detail.detail_id, 'failed', error.message);
           failCount++;
+          telegramMessages.inc({ status: 'failed' });
           console.log(`✗ Виняток при відправці користувачу ${detail.telegram_id}: ${error.message}`);
         }
         
@@ -96,6 +101,7 @@ class TelegramService {
         successful_sends: successCount,
         failed_sends: failCount
       });
+      telegramBroadcasts.inc({ status: 'completed' });
       
       console.log(`Розсилку ${broadcastId} завершено. Успішно: ${successCount}, Помилки: ${failCount}`);
       
@@ -108,6 +114,7 @@ class TelegramService {
       
     } catch (error) {
       // Позначити розсилку як невдалу
+      telegramBroadcasts.inc({ status: 'failed' });
       await telegramModel.updateBroadcastStatus(broadcastId, 'failed');
       console.error(`Помилка виконання розсилки ${broadcastId}:`, error);
       throw error;
@@ -133,6 +140,48 @@ class TelegramService {
     return !isNaN(id) && id > 0;
   }
 
+  /**
+   * Перевірити дані Telegram Login Widget
+   * @see https://core.telegram.org/widgets/login#checking-authorization
+   * @param {Object} authData - Дані від віджета (id, first_name, username, auth_date, hash, ...)
+   * @param {number} [maxAgeSeconds] - Максимальний вік авторизації в секундах
+   * @returns {Object} Результат перевірки { valid, error }
+   */
+  verifyLoginWidgetData(authData, maxAgeSeconds = parseInt(process.env.TELEGRAM_AUTH_MAX_AGE) || 86400) {
+    const { hash, ...fields } = authData || {};
+
+    if (!hash || typeof hash !== 'string') {
+      return { valid: false, error: 'Відсутній hash' };
+    }
+
+    const dataCheckString = Object.keys(fields)
+      .filter(key => fields[key] !== undefined && fields[key] !== null)
+      .sort()
+      .map(key => `${key}=${fields[key]}`)
+      .join('\n');
+
+    const secretKey = crypto.createHash('sha256').update(this.botToken).digest();
+    const expectedHash = crypto
+      .createHmac('sha256', secretKey)
+      .update(dataCheckString)
+      .digest('hex');
+
+    const isMatch =
+      hash.length === expectedHash.length &&
+      crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(expectedHash));
+
+    if (!isMatch) {
+      return { valid: false, error: 'Невірний підпис даних' };
+    }
+
+    const authAge = Math.floor(Date.now() / 1000) - parseInt(fields.auth_date);
+    if (isNaN(authAge) || authAge > maxAgeSeconds) {
+      return { valid: false, error: 'Дані авторизації застаріли' };
+    }
+
+    return { valid: true };
+  }
+
   /**
    * Отримати інформацію про бота
    * @returns {Promise<Object>} Інформація про бота
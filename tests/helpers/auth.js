@@ -0,0 +1,22 @@
+/**
+ * Авторизація в тестах: access токен як після входу (прив'язаний до нової сесії)
+ */
+const { issueSessionTokens } = require("../../utils/auth.utils");
+
+/**
+ * Формує заголовок Authorization для користувача
+ * @param {Object} user - Користувач (з фабрики createUser)
+ * @returns {Promise<Object>} { Authorization: "Bearer ..." }
+ */
+const authHeader = async (user) => {
+  const { token } = await issueSessionTokens(user, {
+    ip: "127.0.0.1",
+    headers: { "user-agent": "jest" },
+  });
+
+  return { Authorization: `Bearer ${token}` };
+};
+
+module.exports = {
+  authHeader,
+};
@@ -0,0 +1,30 @@
+/**
+ * Допоміжні функції для роботи з тестовою БД
+ */
+const db = require("../../config/db");
+
+// Таблиці, які заповнюються під час глобального налаштування і не очищуються між тестами
+const PRESERVED_TABLES = ["schema_migrations", "permissions", "role_permissions"];
+
+/**
+ * Очищує всі таблиці з даними (крім службових) та скидає лічильники ID
+ * @returns {Promise<void>}
+ */
+const resetDatabase = async () => {
+  const result = await db.pool.query(
+    `SELECT tablename FROM pg_tables
+     WHERE schemaname = 'public' AND NOT (tablename = ANY($1))`,
+    [PRESERVED_TABLES]
+  );
+
+  if (result.rows.length === 0) {
+    return;
+  }
+
+  const tables = result.rows.map((row) => `"${row.tablename}"`).join(", ");
+  await db.pool.query(`TRUNCATE ${tables} RESTART IDENTITY CASCADE`);
+};
+
+module.exports = {
+  resetDatabase,
+};
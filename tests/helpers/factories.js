@@ -0,0 +1,185 @@
+/**
+ * Фабрики тестових даних: команди, користувачі, потоки, статистика потоків та заявки
+ * Записи створюються напряму в БД; значення за замовчуванням можна перевизначити
+ */
+const db = require("../../config/db");
+
+// Лічильник для унікальних назв у межах тестового файлу
+let sequence = 0;
+const nextSequence = () => ++sequence;
+
+/**
+ * Вставляє запис і повертає його
+ * @param {string} table - Назва таблиці
+ * @param {Object} values - Значення колонок
+ * @returns {Promise<Object>} Створений запис
+ */
+const insert = async (table, values) => {
+  const columns = Object.keys(values);
+  const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+  const result = await db.pool.query(
+    `INSERT INTO ${table} (${columns.join(", ")})
+     VALUES (${placeholders.join(", ")})
+     RETURNING *`,
+    Object.values(values)
+  );
+  return result.rows[0];
+};
+
+/**
+ * Створює команду
+ * @param {Object} [overrides] - Значення колонок teams
+ * @returns {Promise<Object>} Команда
+ */
+const createTeam = (overrides = {}) =>
+  insert("teams", { name: `Team ${nextSequence()}`, ...overrides });
+
+/**
+ * Створює користувача з веб-роллю
+ * @param {Object} [options] - Опції
+ * @param {string} [options.role="buyer"] - Веб-роль (web_role)
+ * @param {Object} [options.team] - Команда користувача
+ * @param {Object} [options.overrides] - Інші значення колонок users
+ * @returns {Promise<Object>} Користувач
+ */
+const createUser = ({ role = "buyer", team, overrides = {} } = {}) => {
+  const index = nextSequence();
+
+  return insert("users", {
+    username: `${role}_${index}`,
+    first_name: role,
+    last_name: String(index),
+    role,
+    web_role: role,
+    team_id: team ? team.id : null,
+    ...overrides,
+  });
+};
+
+/**
+ * Створює партнера та оффер для потоку
+ * @returns {Promise<Object>} Оффер
+ */
+const createOffer = async () => {
+  const partner = await insert("partners", {
+    name: `Partner ${nextSequence()}`,
+    type: "Brand",
+  });
+
+  return insert("offers", {
+    name: `Offer ${nextSequence()}`,
+    partner_id: partner.id,
+  });
+};
+
+/**
+ * Створює потік і додає до нього користувачів
+ * @param {Object} [options] - Опції
+ * @param {Object} [options.team] - Команда потоку
+ * @param {Array<Object>} [options.users] - Активні учасники потоку
+ * @param {string} [options.flowType="cpa"] - Тип потоку (cpa або spend)
+ * @param {number} [options.cpa=0] - CPA (для cpa потоків)
+ * @param {number} [options.kpiTargetValue] - Цільовий OAS, % (для spend потоків)
+ * @param {Array<number>} [options.spendPercentageRanges] - Надбавки до spend, % (для spend потоків)
+ * @param {Object} [options.overrides] - Інші значення колонок flows
+ * @returns {Promise<Object>} Потік
+ */
+const createFlow = async ({
+  team,
+  users = [],
+  flowType = "cpa",
+  cpa = 0,
+  kpiTargetValue = null,
+  spendPercentageRanges = null,
+  overrides = {},
+} = {}) => {
+  const offer = await createOffer();
+
+  const flow = await insert("flows", {
+    name: `Flow ${nextSequence()}`,
+    offer_id: offer.id,
+    team_id: team ? team.id : null,
+    flow_type: flowType,
+    cpa,
+    kpi_metric: flowType === "spend" ? "OAS" : null,
+    kpi_target_value: kpiTargetValue,
+    spend_percentage_ranges: spendPercentageRanges
+      ? JSON.stringify(spendPercentageRanges)
+      : null,
+    status: "active",
+    ...overrides,
+  });
+
+  for (const user of users) {
+    await insert("flow_users", { flow_id: flow.id, user_id: user.id });
+  }
+
+  return flow;
+};
+
+/**
+ * Створює денну статистику користувача в потоці
+ * CPA копіюється з потоку для cpa потоків (як у flowStatsModel.upsertFlowStat)
+ * @param {Object} options - Опції
+ * @param {Object} options.flow - Потік
+ * @param {Object} options.user - Користувач
+ * @param {string} options.date - Дата у форматі YYYY-MM-DD
+ * @param {Object} [options.metrics] - spend, installs, regs, deps, verified_deps, deposit_amount тощо
+ * @returns {Promise<Object>} Запис flow_stats
+ */
+const createFlowStat = ({ flow, user, date, metrics = {} }) => {
+  const [year, month, day] = date.split("-").map(Number);
+
+  return insert("flow_stats", {
+    flow_id: flow.id,
+    user_id: user.id,
+    day,
+    month,
+    year,
+    cpa: flow.flow_type === "cpa" ? flow.cpa : 0,
+    ...metrics,
+  });
+};
+
+/**
+ * Створює заявку на поповнення агента або витрату
+ * @param {Object} options - Опції
+ * @param {Object} options.user - Автор заявки
+ * @param {string} [options.type="agent_refill"] - Тип заявки (agent_refill або expenses)
+ * @param {number} [options.amount=100] - Сума
+ * @param {string} [options.status="pending"] - Статус
+ * @param {Object} [options.overrides] - Інші значення колонок requests
+ * @returns {Promise<Object>} Заявка з сумою
+ */
+const createRequest = async ({
+  user,
+  type = "agent_refill",
+  amount = 100,
+  status = "pending",
+  overrides = {},
+}) => {
+  const request = await insert("requests", {
+    request_type: type,
+    user_id: user.id,
+    team_id: user.team_id,
+    department_id: user.department_id,
+    status,
+    ...overrides,
+  });
+
+  const details = await insert(
+    type === "agent_refill" ? "agent_refill_requests" : "expense_requests",
+    { request_id: request.id, amount }
+  );
+
+  return { ...request, amount: details.amount };
+};
+
+module.exports = {
+  createTeam,
+  createUser,
+  createFlow,
+  createFlowStat,
+  createRequest,
+};
@@ -0,0 +1,96 @@
+/**
+ * Інтеграційні тести авторизації за API ключем: allowlist IP адрес
+ * та доступ лише до маршрутів із перевіркою дозволів ключа
+ */
+const request = require("supertest");
+const app = require("../../app");
+const db = require("../../config/db");
+const { hashToken } = require("../../config/jwt");
+const { generateApiKey } = require("../../utils/apiKeys");
+const { resetDatabase } = require("../helpers/db");
+
+/**
+ * Створює API ключ
+ * @param {Object} [options] - Опції
+ * @param {Array<string>} [options.permissions] - Дозволи ключа
+ * @param {Array<string>|null} [options.allowedIps] - Дозволені адреси
+ * @returns {Promise<string>} Відкритий ключ
+ */
+const createApiKey = async ({
+  permissions = ["auth_audit.view"],
+  allowedIps = null,
+} = {}) => {
+  const { key, prefix } = generateApiKey();
+
+  await db.pool.query(
+    `INSERT INTO api_keys (name, key_prefix, key_hash, permissions, allowed_ips)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [`key-${prefix}`, prefix, hashToken(key), permissions, allowedIps]
+  );
+  return key;
+};
+
+beforeAll(async () => {
+  await resetDatabase();
+});
+
+describe("API key IP allowlist", () => {
+  it("allows requests from an allowlisted connection address", async () => {
+    const key = await createApiKey({ allowedIps: ["127.0.0.1"] });
+
+    const res = await request(app)
+      .get("/api/auth/audit-log")
+      .set("X-API-Key", key);
+
+    expect(res.status).toBe(200);
+  });
+
+  it("ignores a spoofed X-Forwarded-For header", async () => {
+    const key = await createApiKey({ allowedIps: ["203.0.113.10"] });
+
+    const res = await request(app)
+      .get("/api/auth/audit-log")
+      .set("X-API-Key", key)
+      .set("X-Forwarded-For", "203.0.113.10");
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("API key route access", () => {
+  it.each([
+    "/api/salaries",
+    "/api/salaries/1",
+    "/api/reports/statistics",
+    "/api/org/chart",
+    "/api/expense-types",
+  ])("rejects a key on %s, which has no permission guard", async (url) => {
+    const key = await createApiKey();
+
+    const res = await request(app).get(url).set("X-API-Key", key);
+
+    expect(res.status).toBe(403);
+    expect(res.body.success).toBe(false);
+  });
+
+  it("rejects a key without the permission of a guarded route", async () => {
+    const key = await createApiKey();
+
+    const res = await request(app)
+      .get("/api/salaries/stats")
+      .set("X-API-Key", key);
+
+    expect(res.status).toBe(403);
+  });
+
+  it("lets a key through a route guarded by a permission it holds", async () => {
+    const key = await createApiKey({ permissions: ["salaries.view_stats"] });
+
+    const res = await request(app)
+      .get("/api/salaries/stats")
+      .set("X-API-Key", key);
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+});
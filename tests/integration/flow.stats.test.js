@@ -0,0 +1,336 @@
+/**
+ * Інтеграційні тести статистики потоків: права доступу за ролями
+ * та розрахунок прибутку/ROI для CPA та SPEND потоків
+ */
+const request = require("supertest");
+const app = require("../../app");
+const db = require("../../config/db");
+const { resetDatabase } = require("../helpers/db");
+const { authHeader } = require("../helpers/auth");
+const {
+  createTeam,
+  createUser,
+  createFlow,
+  createFlowStat,
+} = require("../helpers/factories");
+
+describe("Flow stats API", () => {
+  let teamA;
+  let teamB;
+  let admin;
+  let bizdev;
+  let teamleadA;
+  let buyerA;
+  let buyerB;
+  let cpaFlow;
+  let spendFlow;
+
+  beforeAll(async () => {
+    await resetDatabase();
+
+    teamA = await createTeam();
+    teamB = await createTeam();
+    admin = await createUser({ role: "admin" });
+    bizdev = await createUser({ role: "bizdev" });
+    teamleadA = await createUser({ role: "teamlead", team: teamA });
+    buyerA = await createUser({ role: "buyer", team: teamA });
+    buyerB = await createUser({ role: "buyer", team: teamB });
+
+    // CPA потік: прибуток = verified_deps (або deps, якщо верифікованих немає) * CPA
+    cpaFlow = await createFlow({
+      team: teamA,
+      users: [buyerA, buyerB],
+      flowType: "cpa",
+      cpa: 50,
+    });
+    await createFlowStat({
+      flow: cpaFlow,
+      user: buyerA,
+      date: "2024-05-01",
+      metrics: { spend: 100, installs: 40, regs: 10, deps: 5, verified_deps: 4 },
+    });
+    await createFlowStat({
+      flow: cpaFlow,
+      user: buyerA,
+      date: "2024-05-02",
+      metrics: { spend: 200, deps: 2, verified_deps: 0 },
+    });
+    await createFlowStat({
+      flow: cpaFlow,
+      user: buyerB,
+      date: "2024-05-01",
+      metrics: { spend: 10, deps: 1, verified_deps: 1 },
+    });
+
+    // SPEND потік: OAS 1400 / 1000 = 140% >= 120%; з надбавкою 10% - 127% (ще >= 120%),
+    // з 20% - 117% (уже ні), тому множник 1.1 і прибуток = 1000 * 1.1
+    spendFlow = await createFlow({
+      team: teamA,
+      users: [buyerA],
+      flowType: "spend",
+      kpiTargetValue: 120,
+      spendPercentageRanges: [10, 20, 30],
+    });
+    await createFlowStat({
+      flow: spendFlow,
+      user: buyerA,
+      date: "2024-05-03",
+      metrics: { spend: 1000, deposit_amount: 1400 },
+    });
+  });
+
+  describe("role-based access", () => {
+    it("rejects requests without a token", async () => {
+      const res = await request(app).get(
+        `/api/flow-stats/user/${buyerA.id}/monthly/2024/5`
+      );
+
+      expect(res.status).toBe(401);
+      expect(res.body.success).toBe(false);
+    });
+
+    it("allows company P/L only for admins", async () => {
+      const url = "/api/flow-stats/company/monthly/2024/5";
+
+      const asBuyer = await request(app).get(url).set(await authHeader(buyerA));
+      const asBizdev = await request(app).get(url).set(await authHeader(bizdev));
+      const asAdmin = await request(app).get(url).set(await authHeader(admin));
+
+      expect(asBuyer.status).toBe(403);
+      expect(asBizdev.status).toBe(403);
+      expect(asAdmin.status).toBe(200);
+      expect(asAdmin.body.success).toBe(true);
+    });
+
+    it("lets a buyer read only their own monthly stats", async () => {
+      const own = await request(app)
+        .get(`/api/flow-stats/user/${buyerA.id}/monthly/2024/5`)
+        .set(await authHeader(buyerA));
+      const other = await request(app)
+        .get(`/api/flow-stats/user/${buyerB.id}/monthly/2024/5`)
+        .set(await authHeader(buyerA));
+
+      expect(own.status).toBe(200);
+      expect(other.status).toBe(403);
+    });
+
+    it("limits a teamlead to users and stats of their own team", async () => {
+      const teamMember = await request(app)
+        .get(`/api/flow-stats/user/${buyerA.id}/monthly/2024/5`)
+        .set(await authHeader(teamleadA));
+      const otherTeamMember = await request(app)
+        .get(`/api/flow-stats/user/${buyerB.id}/monthly/2024/5`)
+        .set(await authHeader(teamleadA));
+      const ownTeam = await request(app)
+        .get(`/api/flow-stats/team/${teamA.id}/monthly/2024/5`)
+        .set(await authHeader(teamleadA));
+      const otherTeam = await request(app)
+        .get(`/api/flow-stats/team/${teamB.id}/monthly/2024/5`)
+        .set(await authHeader(teamleadA));
+
+      expect(teamMember.status).toBe(200);
+      expect(otherTeamMember.status).toBe(403);
+      expect(ownTeam.status).toBe(200);
+      expect(otherTeam.status).toBe(403);
+    });
+
+    it("returns only the buyer's own rows of a shared flow", async () => {
+      const asBuyer = await request(app)
+        .get(`/api/flow-stats/${cpaFlow.id}`)
+        .query({ month: 5, year: 2024 })
+        .set(await authHeader(buyerB));
+      const asAdmin = await request(app)
+        .get(`/api/flow-stats/${cpaFlow.id}`)
+        .query({ month: 5, year: 2024 })
+        .set(await authHeader(admin));
+
+      expect(asBuyer.status).toBe(200);
+      expect(asBuyer.body.data.stats.map((row) => row.user_id)).toEqual([
+        buyerB.id,
+      ]);
+      expect(asAdmin.body.data.total_records).toBe(3);
+    });
+
+    it("denies a buyer access to a flow they are not a member of", async () => {
+      const res = await request(app)
+        .get(`/api/flow-stats/${spendFlow.id}`)
+        .set(await authHeader(buyerB));
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe("profit and ROI", () => {
+    it("calculates CPA profit from verified deposits, falling back to deposits", async () => {
+      const res = await request(app)
+        .get(`/api/flow-stats/${cpaFlow.id}`)
+        .query({ month: 5, year: 2024, user_id: buyerA.id })
+        .set(await authHeader(admin));
+
+      expect(res.status).toBe(200);
+      const byDay = Object.fromEntries(
+        res.body.data.stats.map((row) => [row.day, row])
+      );
+
+      // 4 верифіковані депозити * 50
+      expect(byDay[1].profit).toBe(200);
+      // Верифікованих немає - 2 депозити * 50
+      expect(byDay[2].profit).toBe(100);
+      // ROI рядка: (deps * cpa - spend) / spend
+      expect(parseFloat(byDay[1].roi)).toBe(150);
+      expect(parseFloat(byDay[2].roi)).toBe(-50);
+    });
+
+    it("applies the largest spend markup that keeps OAS above the KPI target", async () => {
+      const res = await request(app)
+        .get(`/api/flow-stats/${spendFlow.id}`)
+        .query({ month: 5, year: 2024 })
+        .set(await authHeader(admin));
+
+      expect(res.status).toBe(200);
+      const [row] = res.body.data.stats;
+      expect(row.spend_multiplier).toBe(1.1);
+      expect(row.profit).toBe(1100);
+    });
+
+    it("gives no SPEND profit when base OAS misses the KPI target", async () => {
+      const flow = await createFlow({
+        team: teamA,
+        users: [buyerA],
+        flowType: "spend",
+        kpiTargetValue: 120,
+        spendPercentageRanges: [10],
+      });
+      await createFlowStat({
+        flow,
+        user: buyerA,
+        date: "2024-06-01",
+        metrics: { spend: 1000, deposit_amount: 1000 },
+      });
+
+      const res = await request(app)
+        .get(`/api/flow-stats/${flow.id}`)
+        .query({ month: 6, year: 2024 })
+        .set(await authHeader(admin));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.stats[0].profit).toBe(0);
+    });
+
+    it("sums daily profit and ROI across flows in the user's monthly stats", async () => {
+      const res = await request(app)
+        .get(`/api/flow-stats/user/${buyerA.id}/monthly/2024/5`)
+        .set(await authHeader(admin));
+
+      expect(res.status).toBe(200);
+      const { daily_stats: days, summary } = res.body.data;
+      expect(days).toHaveLength(31);
+
+      const [day1, day2, day3, day4] = days;
+      expect(day1.metrics.profit).toBe(200);
+      expect(day1.calculated.roi).toBe(100);
+      expect(day2.metrics.profit).toBe(100);
+      expect(day2.calculated.roi).toBe(-50);
+      expect(day3.metrics.profit).toBe(1100);
+      expect(day3.calculated.roi).toBe(10);
+      expect(day4.metrics.profit).toBe(0);
+      expect(day4.meta.has_activity).toBe(false);
+
+      expect(summary.metrics.spend).toBe(1300);
+      expect(summary.metrics.total_profit).toBe(1400);
+      // (1400 - 1300) / 1300 = 7.69%
+      expect(summary.calculated.roi).toBe(7.69);
+    });
+  });
+
+  describe("soft-deleted flows", () => {
+    beforeAll(async () => {
+      const liveFlow = await createFlow({
+        team: teamA,
+        users: [buyerA],
+        cpa: 200,
+      });
+      await createFlowStat({
+        flow: liveFlow,
+        user: buyerA,
+        date: "2024-07-01",
+        metrics: { spend: 100, deps: 1 },
+      });
+
+      const deletedFlow = await createFlow({
+        team: teamA,
+        users: [buyerA],
+        cpa: 200,
+      });
+      await createFlowStat({
+        flow: deletedFlow,
+        user: buyerA,
+        date: "2024-07-01",
+        metrics: { spend: 900, deps: 5 },
+      });
+      // Дні з найкращим і найгіршим ROI, якби потік не було видалено
+      await createFlowStat({
+        flow: deletedFlow,
+        user: buyerA,
+        date: "2024-07-02",
+        metrics: { spend: 100, deps: 10 },
+      });
+      await createFlowStat({
+        flow: deletedFlow,
+        user: buyerA,
+        date: "2024-07-03",
+        metrics: { spend: 1000, deps: 1 },
+      });
+      await db.pool.query(
+        "UPDATE flows SET deleted_at = NOW() WHERE id = $1",
+        [deletedFlow.id]
+      );
+    });
+
+    it("excludes them from company monthly top users and daily trends", async () => {
+      const res = await request(app)
+        .get("/api/flow-stats/company/monthly/2024/7")
+        .set(await authHeader(admin));
+
+      expect(res.status).toBe(200);
+      const { top_users: topUsers, daily_trends: dailyTrends } = res.body.data;
+      expect(
+        topUsers.map((user) => [user.user_id, user.metrics.spend])
+      ).toEqual([[buyerA.id, 100]]);
+      expect(dailyTrends.map((day) => day.metrics.spend)).toEqual([100]);
+    });
+
+    it("excludes them from company daily stats", async () => {
+      const res = await request(app)
+        .get("/api/flow-stats/company/daily-stats")
+        .query({ month: 7, year: 2024 })
+        .set(await authHeader(admin));
+
+      expect(res.status).toBe(200);
+      const { daily_stats: days, breakdowns } = res.body.data;
+      expect(days[0].metrics.spend).toBe(100);
+      expect(days[0].meta.active_flows_count).toBe(1);
+      expect(breakdowns.users.map((user) => user.metrics.spend)).toEqual([100]);
+    });
+
+    it("excludes them from team monthly stats", async () => {
+      const res = await request(app)
+        .get(`/api/flow-stats/team/${teamA.id}/monthly/2024/7`)
+        .set(await authHeader(admin));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.daily_stats[0].metrics.spend).toBe(100);
+    });
+
+    it("excludes them from the user's best and worst ROI days", async () => {
+      const res = await request(app)
+        .get(`/api/flow-stats/user/${buyerA.id}/monthly/2024/7`)
+        .set(await authHeader(admin));
+
+      expect(res.status).toBe(200);
+      const { summary } = res.body.data;
+      expect(summary.best_roi_day).toBe(1);
+      expect(summary.worst_roi_day).toBe(1);
+    });
+  });
+});
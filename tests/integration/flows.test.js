@@ -0,0 +1,45 @@
+/**
+ * Інтеграційні тести списку потоків: фільтр like шукає значення буквально
+ */
+const request = require("supertest");
+const app = require("../../app");
+const { resetDatabase } = require("../helpers/db");
+const { authHeader } = require("../helpers/auth");
+const { createUser, createFlow } = require("../helpers/factories");
+
+describe("GET /api/flows", () => {
+  let admin;
+
+  /**
+   * Отримує назви потоків, що відповідають фільтру like
+   * @param {string} value - Значення фільтра
+   * @returns {Promise<Array<string>>} Назви потоків за алфавітом
+   */
+  const listNamesLike = async (value) => {
+    const res = await request(app)
+      .get("/api/flows")
+      .query({ "filter[name][like]": value })
+      .set(await authHeader(admin));
+
+    expect(res.status).toBe(200);
+    return res.body.data.map((flow) => flow.name).sort();
+  };
+
+  beforeAll(async () => {
+    await resetDatabase();
+    admin = await createUser({ role: "admin" });
+
+    for (const name of ["Bonus 100%_x", "Bonus 1000x", "Path C:\\flows"]) {
+      await createFlow({ overrides: { name } });
+    }
+  });
+
+  it("matches % and _ in a like filter literally", async () => {
+    expect(await listNamesLike("100%")).toEqual(["Bonus 100%_x"]);
+    expect(await listNamesLike("_")).toEqual(["Bonus 100%_x"]);
+  });
+
+  it("matches a backslash in a like filter literally", async () => {
+    expect(await listNamesLike("C:\\flows")).toEqual(["Path C:\\flows"]);
+  });
+});
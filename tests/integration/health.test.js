@@ -0,0 +1,46 @@
+/**
+ * Інтеграційні тести доступу до метрик Prometheus
+ */
+const request = require("supertest");
+const app = require("../../app");
+
+describe("GET /metrics", () => {
+  const originalEnv = {
+    NODE_ENV: process.env.NODE_ENV,
+    METRICS_TOKEN: process.env.METRICS_TOKEN,
+  };
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  it("denies access in production when METRICS_TOKEN is not set", async () => {
+    process.env.NODE_ENV = "production";
+    delete process.env.METRICS_TOKEN;
+
+    const res = await request(app).get("/metrics");
+
+    expect(res.status).toBe(403);
+    expect(res.body.success).toBe(false);
+  });
+
+  it("requires the configured token", async () => {
+    process.env.NODE_ENV = "production";
+    process.env.METRICS_TOKEN = "metrics-secret";
+
+    const withoutToken = await request(app).get("/metrics");
+    const withToken = await request(app)
+      .get("/metrics")
+      .set("Authorization", "Bearer metrics-secret");
+
+    expect(withoutToken.status).toBe(401);
+    expect(withToken.status).toBe(200);
+    expect(withToken.headers["content-type"]).toMatch(/^text\/plain/);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Інтеграційні тести заголовка Idempotency-Key на створенні зарплати:
+ * повтор відтворює першу відповідь, інші дані або незавершений запит відхиляються
+ */
+const request = require("supertest");
+const app = require("../../app");
+const db = require("../../config/db");
+const idempotencyModel = require("../../models/idempotency.model");
+const { resetDatabase } = require("../helpers/db");
+const { authHeader } = require("../helpers/auth");
+const { createUser } = require("../helpers/factories");
+
+describe("POST /api/salaries with Idempotency-Key", () => {
+  let admin;
+  let buyer;
+
+  /**
+   * Створює зарплату з ключем ідемпотентності
+   * @param {string} key - Ключ ідемпотентності
+   * @param {Object} body - Дані зарплати
+   * @returns {Promise<Object>} Відповідь
+   */
+  const createSalary = async (key, body) =>
+    request(app)
+      .post("/api/salaries")
+      .set(await authHeader(admin))
+      .set("Idempotency-Key", key)
+      .send({ user_id: buyer.id, ...body });
+
+  /**
+   * Рахує зарплати користувача за місяць
+   * @param {number} month - Місяць
+   * @returns {Promise<number>} Кількість записів
+   */
+  const countSalaries = async (month) => {
+    const result = await db.pool.query(
+      "SELECT COUNT(*)::int AS count FROM salaries WHERE user_id = $1 AND month = $2",
+      [buyer.id, month]
+    );
+    return result.rows[0].count;
+  };
+
+  beforeAll(async () => {
+    await resetDatabase();
+    admin = await createUser({ role: "admin" });
+    buyer = await createUser({ role: "buyer" });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("replays the first response without creating the salary twice", async () => {
+    const body = { amount: 1000, month: 1, year: 2024 };
+
+    const first = await createSalary("replay-key", body);
+    const replay = await createSalary("replay-key", body);
+
+    expect(first.status).toBe(201);
+    expect(replay.status).toBe(first.status);
+    expect(replay.body).toEqual(first.body);
+    expect(replay.headers["idempotent-replayed"]).toBe("true");
+    expect(await countSalaries(1)).toBe(1);
+  });
+
+  it("rejects the same key with a different payload", async () => {
+    const first = await createSalary("payload-key", {
+      amount: 1000,
+      month: 2,
+      year: 2024,
+    });
+    const other = await createSalary("payload-key", {
+      amount: 2000,
+      month: 2,
+      year: 2024,
+    });
+
+    expect(first.status).toBe(201);
+    expect(other.status).toBe(422);
+    expect(other.body.success).toBe(false);
+  });
+
+  it("rejects a repeat while the first request is still in progress", async () => {
+    // Результат першого запиту ще не збережено - ключ лишається в обробці
+    jest.spyOn(idempotencyModel, "completeKey").mockResolvedValueOnce();
+    const body = { amount: 1000, month: 3, year: 2024 };
+
+    const first = await createSalary("in-flight-key", body);
+    const repeat = await createSalary("in-flight-key", body);
+
+    expect(first.status).toBe(201);
+    expect(repeat.status).toBe(409);
+    expect(await countSalaries(3)).toBe(1);
+  });
+});
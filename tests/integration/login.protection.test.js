@@ -0,0 +1,113 @@
+/**
+ * Інтеграційні тести захисту входу: блокування за IP
+ * та скидання рівня блокування лише після повного входу (включно з 2FA)
+ */
+const bcrypt = require("bcryptjs");
+const request = require("supertest");
+const app = require("../../app");
+const db = require("../../config/db");
+const totp = require("../../utils/totp");
+const { LOGIN_PROTECTION } = require("../../config/config");
+const { resetDatabase } = require("../helpers/db");
+const { createUser } = require("../helpers/factories");
+
+describe("Login protection", () => {
+  const PASSWORD = "correct-password";
+  let passwordHash;
+
+  /**
+   * Надсилає запит на вхід
+   * @param {string} username - Ім'я користувача
+   * @param {string} password - Пароль
+   * @param {Object} [headers] - Додаткові заголовки
+   * @returns {Promise<Object>} Відповідь
+   */
+  const login = (username, password, headers = {}) =>
+    request(app)
+      .post("/api/auth/login")
+      .set(headers)
+      .send({ username, password });
+
+  /**
+   * Отримує рівень блокування за ім'ям користувача
+   * @param {string} username - Ім'я користувача
+   * @returns {Promise<number>} lockout_level
+   */
+  const getLockoutLevel = async (username) => {
+    const result = await db.pool.query(
+      `SELECT lockout_level FROM auth_lockouts
+       WHERE scope_type = 'username' AND scope_value = $1`,
+      [username]
+    );
+    return result.rows[0].lockout_level;
+  };
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+  });
+
+  it("keys the IP lockout on the connection address, not X-Forwarded-For", async () => {
+    for (let i = 0; i < LOGIN_PROTECTION.maxFailedAttempts; i++) {
+      const res = await login(`unknown_${i}`, "wrong-password", {
+        "X-Forwarded-For": `203.0.113.${i}`,
+      });
+      expect(res.status).toBe(401);
+    }
+
+    const res = await login("unknown_next", "wrong-password", {
+      "X-Forwarded-For": "198.51.100.1",
+    });
+
+    expect(res.status).toBe(429);
+  });
+
+  it("keeps the lockout level until the 2FA step completes", async () => {
+    const user = await createUser({ overrides: { password: passwordHash } });
+    const secret = totp.generateSecret();
+    await db.pool.query(
+      `INSERT INTO user_two_factor (user_id, secret, is_enabled)
+       VALUES ($1, $2, true)`,
+      [user.id, secret]
+    );
+    await db.pool.query(
+      `INSERT INTO auth_lockouts (scope_type, scope_value, lockout_level)
+       VALUES ('username', $1, 2)`,
+      [user.username]
+    );
+
+    const passwordStep = await login(user.username, PASSWORD);
+
+    expect(passwordStep.status).toBe(200);
+    expect(passwordStep.body.twoFactorRequired).toBe(true);
+    expect(await getLockoutLevel(user.username)).toBe(2);
+
+    const twoFactorStep = await request(app)
+      .post("/api/auth/2fa/verify")
+      .send({
+        challengeToken: passwordStep.body.challengeToken,
+        code: totp.generateCode(secret, totp.getCurrentStep()),
+      });
+
+    expect(twoFactorStep.status).toBe(200);
+    expect(await getLockoutLevel(user.username)).toBe(0);
+  });
+
+  it("resets the lockout level right after the password without 2FA", async () => {
+    const user = await createUser({ overrides: { password: passwordHash } });
+    await db.pool.query(
+      `INSERT INTO auth_lockouts (scope_type, scope_value, lockout_level)
+       VALUES ('username', $1, 2)`,
+      [user.username]
+    );
+
+    const res = await login(user.username, PASSWORD);
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(await getLockoutLevel(user.username)).toBe(0);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Інтеграційні тести відновлення пароля за кодом: ліміт спроб
+ * та зняття блокування входу після зміни пароля
+ */
+const crypto = require("crypto");
+const request = require("supertest");
+const app = require("../../app");
+const db = require("../../config/db");
+const { PASSWORD_RESET } = require("../../config/config");
+const { resetDatabase } = require("../helpers/db");
+const { createUser } = require("../helpers/factories");
+
+describe("POST /api/auth/reset-password", () => {
+  const CODE = "123456";
+  const WRONG_CODE = "654321";
+
+  /**
+   * Створює актуальний код відновлення для користувача
+   * @param {Object} user - Користувач
+   * @returns {Promise<Object>} Запис коду
+   */
+  const createResetCode = async (user) => {
+    const codeHash = crypto
+      .createHmac("sha256", process.env.JWT_SECRET)
+      .update(`${user.id}:${CODE}`)
+      .digest("hex");
+
+    const result = await db.pool.query(
+      `INSERT INTO password_reset_codes (user_id, code_hash, expires_at)
+       VALUES ($1, $2, NOW() + INTERVAL '10 minutes')
+       RETURNING *`,
+      [user.id, codeHash]
+    );
+    return result.rows[0];
+  };
+
+  /**
+   * Надсилає запит на зміну пароля
+   * @param {Object} user - Користувач
+   * @param {string} code - Код відновлення
+   * @returns {Promise<Object>} Відповідь
+   */
+  const resetPassword = (user, code) =>
+    request(app)
+      .post("/api/auth/reset-password")
+      .send({ username: user.username, code, newPassword: "new-password" });
+
+  beforeAll(async () => {
+    await resetDatabase();
+  });
+
+  it("does not let concurrent wrong codes exceed the attempt limit", async () => {
+    const user = await createUser();
+    const resetCode = await createResetCode(user);
+
+    const responses = await Promise.all(
+      Array.from({ length: PASSWORD_RESET.maxAttempts + 3 }, () =>
+        resetPassword(user, WRONG_CODE)
+      )
+    );
+
+    expect(responses.every((res) => res.status === 400)).toBe(true);
+    const stored = await db.pool.query(
+      "SELECT attempts FROM password_reset_codes WHERE id = $1",
+      [resetCode.id]
+    );
+    expect(stored.rows[0].attempts).toBe(PASSWORD_RESET.maxAttempts);
+
+    // Після вичерпання ліміту не підходить і правильний код
+    const res = await resetPassword(user, CODE);
+    expect(res.status).toBe(400);
+  });
+
+  it("accepts the right code on the last attempt", async () => {
+    const user = await createUser();
+    await createResetCode(user);
+
+    for (let i = 1; i < PASSWORD_RESET.maxAttempts; i++) {
+      const res = await resetPassword(user, WRONG_CODE);
+      expect(res.body.remainingAttempts).toBe(PASSWORD_RESET.maxAttempts - i);
+    }
+
+    const res = await resetPassword(user, CODE);
+    expect(res.status).toBe(200);
+  });
+
+  it("lifts an active username lockout after the password is changed", async () => {
+    const user = await createUser();
+    await createResetCode(user);
+    await db.pool.query(
+      `INSERT INTO auth_lockouts (scope_type, scope_value, lockout_level, locked_until)
+       VALUES ('username', $1, 2, NOW() + INTERVAL '1 hour')`,
+      [user.username]
+    );
+
+    const res = await resetPassword(user, CODE);
+
+    expect(res.status).toBe(200);
+    const lockout = await db.pool.query(
+      `SELECT locked_until, lockout_level FROM auth_lockouts
+       WHERE scope_type = 'username' AND scope_value = $1`,
+      [user.username]
+    );
+    expect(lockout.rows[0]).toEqual({ locked_until: null, lockout_level: 0 });
+  });
+});
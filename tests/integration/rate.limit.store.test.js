@@ -0,0 +1,61 @@
+/**
+ * Інтеграційні тести сховища лічильників обмеження частоти запитів у PostgreSQL
+ */
+const db = require("../../config/db");
+const { createPostgresStore } = require("../../utils/rateLimitStore");
+const { resetDatabase } = require("../helpers/db");
+
+describe("createPostgresStore", () => {
+  const WINDOW_MS = 60 * 1000;
+  let store;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    store = createPostgresStore();
+  });
+
+  it("counts hits of a key within the current window", async () => {
+    const first = await store.hit("test:count", WINDOW_MS);
+    const second = await store.hit("test:count", WINDOW_MS);
+
+    expect(first.current).toBe(1);
+    expect(second.current).toBe(2);
+    expect(second.previous).toBe(0);
+    expect(second.windowStart % WINDOW_MS).toBe(0);
+  });
+
+  it("keeps separate counters per key", async () => {
+    await store.hit("test:a", WINDOW_MS);
+    const other = await store.hit("test:b", WINDOW_MS);
+
+    expect(other.current).toBe(1);
+  });
+
+  it("reports the count of the previous window", async () => {
+    const { windowStart } = await store.hit("test:previous", WINDOW_MS);
+    await db.pool.query(
+      `INSERT INTO rate_limit_counters (key, window_start, count, expires_at)
+       VALUES ($1, $2, 7, NOW() + INTERVAL '1 minute')`,
+      ["test:previous", windowStart - WINDOW_MS]
+    );
+
+    const result = await store.hit("test:previous", WINDOW_MS);
+
+    expect(result.current).toBe(2);
+    expect(result.previous).toBe(7);
+  });
+
+  it("expires counters two windows after the window start", async () => {
+    const { windowStart } = await store.hit("test:expiry", WINDOW_MS);
+
+    const result = await db.pool.query(
+      `SELECT (EXTRACT(EPOCH FROM expires_at) * 1000)::bigint as expires_at_ms
+       FROM rate_limit_counters WHERE key = $1`,
+      ["test:expiry"]
+    );
+
+    expect(Number(result.rows[0].expires_at_ms)).toBe(
+      windowStart + 2 * WINDOW_MS
+    );
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Інтеграційні тести списку заявок: доступ за ролями та область видимості
+ */
+const request = require("supertest");
+const app = require("../../app");
+const { resetDatabase } = require("../helpers/db");
+const { authHeader } = require("../helpers/auth");
+const { encodeCursor } = require("../../utils/cursorPagination");
+const {
+  createTeam,
+  createUser,
+  createRequest,
+} = require("../helpers/factories");
+
+describe("GET /api/requests", () => {
+  let admin;
+  let teamleadA;
+  let buyerA;
+  let buyerA2;
+  let buyerB;
+  let requestA;
+  let requestA2;
+  let requestB;
+
+  /**
+   * Отримує ID заявок зі списку від імені користувача
+   * @param {Object} user - Користувач
+   * @returns {Promise<Array<number>>} ID заявок за зростанням
+   */
+  const listRequestIds = async (user) => {
+    const res = await request(app).get("/api/requests").set(await authHeader(user));
+
+    expect(res.status).toBe(200);
+    return res.body.data.map((item) => item.id).sort((a, b) => a - b);
+  };
+
+  beforeAll(async () => {
+    await resetDatabase();
+
+    const teamA = await createTeam();
+    const teamB = await createTeam();
+    admin = await createUser({ role: "admin" });
+    teamleadA = await createUser({ role: "teamlead", team: teamA });
+    buyerA = await createUser({ role: "buyer", team: teamA });
+    buyerA2 = await createUser({ role: "buyer", team: teamA });
+    buyerB = await createUser({ role: "buyer", team: teamB });
+
+    requestA = await createRequest({ user: buyerA, amount: 150 });
+    requestA2 = await createRequest({ user: buyerA2, amount: 250 });
+    requestB = await createRequest({ user: buyerB, amount: 350 });
+  });
+
+  it("shows all requests to an admin", async () => {
+    expect(await listRequestIds(admin)).toEqual([
+      requestA.id,
+      requestA2.id,
+      requestB.id,
+    ]);
+  });
+
+  it("shows a teamlead only the requests of their team", async () => {
+    expect(await listRequestIds(teamleadA)).toEqual([
+      requestA.id,
+      requestA2.id,
+    ]);
+  });
+
+  it("shows a buyer only their own requests, ignoring userId/teamId params", async () => {
+    expect(await listRequestIds(buyerA)).toEqual([requestA.id]);
+
+    const res = await request(app)
+      .get("/api/requests")
+      .query({ userId: buyerB.id, teamId: buyerB.team_id })
+      .set(await authHeader(buyerA));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(0);
+  });
+
+  it("rejects roles without access to requests", async () => {
+    const bizdev = await createUser({ role: "bizdev" });
+
+    const res = await request(app)
+      .get("/api/requests")
+      .set(await authHeader(bizdev));
+
+    expect(res.status).toBe(403);
+  });
+
+  describe("cursor pagination", () => {
+    it("walks the list page by page with next_cursor", async () => {
+      const first = await request(app)
+        .get("/api/requests")
+        .query({ pagination: "cursor", limit: 2, sortOrder: "asc" })
+        .set(await authHeader(admin));
+
+      expect(first.status).toBe(200);
+      expect(first.body.pagination.has_more).toBe(true);
+
+      const second = await request(app)
+        .get("/api/requests")
+        .query({ cursor: first.body.pagination.next_cursor, limit: 2 })
+        .set(await authHeader(admin));
+
+      expect(second.status).toBe(200);
+      expect(second.body.pagination.has_more).toBe(false);
+      expect(
+        [...first.body.data, ...second.body.data].map((item) => item.id)
+      ).toEqual([requestA.id, requestA2.id, requestB.id]);
+    });
+
+    it.each([
+      ["a malformed date", { v: "abc", s: "created_at" }],
+      ["a non-existent date", { v: "2024-02-30 10:00:00", s: "created_at" }],
+      [
+        "an out-of-range id",
+        { v: "2024-05-01 10:00:00", s: "created_at", id: 2 ** 31 },
+      ],
+      ["a field not allowed for cursors", { v: "1", s: "amount" }],
+    ])("rejects a forged cursor with %s", async (_, forged) => {
+      const cursor = encodeCursor({ id: 1, d: "next", o: "DESC", ...forged });
+
+      const res = await request(app)
+        .get("/api/requests")
+        .query({ cursor })
+        .set(await authHeader(admin));
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+      expect(res.body.errors).toEqual([
+        { param: "cursor", msg: "Недійсний курсор пагінації" },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Інтеграційні тести прив'язки access токенів до сесій:
+ * токен без сесії не приймається, а відкликана сесія закриває доступ
+ */
+const request = require("supertest");
+const app = require("../../app");
+const jwtConfig = require("../../config/jwt");
+const { issueSessionTokens } = require("../../utils/auth.utils");
+const { resetDatabase } = require("../helpers/db");
+const { createUser } = require("../helpers/factories");
+
+describe("Session-bound access tokens", () => {
+  let user;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    user = await createUser();
+  });
+
+  it("rejects an access token that is not bound to a session", async () => {
+    const token = jwtConfig.generateToken({
+      userId: user.id,
+      role: user.web_role,
+    });
+
+    const res = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it("rejects the access token once its session is logged out", async () => {
+    const { token, refreshToken } = await issueSessionTokens(user, {
+      ip: "127.0.0.1",
+      headers: {},
+    });
+
+    const before = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", `Bearer ${token}`);
+    expect(before.status).toBe(200);
+
+    await request(app).post("/api/auth/logout").send({ refreshToken });
+
+    const after = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", `Bearer ${token}`);
+    expect(after.status).toBe(401);
+  });
+});
@@ -0,0 +1,7 @@
+/**
+ * Налаштування кожного тестового файлу: закриття пулу підключень після тестів
+ * (кожен файл має власний реєстр модулів, а отже і власний пул config/db)
+ */
+afterAll(async () => {
+  await require("../../config/db").pool.end();
+});
@@ -0,0 +1,91 @@
+/**
+ * Глобальне налаштування тестів: тимчасовий PostgreSQL кластер (embedded-postgres)
+ * на вільному порту, окрема БД, усі міграції (db/migrate.js) та каталог дозволів
+ * Параметри підключення передаються тестам через змінні оточення DB_*
+ */
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const TEST_DB_NAME = "finance_api_test";
+const TEST_DB_USER = "postgres";
+const TEST_DB_PASSWORD = "postgres";
+
+/**
+ * Знаходить вільний TCP порт
+ * @returns {Promise<number>} Номер порту
+ */
+const getFreePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+module.exports = async () => {
+  // embedded-postgres поширюється лише як ES модуль
+  const { default: EmbeddedPostgres } = await import("embedded-postgres");
+
+  const port = await getFreePort();
+  const databaseDir = path.join(
+    os.tmpdir(),
+    `finance-api-test-${process.pid}-${Date.now()}`
+  );
+
+  const pg = new EmbeddedPostgres({
+    databaseDir,
+    port,
+    user: TEST_DB_USER,
+    password: TEST_DB_PASSWORD,
+    persistent: false,
+    // PostgreSQL не запускається від root (CI контейнери) - потрібен окремий користувач
+    createPostgresUser: process.getuid?.() === 0,
+    onLog: () => {},
+  });
+
+  try {
+    await pg.initialise();
+    await pg.start();
+    await pg.createDatabase(TEST_DB_NAME);
+  } catch (error) {
+    await pg.stop().catch(() => {});
+    fs.rmSync(databaseDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  // Доступно в globalTeardown
+  globalThis.__TEST_POSTGRES__ = pg;
+
+  Object.assign(process.env, {
+    DB_HOST: "127.0.0.1",
+    DB_PORT: String(port),
+    DB_NAME: TEST_DB_NAME,
+    DB_USER: TEST_DB_USER,
+    DB_PASSWORD: TEST_DB_PASSWORD,
+    JWT_SECRET: process.env.JWT_SECRET || "test-jwt-secret",
+    // Сервіс Telegram вимагає токен під час імпорту; тести не надсилають повідомлень
+    TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || "test-bot-token",
+    LOG_LEVEL: process.env.LOG_LEVEL || "error",
+  });
+
+  // Модулі застосунку читають DB_* під час підключення, тому - лише після налаштування оточення
+  const db = require("../../config/db");
+  const { migrateUp } = require("../../db/migrate");
+  const permissionModel = require("../../models/permission.model");
+  const { PERMISSIONS } = require("../../config/permissions");
+
+  try {
+    await migrateUp();
+    await permissionModel.syncPermissionCatalog(PERMISSIONS);
+  } catch (error) {
+    await pg.stop();
+    throw error;
+  } finally {
+    await db.pool.end();
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Зупиняє тимчасовий PostgreSQL кластер і видаляє його дані
+ */
+module.exports = async () => {
+  const pg = globalThis.__TEST_POSTGRES__;
+
+  if (pg) {
+    await pg.stop();
+  }
+};
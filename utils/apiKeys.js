@@ -0,0 +1,94 @@
+/**
+ * Допоміжні функції для API ключів сервісних інтеграцій
+ */
+const crypto = require("crypto");
+const net = require("net");
+
+// Префікс, за яким ключ легко впізнати в конфігах та логах
+const API_KEY_PREFIX = "wk_";
+
+/**
+ * Генерує новий API ключ
+ * @returns {Object} { key, prefix } - відкритий ключ та його відкритий префікс
+ */
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+  };
+};
+
+/**
+ * Нормалізує IP адресу (IPv4-mapped IPv6 → IPv4)
+ * @param {string} ip - IP адреса
+ * @returns {string} Нормалізована IP адреса
+ */
+const normalizeIp = (ip) => {
+  const trimmed = (ip || "").trim();
+  return trimmed.startsWith("::ffff:") && net.isIPv4(trimmed.slice(7))
+    ? trimmed.slice(7)
+    : trimmed;
+};
+
+/**
+ * Перевіряє, чи є запис allowlist коректною IP адресою або підмережею (CIDR)
+ * @param {string} entry - Запис allowlist
+ * @returns {boolean} Чи коректний запис
+ */
+const isValidIpEntry = (entry) => {
+  const [address, prefix] = String(entry).split("/");
+  const version = net.isIP(address);
+
+  if (!version) {
+    return false;
+  }
+
+  if (prefix === undefined) {
+    return true;
+  }
+
+  const bits = Number(prefix);
+  return Number.isInteger(bits) && bits >= 0 && bits <= (version === 4 ? 32 : 128);
+};
+
+/**
+ * Перевіряє, чи дозволена IP адреса списком allowlist
+ * @param {string} ip - IP адреса клієнта
+ * @param {Array<string>|null} allowedIps - Дозволені адреси/підмережі (порожній - без обмежень)
+ * @returns {boolean} Чи дозволено доступ
+ */
+const isIpAllowed = (ip, allowedIps) => {
+  if (!allowedIps || allowedIps.length === 0) {
+    return true;
+  }
+
+  const clientIp = normalizeIp(ip);
+  const clientVersion = net.isIP(clientIp);
+
+  if (!clientVersion) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+
+  for (const entry of allowedIps) {
+    const [address, prefix] = entry.split("/");
+    const type = net.isIPv6(address) ? "ipv6" : "ipv4";
+
+    if (prefix === undefined) {
+      blockList.addAddress(address, type);
+    } else {
+      blockList.addSubnet(address, Number(prefix), type);
+    }
+  }
+
+  return blockList.check(clientIp, clientVersion === 6 ? "ipv6" : "ipv4");
+};
+
+module.exports = {
+  generateApiKey,
+  isValidIpEntry,
+  isIpAllowed,
+};
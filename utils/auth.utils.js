@@ -0,0 +1,36 @@
+/**
+ * Допоміжні функції для авторизації
+ * Спільні для логіну, 2FA та інших способів входу
+ */
+const jwtConfig = require("../config/jwt");
+const sessionModel = require("../models/session.model");
+
+/**
+ * Створює сесію та видає пару access/refresh токенів
+ * @param {Object} user - Користувач
+ * @param {Object} req - Об'єкт запиту Express
+ * @returns {Promise<Object>} Об'єкт з token та refreshToken
+ */
+const issueSessionTokens = async (user, req) => {
+  const refreshToken = jwtConfig.generateRefreshToken();
+
+  const session = await sessionModel.createSession({
+    userId: user.id,
+    refreshTokenHash: jwtConfig.hashToken(refreshToken),
+    expiresAt: jwtConfig.getRefreshTokenExpiry(),
+    ipAddress: req.ip,
+    userAgent: req.headers["user-agent"] || "Unknown",
+  });
+
+  const token = jwtConfig.generateToken({
+    userId: user.id,
+    role: user.web_role,
+    sessionId: session.id,
+  });
+
+  return { token, refreshToken };
+};
+
+module.exports = {
+  issueSessionTokens,
+};
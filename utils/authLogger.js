@@ -1,6 +1,7 @@
 // utils/authLogger.js
 const fs = require("fs");
 const path = require("path");
+const authAuditModel = require("../models/auth.audit.model");
 
 // Директорія для логів
 const logsDir = path.join(__dirname, "../logs");
@@ -37,6 +38,54 @@ const getFormattedTime = () => {
   return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
 };
 
+/**
+ * Типи подій журналу авторизації
+ */
+const AUTH_EVENT_TYPES = {
+  LOGIN_SUCCESS: "LOGIN_SUCCESS",
+  LOGIN_FAILED: "LOGIN_FAILED",
+  SERVER_ERROR: "SERVER_ERROR",
+  PASSWORD_RESET_REQUESTED: "PASSWORD_RESET_REQUESTED",
+  PASSWORD_RESET_COMPLETED: "PASSWORD_RESET_COMPLETED",
+  PASSWORD_RESET_FAILED: "PASSWORD_RESET_FAILED",
+  PASSWORD_CHANGED: "PASSWORD_CHANGED",
+  ROLE_CHANGED: "ROLE_CHANGED",
+  USER_ACTIVATED: "USER_ACTIVATED",
+  USER_DEACTIVATED: "USER_DEACTIVATED",
+  IMPERSONATION_STARTED: "IMPERSONATION_STARTED",
+  IMPERSONATION_ENDED: "IMPERSONATION_ENDED",
+  SESSION_REVOKED: "SESSION_REVOKED",
+};
+
+/**
+ * Дописує рядок у файл логу поточного дня
+ * @param {string} logMessage - Рядок логу
+ * @param {string} errorLabel - Опис для повідомлення про помилку запису
+ */
+const writeToFile = (logMessage, errorLabel) => {
+  const filePath = path.join(logsDir, getLogFileName());
+
+  fs.appendFile(filePath, logMessage, (err) => {
+    if (err) {
+      console.error(`Помилка запису логу ${errorLabel}:`, err);
+    }
+  });
+};
+
+/**
+ * Зберігає подію в журналі БД
+ * Помилка запису не повинна впливати на обробку запиту, тому лише логується
+ * @param {Object} eventData - Дані події (див. authAuditModel.createEvent)
+ */
+const persistEvent = (eventData) => {
+  authAuditModel.createEvent(eventData).catch((err) => {
+    console.error(
+      `Помилка збереження події ${eventData.eventType} в журнал авторизації:`,
+      err.message
+    );
+  });
+};
+
 /**
  * Логує успішну авторизацію
  * @param {string} username - Користувач
@@ -45,14 +94,17 @@ const getFormattedTime = () => {
  * @param {string} userAgent - User Agent браузера
  */
 const logSuccessfulLogin = (username, userId, ip, userAgent) => {
-  const logMessage = `[${getFormattedTime()}] SUCCESS | Username: ${username} | User ID: ${userId} | IP: ${ip} | User-Agent: ${userAgent}\n`;
+  writeToFile(
+    `[${getFormattedTime()}] SUCCESS | Username: ${username} | User ID: ${userId} | IP: ${ip} | User-Agent: ${userAgent}\n`,
+    "успішної авторизації"
+  );
 
-  const filePath = path.join(logsDir, getLogFileName());
-
-  fs.appendFile(filePath, logMessage, (err) => {
-    if (err) {
-      console.error("Помилка запису логу успішної авторизації:", err);
-    }
+  persistEvent({
+    eventType: AUTH_EVENT_TYPES.LOGIN_SUCCESS,
+    userId,
+    username,
+    ipAddress: ip,
+    userAgent,
   });
 };
 
@@ -64,14 +116,17 @@ const logSuccessfulLogin = (username, userId, ip, userAgent) => {
  * @param {string} userAgent - User Agent браузера
  */
 const logFailedLogin = (username, reason, ip, userAgent) => {
-  const logMessage = `[${getFormattedTime()}] FAILED | Username: ${username} | Reason: ${reason} | IP: ${ip} | User-Agent: ${userAgent}\n`;
-
-  const filePath = path.join(logsDir, getLogFileName());
+  writeToFile(
+    `[${getFormattedTime()}] FAILED | Username: ${username} | Reason: ${reason} | IP: ${ip} | User-Agent: ${userAgent}\n`,
+    "невдалої авторизації"
+  );
 
-  fs.appendFile(filePath, logMessage, (err) => {
-    if (err) {
-      console.error("Помилка запису логу невдалої авторизації:", err);
-    }
+  persistEvent({
+    eventType: AUTH_EVENT_TYPES.LOGIN_FAILED,
+    username,
+    ipAddress: ip,
+    userAgent,
+    details: reason,
   });
 };
 
@@ -83,19 +138,196 @@ const logFailedLogin = (username, reason, ip, userAgent) => {
  * @param {string} userAgent - User Agent браузера
  */
 const logServerError = (username, errorMessage, ip, userAgent) => {
-  const logMessage = `[${getFormattedTime()}] ERROR | Username: ${username} | Error: ${errorMessage} | IP: ${ip} | User-Agent: ${userAgent}\n`;
+  writeToFile(
+    `[${getFormattedTime()}] ERROR | Username: ${username} | Error: ${errorMessage} | IP: ${ip} | User-Agent: ${userAgent}\n`,
+    "помилки сервера"
+  );
 
-  const filePath = path.join(logsDir, getLogFileName());
+  persistEvent({
+    eventType: AUTH_EVENT_TYPES.SERVER_ERROR,
+    username,
+    ipAddress: ip,
+    userAgent,
+    details: errorMessage,
+  });
+};
 
-  fs.appendFile(filePath, logMessage, (err) => {
-    if (err) {
-      console.error("Помилка запису логу помилки сервера:", err);
-    }
+/**
+ * Логує подію відновлення пароля
+ * @param {string} event - Подія: REQUESTED, COMPLETED або FAILED
+ * @param {string} username - Користувач
+ * @param {string|null} userId - ID користувача (null, якщо користувача не знайдено)
+ * @param {string} details - Деталі події
+ * @param {string} ip - IP адреса
+ * @param {string} userAgent - User Agent браузера
+ */
+const logPasswordReset = (event, username, userId, details, ip, userAgent) => {
+  writeToFile(
+    `[${getFormattedTime()}] PASSWORD_RESET_${event} | Username: ${username} | User ID: ${userId} | Details: ${details} | IP: ${ip} | User-Agent: ${userAgent}\n`,
+    "відновлення пароля"
+  );
+
+  persistEvent({
+    eventType: AUTH_EVENT_TYPES[`PASSWORD_RESET_${event}`],
+    userId,
+    username,
+    ipAddress: ip,
+    userAgent,
+    details,
+  });
+};
+
+/**
+ * Логує зміну пароля користувачем
+ * @param {string} username - Користувач
+ * @param {string} userId - ID користувача
+ * @param {string} ip - IP адреса
+ * @param {string} userAgent - User Agent браузера
+ */
+const logPasswordChange = (username, userId, ip, userAgent) => {
+  writeToFile(
+    `[${getFormattedTime()}] PASSWORD_CHANGED | Username: ${username} | User ID: ${userId} | IP: ${ip} | User-Agent: ${userAgent}\n`,
+    "зміни пароля"
+  );
+
+  persistEvent({
+    eventType: AUTH_EVENT_TYPES.PASSWORD_CHANGED,
+    userId,
+    username,
+    actorId: userId,
+    ipAddress: ip,
+    userAgent,
+  });
+};
+
+/**
+ * Логує зміну ролі користувача
+ * @param {Object} user - Користувач, роль якого змінено ({ id, username })
+ * @param {string} oldRole - Попередня роль
+ * @param {string} newRole - Нова роль
+ * @param {number} actorId - ID користувача, який змінив роль
+ * @param {string} ip - IP адреса
+ * @param {string} userAgent - User Agent браузера
+ */
+const logRoleChange = (user, oldRole, newRole, actorId, ip, userAgent) => {
+  writeToFile(
+    `[${getFormattedTime()}] ROLE_CHANGED | Username: ${user.username} | User ID: ${user.id} | Role: ${oldRole} -> ${newRole} | Actor ID: ${actorId} | IP: ${ip} | User-Agent: ${userAgent}\n`,
+    "зміни ролі"
+  );
+
+  persistEvent({
+    eventType: AUTH_EVENT_TYPES.ROLE_CHANGED,
+    userId: user.id,
+    username: user.username,
+    actorId,
+    ipAddress: ip,
+    userAgent,
+    details: `${oldRole} -> ${newRole}`,
+    metadata: { oldRole, newRole },
+  });
+};
+
+/**
+ * Логує активацію або деактивацію користувача
+ * @param {Object} user - Користувач ({ id, username })
+ * @param {boolean} isActive - Новий стан облікового запису
+ * @param {number} actorId - ID користувача, який виконав дію
+ * @param {string} ip - IP адреса
+ * @param {string} userAgent - User Agent браузера
+ */
+const logUserStatusChange = (user, isActive, actorId, ip, userAgent) => {
+  const eventType = isActive
+    ? AUTH_EVENT_TYPES.USER_ACTIVATED
+    : AUTH_EVENT_TYPES.USER_DEACTIVATED;
+
+  writeToFile(
+    `[${getFormattedTime()}] ${eventType} | Username: ${user.username} | User ID: ${user.id} | Actor ID: ${actorId} | IP: ${ip} | User-Agent: ${userAgent}\n`,
+    "зміни статусу користувача"
+  );
+
+  persistEvent({
+    eventType,
+    userId: user.id,
+    username: user.username,
+    actorId,
+    ipAddress: ip,
+    userAgent,
+  });
+};
+
+/**
+ * Логує початок або завершення імперсонації
+ * @param {string} event - Подія: STARTED або ENDED
+ * @param {Object} targetUser - Користувач, від імені якого виконується перегляд ({ id, username })
+ * @param {number} actorId - ID адміністратора (для ENDED - користувача, який завершив сесію)
+ * @param {number} impersonationId - ID сесії імперсонації
+ * @param {string} details - Причина або деталі
+ * @param {string} ip - IP адреса
+ * @param {string} userAgent - User Agent браузера
+ */
+const logImpersonation = (
+  event,
+  targetUser,
+  actorId,
+  impersonationId,
+  details,
+  ip,
+  userAgent
+) => {
+  writeToFile(
+    `[${getFormattedTime()}] IMPERSONATION_${event} | Username: ${targetUser.username} | User ID: ${targetUser.id} | Actor ID: ${actorId} | Impersonation ID: ${impersonationId} | Details: ${details} | IP: ${ip} | User-Agent: ${userAgent}\n`,
+    "імперсонації"
+  );
+
+  persistEvent({
+    eventType: AUTH_EVENT_TYPES[`IMPERSONATION_${event}`],
+    userId: targetUser.id,
+    username: targetUser.username,
+    actorId,
+    ipAddress: ip,
+    userAgent,
+    details,
+    metadata: { impersonationId },
+  });
+};
+
+/**
+ * Логує відкликання сесій користувача (однієї або кількох)
+ * @param {Object} user - Власник сесій ({ id, username })
+ * @param {number} actorId - ID користувача, який відкликав сесії
+ * @param {Array<number>|string} sessionIds - ID відкликаних сесій або опис ("all", "others")
+ * @param {string} ip - IP адреса
+ * @param {string} userAgent - User Agent браузера
+ */
+const logSessionRevocation = (user, actorId, sessionIds, ip, userAgent) => {
+  const sessions = Array.isArray(sessionIds) ? sessionIds.join(",") : sessionIds;
+
+  writeToFile(
+    `[${getFormattedTime()}] SESSION_REVOKED | Username: ${user.username} | User ID: ${user.id} | Sessions: ${sessions} | Actor ID: ${actorId} | IP: ${ip} | User-Agent: ${userAgent}\n`,
+    "відкликання сесій"
+  );
+
+  persistEvent({
+    eventType: AUTH_EVENT_TYPES.SESSION_REVOKED,
+    userId: user.id,
+    username: user.username,
+    actorId,
+    ipAddress: ip,
+    userAgent,
+    details: `Сесії: ${sessions}`,
+    metadata: { sessions: sessionIds },
   });
 };
 
 module.exports = {
+  AUTH_EVENT_TYPES,
   logSuccessfulLogin,
   logFailedLogin,
   logServerError,
+  logPasswordReset,
+  logPasswordChange,
+  logRoleChange,
+  logUserStatusChange,
+  logImpersonation,
+  logSessionRevocation,
 };
@@ -0,0 +1,253 @@
+/**
+ * Курсорна (keyset) пагінація для великих списків
+ * Альтернатива LIMIT/OFFSET: сторінка продовжується від останнього запису
+ * попередньої за парою (поле сортування, id), тому нові записи не зсувають сторінки
+ *
+ * Курсор - непрозорий рядок (base64url JSON), що містить значення поля сортування
+ * та id граничного запису, напрямок (next/prev) і параметри сортування;
+ * параметри сортування наступних сторінок беруться з курсора
+ *
+ * Поле сортування в курсорному режимі має бути NOT NULL. Поля, придатні для курсора,
+ * моделі описують об'єктом { поле: тип } (integer, number, date, string): курсор
+ * приходить від клієнта, тому значення перевіряється за типом поля до підстановки в SQL
+ */
+
+// Назва службової колонки з текстовим значенням поля сортування
+const CURSOR_VALUE_COLUMN = "cursor_sort_value";
+
+// Межі INTEGER у PostgreSQL (id та цілі поля сортування)
+const PG_INTEGER_MIN = -2147483648;
+const PG_INTEGER_MAX = 2147483647;
+
+// Текстове подання TIMESTAMP у PostgreSQL (2024-05-01 10:00:00.123456) або дата
+const TIMESTAMP_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2})(?:\.\d{1,6})?)?$/;
+
+/**
+ * Перевіряє, що значення є існуючою датою/часом, яку прийме PostgreSQL
+ * @param {string} value - Значення з курсора
+ * @returns {boolean}
+ */
+const isValidTimestamp = (value) => {
+  const match = TIMESTAMP_PATTERN.exec(value);
+  if (!match) {
+    return false;
+  }
+
+  const [year, month, day, hours, minutes, seconds] = match
+    .slice(1)
+    .map((part) => Number(part || 0));
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day &&
+    date.getUTCHours() === hours &&
+    date.getUTCMinutes() === minutes &&
+    date.getUTCSeconds() === seconds
+  );
+};
+
+/**
+ * Перевірки значення поля сортування з курсора за типом поля
+ */
+const CURSOR_VALUE_VALIDATORS = {
+  integer: (value) =>
+    /^-?\d+$/.test(value) &&
+    Number(value) >= PG_INTEGER_MIN &&
+    Number(value) <= PG_INTEGER_MAX,
+  number: (value) => /^-?\d+(\.\d+)?$/.test(value),
+  date: isValidTimestamp,
+  // Нульовий байт PostgreSQL не приймає в текстових параметрах
+  string: (value) => !value.includes("\u0000"),
+};
+
+/**
+ * Кодує курсор
+ * @param {Object} payload - { v, id, d, s, o }
+ * @returns {string} Непрозорий курсор
+ */
+const encodeCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+/**
+ * Декодує курсор
+ * @param {string} token - Курсор із запиту
+ * @returns {Object|null} { v, id, d, s, o } або null, якщо курсор недійсний
+ */
+const decodeCursor = (token) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"));
+    const valid =
+      payload &&
+      typeof payload.v === "string" &&
+      Number.isInteger(payload.id) &&
+      payload.id >= PG_INTEGER_MIN &&
+      payload.id <= PG_INTEGER_MAX &&
+      ["next", "prev"].includes(payload.d) &&
+      typeof payload.s === "string" &&
+      ["ASC", "DESC"].includes(payload.o);
+    return valid ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Зчитує параметри курсорної пагінації із query запиту
+ * Режим вмикається параметром pagination=cursor або наявністю cursor
+ * @param {Object} query - req.query
+ * @param {Object} sortFields - Поля, придатні для курсора: { поле: тип }
+ * @returns {Object} { enabled, cursor, includeTotal, error }
+ */
+const parseCursorQuery = (query, sortFields) => {
+  const enabled = query.pagination === "cursor" || query.cursor !== undefined;
+  if (!enabled) {
+    return { enabled: false };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    const validator =
+      cursor &&
+      Object.hasOwn(sortFields, cursor.s) &&
+      CURSOR_VALUE_VALIDATORS[sortFields[cursor.s]];
+    if (!validator || !validator(cursor.v)) {
+      return { enabled: true, error: "Недійсний курсор пагінації" };
+    }
+  }
+
+  return {
+    enabled: true,
+    cursor,
+    includeTotal: query.includeTotal === "true",
+  };
+};
+
+/**
+ * Визначає сортування для курсорного режиму
+ * Для наступних сторінок сортування береться з курсора; поле, якого немає
+ * серед дозволених (NOT NULL) полів, замінюється на defaultSortBy
+ * @param {Object} options - Параметри
+ * @param {Object|null} options.cursor - Декодований курсор
+ * @param {string} options.sortBy - Поле сортування із запиту
+ * @param {string} options.sortOrder - Порядок сортування із запиту
+ * @param {Object} options.sortFields - Поля, придатні для курсора: { поле: тип }
+ * @param {string} [options.defaultSortBy="created_at"] - Поле за замовчуванням
+ * @returns {Object} { sortBy, sortOrder } (sortOrder - ASC/DESC)
+ */
+const resolveCursorSort = ({
+  cursor,
+  sortBy,
+  sortOrder,
+  sortFields,
+  defaultSortBy = "created_at",
+}) => {
+  const requestedBy = cursor ? cursor.s : sortBy;
+  const requestedOrder = cursor ? cursor.o : String(sortOrder || "desc").toUpperCase();
+
+  return {
+    sortBy: Object.hasOwn(sortFields, requestedBy) ? requestedBy : defaultSortBy,
+    sortOrder: requestedOrder === "ASC" ? "ASC" : "DESC",
+  };
+};
+
+/**
+ * Будує частини SQL запиту для сторінки
+ * @param {Object} options - Параметри
+ * @param {string} options.sortExpr - SQL вираз поля сортування (наприклад, "r.created_at")
+ * @param {string} options.idExpr - SQL вираз id (наприклад, "r.id")
+ * @param {string} options.sortOrder - ASC або DESC
+ * @param {Object|null} options.cursor - Декодований курсор
+ * @param {number} options.limit - Розмір сторінки
+ * @param {number} options.paramIndex - Наступний індекс параметра
+ * @returns {Object} { select, condition, orderBy, limitClause, params, paramIndex }
+ */
+const buildKeysetQuery = ({ sortExpr, idExpr, sortOrder, cursor, limit, paramIndex }) => {
+  // Для попередньої сторінки йдемо у зворотному порядку, потім розвертаємо результат
+  const backward = cursor && cursor.d === "prev";
+  const order = backward ? (sortOrder === "ASC" ? "DESC" : "ASC") : sortOrder;
+  const params = [];
+  let condition = null;
+
+  if (cursor) {
+    const operator = order === "ASC" ? ">" : "<";
+    condition = `(${sortExpr}, ${idExpr}) ${operator} ($${paramIndex++}, $${paramIndex++})`;
+    params.push(cursor.v, cursor.id);
+  }
+
+  // Зайвий запис показує, чи є ще сторінка в цьому напрямку
+  const limitClause = `LIMIT $${paramIndex++}`;
+  params.push(parseInt(limit) + 1);
+
+  return {
+    select: `(${sortExpr})::text as ${CURSOR_VALUE_COLUMN}`,
+    condition,
+    orderBy: `${sortExpr} ${order}, ${idExpr} ${order}`,
+    limitClause,
+    params,
+    paramIndex,
+  };
+};
+
+/**
+ * Формує сторінку та курсори з результату запиту, побудованого buildKeysetQuery
+ * @param {Array<Object>} rows - Рядки результату (limit + 1)
+ * @param {Object} options - Параметри
+ * @param {number} options.limit - Розмір сторінки
+ * @param {Object|null} options.cursor - Декодований курсор запиту
+ * @param {string} options.sortBy - Поле сортування
+ * @param {string} options.sortOrder - ASC або DESC
+ * @returns {Object} { rows, pagination: { mode, limit, has_more, next_cursor, prev_cursor } }
+ */
+const buildCursorPage = (rows, { limit, cursor, sortBy, sortOrder }) => {
+  const pageSize = parseInt(limit);
+  const backward = cursor && cursor.d === "prev";
+  const hasMore = rows.length > pageSize;
+
+  let pageRows = rows.slice(0, pageSize);
+  if (backward) {
+    pageRows = pageRows.reverse();
+  }
+
+  const makeCursor = (row, direction) =>
+    encodeCursor({
+      v: row[CURSOR_VALUE_COLUMN],
+      id: row.id,
+      d: direction,
+      s: sortBy,
+      o: sortOrder,
+    });
+
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+
+  // Вперед: наступна сторінка є, якщо знайдено зайвий запис; попередня - якщо прийшли за курсором
+  // Назад: навпаки
+  const hasNext = backward ? Boolean(cursor) : hasMore;
+  const hasPrev = backward ? hasMore : Boolean(cursor);
+
+  const data = pageRows.map(({ [CURSOR_VALUE_COLUMN]: _, ...row }) => row);
+
+  return {
+    rows: data,
+    pagination: {
+      mode: "cursor",
+      limit: pageSize,
+      has_more: hasNext,
+      next_cursor: hasNext && last ? makeCursor(last, "next") : null,
+      prev_cursor: hasPrev && first ? makeCursor(first, "prev") : null,
+    },
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parseCursorQuery,
+  resolveCursorSort,
+  buildKeysetQuery,
+  buildCursorPage,
+};
@@ -0,0 +1,152 @@
+/**
+ * Утиліти рядкового обмеження доступу до даних (row-level scoping)
+ * Область видимості визначається тільки з req.user (роль та команда),
+ * тому параметри teamId/userId із запиту не можуть її розширити
+ */
+
+/**
+ * Рівні області видимості даних
+ */
+const SCOPE_LEVELS = {
+  ALL: "all", // Усі записи
+  TEAM: "team", // Записи своєї команди
+  OWN: "own", // Тільки власні записи
+  NONE: "none", // Жодного запису (наприклад, тімлід без команди)
+};
+
+/**
+ * Ролі з доступом до записів усіх команд
+ */
+const FULL_ACCESS_ROLES = [
+  "admin",
+  "bizdev",
+  "finance_manager",
+  "integrator",
+  "affiliate_manager",
+];
+
+/**
+ * Визначає область видимості даних для користувача
+ * @param {Object} user - Користувач із req.user
+ * @param {number} user.id - ID користувача
+ * @param {string} user.role - Роль користувача
+ * @param {number|null} user.teamId - ID команди користувача
+ * @param {boolean} [user.isService] - Чи є користувач сервісним принципалом (API ключ)
+ * @param {boolean} [user.permissionGranted] - Чи підтверджено дозвіл ключа на цьому маршруті
+ * @returns {Object} Область видимості { level, teamId?, userId? }
+ */
+const getDataScope = (user) => {
+  if (!user) {
+    return { level: SCOPE_LEVELS.NONE };
+  }
+
+  // Сервісні інтеграції (API ключі) бачать усі записи лише на маршрутах,
+  // де requirePermission підтвердив дозвіл ключа
+  if (user.isService) {
+    return {
+      level: user.permissionGranted ? SCOPE_LEVELS.ALL : SCOPE_LEVELS.NONE,
+    };
+  }
+
+  if (FULL_ACCESS_ROLES.includes(user.role)) {
+    return { level: SCOPE_LEVELS.ALL };
+  }
+
+  if (user.role === "teamlead") {
+    return user.teamId
+      ? { level: SCOPE_LEVELS.TEAM, teamId: user.teamId }
+      : { level: SCOPE_LEVELS.NONE };
+  }
+
+  return { level: SCOPE_LEVELS.OWN, userId: user.id, teamId: user.teamId };
+};
+
+/**
+ * Додає умову області видимості до списку SQL умов моделі
+ * @param {Object|undefined} scope - Область видимості (undefined - без обмежень)
+ * @param {Object} columns - Колонки для фільтрації
+ * @param {string} columns.team - Колонка ID команди (наприклад, "r.team_id")
+ * @param {string|Function} columns.user - Колонка ID користувача або функція,
+ *   що повертає SQL умову для переданого плейсхолдера
+ * @param {Array<string>} conditions - Масив умов WHERE (змінюється)
+ * @param {Array} params - Масив параметрів запиту (змінюється)
+ * @param {number} paramIndex - Поточний індекс параметра
+ * @returns {number} Оновлений індекс параметра
+ */
+const applyDataScope = (scope, columns, conditions, params, paramIndex) => {
+  if (!scope || scope.level === SCOPE_LEVELS.ALL) {
+    return paramIndex;
+  }
+
+  if (scope.level === SCOPE_LEVELS.TEAM && columns.team) {
+    conditions.push(`${columns.team} = $${paramIndex++}`);
+    params.push(scope.teamId);
+    return paramIndex;
+  }
+
+  if (scope.level === SCOPE_LEVELS.OWN && columns.user) {
+    const placeholder = `$${paramIndex++}`;
+    conditions.push(
+      typeof columns.user === "function"
+        ? columns.user(placeholder)
+        : `${columns.user} = ${placeholder}`
+    );
+    params.push(scope.userId);
+    return paramIndex;
+  }
+
+  // Немає колонки для цього рівня або рівень "none" - нічого не показуємо
+  conditions.push("FALSE");
+  return paramIndex;
+};
+
+/**
+ * Перевіряє, чи входить команда або користувач до області видимості
+ * @param {Object} scope - Область видимості
+ * @param {Object} target - Об'єкт перевірки
+ * @param {number} [target.teamId] - ID команди
+ * @param {number} [target.userId] - ID користувача
+ * @returns {boolean} Чи доступний об'єкт
+ */
+const isInScope = (scope, { teamId, userId } = {}) => {
+  switch (scope.level) {
+    case SCOPE_LEVELS.ALL:
+      return true;
+    case SCOPE_LEVELS.TEAM:
+      return teamId !== undefined && parseInt(teamId) === scope.teamId;
+    case SCOPE_LEVELS.OWN:
+      return userId !== undefined && parseInt(userId) === scope.userId;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Обмежує прості фільтри teamId/userId областю видимості
+ * (для моделей, що приймають фільтри замість scope)
+ * @param {Object} scope - Область видимості
+ * @param {Object} filters - Фільтри з параметрів запиту
+ * @param {number} [filters.teamId] - ID команди
+ * @param {number} [filters.userId] - ID користувача
+ * @returns {Object|null} Фільтри { teamId, userId } або null, якщо даних немає
+ */
+const restrictFilters = (scope, { teamId, userId } = {}) => {
+  switch (scope.level) {
+    case SCOPE_LEVELS.ALL:
+      return { teamId, userId };
+    case SCOPE_LEVELS.TEAM:
+      return { teamId: scope.teamId, userId };
+    case SCOPE_LEVELS.OWN:
+      return { teamId, userId: scope.userId };
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  SCOPE_LEVELS,
+  getDataScope,
+  applyDataScope,
+  isInScope,
+  restrictFilters,
+};
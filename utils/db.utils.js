@@ -108,17 +108,24 @@ const buildInsertQuery = (table, data) => {
 };
 
 /**
- * Створює параметризований запит на основі умов
- * @param {string} baseQuery - Базовий SQL запит
+ * Екранує спецсимволи LIKE (\, % та _), щоб значення фільтра шукалося буквально
+ * @param {string} value - Значення фільтра
+ * @returns {string} Екрановане значення (для ILIKE ... ESCAPE '\')
+ */
+const escapeLikePattern = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Додає умови фільтрації до списку SQL умов
+ * Ключі фільтрів - SQL колонки, тому вони мають братися лише з білого списку
+ * (див. utils/listQuery)
  * @param {Object} filters - Об'єкт з умовами фільтрації
- * @param {Object} options - Додаткові опції (сортування, пагінація)
- * @returns {Object} Об'єкт з текстом запиту і параметрами
+ *   ({ колонка: значення } або { колонка: { оператор: значення } })
+ * @param {Array<string>} conditions - Масив умов WHERE (змінюється)
+ * @param {Array} params - Масив параметрів запиту (змінюється)
+ * @param {number} paramIndex - Поточний індекс параметра
+ * @returns {number} Оновлений індекс параметра
  */
-const buildFilteredQuery = (baseQuery, filters = {}, options = {}) => {
-  const conditions = [];
-  const params = [];
-  let paramIndex = 1;
-  
+const applyFilterConditions = (filters = {}, conditions, params, paramIndex) => {
   // Розбір фільтрів і створення умов WHERE
   Object.entries(filters).forEach(([key, value]) => {
     if (value !== undefined && value !== null) {
@@ -153,8 +160,8 @@ const buildFilteredQuery = (baseQuery, filters = {}, options = {}) => {
                 params.push(opValue);
                 break;
               case 'like': // LIKE
-                conditions.push(`${key} ILIKE $${paramIndex++}`);
-                params.push(`%${opValue}%`);
+                conditions.push(`${key} ILIKE $${paramIndex++} ESCAPE '\\'`);
+                params.push(`%${escapeLikePattern(opValue)}%`);
                 break;
               case 'in': // IN
                 if (Array.isArray(opValue) && opValue.length > 0) {
@@ -178,6 +185,21 @@ const buildFilteredQuery = (baseQuery, filters = {}, options = {}) => {
       }
     }
   });
+
+  return paramIndex;
+};
+
+/**
+ * Створює параметризований запит на основі умов
+ * @param {string} baseQuery - Базовий SQL запит
+ * @param {Object} filters - Об'єкт з умовами фільтрації
+ * @param {Object} options - Додаткові опції (сортування, пагінація)
+ * @returns {Object} Об'єкт з текстом запиту і параметрами
+ */
+const buildFilteredQuery = (baseQuery, filters = {}, options = {}) => {
+  const conditions = [];
+  const params = [];
+  let paramIndex = applyFilterConditions(filters, conditions, params, 1);
   
   // Формування повного запиту
   let query = baseQuery;
@@ -248,6 +270,7 @@ module.exports = {
   withTransaction,
   buildUpdateQuery,
   buildInsertQuery,
+  applyFilterConditions,
   buildFilteredQuery,
   buildJoinQuery
 };
\ No newline at end of file
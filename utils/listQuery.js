@@ -0,0 +1,214 @@
+/**
+ * Єдина мова фільтрації та сортування для списків
+ *
+ *   ?filter[amount][gte]=100&filter[status][in]=a,b&filter[type]=Brand&sort=-created_at
+ *
+ * filter[поле][оператор]=значення (без оператора - eq); sort=поле або -поле (desc)
+ * Поля, їх типи та допустимі оператори задаються специфікацією ресурсу в моделі
+ * (LIST_QUERY_SPEC); усе, чого немає в специфікації, відхиляється. Результат
+ * розбору - фільтри для applyFilterConditions (utils/db.utils) з ключами-колонками
+ * та sortBy/sortOrder для наявних параметрів моделі
+ */
+
+// Максимальна кількість значень в операторі in
+const MAX_IN_VALUES = 100;
+
+// Дата або дата з часом у форматі ISO 8601 (2024-05-01, 2024-05-01T10:00:00Z)
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Оператори, доступні за замовчуванням для типів полів
+ */
+const DEFAULT_OPERATORS = {
+  string: ["eq", "neq", "like", "in"],
+  integer: ["eq", "neq", "gt", "gte", "lt", "lte", "in"],
+  number: ["eq", "neq", "gt", "gte", "lt", "lte"],
+  date: ["eq", "gt", "gte", "lt", "lte"],
+  boolean: ["eq"],
+};
+
+/**
+ * Перевіряє дату у форматі ISO 8601, яку прийме PostgreSQL
+ * Date.parse тут недостатньо: він приймає "1" чи "May 5" і переносить 2024-02-30 на березень
+ * @param {string} value - Значення фільтра
+ * @returns {boolean}
+ */
+const isValidIsoDate = (value) => {
+  if (!ISO_DATE_PATTERN.test(value) || isNaN(Date.parse(value))) {
+    return false;
+  }
+
+  const datePart = value.slice(0, 10);
+  const calendarDate = new Date(`${datePart}T00:00:00Z`);
+  return !isNaN(calendarDate) && calendarDate.toISOString().slice(0, 10) === datePart;
+};
+
+/**
+ * Перетворення значень фільтрів за типом поля
+ * Повертають undefined для недійсного значення
+ */
+const VALUE_PARSERS = {
+  string: (value) => value,
+  integer: (value) => (/^-?\d+$/.test(value) ? parseInt(value) : undefined),
+  // Числа передаються рядком, щоб PostgreSQL порівнював NUMERIC без втрати точності
+  number: (value) => (/^-?\d+(\.\d+)?$/.test(value) ? value : undefined),
+  date: (value) => (isValidIsoDate(value) ? value : undefined),
+  boolean: (value) =>
+    value === "true" ? true : value === "false" ? false : undefined,
+};
+
+/**
+ * Збирає фільтри із query запиту
+ * Підтримує як ключі "filter[поле][оператор]" (простий парсер query Express),
+ * так і вкладений об'єкт filter (розширений парсер)
+ * @param {Object} query - req.query
+ * @returns {Array<Object>} [{ field, operator, value, param }]
+ */
+const collectFilters = (query) => {
+  const entries = [];
+
+  if (query.filter && typeof query.filter === "object" && !Array.isArray(query.filter)) {
+    Object.entries(query.filter).forEach(([field, value]) => {
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        Object.entries(value).forEach(([operator, opValue]) => {
+          entries.push({
+            field,
+            operator,
+            value: opValue,
+            param: `filter[${field}][${operator}]`,
+          });
+        });
+      } else {
+        entries.push({ field, operator: "eq", value, param: `filter[${field}]` });
+      }
+    });
+  }
+
+  Object.keys(query).forEach((key) => {
+    const match = key.match(/^filter\[([^\]]+)\](?:\[([^\]]+)\])?$/);
+    if (match) {
+      entries.push({
+        field: match[1],
+        operator: match[2] || "eq",
+        value: query[key],
+        param: key,
+      });
+    }
+  });
+
+  return entries;
+};
+
+/**
+ * Розбирає параметр sort
+ * @param {string|undefined} sort - Значення sort (наприклад, "-created_at")
+ * @param {Array<string>} allowedFields - Дозволені поля сортування
+ * @returns {Object} { sort: { sortBy, sortOrder } | null, error }
+ */
+const parseSort = (sort, allowedFields) => {
+  if (sort === undefined || sort === "") {
+    return { sort: null };
+  }
+
+  if (typeof sort !== "string" || sort.includes(",")) {
+    return { error: "Сортування можливе лише за одним полем" };
+  }
+
+  const descending = sort.startsWith("-");
+  const field = descending ? sort.slice(1) : sort;
+
+  if (!allowedFields.includes(field)) {
+    return {
+      error: `Дозволені поля сортування: ${allowedFields.join(", ")}`,
+    };
+  }
+
+  return { sort: { sortBy: field, sortOrder: descending ? "desc" : "asc" } };
+};
+
+/**
+ * Розбирає фільтри та сортування списку за специфікацією ресурсу
+ * @param {Object} query - req.query
+ * @param {Object} spec - Специфікація ресурсу
+ * @param {Object} spec.filters - { поле: { column, type, operators?, values? } }
+ *   column - SQL вираз, type - string|integer|number|date|boolean,
+ *   operators - допустимі оператори (за замовчуванням за типом),
+ *   values - допустимі значення (для перелічуваних полів)
+ * @param {Array<string>} spec.sort - Дозволені поля сортування
+ * @returns {Object} { filters, sort, errors } (errors - у форматі { param, msg })
+ */
+const parseListQuery = (query, spec) => {
+  const filters = {};
+  const errors = [];
+
+  collectFilters(query).forEach(({ field, operator, value, param }) => {
+    const fieldSpec = spec.filters[field];
+    if (!fieldSpec) {
+      errors.push({
+        param,
+        msg: `Фільтрація за полем ${field} недоступна. Дозволені поля: ${Object.keys(spec.filters).join(", ")}`,
+      });
+      return;
+    }
+
+    const operators = fieldSpec.operators || DEFAULT_OPERATORS[fieldSpec.type];
+    if (!operators.includes(operator)) {
+      errors.push({
+        param,
+        msg: `Оператор ${operator} недоступний для поля ${field}. Дозволені: ${operators.join(", ")}`,
+      });
+      return;
+    }
+
+    // Для in значення передаються через кому або повторенням параметра
+    const rawValues =
+      operator === "in"
+        ? [].concat(value).flatMap((item) => String(item).split(","))
+        : [value];
+
+    if (rawValues.some((item) => typeof item !== "string")) {
+      errors.push({ param, msg: "Параметр фільтра має бути передано один раз" });
+      return;
+    }
+
+    if (operator === "in" && rawValues.length > MAX_IN_VALUES) {
+      errors.push({ param, msg: `Не більше ${MAX_IN_VALUES} значень` });
+      return;
+    }
+
+    const parsedValues = rawValues.map((item) =>
+      VALUE_PARSERS[fieldSpec.type](item.trim())
+    );
+    const invalid = parsedValues.some(
+      (item) =>
+        item === undefined ||
+        item === "" ||
+        (fieldSpec.values && !fieldSpec.values.includes(item))
+    );
+    if (invalid) {
+      errors.push({
+        param,
+        msg: fieldSpec.values
+          ? `Дозволені значення: ${fieldSpec.values.join(", ")}`
+          : `Недійсне значення для поля ${field} (${fieldSpec.type})`,
+      });
+      return;
+    }
+
+    filters[fieldSpec.column] = {
+      ...filters[fieldSpec.column],
+      [operator]: operator === "in" ? parsedValues : parsedValues[0],
+    };
+  });
+
+  const { sort, error: sortError } = parseSort(query.sort, spec.sort);
+  if (sortError) {
+    errors.push({ param: "sort", msg: sortError });
+  }
+
+  return { filters, sort: sort || null, errors };
+};
+
+module.exports = {
+  parseListQuery,
+};
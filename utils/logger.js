@@ -0,0 +1,108 @@
+/**
+ * Структурований логер: один JSON-рядок на запис
+ * Кожен запис містить час, рівень, повідомлення та correlation ID поточного
+ * HTTP запиту (якщо запис зроблено в межах запиту), що дозволяє відстежити
+ * один виклик API через middleware, контролери та запити до БД
+ *
+ * Рівень задається змінною LOG_LEVEL (error, warn, info, debug);
+ * за замовчуванням debug у development та info в інших середовищах
+ */
+const { getRequestId } = require("./requestContext");
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3,
+};
+
+const DEFAULT_LEVEL = process.env.NODE_ENV === "development" ? "debug" : "info";
+
+/**
+ * Визначає поточний рівень логування
+ * @returns {number} Числовий рівень
+ */
+const getThreshold = () => {
+  const level = (process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+  return LEVELS[level] !== undefined ? LEVELS[level] : LEVELS[DEFAULT_LEVEL];
+};
+
+/**
+ * Перетворює помилку на об'єкт, придатний для JSON
+ * @param {Error} err - Помилка
+ * @returns {Object} { name, message, code, stack }
+ */
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  code: err.code,
+  stack: err.stack,
+});
+
+/**
+ * Серіалізує додаткові поля запису (помилки розгортаються окремо)
+ * @param {Object} fields - Додаткові поля
+ * @returns {Object} Поля, придатні для JSON
+ */
+const serializeFields = (fields) => {
+  if (fields instanceof Error) {
+    return { error: serializeError(fields) };
+  }
+  if (fields !== undefined && (fields === null || typeof fields !== "object")) {
+    return { value: fields };
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    result[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return result;
+};
+
+/**
+ * Записує подію у stdout (error та warn - у stderr)
+ * @param {string} level - Рівень (error, warn, info, debug)
+ * @param {string} message - Повідомлення
+ * @param {Object|Error} [fields] - Додаткові поля або помилка
+ */
+const log = (level, message, fields) => {
+  if (LEVELS[level] > getThreshold()) return;
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+  };
+
+  const requestId = getRequestId();
+  if (requestId) {
+    entry.requestId = requestId;
+  }
+
+  Object.assign(entry, serializeFields(fields));
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (err) {
+    // Циклічні посилання чи BigInt не повинні ламати обробку запиту
+    line = JSON.stringify({
+      timestamp: entry.timestamp,
+      level,
+      message,
+      requestId: entry.requestId,
+      logError: err.message,
+    });
+  }
+
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+module.exports = {
+  LEVELS,
+  error: (message, fields) => log("error", message, fields),
+  warn: (message, fields) => log("warn", message, fields),
+  info: (message, fields) => log("info", message, fields),
+  debug: (message, fields) => log("debug", message, fields),
+};
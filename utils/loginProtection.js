@@ -0,0 +1,128 @@
+// utils/loginProtection.js
+const { LOGIN_PROTECTION } = require("../config/config");
+const loginProtectionModel = require("../models/login.protection.model");
+
+/**
+ * Нормалізує ім'я користувача для ключа блокування
+ * @param {string} username - Ім'я користувача або email
+ * @returns {string} Нормалізоване значення
+ */
+const normalizeUsername = (username) => {
+  return String(username || "unknown")
+    .trim()
+    .toLowerCase();
+};
+
+/**
+ * Формує ключі блокування для спроби входу
+ * @param {string} username - Ім'я користувача
+ * @param {string} ip - IP адреса
+ * @returns {Array<Object>} Масив { type, value }
+ */
+const getScopes = (username, ip) => {
+  return [
+    { type: "username", value: normalizeUsername(username) },
+    { type: "ip", value: String(ip || "unknown") },
+  ];
+};
+
+/**
+ * Перевіряє, чи заблоковано вхід для username або IP
+ * @param {string} username - Ім'я користувача
+ * @param {string} ip - IP адреса
+ * @returns {Promise<Object|null>} { lockedUntil, retryAfterSeconds } або null
+ */
+const checkLockout = async (username, ip) => {
+  const lockout = await loginProtectionModel.getActiveLockout(
+    getScopes(username, ip)
+  );
+
+  if (!lockout) {
+    return null;
+  }
+
+  const lockedUntil = new Date(lockout.locked_until);
+
+  return {
+    lockedUntil,
+    retryAfterSeconds: Math.max(
+      1,
+      Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)
+    ),
+  };
+};
+
+/**
+ * Реєструє невдалу спробу входу та оновлює лічильники блокування
+ * @param {Object} attempt - Дані спроби
+ * @param {string} attempt.username - Ім'я користувача
+ * @param {string} attempt.ip - IP адреса
+ * @param {string} attempt.userAgent - User Agent
+ * @param {string} attempt.reason - Причина невдачі
+ * @returns {Promise<void>}
+ */
+const registerFailedLogin = async ({ username, ip, userAgent, reason }) => {
+  await loginProtectionModel.recordAttempt({
+    username,
+    ipAddress: ip,
+    userAgent,
+    success: false,
+    reason,
+  });
+
+  for (const scope of getScopes(username, ip)) {
+    await loginProtectionModel.registerFailure(
+      scope.type,
+      scope.value,
+      LOGIN_PROTECTION
+    );
+  }
+};
+
+/**
+ * Реєструє завершений вхід (після всіх кроків, включно з 2FA)
+ * та скидає лічильники для username та email користувача
+ * @param {Object} attempt - Дані спроби
+ * @param {Object} attempt.user - Користувач
+ * @param {string} attempt.ip - IP адреса
+ * @param {string} attempt.userAgent - User Agent
+ * @returns {Promise<void>}
+ */
+const registerSuccessfulLogin = async ({ user, ip, userAgent }) => {
+  await loginProtectionModel.recordAttempt({
+    username: user.username,
+    ipAddress: ip,
+    userAgent,
+    success: true,
+    userId: user.id,
+  });
+
+  // Вхід можливий як за username, так і за email
+  for (const login of [user.username, user.email]) {
+    if (login) {
+      await loginProtectionModel.resetFailures(
+        "username",
+        normalizeUsername(login)
+      );
+    }
+  }
+};
+
+/**
+ * Знімає блокування входу за ім'ям користувача (наприклад, після відновлення пароля)
+ * @param {string} username - Ім'я користувача
+ * @returns {Promise<void>}
+ */
+const clearUsernameLockout = async (username) => {
+  await loginProtectionModel.clearLockout(
+    "username",
+    normalizeUsername(username)
+  );
+};
+
+module.exports = {
+  checkLockout,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  clearUsernameLockout,
+};
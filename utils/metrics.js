@@ -0,0 +1,224 @@
+/**
+ * Метрики застосунку у текстовому форматі Prometheus
+ * Невеликий реєстр лічильників, гістограм та gauge-метрик у пам'яті процесу;
+ * значення gauge-метрик обчислюються в момент запиту /metrics
+ */
+
+const counters = new Map();
+const histograms = new Map();
+const gauges = new Map();
+
+// Межі гістограми тривалості HTTP запитів (секунди)
+const DEFAULT_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Екранує значення мітки за правилами формату Prometheus
+ * @param {any} value - Значення мітки
+ * @returns {string} Екрановане значення
+ */
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+/**
+ * Формує рядок міток {name="value",...}
+ * @param {Object} labels - Мітки
+ * @returns {string} Рядок міток або порожній рядок
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return "";
+  return `{${entries
+    .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+};
+
+/**
+ * Ключ серії для набору міток (порядок міток визначає labelNames)
+ * @param {Array<string>} labelNames - Назви міток метрики
+ * @param {Object} labels - Значення міток
+ * @returns {string} Ключ серії
+ */
+const seriesKey = (labelNames, labels = {}) =>
+  JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+
+/**
+ * Повертає мітки серії у порядку labelNames
+ * @param {Array<string>} labelNames - Назви міток метрики
+ * @param {Object} labels - Значення міток
+ * @returns {Object} Мітки
+ */
+const pickLabels = (labelNames, labels = {}) =>
+  Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+
+/**
+ * Реєструє лічильник
+ * @param {Object} options - Параметри метрики
+ * @param {string} options.name - Назва метрики
+ * @param {string} options.help - Опис метрики
+ * @param {Array<string>} [options.labelNames] - Назви міток
+ * @returns {Object} Лічильник з методом inc(labels, value)
+ */
+const createCounter = ({ name, help, labelNames = [] }) => {
+  const metric = { name, help, labelNames, series: new Map() };
+  counters.set(name, metric);
+
+  return {
+    inc: (labels, value = 1) => {
+      const key = seriesKey(labelNames, labels);
+      const series = metric.series.get(key) || {
+        labels: pickLabels(labelNames, labels),
+        value: 0,
+      };
+      series.value += value;
+      metric.series.set(key, series);
+    },
+  };
+};
+
+/**
+ * Реєструє гістограму
+ * @param {Object} options - Параметри метрики
+ * @param {string} options.name - Назва метрики
+ * @param {string} options.help - Опис метрики
+ * @param {Array<string>} [options.labelNames] - Назви міток
+ * @param {Array<number>} [options.buckets] - Верхні межі кошиків
+ * @returns {Object} Гістограма з методом observe(labels, value)
+ */
+const createHistogram = ({
+  name,
+  help,
+  labelNames = [],
+  buckets = DEFAULT_DURATION_BUCKETS,
+}) => {
+  const metric = { name, help, labelNames, buckets, series: new Map() };
+  histograms.set(name, metric);
+
+  return {
+    observe: (labels, value) => {
+      const key = seriesKey(labelNames, labels);
+      let series = metric.series.get(key);
+      if (!series) {
+        series = {
+          labels: pickLabels(labelNames, labels),
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        };
+        metric.series.set(key, series);
+      }
+
+      buckets.forEach((bound, index) => {
+        if (value <= bound) series.counts[index]++;
+      });
+      series.sum += value;
+      series.count++;
+    },
+  };
+};
+
+/**
+ * Реєструє gauge-метрику, значення якої обчислюються під час збору
+ * @param {Object} options - Параметри метрики
+ * @param {string} options.name - Назва метрики
+ * @param {string} options.help - Опис метрики
+ * @param {Function} options.collect - Повертає число або масив { labels, value }
+ */
+const registerGauge = ({ name, help, collect }) => {
+  gauges.set(name, { name, help, collect });
+};
+
+/**
+ * Формує всі метрики у текстовому форматі Prometheus (version 0.0.4)
+ * @returns {string} Текст метрик
+ */
+const renderMetrics = () => {
+  const lines = [];
+
+  for (const metric of counters.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} counter`);
+    for (const series of metric.series.values()) {
+      lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+    }
+  }
+
+  for (const metric of histograms.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} histogram`);
+    for (const series of metric.series.values()) {
+      metric.buckets.forEach((bound, index) => {
+        lines.push(
+          `${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`
+        );
+      });
+      lines.push(
+        `${metric.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`
+      );
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+
+  for (const metric of gauges.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} gauge`);
+    const collected = metric.collect();
+    const samples = Array.isArray(collected)
+      ? collected
+      : [{ labels: {}, value: collected }];
+    for (const sample of samples) {
+      lines.push(`${metric.name}${formatLabels(sample.labels)} ${sample.value}`);
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+};
+
+// Метрики HTTP запитів
+const httpRequestDuration = createHistogram({
+  name: "http_request_duration_seconds",
+  help: "Тривалість обробки HTTP запитів за маршрутом",
+  labelNames: ["method", "route", "status_code"],
+});
+
+const httpRequestErrors = createCounter({
+  name: "http_request_errors_total",
+  help: "Кількість HTTP відповідей з помилкою (статус 4xx/5xx) за маршрутом",
+  labelNames: ["method", "route", "status_code"],
+});
+
+// Метрики Telegram розсилок
+const telegramMessages = createCounter({
+  name: "telegram_broadcast_messages_total",
+  help: "Кількість повідомлень розсилок Telegram за результатом відправки",
+  labelNames: ["status"],
+});
+
+const telegramBroadcasts = createCounter({
+  name: "telegram_broadcasts_total",
+  help: "Кількість виконаних розсилок Telegram за підсумковим статусом",
+  labelNames: ["status"],
+});
+
+registerGauge({
+  name: "process_uptime_seconds",
+  help: "Час роботи процесу",
+  collect: () => Math.round(process.uptime()),
+});
+
+registerGauge({
+  name: "process_resident_memory_bytes",
+  help: "Обсяг резидентної пам'яті процесу",
+  collect: () => process.memoryUsage().rss,
+});
+
+module.exports = {
+  createCounter,
+  createHistogram,
+  registerGauge,
+  renderMetrics,
+  httpRequestDuration,
+  httpRequestErrors,
+  telegramMessages,
+  telegramBroadcasts,
+};
@@ -0,0 +1,126 @@
+/**
+ * Сховища лічильників для обмеження частоти запитів
+ * Лічильники ведуться фіксованими вікнами; ковзне вікно middleware оцінює
+ * за поточним і попереднім вікном
+ *
+ * Інтерфейс сховища: hit(key, windowMs) -> { current, previous, windowStart }
+ */
+const db = require("../config/db");
+const logger = require("./logger");
+
+// Як часто видаляються лічильники завершених вікон (мс)
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Сховище в пам'яті процесу (для одного інстансу API)
+ * @returns {Object} Сховище з методом hit
+ */
+const createMemoryStore = () => {
+  // key -> { windowMs, windowStart, current, previous }
+  const counters = new Map();
+
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.windowStart + 2 * counter.windowMs <= now) {
+        counters.delete(key);
+      }
+    }
+  }, CLEANUP_INTERVAL_MS);
+  cleanup.unref();
+
+  return {
+    hit: async (key, windowMs) => {
+      const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+      let counter = counters.get(key);
+
+      if (!counter || counter.windowStart !== windowStart) {
+        // Попереднє вікно враховується, лише якщо воно безпосередньо передує поточному
+        const previous =
+          counter && counter.windowStart === windowStart - windowMs
+            ? counter.current
+            : 0;
+        counter = { windowMs, windowStart, current: 0, previous };
+        counters.set(key, counter);
+      }
+
+      counter.current++;
+
+      return {
+        current: counter.current,
+        previous: counter.previous,
+        windowStart,
+      };
+    },
+  };
+};
+
+/**
+ * Сховище в PostgreSQL (таблиця rate_limit_counters), спільне для кількох інстансів
+ * @returns {Object} Сховище з методом hit
+ */
+const createPostgresStore = () => {
+  const cleanup = setInterval(() => {
+    db.pool
+      .query("DELETE FROM rate_limit_counters WHERE expires_at <= NOW()")
+      .catch((error) => {
+        logger.warn("Помилка очищення лічильників обмеження частоти запитів", error);
+      });
+  }, CLEANUP_INTERVAL_MS);
+  cleanup.unref();
+
+  return {
+    hit: async (key, windowMs) => {
+      const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+
+      // Напряму через пул: лічильники не є бізнес-даними і не потребують
+      // транзакції з автором змін для журналу аудиту
+      // Явні типи: без них PostgreSQL виводить для $2 різні типи (bigint у VALUES,
+      // numeric у to_timestamp) і відхиляє запит
+      const result = await db.pool.query(
+        `WITH hit AS (
+           INSERT INTO rate_limit_counters (key, window_start, count, expires_at)
+           VALUES ($1, $2::bigint, 1, to_timestamp(($2::bigint + 2 * $3::bigint) / 1000.0))
+           ON CONFLICT (key, window_start)
+           DO UPDATE SET count = rate_limit_counters.count + 1
+           RETURNING count
+         )
+         SELECT
+           (SELECT count FROM hit) as current,
+           COALESCE(
+             (SELECT count FROM rate_limit_counters
+              WHERE key = $1 AND window_start = $2::bigint - $3::bigint),
+             0
+           ) as previous`,
+        [key, windowStart, windowMs]
+      );
+
+      return {
+        current: parseInt(result.rows[0].current),
+        previous: parseInt(result.rows[0].previous),
+        windowStart,
+      };
+    },
+  };
+};
+
+/**
+ * Створює сховище за типом з конфігурації
+ * @param {string} type - "memory" або "postgres"
+ * @returns {Object} Сховище
+ */
+const createStore = (type) => {
+  if (type === "postgres") return createPostgresStore();
+  if (type !== "memory") {
+    logger.warn("Невідоме сховище обмеження частоти запитів, використовується memory", {
+      store: type,
+    });
+  }
+  return createMemoryStore();
+};
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  createStore,
+};
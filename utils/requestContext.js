@@ -0,0 +1,83 @@
+/**
+ * Контекст поточного HTTP запиту (AsyncLocalStorage)
+ * Дозволяє моделям та config/db дізнатися, хто виконує запит,
+ * та correlation ID запиту, не передаючи req через усі виклики
+ */
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+
+const storage = new AsyncLocalStorage();
+
+// Заголовок з correlation ID запиту (приймається від клієнта і повертається у відповіді)
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+// Допустимий ID від клієнта: до 128 символів без пробілів та керуючих символів
+const REQUEST_ID_REGEX = /^[\w\-.:]{1,128}$/;
+
+/**
+ * Middleware: створює контекст для кожного запиту з correlation ID
+ * ID береться із заголовка X-Request-Id (якщо він коректний) або генерується,
+ * і повертається клієнту в тому ж заголовку
+ * Дані (наприклад, автора змін) додає auth middleware через setActor
+ * @param {Object} req - Об'єкт запиту Express
+ * @param {Object} res - Об'єкт відповіді Express
+ * @param {Function} next - Функція для продовження обробки запиту
+ */
+const requestContextMiddleware = (req, res, next) => {
+  const incomingId = req.get(REQUEST_ID_HEADER);
+  const requestId =
+    incomingId && REQUEST_ID_REGEX.test(incomingId)
+      ? incomingId
+      : crypto.randomUUID();
+
+  req.requestId = requestId;
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+
+  storage.run({ requestId }, () => next());
+};
+
+/**
+ * Повертає контекст поточного запиту
+ * @returns {Object|undefined} Контекст або undefined поза запитом
+ */
+const getContext = () => storage.getStore();
+
+/**
+ * Запам'ятовує автора змін для поточного запиту
+ * @param {Object} actor - Автор змін
+ * @param {number|null} actor.id - ID користувача (null для API ключа)
+ * @param {string} actor.label - Опис автора (username або api-key:назва)
+ */
+const setActor = ({ id, label }) => {
+  const context = storage.getStore();
+  if (context) {
+    context.actor = { id, label };
+  }
+};
+
+/**
+ * Повертає автора змін поточного запиту
+ * @returns {Object|null} { id, label } або null
+ */
+const getActor = () => {
+  const context = storage.getStore();
+  return (context && context.actor) || null;
+};
+
+/**
+ * Повертає correlation ID поточного запиту
+ * @returns {string|null} ID або null поза запитом
+ */
+const getRequestId = () => {
+  const context = storage.getStore();
+  return (context && context.requestId) || null;
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  requestContextMiddleware,
+  getContext,
+  setActor,
+  getActor,
+  getRequestId,
+};
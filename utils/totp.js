@@ -0,0 +1,192 @@
+/**
+ * Утиліти для TOTP (RFC 6238) двофакторної автентифікації
+ * Сумісні з Google Authenticator, Authy та іншими застосунками
+ */
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Параметри TOTP (значення за замовчуванням для застосунків-автентифікаторів)
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+
+/**
+ * Кодує буфер у base32 (без доповнення)
+ * @param {Buffer} buffer - Дані для кодування
+ * @returns {string} Base32 рядок
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Декодує base32 рядок у буфер
+ * @param {string} input - Base32 рядок
+ * @returns {Buffer} Декодовані дані
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Невалідний base32 рядок");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+};
+
+/**
+ * Генерує новий секрет для TOTP
+ * @returns {string} Секрет у форматі base32
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Обчислює HOTP код для заданого кроку
+ * @param {string} secret - Секрет у форматі base32
+ * @param {number} step - Номер часового кроку
+ * @returns {string} Код з TOTP_DIGITS цифр
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Повертає поточний часовий крок
+ * @returns {number} Номер часового кроку
+ */
+const getCurrentStep = () => {
+  return Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+};
+
+/**
+ * Перевіряє TOTP код з допуском на розсинхронізацію годинника
+ * @param {string} secret - Секрет у форматі base32
+ * @param {string} code - Код, введений користувачем
+ * @param {number} [window=1] - Кількість сусідніх кроків, що приймаються
+ * @returns {number|null} Номер кроку, якому відповідає код, або null
+ */
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getCurrentStep();
+
+  for (let i = -window; i <= window; i++) {
+    const step = currentStep + i;
+    const expected = generateCode(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Формує otpauth URI для QR-коду застосунку-автентифікатора
+ * @param {string} secret - Секрет у форматі base32
+ * @param {string} accountName - Ім'я облікового запису (username)
+ * @param {string} [issuer] - Назва сервісу
+ * @returns {string} otpauth:// URI
+ */
+const buildOtpauthUri = (
+  secret,
+  accountName,
+  issuer = process.env.TOTP_ISSUER || "Wild ERP"
+) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Генерує одноразові коди відновлення
+ * @param {number} [count=10] - Кількість кодів
+ * @returns {Array<string>} Коди у форматі xxxxx-xxxxx
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+/**
+ * Нормалізує код відновлення перед хешуванням
+ * @param {string} code - Код відновлення
+ * @returns {string} Нормалізований код
+ */
+const normalizeRecoveryCode = (code) => {
+  return String(code || "")
+    .trim()
+    .toLowerCase();
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getCurrentStep,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+};
@@ -0,0 +1,273 @@
+/**
+ * Допоміжні функції для масового імпорту користувачів з XLSX/CSV
+ * Розбір файлу, валідація рядків та побудова плану змін (без звернень до БД)
+ */
+const path = require("path");
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+
+// Максимальна кількість рядків в одному файлі імпорту
+const MAX_IMPORT_ROWS = 1000;
+
+// Ролі, які можна призначити через імпорт (ті ж, що й у POST /api/users)
+const IMPORT_ROLES = ["user", "teamlead", "finance_manager", "admin"];
+
+// Прості текстові поля, які переносяться в користувача без перетворень
+const TEXT_FIELDS = [
+  "username",
+  "first_name",
+  "last_name",
+  "table_id",
+  "email",
+  "position",
+  "phone",
+  "sub_id",
+  "description",
+];
+
+// Альтернативні назви колонок → поле імпорту
+const COLUMN_ALIASES = {
+  telegram: "telegram_id",
+  team_name: "team",
+  team_id: "team",
+  department_name: "department",
+  department_id: "department",
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Нормалізує назву колонки: "Team Name" → "team_name" → "team"
+ * @param {string} header - Заголовок колонки
+ * @returns {string} Назва поля
+ */
+const normalizeHeader = (header) => {
+  const key = String(header || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+  return COLUMN_ALIASES[key] || key;
+};
+
+/**
+ * Перетворює значення комірки ExcelJS на рядок
+ * @param {*} value - Значення комірки
+ * @returns {string} Рядкове значення (порожній рядок для порожньої комірки)
+ */
+const cellToString = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === "object") {
+    // Формули, гіперпосилання та форматований текст
+    if (value.result !== undefined) return cellToString(value.result);
+    if (value.text !== undefined) return cellToString(value.text);
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text).join("").trim();
+    }
+  }
+
+  return String(value).trim();
+};
+
+/**
+ * Розбирає файл імпорту (XLSX або CSV) з першого аркуша
+ * Перший рядок - заголовки колонок
+ * @param {Buffer} buffer - Вміст файлу
+ * @param {string} fileName - Оригінальна назва файлу (для визначення формату)
+ * @returns {Promise<Object>} { rows: [{ rowNumber, values }], unknownColumns }
+ */
+const parseImportFile = async (buffer, fileName) => {
+  const workbook = new ExcelJS.Workbook();
+  const extension = path.extname(fileName || "").toLowerCase();
+  let worksheet;
+
+  if (extension === ".csv") {
+    // Без автоматичного перетворення типів, щоб довгі ID не втрачали точність
+    worksheet = await workbook.csv.read(Readable.from(buffer), {
+      map: (value) => value,
+    });
+  } else {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { rows: [], unknownColumns: [] };
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    headers[colNumber] = normalizeHeader(cellToString(cell.value));
+  });
+
+  const knownFields = ["telegram_id", "role", "team", "department", ...TEXT_FIELDS];
+  const unknownColumns = headers.filter(
+    (header) => header && !knownFields.includes(header)
+  );
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      return;
+    }
+
+    const values = {};
+    row.eachCell((cell, colNumber) => {
+      const field = headers[colNumber];
+      if (field && knownFields.includes(field)) {
+        values[field] = cellToString(cell.value);
+      }
+    });
+
+    // Повністю порожні рядки пропускаються
+    if (Object.values(values).some((value) => value !== "")) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return { rows, unknownColumns };
+};
+
+/**
+ * Знаходить запис довідника за ID або назвою (без урахування регістру)
+ * @param {Array} items - Записи довідника (команди або відділи)
+ * @param {string} value - ID або назва
+ * @returns {Object|null} Запис або null
+ */
+const findByIdOrName = (items, value) => {
+  if (/^\d+$/.test(value)) {
+    const byId = items.find((item) => item.id === parseInt(value));
+    if (byId) {
+      return byId;
+    }
+  }
+
+  const name = value.toLowerCase();
+  return items.find((item) => String(item.name).toLowerCase() === name) || null;
+};
+
+/**
+ * Будує план імпорту: для кожного рядка визначає дію (create/update/unchanged/error),
+ * зміни полів та помилки валідації
+ * @param {Array} rows - Рядки з parseImportFile
+ * @param {Object} context - Довідники
+ * @param {Array} context.teams - Всі команди
+ * @param {Array} context.departments - Всі відділи
+ * @param {Array} context.existingUsers - Існуючі користувачі з telegram_id з файлу
+ * @returns {Array} План по рядках: { row, telegram_id, action, userId, data, changes, errors }
+ */
+const buildImportPlan = (rows, { teams, departments, existingUsers }) => {
+  const usersByTelegramId = new Map(
+    existingUsers.map((user) => [String(user.telegram_id), user])
+  );
+  const seenTelegramIds = new Set();
+
+  return rows.map(({ rowNumber, values }) => {
+    const errors = [];
+    const data = {};
+    const telegramId = values.telegram_id || "";
+
+    if (!/^\d+$/.test(telegramId)) {
+      errors.push("Telegram ID є обов'язковим і має бути числом");
+    } else if (seenTelegramIds.has(telegramId)) {
+      errors.push("Telegram ID повторюється у файлі");
+    } else {
+      seenTelegramIds.add(telegramId);
+    }
+
+    const existingUser = usersByTelegramId.get(telegramId) || null;
+
+    // Порожня комірка означає "не змінювати" для існуючого користувача
+    TEXT_FIELDS.forEach((field) => {
+      if (values[field]) {
+        data[field] = values[field];
+      }
+    });
+
+    if (data.email && !EMAIL_REGEX.test(data.email)) {
+      errors.push(`Некоректний email: ${data.email}`);
+    }
+
+    if (values.role) {
+      if (IMPORT_ROLES.includes(values.role)) {
+        data.role = values.role;
+      } else {
+        errors.push(
+          `Недійсна роль "${values.role}". Доступні: ${IMPORT_ROLES.join(", ")}`
+        );
+      }
+    } else if (!existingUser) {
+      errors.push("Роль є обов'язковою для нового користувача");
+    }
+
+    let team = null;
+    if (values.team) {
+      team = findByIdOrName(teams, values.team);
+      if (team) {
+        data.team_id = team.id;
+      } else {
+        errors.push(`Команду "${values.team}" не знайдено`);
+      }
+    }
+
+    if (values.department) {
+      const department = findByIdOrName(departments, values.department);
+      if (!department) {
+        errors.push(`Відділ "${values.department}" не знайдено`);
+      } else if (team && team.department_id && team.department_id !== department.id) {
+        errors.push(
+          `Команда "${team.name}" не належить до відділу "${department.name}"`
+        );
+      } else {
+        data.department_id = department.id;
+      }
+    } else if (team && team.department_id) {
+      // Відділ визначається командою, якщо його не вказано явно
+      data.department_id = team.department_id;
+    }
+
+    const planRow = {
+      row: rowNumber,
+      telegram_id: telegramId,
+      action: "error",
+      userId: existingUser ? existingUser.id : null,
+      data,
+      changes: {},
+      errors,
+    };
+
+    if (errors.length > 0) {
+      return planRow;
+    }
+
+    if (!existingUser) {
+      planRow.action = "create";
+      planRow.changes = Object.fromEntries(
+        Object.entries(data).map(([field, value]) => [field, { from: null, to: value }])
+      );
+      return planRow;
+    }
+
+    Object.entries(data).forEach(([field, value]) => {
+      if (String(existingUser[field] ?? "") !== String(value)) {
+        planRow.changes[field] = { from: existingUser[field] ?? null, to: value };
+      }
+    });
+
+    planRow.action = Object.keys(planRow.changes).length > 0 ? "update" : "unchanged";
+    return planRow;
+  });
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_ROLES,
+  parseImportFile,
+  buildImportPlan,
+};